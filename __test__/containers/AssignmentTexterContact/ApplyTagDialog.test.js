@@ -0,0 +1,71 @@
+import React from "react";
+
+import { shallow } from "enzyme";
+import ApplyTagDialog from "../../../src/containers/AssignmentTexterContact/ApplyTagDialog";
+
+describe("ApplyTagDialog", () => {
+  const step = ["Are you sure?", "Yes", "No"];
+  const plainTag = { id: "1", title: "Plain", isAssignable: true };
+  const confirmedTag = {
+    id: "2",
+    title: "Volunteer",
+    isAssignable: true,
+    confirmationSteps: [step]
+  };
+  const otherConfirmedTag = {
+    id: "3",
+    title: "Donor",
+    isAssignable: true,
+    confirmationSteps: [step, step]
+  };
+  const allTags = [plainTag, confirmedTag, otherConfirmedTag];
+
+  const render = (contactTags = []) =>
+    shallow(
+      <ApplyTagDialog
+        open
+        contactTags={contactTags}
+        allTags={allTags}
+        pendingNewTags={contactTags}
+      />
+    );
+  const selectedIds = wrapper =>
+    wrapper.state("selectedTags").map(tag => tag.id);
+  const pendingTag = wrapper =>
+    wrapper.find("ApplyTagConfirmationDialog").prop("pendingTag");
+
+  test("adds tags without confirmation steps right away", () => {
+    const wrapper = render();
+    wrapper.instance().handleOnTagChange([plainTag]);
+
+    expect(selectedIds(wrapper)).toEqual(["1"]);
+    expect(pendingTag(wrapper)).toBeUndefined();
+  });
+
+  test("confirms each newly selected tag with confirmation steps in turn", () => {
+    const wrapper = render();
+    wrapper
+      .instance()
+      .handleOnTagChange([plainTag, confirmedTag, otherConfirmedTag]);
+
+    expect(selectedIds(wrapper)).toEqual(["1"]);
+    expect(pendingTag(wrapper)).toBe(confirmedTag);
+
+    wrapper.instance().handleOnConfirmPendingTag(confirmedTag);
+    expect(selectedIds(wrapper)).toEqual(["1", "2"]);
+    expect(pendingTag(wrapper)).toBe(otherConfirmedTag);
+
+    wrapper.instance().handleOnCancelPendingTag();
+    expect(selectedIds(wrapper)).toEqual(["1", "2"]);
+    expect(pendingTag(wrapper)).toBeUndefined();
+  });
+
+  test("does not confirm tags the contact already has", () => {
+    const wrapper = render([confirmedTag]);
+    wrapper.instance().handleOnTagChange([]);
+    wrapper.instance().handleOnTagChange([confirmedTag]);
+
+    expect(selectedIds(wrapper)).toEqual(["2"]);
+    expect(pendingTag(wrapper)).toBeUndefined();
+  });
+});
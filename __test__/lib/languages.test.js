@@ -0,0 +1,45 @@
+import {
+  getLanguageName,
+  getScriptLanguage,
+  normalizeLanguage
+} from "../../src/lib/languages";
+
+describe("normalizeLanguage", () => {
+  it("accepts codes, names and native names", () => {
+    expect(normalizeLanguage("es")).toBe("es");
+    expect(normalizeLanguage(" Spanish ")).toBe("es");
+    expect(normalizeLanguage("ESPAÑOL")).toBe("es");
+    expect(normalizeLanguage("espanol")).toBe("es");
+    expect(normalizeLanguage("Haitian Creole")).toBe("ht");
+  });
+
+  it("drops the region from regional codes", () => {
+    expect(normalizeLanguage("es-MX")).toBe("es");
+    expect(normalizeLanguage("zh_TW")).toBe("zh");
+  });
+
+  it("returns null for blank or unknown languages", () => {
+    expect(normalizeLanguage("")).toBeNull();
+    expect(normalizeLanguage(null)).toBeNull();
+    expect(normalizeLanguage("Klingon")).toBeNull();
+  });
+});
+
+describe("getLanguageName", () => {
+  it("names known languages and passes through unknown codes", () => {
+    expect(getLanguageName("vi")).toBe("Vietnamese");
+    expect(getLanguageName("xx")).toBe("xx");
+  });
+});
+
+describe("getScriptLanguage", () => {
+  it("uses the contact's language when the campaign is translated into it", () => {
+    expect(getScriptLanguage("es", "en", ["es"])).toBe("es");
+  });
+
+  it("falls back to the primary language", () => {
+    expect(getScriptLanguage("ko", "en", ["es"])).toBe("en");
+    expect(getScriptLanguage(null, "es", ["en"])).toBe("es");
+    expect(getScriptLanguage(null, null, [])).toBe("en");
+  });
+});
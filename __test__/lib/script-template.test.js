@@ -0,0 +1,112 @@
+import {
+  findTemplateErrors,
+  isTemplateTag,
+  renderTemplate,
+  renderTemplateParts
+} from "../../src/lib/script-template";
+
+const fields = ["firstName", "state", "volunteer"];
+
+const render = (script, values) =>
+  renderTemplate(script, fields, field => values[field]);
+
+describe("renderTemplate", () => {
+  it("substitutes fields", () => {
+    expect(render("Hi {firstName}!", { firstName: "Ana" })).toBe("Hi Ana!");
+  });
+
+  it("uses the default when a field is blank", () => {
+    expect(render("Hi {firstName|friend},", { firstName: " " })).toBe(
+      "Hi friend,"
+    );
+    expect(render("Hi {firstName|friend},", { firstName: "Ana" })).toBe(
+      "Hi Ana,"
+    );
+  });
+
+  it("applies filters left to right", () => {
+    expect(render("{firstName|upper}", { firstName: "ana" })).toBe("ANA");
+    expect(render("{state|lower}", { state: "NY" })).toBe("ny");
+    expect(render("{firstName|title}", { firstName: "mary-KATE ann" })).toBe(
+      "Mary-Kate Ann"
+    );
+    expect(render("{firstName|friend|upper}", {})).toBe("FRIEND");
+  });
+
+  it("treats quoted filter names as defaults", () => {
+    expect(render('{firstName|"upper"}', {})).toBe("upper");
+  });
+
+  it("renders conditional sections", () => {
+    const script = "{#if volunteer}Thanks for helping!{else}Can you help?{/if}";
+    expect(render(script, { volunteer: "yes" })).toBe("Thanks for helping!");
+    expect(render(script, { volunteer: "" })).toBe("Can you help?");
+    expect(render("{#if !volunteer}Join us{/if}", {})).toBe("Join us");
+  });
+
+  it("compares values without regard to case", () => {
+    const script = '{#if state = "ny"}Vote at PS 41{else}Find your polls{/if}';
+    expect(render(script, { state: "NY" })).toBe("Vote at PS 41");
+    expect(render(script, { state: "NJ" })).toBe("Find your polls");
+    expect(render("{#if state != NY}Out of state{/if}", { state: "NJ" })).toBe(
+      "Out of state"
+    );
+  });
+
+  it("nests conditional sections", () => {
+    const script = "{#if state = NY}{#if volunteer}A{else}B{/if}{else}C{/if}";
+    expect(render(script, { state: "NY", volunteer: "x" })).toBe("A");
+    expect(render(script, { state: "NY" })).toBe("B");
+    expect(render(script, { state: "NJ", volunteer: "x" })).toBe("C");
+  });
+
+  it("leaves unknown tags and stray section tags in the text", () => {
+    expect(render("Hi {nickname} {else} {/if}", {})).toBe(
+      "Hi {nickname} {else} {/if}"
+    );
+  });
+});
+
+describe("findTemplateErrors", () => {
+  it("accepts valid templates", () => {
+    expect(
+      findTemplateErrors("{#if state}{state|upper}{else}hi{/if}", fields)
+    ).toEqual([]);
+  });
+
+  it("reports unknown fields and unbalanced sections", () => {
+    expect(findTemplateErrors("{nickname} {#if state}", fields)).toEqual([
+      "Unknown field or tag {nickname}",
+      "{#if state} is missing a closing {/if}"
+    ]);
+    expect(findTemplateErrors("{/if}", fields)).toEqual([
+      "{/if} does not match an open {#if}"
+    ]);
+  });
+});
+
+describe("isTemplateTag", () => {
+  it("recognizes tags for known fields", () => {
+    expect(isTemplateTag("firstName|friend", fields)).toBe(true);
+    expect(isTemplateTag("#if state = NY", fields)).toBe(true);
+    expect(isTemplateTag("#if nickname", fields)).toBe(false);
+    expect(isTemplateTag("nickname|friend", fields)).toBe(false);
+  });
+});
+
+describe("renderTemplateParts", () => {
+  it("marks fields that render blank", () => {
+    expect(
+      renderTemplateParts(
+        "Hi {firstName}{#if state}, {state|lower}{/if}",
+        fields,
+        field => ({ firstName: "", state: "NY" }[field])
+      )
+    ).toEqual([
+      { text: "Hi " },
+      { text: "", field: "firstName", isEmpty: true },
+      { text: ", " },
+      { text: "ny", field: "state", isEmpty: false }
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+import {
+  applyScript,
+  getCannedResponseText,
+  getScriptOptions,
+  mediaMarkup,
+  messageComponents,
+  pickScriptVariant
+} from "../../src/lib/scripts";
+
+describe("messageComponents", () => {
+  it("returns plain text unchanged", () => {
+    expect(messageComponents("Hi there")).toEqual({
+      body: "Hi there",
+      mediaUrls: []
+    });
+  });
+
+  it("extracts every media attachment", () => {
+    const text = `Hi there ${mediaMarkup(
+      "https://example.com/a.jpg"
+    )} ${mediaMarkup("https://example.com/b.png")}`;
+    expect(messageComponents(text)).toEqual({
+      body: "Hi there",
+      mediaUrls: ["https://example.com/a.jpg", "https://example.com/b.png"]
+    });
+  });
+
+  it("tolerates whitespace inside the markup", () => {
+    expect(
+      messageComponents("[ https://example.com/a.jpg ]").mediaUrls
+    ).toEqual(["https://example.com/a.jpg"]);
+  });
+
+  it("ignores bracketed text that is not a URL", () => {
+    expect(messageComponents("Reply [YES] or [NO]").mediaUrls).toEqual([]);
+  });
+
+  it("can be called repeatedly", () => {
+    const text = "[https://example.com/a.jpg]";
+    expect(messageComponents(text).mediaUrls).toHaveLength(1);
+    expect(messageComponents(text).mediaUrls).toHaveLength(1);
+  });
+});
+
+describe("applyScript", () => {
+  const texter = { firstName: "sam", lastName: "lee" };
+  const contact = {
+    firstName: "",
+    lastName: "doe",
+    customFields: JSON.stringify({ district: "5" })
+  };
+
+  it("fills in contact, texter and custom fields", () => {
+    expect(
+      applyScript({
+        script:
+          "Hi {firstName|there}, it's {texterFirstName} in district {district}",
+        contact,
+        customFields: ["district"],
+        texter
+      })
+    ).toBe("Hi there, it's Sam in district 5");
+  });
+
+  it("varies text by custom field", () => {
+    expect(
+      applyScript({
+        script: "{#if district = 5}See you Tuesday{else}See you soon{/if}",
+        contact,
+        customFields: ["district"],
+        texter
+      })
+    ).toBe("See you Tuesday");
+  });
+});
+
+describe("pickScriptVariant", () => {
+  const scriptOptions = ["A", "B", "C"];
+
+  it("returns null when there are no scripts", () => {
+    expect(pickScriptVariant([], "1", "2")).toBeNull();
+  });
+
+  it("gives a contact the same variant every time", () => {
+    expect(pickScriptVariant(scriptOptions, "42", "7")).toEqual(
+      pickScriptVariant(scriptOptions, "42", "7")
+    );
+  });
+
+  it("returns the script for the chosen variant", () => {
+    const { script, variant } = pickScriptVariant(scriptOptions, "42", "7");
+    expect(script).toBe(scriptOptions[variant]);
+  });
+
+  it("spreads contacts across every variant", () => {
+    const counts = [0, 0, 0];
+    for (let contactId = 1; contactId <= 3000; contactId++) {
+      counts[pickScriptVariant(scriptOptions, contactId, "7").variant] += 1;
+    }
+    counts.forEach(count => {
+      expect(count).toBeGreaterThan(800);
+      expect(count).toBeLessThan(1200);
+    });
+  });
+
+  it("splits contacts evenly between two variants", () => {
+    let firstCount = 0;
+    for (let contactId = 1; contactId <= 2000; contactId++) {
+      if (pickScriptVariant(["A", "B"], contactId, "7").variant === 0) {
+        firstCount += 1;
+      }
+    }
+    expect(firstCount).toBeGreaterThan(900);
+    expect(firstCount).toBeLessThan(1100);
+  });
+
+  it("picks each step's variant independently", () => {
+    let sameCount = 0;
+    for (let contactId = 1; contactId <= 2000; contactId++) {
+      const first = pickScriptVariant(["A", "B"], contactId, "7").variant;
+      const second = pickScriptVariant(["A", "B"], contactId, "8").variant;
+      if (first === second) sameCount += 1;
+    }
+    expect(sameCount).toBeGreaterThan(900);
+    expect(sameCount).toBeLessThan(1100);
+  });
+});
+
+describe("getScriptOptions", () => {
+  const step = {
+    scriptOptions: ["Hi {firstName}"],
+    scriptTranslations: [
+      { language: "es", scriptOptions: ["Hola {firstName}", "¡Hola!"] },
+      { language: "vi", scriptOptions: [" "] }
+    ]
+  };
+
+  it("uses the translation for the language", () => {
+    expect(getScriptOptions(step, "es")).toEqual([
+      "Hola {firstName}",
+      "¡Hola!"
+    ]);
+  });
+
+  it("falls back to the primary scripts", () => {
+    expect(getScriptOptions(step, "en")).toEqual(["Hi {firstName}"]);
+    expect(getScriptOptions(step, "vi")).toEqual(["Hi {firstName}"]);
+    expect(getScriptOptions({ scriptOptions: ["Hi"] }, "es")).toEqual(["Hi"]);
+  });
+});
+
+describe("getCannedResponseText", () => {
+  const cannedResponse = {
+    text: "Thanks!",
+    translations: [
+      { language: "es", text: "¡Gracias!" },
+      { language: "ko", text: "" }
+    ]
+  };
+
+  it("uses the translation for the language", () => {
+    expect(getCannedResponseText(cannedResponse, "es")).toBe("¡Gracias!");
+  });
+
+  it("falls back to the primary text", () => {
+    expect(getCannedResponseText(cannedResponse, "ko")).toBe("Thanks!");
+    expect(getCannedResponseText({ text: "Thanks!" }, "es")).toBe("Thanks!");
+  });
+});
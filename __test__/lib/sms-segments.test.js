@@ -0,0 +1,69 @@
+import {
+  getNonGsmCharacters,
+  getSegmentInfo,
+  SmsEncoding
+} from "../../src/lib/sms-segments";
+
+describe("getSegmentInfo", () => {
+  it("counts an empty message as zero segments", () => {
+    expect(getSegmentInfo("")).toMatchObject({
+      encoding: SmsEncoding.GSM7,
+      characterCount: 0,
+      segmentCount: 0
+    });
+  });
+
+  it("fits 160 GSM-7 characters in one segment", () => {
+    expect(getSegmentInfo("a".repeat(160))).toMatchObject({
+      encoding: SmsEncoding.GSM7,
+      characterCount: 160,
+      segmentCount: 1,
+      charactersPerSegment: 160
+    });
+  });
+
+  it("splits longer GSM-7 messages into 153 character segments", () => {
+    expect(getSegmentInfo("a".repeat(161))).toMatchObject({
+      segmentCount: 2,
+      charactersPerSegment: 153
+    });
+    expect(getSegmentInfo("a".repeat(307)).segmentCount).toBe(3);
+  });
+
+  it("counts extension characters twice", () => {
+    expect(getSegmentInfo("€[]").characterCount).toBe(6);
+    expect(getSegmentInfo("{".repeat(81)).segmentCount).toBe(2);
+  });
+
+  it("switches to UCS-2 for a single emoji", () => {
+    const info = getSegmentInfo(`${"a".repeat(60)} 👋`);
+    expect(info).toMatchObject({
+      encoding: SmsEncoding.UCS2,
+      characterCount: 63,
+      segmentCount: 1,
+      nonGsmCharacters: ["👋"]
+    });
+  });
+
+  it("splits longer UCS-2 messages into 67 unit segments", () => {
+    expect(getSegmentInfo(`${"a".repeat(70)}’`)).toMatchObject({
+      encoding: SmsEncoding.UCS2,
+      segmentCount: 2,
+      charactersPerSegment: 67
+    });
+  });
+});
+
+describe("getNonGsmCharacters", () => {
+  it("reports curly quotes once each", () => {
+    expect(getNonGsmCharacters("It’s “fine” isn’t it")).toEqual([
+      "’",
+      "“",
+      "”"
+    ]);
+  });
+
+  it("accepts accented GSM characters", () => {
+    expect(getNonGsmCharacters("¿Qué pasó? Ça va, Müller")).toEqual(["ó"]);
+  });
+});
@@ -0,0 +1,18 @@
+import { testConnection } from "../../../src/server/action_handlers/actionkit-rsvp";
+
+describe("actionkit-rsvp testConnection", () => {
+  it("refuses base URLs on private networks", async () => {
+    expect(
+      await testConnection({ AK_BASEURL: "http://169.254.169.254" })
+    ).toEqual({
+      ok: false,
+      message:
+        "Could not reach ActionKit: http://169.254.169.254/act/ points to a private network"
+    });
+    expect(await testConnection({ AK_BASEURL: "http://localhost:1" })).toEqual({
+      ok: false,
+      message:
+        "Could not reach ActionKit: localhost resolves to a private network address"
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import { testConnection } from "../../../src/server/action_handlers/revere-signup";
+
+describe("revere-signup testConnection", () => {
+  it("refuses URLs on private networks", async () => {
+    expect(
+      await testConnection({ REVERE_API_URL: "http://localhost:1/api" })
+    ).toEqual({
+      ok: false,
+      message:
+        "Could not reach Revere: localhost resolves to a private network address"
+    });
+    expect(
+      await testConnection({
+        REVERE_SQS_URL: "https://10.0.0.8/123456789012/signups"
+      })
+    ).toEqual({
+      ok: false,
+      message:
+        "Could not reach Revere: https://10.0.0.8/123456789012/signups points to a private network"
+    });
+  });
+});
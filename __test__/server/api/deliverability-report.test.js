@@ -0,0 +1,213 @@
+import { resolvers } from "../../../src/server/api/schema";
+import { r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestMessagingService,
+  createTestUser
+} from "../../test_helpers";
+
+const { DeliverabilityReport, DeliverabilityStats } = resolvers;
+
+// Resolve every field of a stats row the way GraphQL would
+const resolveStats = stats =>
+  Object.keys(DeliverabilityStats).reduce(
+    (resolved, field) =>
+      Object.assign(resolved, { [field]: DeliverabilityStats[field](stats) }),
+    {}
+  );
+
+describe("deliverability report", () => {
+  let organization;
+  let campaign;
+  let admin;
+  let report;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    const otherOrganization = await createTestOrganization();
+    campaign = await createTestCampaign(organization.id, {
+      title: "GOTV"
+    });
+    await createTestMessagingService(organization.id, "MG-report", {
+      name: "Main service"
+    });
+    admin = await createTestUser();
+    await r.knex("user_organization").insert({
+      user_id: admin.id,
+      organization_id: organization.id,
+      role: "ADMIN"
+    });
+
+    const reportRow = fields =>
+      Object.assign(
+        {
+          organization_id: organization.id,
+          campaign_id: campaign.id,
+          messaging_service_sid: "MG-report",
+          domain: "example.org",
+          url_path: "rsvp",
+          computed_at: new Date("2019-12-02T12:00:00Z")
+        },
+        fields
+      );
+    await r.knex("deliverability_report").insert([
+      reportRow({
+        period_starts_at: new Date("2019-12-01T10:00:00Z"),
+        period_ends_at: new Date("2019-12-01T10:10:00Z"),
+        count_total: 10,
+        count_sent: 2,
+        count_delivered: 6,
+        count_error: 2,
+        error_codes: JSON.stringify({ "30007": 2 })
+      }),
+      reportRow({
+        period_starts_at: new Date("2019-12-01T11:00:00Z"),
+        period_ends_at: new Date("2019-12-01T11:10:00Z"),
+        domain: "example.com",
+        count_total: 12,
+        count_sent: 0,
+        count_delivered: 9,
+        count_error: 1,
+        error_codes: JSON.stringify({ "30007": 1 })
+      }),
+      // Outside the date range
+      reportRow({
+        period_starts_at: new Date("2019-11-01T10:00:00Z"),
+        period_ends_at: new Date("2019-11-01T10:10:00Z"),
+        count_total: 5,
+        count_sent: 0,
+        count_delivered: 0,
+        count_error: 5
+      }),
+      // Another organization's traffic
+      reportRow({
+        organization_id: otherOrganization.id,
+        campaign_id: null,
+        messaging_service_sid: null,
+        period_starts_at: new Date("2019-12-01T10:00:00Z"),
+        period_ends_at: new Date("2019-12-01T10:10:00Z"),
+        count_total: 100,
+        count_sent: 0,
+        count_delivered: 0,
+        count_error: 100,
+        error_codes: JSON.stringify({ "30003": 100 })
+      })
+    ]);
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    report = await resolvers.Organization.deliverabilityReport(
+      organization,
+      {
+        filter: {
+          startDate: new Date("2019-12-01T00:00:00Z"),
+          endDate: new Date("2019-12-02T00:00:00Z")
+        }
+      },
+      { user: admin }
+    );
+  });
+
+  it("requires an admin of the organization", async () => {
+    const texter = await createTestUser({ auth0_id: "test|texter" });
+    await expect(
+      resolvers.Organization.deliverabilityReport(
+        organization,
+        { filter: report.filter },
+        { user: texter }
+      )
+    ).rejects.toThrow();
+  });
+
+  it("totals the organization's reports in the date range", async () => {
+    const totals = resolveStats(await DeliverabilityReport.totals(report));
+
+    expect(totals).toEqual(
+      expect.objectContaining({
+        totalCount: 22,
+        sentCount: 2,
+        deliveredCount: 15,
+        errorCount: 3,
+        deliveryRate: 15 / 20,
+        errorRate: 3 / 20
+      })
+    );
+  });
+
+  it("narrows the reports by the filter", async () => {
+    const totals = resolveStats(
+      await DeliverabilityReport.totals(
+        Object.assign({}, report, {
+          filter: Object.assign({}, report.filter, { domain: "example.com" })
+        })
+      )
+    );
+
+    expect(totals.totalCount).toEqual(12);
+  });
+
+  it("breaks the reports down with readable labels", async () => {
+    const byCampaign = await DeliverabilityReport.breakdown(report, {
+      dimension: "CAMPAIGN"
+    });
+    const byService = await DeliverabilityReport.breakdown(report, {
+      dimension: "MESSAGING_SERVICE"
+    });
+    const byDomain = await DeliverabilityReport.breakdown(report, {
+      dimension: "DOMAIN"
+    });
+
+    expect(byCampaign.map(resolveStats)).toEqual([
+      expect.objectContaining({
+        key: String(campaign.id),
+        label: "GOTV",
+        totalCount: 22
+      })
+    ]);
+    expect(resolveStats(byService[0]).label).toEqual("Main service");
+    expect(
+      byDomain.map(stats => [stats.key, resolveStats(stats).totalCount])
+    ).toEqual([["example.com", 12], ["example.org", 10]]);
+  });
+
+  it("groups the timeline by period", async () => {
+    const hourly = await DeliverabilityReport.timeline(report, {
+      period: "HOUR"
+    });
+    const daily = await DeliverabilityReport.timeline(report, {
+      period: "DAY"
+    });
+
+    expect(hourly.map(stats => resolveStats(stats).totalCount)).toEqual([
+      10,
+      12
+    ]);
+    expect(daily.map(stats => resolveStats(stats).totalCount)).toEqual([22]);
+  });
+
+  it("sums carrier error codes", async () => {
+    expect(await DeliverabilityReport.errorCodes(report)).toEqual([
+      { errorCode: "30007", count: 3 }
+    ]);
+  });
+
+  it("has no rates without finished messages", () => {
+    const stats = resolveStats({
+      total_count: "4",
+      sent_count: "0",
+      delivered_count: "0",
+      error_count: "0"
+    });
+
+    expect(stats.deliveryRate).toBeNull();
+    expect(stats.errorRate).toBeNull();
+  });
+});
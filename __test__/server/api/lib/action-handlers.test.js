@@ -0,0 +1,419 @@
+import { config } from "../../../../src/config";
+import {
+  ActionHandlerLogStatus,
+  ActionType,
+  UndoDecision,
+  findMissingActionHandlerSettings,
+  getActionFailureUpdate,
+  getActionRetryDelay,
+  getActionSubjectColumns,
+  getUndoDecision,
+  prepareActionHandlerSettings,
+  queueTagAction,
+  resolveActionHandlerSettings,
+  runAction
+} from "../../../../src/server/api/lib/action-handlers";
+import { symmetricDecrypt } from "../../../../src/server/api/lib/crypto";
+import { r } from "../../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestContact
+} from "../../../test_helpers";
+
+const now = new Date("2019-12-07T12:00:00Z");
+
+describe("getActionRetryDelay", () => {
+  it("doubles the delay after each attempt up to an hour", () => {
+    const base = config.ACTION_HANDLER_RETRY_BASE_SECONDS * 1000;
+    expect(getActionRetryDelay(1)).toEqual(base);
+    expect(getActionRetryDelay(3)).toEqual(base * 4);
+    expect(getActionRetryDelay(50)).toEqual(60 * 60 * 1000);
+  });
+});
+
+describe("getActionFailureUpdate", () => {
+  it("queues a retry with backoff", () => {
+    const update = getActionFailureUpdate(
+      { attempts: 2 },
+      new Error("timeout"),
+      now
+    );
+    expect(update.status).toEqual(ActionHandlerLogStatus.Queued);
+    expect(update.next_attempt_at).toEqual(
+      new Date(now.getTime() + getActionRetryDelay(2))
+    );
+    expect(update.last_error).toEqual("timeout");
+    expect(update.completed_at).toBeNull();
+  });
+
+  it("fails once attempts run out", () => {
+    const update = getActionFailureUpdate(
+      { attempts: config.ACTION_HANDLER_MAX_ATTEMPTS },
+      new Error("timeout"),
+      now
+    );
+    expect(update.status).toEqual(ActionHandlerLogStatus.Failed);
+    expect(update.next_attempt_at).toBeNull();
+    expect(update.completed_at).toEqual(now);
+  });
+
+  it("fails immediately on permanent errors", () => {
+    const error = Object.assign(new Error("Unknown event"), {
+      isTransient: false
+    });
+    const update = getActionFailureUpdate({ attempts: 1 }, error, now);
+    expect(update.status).toEqual(ActionHandlerLogStatus.Failed);
+    expect(update.last_error).toEqual("Unknown event");
+  });
+});
+
+describe("getUndoDecision", () => {
+  const processLog = status => ({ action_type: ActionType.Process, status });
+
+  it("cancels a process action that has not run", () => {
+    expect(getUndoDecision(processLog(ActionHandlerLogStatus.Queued))).toEqual(
+      UndoDecision.Cancel
+    );
+    expect(getUndoDecision(processLog(ActionHandlerLogStatus.Failed))).toEqual(
+      UndoDecision.Cancel
+    );
+  });
+
+  it("undoes a process action that ran or is running", () => {
+    expect(
+      getUndoDecision(processLog(ActionHandlerLogStatus.Succeeded))
+    ).toEqual(UndoDecision.Undo);
+    expect(getUndoDecision(processLog(ActionHandlerLogStatus.Running))).toEqual(
+      UndoDecision.Undo
+    );
+  });
+
+  it("skips when there is nothing to undo", () => {
+    expect(getUndoDecision(undefined)).toEqual(UndoDecision.Skip);
+    expect(
+      getUndoDecision(processLog(ActionHandlerLogStatus.Cancelled))
+    ).toEqual(UndoDecision.Skip);
+    expect(
+      getUndoDecision({
+        action_type: ActionType.Undo,
+        status: ActionHandlerLogStatus.Queued
+      })
+    ).toEqual(UndoDecision.Skip);
+  });
+});
+
+describe("getActionSubjectColumns", () => {
+  it("matches a tag action on the contact and tag", () => {
+    expect(
+      getActionSubjectColumns({
+        campaign_contact_id: 5,
+        tag_id: 3,
+        interaction_step_id: null
+      })
+    ).toEqual({ campaign_contact_id: 5, tag_id: 3 });
+  });
+
+  it("matches an answer action on the contact and step", () => {
+    expect(
+      getActionSubjectColumns({
+        campaign_contact_id: 5,
+        interaction_step_id: 8
+      })
+    ).toEqual({ campaign_contact_id: 5, interaction_step_id: 8 });
+  });
+
+  it("returns null once the step is deleted", () => {
+    expect(getActionSubjectColumns({ campaign_contact_id: 5 })).toBeNull();
+  });
+});
+
+const handler = {
+  configSchema: [
+    { key: "EXAMPLE_LIST_ID", label: "List ID", isRequired: true },
+    {
+      key: "EXAMPLE_API_KEY",
+      label: "API key",
+      isSecret: true,
+      isRequired: true
+    },
+    { key: "EXAMPLE_FLOW", label: "Flow" }
+  ]
+};
+
+describe("prepareActionHandlerSettings", () => {
+  it("encrypts secrets and drops unknown settings", () => {
+    const settings = prepareActionHandlerSettings(
+      handler,
+      { EXAMPLE_LIST_ID: " 12 ", EXAMPLE_API_KEY: "abc", OTHER: "x" },
+      null
+    );
+    expect(settings.EXAMPLE_LIST_ID).toEqual("12");
+    expect(settings.EXAMPLE_API_KEY).not.toEqual("abc");
+    expect(symmetricDecrypt(settings.EXAMPLE_API_KEY)).toEqual("abc");
+    expect(settings.EXAMPLE_FLOW).toBeNull();
+    expect(settings.OTHER).toBeUndefined();
+  });
+
+  it("keeps the saved secret when it is left blank", () => {
+    const saved = prepareActionHandlerSettings(
+      handler,
+      { EXAMPLE_LIST_ID: "12", EXAMPLE_API_KEY: "abc", EXAMPLE_FLOW: "7" },
+      null
+    );
+    const settings = prepareActionHandlerSettings(
+      handler,
+      { EXAMPLE_LIST_ID: "13", EXAMPLE_API_KEY: "", EXAMPLE_FLOW: "" },
+      saved
+    );
+    expect(settings.EXAMPLE_API_KEY).toEqual(saved.EXAMPLE_API_KEY);
+    expect(settings.EXAMPLE_LIST_ID).toEqual("13");
+    expect(settings.EXAMPLE_FLOW).toBeNull();
+  });
+});
+
+describe("resolveActionHandlerSettings", () => {
+  it("uses only the saved settings once any are saved", () => {
+    const saved = prepareActionHandlerSettings(
+      handler,
+      { EXAMPLE_API_KEY: "abc" },
+      null
+    );
+    const settings = resolveActionHandlerSettings(handler, saved, {
+      EXAMPLE_LIST_ID: "from-features",
+      EXAMPLE_API_KEY: "old"
+    });
+    expect(settings).toEqual({
+      EXAMPLE_LIST_ID: null,
+      EXAMPLE_API_KEY: "abc",
+      EXAMPLE_FLOW: null
+    });
+  });
+
+  it("falls back to organization features when nothing is saved", () => {
+    const settings = resolveActionHandlerSettings(
+      handler,
+      { EXAMPLE_LIST_ID: null },
+      { EXAMPLE_LIST_ID: "from-features", EXAMPLE_API_KEY: "old" }
+    );
+    expect(settings).toEqual({
+      EXAMPLE_LIST_ID: "from-features",
+      EXAMPLE_API_KEY: "old",
+      EXAMPLE_FLOW: null
+    });
+  });
+});
+
+describe("findMissingActionHandlerSettings", () => {
+  it("lists required settings without values", () => {
+    expect(
+      findMissingActionHandlerSettings(handler, {
+        EXAMPLE_LIST_ID: "12",
+        EXAMPLE_API_KEY: null
+      })
+    ).toEqual(["API key"]);
+    expect(findMissingActionHandlerSettings({}, {})).toEqual([]);
+  });
+});
+
+describe("action handler registry", () => {
+  const loadActionHandlers = isProduction => {
+    jest.resetModules();
+    jest.doMock("../../../../src/config", () => {
+      const actual = require.requireActual("../../../../src/config");
+      return {
+        config: Object.assign({}, actual.config, {
+          isTest: actual.config.isTest,
+          isProduction
+        }),
+        clientConfig: actual.clientConfig
+      };
+    });
+    return require("../../../../src/server/action_handlers").default;
+  };
+
+  afterEach(() => {
+    jest.dontMock("../../../../src/config");
+    jest.resetModules();
+  });
+
+  it("offers the test action outside production only", () => {
+    expect(Object.keys(loadActionHandlers(false))).toContain("test-action");
+    expect(Object.keys(loadActionHandlers(true))).not.toContain("test-action");
+  });
+});
+
+describe("tag actions", () => {
+  let organization;
+  let contact;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+    const campaign = await createTestCampaign(organization.id);
+    contact = await createTestContact(campaign.id, "+15555550701");
+    await r.knex("organization_action_handler").insert({
+      organization_id: organization.id,
+      action_handler: "test-action",
+      is_enabled: true
+    });
+  });
+
+  let tagCount = 0;
+  const createTag = async fields => {
+    tagCount += 1;
+    const [tag] = await r
+      .knex("tag")
+      .insert(
+        Object.assign(
+          {
+            organization_id: organization.id,
+            title: `Volunteer ${tagCount}`,
+            action_handler: "test-action"
+          },
+          fields
+        )
+      )
+      .returning("*");
+    return tag;
+  };
+
+  // Claim the log the way the action handler runner does
+  const claim = async log => {
+    const [claimed] = await r
+      .knex("action_handler_log")
+      .update({ status: ActionHandlerLogStatus.Running, attempts: 1 })
+      .where({ id: log.id })
+      .returning("*");
+    return claimed;
+  };
+
+  const getCustomFields = async () =>
+    JSON.parse(
+      (await r
+        .knex("campaign_contact")
+        .where({ id: contact.id })
+        .first("custom_fields")).custom_fields || "{}"
+    );
+
+  it("queues a tag's action with the tag it was applied with", async () => {
+    const tag = await createTag({ action_data: JSON.stringify({ a: 1 }) });
+
+    const log = await queueTagAction(ActionType.Process, tag, contact);
+
+    expect(log).toEqual(
+      expect.objectContaining({
+        tag_id: tag.id,
+        campaign_contact_id: contact.id,
+        action_handler: "test-action",
+        action_type: ActionType.Process,
+        status: ActionHandlerLogStatus.Queued
+      })
+    );
+    expect(log.request.tag.id).toEqual(tag.id);
+    expect(log.request.tag.action_data).toBeUndefined();
+  });
+
+  it("skips tags without actions and handlers the organization has not enabled", async () => {
+    const plainTag = await createTag({ action_handler: null });
+    const disabledTag = await createTag({ action_handler: "webhook" });
+
+    expect(await queueTagAction(ActionType.Process, plainTag, contact)).toBe(
+      null
+    );
+    expect(await queueTagAction(ActionType.Process, disabledTag, contact)).toBe(
+      null
+    );
+  });
+
+  it("only undoes a removed tag's action when the tag asks for it", async () => {
+    const keptTag = await createTag();
+    const undoneTag = await createTag({ undo_action_on_remove: true });
+    await claim(await queueTagAction(ActionType.Process, keptTag, contact));
+    await r
+      .knex("action_handler_log")
+      .update({ status: ActionHandlerLogStatus.Succeeded })
+      .where({ tag_id: keptTag.id });
+    await claim(await queueTagAction(ActionType.Process, undoneTag, contact));
+    await r
+      .knex("action_handler_log")
+      .update({ status: ActionHandlerLogStatus.Succeeded })
+      .where({ tag_id: undoneTag.id });
+
+    expect(await queueTagAction(ActionType.Undo, keptTag, contact)).toBe(null);
+    expect(
+      (await queueTagAction(ActionType.Undo, undoneTag, contact)).action_type
+    ).toEqual(ActionType.Undo);
+  });
+
+  it("cancels a removed tag's action that has not run instead of undoing it", async () => {
+    const tag = await createTag({ undo_action_on_remove: true });
+    const processLog = await queueTagAction(ActionType.Process, tag, contact);
+
+    expect(await queueTagAction(ActionType.Undo, tag, contact)).toBe(null);
+    expect(
+      (await r
+        .knex("action_handler_log")
+        .where({ id: processLog.id })
+        .first()).status
+    ).toEqual(ActionHandlerLogStatus.Cancelled);
+  });
+
+  it("runs the handler's tag action and its undo", async () => {
+    const tag = await createTag({ undo_action_on_remove: true });
+
+    const processLog = await claim(
+      await queueTagAction(ActionType.Process, tag, contact)
+    );
+    expect(await runAction(processLog)).toBe(true);
+    expect((await getCustomFields()).processed_test_action).toEqual(
+      "completed"
+    );
+
+    const undoLog = await claim(
+      await queueTagAction(ActionType.Undo, tag, contact)
+    );
+    expect(await runAction(undoLog)).toBe(true);
+    expect((await getCustomFields()).processed_test_action).toBeUndefined();
+    expect(
+      await r
+        .knex("action_handler_log")
+        .where({ tag_id: tag.id })
+        .orderBy("id")
+        .pluck("status")
+    ).toEqual([
+      ActionHandlerLogStatus.Succeeded,
+      ActionHandlerLogStatus.Succeeded
+    ]);
+  });
+
+  it("fails a tag action whose handler was disabled after it was queued", async () => {
+    const tag = await createTag();
+    const log = await claim(
+      await queueTagAction(ActionType.Process, tag, contact)
+    );
+    await r
+      .knex("organization_action_handler")
+      .update({ is_enabled: false })
+      .where({ organization_id: organization.id });
+
+    expect(await runAction(log)).toBe(false);
+    const failed = await r
+      .knex("action_handler_log")
+      .where({ id: log.id })
+      .first();
+    expect(failed.status).toEqual(ActionHandlerLogStatus.Failed);
+    expect(failed.last_error).toMatch(/is not enabled/);
+    expect((await getCustomFields()).processed_test_action).toBeUndefined();
+  });
+});
@@ -0,0 +1,133 @@
+import request from "superagent";
+import { checkMessagingServiceHealth } from "../../../../src/server/api/lib/alerts";
+import { r } from "../../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestContact,
+  createTestMessagingService,
+  createTestMessage
+} from "../../../test_helpers";
+
+jest.mock("../../../../src/config", () => {
+  const { config, clientConfig } = require.requireActual(
+    "../../../../src/config"
+  );
+  return {
+    config: Object.assign({}, config, {
+      isTest: config.isTest,
+      DELIVERABILITY_ALERT_ENDPOINT: "https://alerts.example.com",
+      MESSAGING_SERVICE_HEALTH_MIN_SENDS: 4,
+      MESSAGING_SERVICE_FAILOVER_RESTICK: true
+    }),
+    clientConfig
+  };
+});
+
+jest.mock("superagent", () => ({ post: jest.fn() }));
+
+describe("checkMessagingServiceHealth", () => {
+  let organization;
+  let contact;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+    const campaign = await createTestCampaign(organization.id);
+    contact = await createTestContact(campaign.id, "+15555550301");
+    request.post.mockReset();
+  });
+
+  const createSends = async (messagingServiceSid, statuses) => {
+    for (let status of statuses) {
+      await createTestMessage(contact, {
+        messaging_service_sid: messagingServiceSid,
+        send_status: status
+      });
+    }
+  };
+
+  const getService = messagingServiceSid =>
+    r
+      .knex("messaging_service")
+      .where({ messaging_service_sid: messagingServiceSid })
+      .first();
+
+  it("marks failing services unhealthy and moves their cells", async () => {
+    const alertSend = jest.fn(() => Promise.resolve());
+    request.post.mockImplementation(() => ({ send: alertSend }));
+    await createTestMessagingService(organization.id, "MG-failing");
+    await createTestMessagingService(organization.id, "MG-working");
+    await createSends("MG-failing", ["ERROR", "DEAD_LETTER", "ERROR", "SENT"]);
+    await createSends("MG-working", ["SENT", "DELIVERED", "DELIVERED", "SENT"]);
+    await r.knex("messaging_service_stick").insert({
+      cell: contact.cell,
+      organization_id: organization.id,
+      messaging_service_sid: "MG-failing"
+    });
+
+    await checkMessagingServiceHealth();
+
+    expect((await getService("MG-failing")).is_healthy).toBe(false);
+    expect((await getService("MG-working")).is_healthy).toBe(true);
+    expect(
+      await r
+        .knex("messaging_service_stick")
+        .where({ cell: contact.cell })
+        .pluck("messaging_service_sid")
+    ).toEqual(["MG-working"]);
+    expect(alertSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        messagingServiceSid: "MG-failing",
+        isHealthy: false,
+        movedCellCount: 1
+      })
+    );
+  });
+
+  it("marks recovered services healthy and leaves low-volume services alone", async () => {
+    request.post.mockImplementation(() => ({ send: () => Promise.resolve() }));
+    await createTestMessagingService(organization.id, "MG-recovered", {
+      is_healthy: false
+    });
+    await createTestMessagingService(organization.id, "MG-quiet");
+    await createSends("MG-recovered", ["SENT", "DELIVERED", "SENT", "SENT"]);
+    await createSends("MG-quiet", ["ERROR", "ERROR", "ERROR"]);
+
+    await checkMessagingServiceHealth();
+
+    expect((await getService("MG-recovered")).is_healthy).toBe(true);
+    expect((await getService("MG-quiet")).is_healthy).toBe(true);
+  });
+
+  it("checks every service when an alert cannot be posted", async () => {
+    request.post.mockImplementation(() => ({
+      send: () => Promise.reject(new Error("Alert endpoint unreachable"))
+    }));
+    await createTestMessagingService(organization.id, "MG-first-failing");
+    await createTestMessagingService(organization.id, "MG-second-failing");
+    await createSends("MG-first-failing", ["ERROR", "ERROR", "ERROR", "ERROR"]);
+    await createSends("MG-second-failing", [
+      "ERROR",
+      "ERROR",
+      "ERROR",
+      "ERROR"
+    ]);
+
+    await checkMessagingServiceHealth();
+
+    expect(request.post).toHaveBeenCalledTimes(2);
+    expect((await getService("MG-first-failing")).is_healthy).toBe(false);
+    expect((await getService("MG-second-failing")).is_healthy).toBe(false);
+  });
+});
@@ -0,0 +1,61 @@
+import {
+  DEFAULT_LINK_DOMAIN_HEALTH_POLICY,
+  getLinkDomainHealthPolicy,
+  isLinkDomainUnhealthy,
+  validateLinkDomainHealthPolicy
+} from "../../../../src/server/api/lib/link-domain-health";
+
+describe("getLinkDomainHealthPolicy", () => {
+  it("falls back to the defaults", () => {
+    expect(getLinkDomainHealthPolicy({})).toEqual(
+      DEFAULT_LINK_DOMAIN_HEALTH_POLICY
+    );
+    expect(getLinkDomainHealthPolicy(undefined).enabled).toBe(false);
+  });
+
+  it("fills in settings the organization has not saved", () => {
+    const policy = getLinkDomainHealthPolicy({
+      linkDomainHealthPolicy: { enabled: true, maxErrorRate: 0.1 }
+    });
+    expect(policy.enabled).toBe(true);
+    expect(policy.maxErrorRate).toEqual(0.1);
+    expect(policy.coolDownHours).toEqual(
+      DEFAULT_LINK_DOMAIN_HEALTH_POLICY.coolDownHours
+    );
+  });
+});
+
+describe("validateLinkDomainHealthPolicy", () => {
+  it("accepts the defaults", () => {
+    expect(
+      validateLinkDomainHealthPolicy(DEFAULT_LINK_DOMAIN_HEALTH_POLICY)
+    ).toEqual([]);
+  });
+
+  it("rejects out of range settings", () => {
+    const errors = validateLinkDomainHealthPolicy({
+      enabled: true,
+      maxErrorRate: 1.5,
+      minSendCount: 0,
+      windowHours: 2.5,
+      coolDownHours: -1
+    });
+    expect(errors).toHaveLength(4);
+  });
+});
+
+describe("isLinkDomainUnhealthy", () => {
+  const policy = Object.assign({}, DEFAULT_LINK_DOMAIN_HEALTH_POLICY, {
+    maxErrorRate: 0.2,
+    minSendCount: 100
+  });
+
+  it("ignores domains below the minimum volume", () => {
+    expect(isLinkDomainUnhealthy(policy, 99, 99)).toBe(false);
+  });
+
+  it("flags domains over the error rate", () => {
+    expect(isLinkDomainUnhealthy(policy, 100, 21)).toBe(true);
+    expect(isLinkDomainUnhealthy(policy, 100, 20)).toBe(false);
+  });
+});
@@ -0,0 +1,456 @@
+import serviceMap from "../../../../src/server/api/lib/services";
+import {
+  assignMissingMessagingServices,
+  attemptMessageSend,
+  getContactMessagingService,
+  getMessagingServiceCandidates,
+  rebalanceMessagingServiceSticks,
+  isTransientSendError,
+  getSendRetryDelay,
+  recordSendFailure,
+  takeSendToken
+} from "../../../../src/server/api/lib/message-sending";
+import { r } from "../../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestContact,
+  createTestMessagingService,
+  createTestMessage
+} from "../../../test_helpers";
+
+// Tests run with fakeservice, which skips messaging service assignment entirely
+jest.mock("../../../../src/config", () => {
+  const { config, clientConfig } = require.requireActual(
+    "../../../../src/config"
+  );
+  return {
+    config: Object.assign({}, config, {
+      isTest: config.isTest,
+      DEFAULT_SERVICE: "twilio"
+    }),
+    clientConfig
+  };
+});
+
+const getStickSids = organizationId =>
+  r
+    .knex("messaging_service_stick")
+    .where({ organization_id: organizationId })
+    .orderBy("cell")
+    .pluck("messaging_service_sid");
+
+describe("messaging service assignment", () => {
+  let organization;
+  let campaign;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+    campaign = await createTestCampaign(organization.id);
+  });
+
+  it("keeps a contact on the service their cell is stuck to", async () => {
+    await createTestMessagingService(organization.id, "MG-first");
+    const contact = await createTestContact(campaign.id, "+15555550101");
+
+    const assigned = await getContactMessagingService(contact.id);
+    await createTestMessagingService(organization.id, "MG-second");
+    const again = await getContactMessagingService(contact.id);
+
+    expect(assigned.messaging_service_sid).toEqual("MG-first");
+    expect(again.messaging_service_sid).toEqual("MG-first");
+  });
+
+  it("reassigns a cell stuck to a deactivated service", async () => {
+    await createTestMessagingService(organization.id, "MG-old");
+    const contact = await createTestContact(campaign.id, "+15555550102");
+    await getContactMessagingService(contact.id);
+
+    await r
+      .knex("messaging_service")
+      .update({ is_active: false })
+      .where({ messaging_service_sid: "MG-old" });
+    await createTestMessagingService(organization.id, "MG-new");
+    const reassigned = await getContactMessagingService(contact.id);
+
+    expect(reassigned.messaging_service_sid).toEqual("MG-new");
+    expect(await getStickSids(organization.id)).toEqual(["MG-new"]);
+  });
+
+  it("spreads the cells of a service over the other active, healthy services", async () => {
+    await createTestMessagingService(organization.id, "MG-from");
+    await createTestMessagingService(organization.id, "MG-to-a");
+    await createTestMessagingService(organization.id, "MG-to-b");
+    await createTestMessagingService(organization.id, "MG-inactive", {
+      is_active: false
+    });
+    await createTestMessagingService(organization.id, "MG-unhealthy", {
+      is_healthy: false
+    });
+    await r.knex("messaging_service_stick").insert(
+      ["+15555550103", "+15555550104", "+15555550105"].map(cell => ({
+        cell,
+        organization_id: organization.id,
+        messaging_service_sid: "MG-from"
+      }))
+    );
+
+    const movedCount = await r.knex.transaction(trx =>
+      rebalanceMessagingServiceSticks(trx, organization.id, "MG-from")
+    );
+
+    expect(movedCount).toEqual(3);
+    expect(await getStickSids(organization.id)).toEqual([
+      "MG-to-a",
+      "MG-to-b",
+      "MG-to-a"
+    ]);
+  });
+});
+
+describe("campaigns pinned to messaging services", () => {
+  let organization;
+  let campaign;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+    campaign = await createTestCampaign(organization.id);
+  });
+
+  const pinCampaign = (campaignId, messagingServiceSids) =>
+    r.knex("campaign_messaging_service").insert(
+      messagingServiceSids.map(messagingServiceSid => ({
+        campaign_id: campaignId,
+        messaging_service_sid: messagingServiceSid
+      }))
+    );
+
+  const getSids = services =>
+    services.map(service => service.messaging_service_sid).sort();
+
+  it("offers only the pinned services, falling back to unhealthy pins", async () => {
+    await createTestMessagingService(organization.id, "MG-unpinned");
+    await createTestMessagingService(organization.id, "MG-pinned");
+    await createTestMessagingService(organization.id, "MG-pinned-unhealthy", {
+      is_healthy: false
+    });
+    await pinCampaign(campaign.id, ["MG-pinned", "MG-pinned-unhealthy"]);
+
+    expect(
+      getSids(await getMessagingServiceCandidates(organization.id, campaign.id))
+    ).toEqual(["MG-pinned"]);
+    expect(
+      getSids(await getMessagingServiceCandidates(organization.id))
+    ).toEqual(["MG-pinned", "MG-unpinned"]);
+
+    await r
+      .knex("messaging_service")
+      .update({ is_healthy: false })
+      .where({ messaging_service_sid: "MG-pinned" });
+    expect(
+      getSids(await getMessagingServiceCandidates(organization.id, campaign.id))
+    ).toEqual(["MG-pinned", "MG-pinned-unhealthy"]);
+  });
+
+  it("sticks a pinned campaign's contacts per campaign", async () => {
+    const cell = "+15555550111";
+    const otherCampaign = await createTestCampaign(organization.id);
+    await createTestMessagingService(organization.id, "MG-organization");
+    await createTestMessagingService(organization.id, "MG-campaign");
+    await pinCampaign(campaign.id, ["MG-campaign"]);
+    // The organization-wide stick is not used by the pinned campaign
+    await r.knex("messaging_service_stick").insert({
+      cell,
+      organization_id: organization.id,
+      messaging_service_sid: "MG-organization"
+    });
+
+    const pinnedContact = await createTestContact(campaign.id, cell);
+    const otherContact = await createTestContact(otherCampaign.id, cell);
+
+    expect(
+      (await getContactMessagingService(pinnedContact.id)).messaging_service_sid
+    ).toEqual("MG-campaign");
+    expect(
+      (await getContactMessagingService(otherContact.id)).messaging_service_sid
+    ).toEqual("MG-organization");
+    expect(
+      await r
+        .knex("messaging_service_stick")
+        .where({ cell })
+        .orderBy("messaging_service_sid")
+        .select("campaign_id", "messaging_service_sid")
+    ).toEqual([
+      { campaign_id: campaign.id, messaging_service_sid: "MG-campaign" },
+      { campaign_id: null, messaging_service_sid: "MG-organization" }
+    ]);
+  });
+
+  it("assigns a pinned campaign's missing contacts to its pins", async () => {
+    await createTestMessagingService(organization.id, "MG-spare");
+    await createTestMessagingService(organization.id, "MG-pin-a");
+    await createTestMessagingService(organization.id, "MG-pin-b");
+    await pinCampaign(campaign.id, ["MG-pin-a", "MG-pin-b"]);
+    for (let cell of ["+15555550121", "+15555550122", "+15555550123"]) {
+      await createTestContact(campaign.id, cell);
+    }
+
+    await r.knex.transaction(trx =>
+      assignMissingMessagingServices(trx, campaign.id, organization.id)
+    );
+
+    const sticks = await r
+      .knex("messaging_service_stick")
+      .where({ organization_id: organization.id });
+    expect(sticks).toHaveLength(3);
+    sticks.forEach(stick => {
+      expect(stick.campaign_id).toEqual(campaign.id);
+      expect(["MG-pin-a", "MG-pin-b"]).toContain(stick.messaging_service_sid);
+    });
+  });
+});
+
+describe("send retries", () => {
+  const statusError = status => Object.assign(new Error("Failed"), { status });
+
+  it("retries rate limiting, server errors and network failures", () => {
+    expect(isTransientSendError(statusError(429))).toBe(true);
+    expect(isTransientSendError(statusError(503))).toBe(true);
+    expect(
+      isTransientSendError(
+        Object.assign(new Error("Reset"), { code: "ECONNRESET" })
+      )
+    ).toBe(true);
+  });
+
+  it("does not retry client errors, unknown errors or a missing error", () => {
+    expect(isTransientSendError(statusError(400))).toBe(false);
+    expect(isTransientSendError(new Error("Failed"))).toBe(false);
+    expect(isTransientSendError(undefined)).toBe(false);
+  });
+
+  it("lets a service flag its own errors as transient or not", () => {
+    expect(
+      isTransientSendError(
+        Object.assign(statusError(400), { isTransient: true })
+      )
+    ).toBe(true);
+    expect(
+      isTransientSendError(
+        Object.assign(statusError(503), { isTransient: false })
+      )
+    ).toBe(false);
+  });
+
+  it("doubles the retry delay with each attempt, up to an hour", () => {
+    expect(getSendRetryDelay(1)).toEqual(30 * 1000);
+    expect(getSendRetryDelay(2)).toEqual(60 * 1000);
+    expect(getSendRetryDelay(3)).toEqual(120 * 1000);
+    expect(getSendRetryDelay(20)).toEqual(60 * 60 * 1000);
+  });
+});
+
+describe("recordSendFailure", () => {
+  let contact;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    const organization = await createTestOrganization();
+    const campaign = await createTestCampaign(organization.id);
+    contact = await createTestContact(campaign.id, "+15555550201");
+  });
+
+  const getMessage = id =>
+    r
+      .knex("message")
+      .where({ id })
+      .first();
+
+  const transientError = Object.assign(new Error("Too many requests"), {
+    status: 429
+  });
+
+  it("queues a transient failure again after the retry delay", async () => {
+    const message = await createTestMessage(contact, {
+      send_attempts: 1,
+      send_before: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    const before = Date.now();
+    const isDeadLetter = await recordSendFailure(message, transientError);
+    const updated = await getMessage(message.id);
+
+    expect(isDeadLetter).toBe(false);
+    expect(updated.send_status).toEqual("QUEUED");
+    expect(updated.last_error).toEqual("Too many requests");
+    expect(updated.next_attempt_at.getTime()).toBeGreaterThanOrEqual(
+      before + getSendRetryDelay(1) - 1000
+    );
+  });
+
+  it("dead-letters a permanent failure", async () => {
+    const message = await createTestMessage(contact, { send_attempts: 1 });
+
+    const isDeadLetter = await recordSendFailure(
+      message,
+      Object.assign(new Error("Invalid number"), { status: 400 })
+    );
+    const updated = await getMessage(message.id);
+
+    expect(isDeadLetter).toBe(true);
+    expect(updated.send_status).toEqual("DEAD_LETTER");
+    expect(updated.next_attempt_at).toBeNull();
+  });
+
+  it("dead-letters a message out of attempts or past its send_before", async () => {
+    const outOfAttempts = await createTestMessage(contact, {
+      send_attempts: 5
+    });
+    const expiring = await createTestMessage(contact, {
+      send_attempts: 1,
+      send_before: new Date(Date.now() + 1000)
+    });
+
+    expect(await recordSendFailure(outOfAttempts, transientError)).toBe(true);
+    expect(await recordSendFailure(expiring, transientError)).toBe(true);
+    expect((await getMessage(expiring.id)).send_status).toEqual("DEAD_LETTER");
+  });
+
+  it("leaves a message a delivery report has already settled", async () => {
+    const message = await createTestMessage(contact, {
+      send_attempts: 1,
+      send_status: "DELIVERED"
+    });
+
+    await recordSendFailure(message, transientError);
+
+    expect((await getMessage(message.id)).send_status).toEqual("DELIVERED");
+  });
+});
+
+describe("send throttling", () => {
+  let organization;
+  let campaign;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterEach(() => jest.restoreAllMocks());
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+    campaign = await createTestCampaign(organization.id);
+  });
+
+  const takeSendTokens = async (messagingService, count) => {
+    const delays = [];
+    for (let i = 0; i < count; i++) {
+      delays.push(await takeSendToken(messagingService));
+    }
+    return delays;
+  };
+
+  it("does not limit services without a rate", async () => {
+    const service = await createTestMessagingService(
+      organization.id,
+      "MG-unlimited"
+    );
+
+    expect(await takeSendTokens(service, 5)).toEqual([0, 0, 0, 0, 0]);
+  });
+
+  it("hands out a second's worth of tokens and then the wait for the next one", async () => {
+    const service = await createTestMessagingService(
+      organization.id,
+      "MG-limited",
+      { max_messages_per_second: 2 }
+    );
+
+    const [first, second, third] = await takeSendTokens(service, 3);
+
+    expect([first, second]).toEqual([0, 0]);
+    expect(third).toBeGreaterThan(0.4);
+    expect(third).toBeLessThanOrEqual(0.5);
+  });
+
+  it("refills the bucket at the service's rate", async () => {
+    const service = await createTestMessagingService(
+      organization.id,
+      "MG-refilled",
+      { max_messages_per_second: 2 }
+    );
+    await takeSendTokens(service, 2);
+    await r
+      .knex("messaging_service_send_bucket")
+      .update({
+        refilled_at: r.knex.raw("now() - interval '500 milliseconds'")
+      })
+      .where({ messaging_service_sid: "MG-refilled" });
+
+    const [refilled, empty] = await takeSendTokens(service, 2);
+
+    expect(refilled).toEqual(0);
+    expect(empty).toBeGreaterThan(0);
+  });
+
+  it("puts a message back in the queue while its service is at its limit", async () => {
+    await createTestMessagingService(organization.id, "MG-busy", {
+      max_messages_per_second: 1
+    });
+    const contact = await createTestContact(campaign.id, "+15555550601");
+    const service = await getContactMessagingService(contact.id);
+    await takeSendToken(service);
+    const message = await createTestMessage(contact, {
+      service: "twilio",
+      send_attempts: 1
+    });
+    const sendMessage = jest
+      .spyOn(serviceMap.twilio, "sendMessage")
+      .mockImplementation(() => Promise.resolve());
+
+    const before = Date.now();
+    await attemptMessageSend(message, organization.id);
+
+    expect(sendMessage).not.toHaveBeenCalled();
+    const deferred = await r
+      .knex("message")
+      .where({ id: message.id })
+      .first();
+    expect(deferred.send_status).toEqual("QUEUED");
+    expect(deferred.send_attempts).toEqual(0);
+    expect(deferred.next_attempt_at.getTime()).toBeGreaterThan(before);
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  DEFAULT_OPT_IN_KEYWORDS,
+  DEFAULT_OPT_OUT_KEYWORDS,
+  cleanKeywordList,
+  getOptInKeywords,
+  getOptOutKeywords,
+  matchKeyword,
+  normalizeKeyword
+} from "../../../../src/server/api/lib/opt-out-keywords";
+
+describe("normalizeKeyword", () => {
+  it("ignores case, whitespace and surrounding punctuation", () => {
+    expect(normalizeKeyword("  Stop! ")).toEqual("STOP");
+    expect(normalizeKeyword("'quit.'")).toEqual("QUIT");
+  });
+
+  it("strips accents", () => {
+    expect(normalizeKeyword("Cancelación")).toEqual("CANCELACION");
+  });
+
+  it("handles empty input", () => {
+    expect(normalizeKeyword(undefined)).toEqual("");
+    expect(normalizeKeyword("?!")).toEqual("");
+  });
+});
+
+describe("matchKeyword", () => {
+  it("matches a message consisting only of a keyword", () => {
+    expect(matchKeyword("stop", DEFAULT_OPT_OUT_KEYWORDS)).toEqual("STOP");
+    expect(matchKeyword("Alto.", DEFAULT_OPT_OUT_KEYWORDS)).toEqual("ALTO");
+  });
+
+  it("does not match keywords inside longer messages", () => {
+    expect(
+      matchKeyword("please stop texting me", DEFAULT_OPT_OUT_KEYWORDS)
+    ).toBeUndefined();
+    expect(matchKeyword("stopping by later", ["STOP"])).toBeUndefined();
+  });
+
+  it("does not match empty messages", () => {
+    expect(matchKeyword("", DEFAULT_OPT_OUT_KEYWORDS)).toBeUndefined();
+  });
+});
+
+describe("getOptOutKeywords", () => {
+  it("falls back to the defaults", () => {
+    expect(getOptOutKeywords({})).toEqual(DEFAULT_OPT_OUT_KEYWORDS);
+    expect(getOptOutKeywords(undefined)).toEqual(DEFAULT_OPT_OUT_KEYWORDS);
+  });
+
+  it("respects an empty organization list", () => {
+    expect(getOptOutKeywords({ opt_out_keywords: [] })).toEqual([]);
+  });
+});
+
+describe("cleanKeywordList", () => {
+  it("normalizes, dedupes and drops blank keywords", () => {
+    expect(cleanKeywordList(["stop", " STOP ", "", "Quit"])).toEqual([
+      "STOP",
+      "QUIT"
+    ]);
+  });
+});
+
+describe("getOptInKeywords", () => {
+  it("falls back to the defaults", () => {
+    expect(getOptInKeywords({})).toEqual(DEFAULT_OPT_IN_KEYWORDS);
+  });
+
+  it("uses the organization list", () => {
+    expect(getOptInKeywords({ opt_in_keywords: ["YES"] })).toEqual(["YES"]);
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  lintCampaignScripts,
+  ScriptLintSeverity
+} from "../../../../src/server/api/lib/script-lint";
+
+const lint = overrides =>
+  lintCampaignScripts(
+    Object.assign(
+      {
+        interactionSteps: [
+          {
+            id: 1,
+            parentInteractionId: null,
+            scriptOptions: ["Hi {firstName}, reply STOP to stop"]
+          }
+        ],
+        cannedResponses: [],
+        customFields: ["district"],
+        linkDomains: ["links.example.org"],
+        shortensLinks: false,
+        optOutKeywords: ["STOP"]
+      },
+      overrides
+    )
+  );
+
+const codes = issues => issues.map(issue => `${issue.severity}:${issue.code}`);
+
+describe("lintCampaignScripts", () => {
+  it("passes a clean campaign", () => {
+    expect(lint({})).toEqual([]);
+  });
+
+  it("flags unknown fields as errors", () => {
+    const issues = lint({
+      interactionSteps: [
+        {
+          id: 1,
+          scriptOptions: ["Hi {frstName}, reply STOP to stop"]
+        }
+      ]
+    });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      severity: ScriptLintSeverity.ERROR,
+      code: "TEMPLATE",
+      location: "Initial message",
+      interactionStepId: 1
+    });
+  });
+
+  it("flags empty branches and canned responses", () => {
+    const issues = lint({
+      interactionSteps: [
+        { id: 1, scriptOptions: ["Hi, reply STOP to stop"] },
+        {
+          id: 2,
+          parentInteractionId: 1,
+          answerOption: "Yes",
+          scriptOptions: [" "]
+        }
+      ],
+      cannedResponses: [{ id: 5, title: "Thanks", text: "" }]
+    });
+    expect(issues.map(issue => issue.location)).toEqual([
+      'Answer "Yes"',
+      'Canned response "Thanks"'
+    ]);
+    expect(codes(issues)).toEqual(["ERROR:EMPTY_SCRIPT", "ERROR:EMPTY_SCRIPT"]);
+  });
+
+  it("warns about UCS-2 and long messages", () => {
+    const issues = lint({
+      cannedResponses: [
+        { id: 1, title: "Curly", text: "We’re here" },
+        { id: 2, title: "Long", text: "a".repeat(400) }
+      ]
+    });
+    expect(codes(issues)).toEqual(["WARNING:UCS2", "WARNING:LENGTH"]);
+  });
+
+  it("warns about links off the organization's link domains", () => {
+    const cannedResponses = [
+      {
+        id: 1,
+        title: "Links",
+        text: "https://links.example.org/a and https://example.com/b"
+      }
+    ];
+    const issues = lint({ cannedResponses });
+    expect(codes(issues)).toEqual(["WARNING:LINK_DOMAIN"]);
+    expect(issues[0].message).toContain("https://example.com/b");
+    expect(lint({ cannedResponses, shortensLinks: true })).toEqual([]);
+  });
+
+  it("warns when an initial message has no opt-out language", () => {
+    const interactionSteps = [
+      { id: 1, scriptOptions: ["Hi there", "Hi, text STOP to quit"] }
+    ];
+    const issues = lint({ interactionSteps });
+    expect(codes(issues)).toEqual(["WARNING:OPT_OUT"]);
+    expect(issues[0].location).toBe("Initial message (option 1)");
+    expect(lint({ interactionSteps, optOutKeywords: [] })).toEqual([]);
+  });
+
+  it("lints translations and warns about missing ones", () => {
+    const issues = lint({
+      interactionSteps: [
+        {
+          id: 1,
+          scriptOptions: ["Hi {firstName}, reply STOP to stop"],
+          scriptTranslations: [
+            { language: "es", scriptOptions: ["Hola {nombre}, responde STOP"] }
+          ]
+        }
+      ],
+      cannedResponses: [
+        {
+          id: 5,
+          title: "Thanks",
+          text: "Thanks!",
+          translations: [{ language: "es", text: "¡Gracias {frstName}!" }]
+        }
+      ],
+      translationLanguages: ["es", "vi"]
+    });
+    expect(codes(issues)).toEqual([
+      "ERROR:TEMPLATE",
+      "WARNING:TRANSLATION",
+      "ERROR:TEMPLATE"
+    ]);
+    expect(issues.map(issue => issue.location)).toEqual([
+      "Initial message (Spanish)",
+      "Initial message (Vietnamese)",
+      'Canned response "Thanks" (Spanish)'
+    ]);
+  });
+});
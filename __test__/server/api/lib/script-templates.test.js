@@ -0,0 +1,234 @@
+import {
+  SCRIPT_TEMPLATE_FORMAT,
+  SCRIPT_TEMPLATE_FORMAT_VERSION,
+  buildScriptTemplateContent,
+  findScriptTemplateErrors,
+  normalizeScriptTemplateContent,
+  scriptTemplateToInteractionSteps,
+  summarizeScriptTemplateContent
+} from "../../../../src/server/api/lib/script-templates";
+
+const interactionSteps = [
+  {
+    id: 1,
+    parent_interaction_id: null,
+    question: "Can you make it?",
+    script_options: ["Hi {firstName}!", ""],
+    script_translations: { es: ["¡Hola {firstName}!"], fr: [""] },
+    answer_option: "",
+    answer_actions: "",
+    is_deleted: false
+  },
+  {
+    id: 3,
+    parent_interaction_id: 1,
+    question: "",
+    script_options: ["Sorry to hear that"],
+    script_translations: null,
+    answer_option: "No ",
+    answer_actions: "",
+    is_deleted: false
+  },
+  {
+    id: 2,
+    parent_interaction_id: 1,
+    question: "",
+    script_options: ["Great!"],
+    script_translations: null,
+    answer_option: "Yes",
+    answer_actions: "webhook",
+    answer_actions_data: {
+      url: "https://example.com/rsvp",
+      method: "POST",
+      encryptedSigningSecret: "c2VjcmV0"
+    },
+    is_deleted: false
+  },
+  {
+    id: 4,
+    parent_interaction_id: 1,
+    question: "",
+    script_options: ["Removed"],
+    script_translations: null,
+    answer_option: "Maybe",
+    answer_actions: "",
+    is_deleted: true
+  }
+];
+
+const cannedResponses = [
+  {
+    id: 8,
+    title: "Wrong number",
+    text: "Sorry!",
+    translations: { es: "¡Perdón!", fr: " " }
+  }
+];
+
+const buildContent = () =>
+  buildScriptTemplateContent({
+    interactionSteps,
+    cannedResponses,
+    primaryLanguage: "en",
+    translationLanguages: ["es"]
+  });
+
+describe("buildScriptTemplateContent", () => {
+  it("nests steps in id order and leaves out deleted steps", () => {
+    const { interactionSteps: root } = buildContent();
+    expect(root.questionText).toEqual("Can you make it?");
+    expect(root.interactionSteps.map(step => step.answerOption)).toEqual([
+      "Yes",
+      "No "
+    ]);
+    expect(root.interactionSteps[0].answerActions).toEqual("webhook");
+  });
+
+  it("keeps action settings but not their secrets", () => {
+    const { interactionSteps: root } = buildContent();
+    expect(root.answerActionsData).toBeNull();
+    expect(root.interactionSteps[0].answerActionsData).toEqual({
+      url: "https://example.com/rsvp",
+      method: "POST"
+    });
+  });
+
+  it("drops blank scripts and translations", () => {
+    const content = buildContent();
+    expect(content.interactionSteps.scriptOptions).toEqual(["Hi {firstName}!"]);
+    expect(content.interactionSteps.scriptTranslations).toEqual({
+      es: ["¡Hola {firstName}!"]
+    });
+    expect(content.cannedResponses).toEqual([
+      {
+        title: "Wrong number",
+        text: "Sorry!",
+        translations: { es: "¡Perdón!" }
+      }
+    ]);
+  });
+
+  it("has no initial step for a campaign without scripts", () => {
+    const content = buildScriptTemplateContent({
+      interactionSteps: [],
+      cannedResponses: [],
+      primaryLanguage: null,
+      translationLanguages: null
+    });
+    expect(content.interactionSteps).toBeNull();
+    expect(content.primaryLanguage).toEqual("en");
+    expect(content.translationLanguages).toEqual([]);
+  });
+});
+
+describe("findScriptTemplateErrors", () => {
+  it("accepts built content and exported files", () => {
+    const content = buildContent();
+    expect(findScriptTemplateErrors(content)).toEqual([]);
+    expect(
+      findScriptTemplateErrors(
+        Object.assign({ name: "GOTV", templateVersion: 3 }, content)
+      )
+    ).toEqual([]);
+  });
+
+  it("rejects other JSON", () => {
+    expect(findScriptTemplateErrors({ interactionSteps: {} })).toEqual([
+      "This is not a script library file."
+    ]);
+    expect(findScriptTemplateErrors([])).toEqual([
+      "This is not a script library file."
+    ]);
+    expect(
+      findScriptTemplateErrors({
+        format: SCRIPT_TEMPLATE_FORMAT,
+        formatVersion: SCRIPT_TEMPLATE_FORMAT_VERSION + 1
+      })
+    ).toEqual([
+      "This script library file was exported by a newer version of Spoke."
+    ]);
+  });
+
+  it("lists problems with steps and canned responses", () => {
+    const content = {
+      format: SCRIPT_TEMPLATE_FORMAT,
+      formatVersion: 1,
+      primaryLanguage: "klingon",
+      interactionSteps: {
+        scriptOptions: ["Hi"],
+        scriptTranslations: { xx: ["?"] },
+        interactionSteps: [
+          { answerOption: "Yes", scriptOptions: ["Great"] },
+          { answerOption: "Yes", scriptOptions: "Great" },
+          { scriptOptions: [] }
+        ]
+      },
+      cannedResponses: [{ title: "Empty" }]
+    };
+    expect(findScriptTemplateErrors(content)).toEqual([
+      "Unknown primary language klingon.",
+      "Initial message has an unknown language xx.",
+      "Initial message has answers but no question.",
+      'Initial message has more than one answer "Yes".',
+      'Answer "Yes" scripts must be a list of text.',
+      "An answer to Initial message is missing its answer.",
+      "Canned response 1 needs a title and text."
+    ]);
+  });
+});
+
+describe("normalizeScriptTemplateContent", () => {
+  it("keeps question and answer text as written and drops file metadata", () => {
+    const content = normalizeScriptTemplateContent({
+      format: SCRIPT_TEMPLATE_FORMAT,
+      formatVersion: 1,
+      name: "GOTV",
+      translationLanguages: ["en", "es"],
+      interactionSteps: {
+        questionText: "Can you make it?",
+        scriptOptions: ["Hi"],
+        interactionSteps: [{ answerOption: "No ", scriptOptions: ["Ok"] }]
+      }
+    });
+    expect(content.name).toBeUndefined();
+    expect(content.primaryLanguage).toEqual("en");
+    expect(content.translationLanguages).toEqual(["es"]);
+    expect(content.cannedResponses).toEqual([]);
+    expect(content.interactionSteps.interactionSteps[0]).toEqual({
+      answerOption: "No ",
+      questionText: "",
+      scriptOptions: ["Ok"],
+      scriptTranslations: {},
+      answerActions: "",
+      answerActionsData: null,
+      interactionSteps: []
+    });
+  });
+});
+
+describe("scriptTemplateToInteractionSteps", () => {
+  it("links each new step to its parent's temporary id", () => {
+    const root = scriptTemplateToInteractionSteps(buildContent());
+    expect(root.id).toEqual("new0");
+    expect(root.parentInteractionId).toBeNull();
+    expect(root.scriptTranslations).toEqual([
+      { language: "es", scriptOptions: ["¡Hola {firstName}!"] }
+    ]);
+    expect(
+      root.interactionSteps.map(step => [
+        step.id,
+        step.parentInteractionId,
+        step.answerOption
+      ])
+    ).toEqual([["new1", "new0", "Yes"], ["new2", "new0", "No "]]);
+  });
+});
+
+describe("summarizeScriptTemplateContent", () => {
+  it("counts questions and canned responses", () => {
+    expect(summarizeScriptTemplateContent(buildContent())).toEqual({
+      questionCount: 1,
+      cannedResponseCount: 1
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import crypto from "crypto";
+
+import {
+  claimLinkDomain,
+  findMessageUrls,
+  getUrlHost,
+  isPreviewUserAgent,
+  shortenMessageLinks,
+  validateLinkDomainRotation
+} from "../../../../src/server/api/lib/short-links";
+import { r } from "../../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestContact
+} from "../../../test_helpers";
+
+describe("findMessageUrls", () => {
+  it("finds each URL in the message", () => {
+    expect(
+      findMessageUrls(
+        "RSVP at https://example.org/rsvp?id=1 or http://example.com/info"
+      )
+    ).toEqual(["https://example.org/rsvp?id=1", "http://example.com/info"]);
+  });
+
+  it("leaves off trailing punctuation", () => {
+    expect(findMessageUrls("See https://example.org/event. Thanks!")).toEqual([
+      "https://example.org/event"
+    ]);
+    expect(findMessageUrls("(https://example.org/a)")).toEqual([
+      "https://example.org/a"
+    ]);
+  });
+
+  it("stops at media markup brackets", () => {
+    expect(findMessageUrls("Hi [https://example.org/img.png]")).toEqual([
+      "https://example.org/img.png"
+    ]);
+  });
+
+  it("returns nothing for messages without URLs", () => {
+    expect(findMessageUrls("Hi there, can you vote?")).toEqual([]);
+  });
+});
+
+describe("getUrlHost", () => {
+  it("returns the lowercased host without a port", () => {
+    expect(getUrlHost("https://Example.org:8080/path?q=1")).toEqual(
+      "example.org"
+    );
+    expect(getUrlHost("http://example.org")).toEqual("example.org");
+    expect(getUrlHost("https://example.org#top")).toEqual("example.org");
+  });
+});
+
+describe("isPreviewUserAgent", () => {
+  it("recognizes link preview fetchers", () => {
+    expect(
+      isPreviewUserAgent(
+        "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)"
+      )
+    ).toBe(true);
+    expect(isPreviewUserAgent("WhatsApp/2.19.81 A")).toBe(true);
+    expect(
+      isPreviewUserAgent(
+        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+      )
+    ).toBe(true);
+  });
+
+  it("does not flag browsers", () => {
+    expect(
+      isPreviewUserAgent(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 13_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0.3 Mobile/15E148 Safari/604.1"
+      )
+    ).toBe(false);
+    expect(isPreviewUserAgent(null)).toBe(false);
+  });
+});
+
+describe("validateLinkDomainRotation", () => {
+  it("accepts positive whole numbers and unset values", () => {
+    expect(validateLinkDomainRotation({ weight: 3, dailyCap: 500 })).toEqual(
+      []
+    );
+    expect(validateLinkDomainRotation({ weight: null })).toEqual([]);
+    expect(validateLinkDomainRotation({})).toEqual([]);
+  });
+
+  it("rejects zero, negative and fractional values", () => {
+    expect(validateLinkDomainRotation({ weight: 0, dailyCap: 0 })).toHaveLength(
+      2
+    );
+    expect(validateLinkDomainRotation({ weight: -1 })).toHaveLength(1);
+    expect(validateLinkDomainRotation({ dailyCap: 2.5 })).toHaveLength(1);
+  });
+});
+
+describe("claimLinkDomain", () => {
+  let organization;
+
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  beforeEach(async () => {
+    organization = await createTestOrganization();
+  });
+
+  const insertLinkDomain = fields =>
+    r
+      .knex("link_domain")
+      .insert(
+        Object.assign(
+          { organization_id: organization.id, max_usage_count: 1 },
+          fields
+        )
+      );
+
+  const claimLinkDomains = async count => {
+    const domains = [];
+    for (let i = 0; i < count; i++) {
+      domains.push(await claimLinkDomain(organization.id));
+    }
+    return domains;
+  };
+
+  it("gives domains turns in proportion to their weight", async () => {
+    await insertLinkDomain({ domain: "heavy.example.org", weight: 2 });
+    await insertLinkDomain({ domain: "light.example.org", weight: 1 });
+
+    const domains = await claimLinkDomains(12);
+
+    expect(domains.filter(d => d === "heavy.example.org")).toHaveLength(8);
+    expect(domains.filter(d => d === "light.example.org")).toHaveLength(4);
+  });
+
+  it("skips domains that have used up their daily cap", async () => {
+    await insertLinkDomain({ domain: "capped.example.org", daily_cap: 2 });
+
+    expect(await claimLinkDomains(3)).toEqual([
+      "capped.example.org",
+      "capped.example.org",
+      undefined
+    ]);
+  });
+
+  it("starts a new daily count on a new day", async () => {
+    await insertLinkDomain({
+      domain: "yesterday.example.org",
+      daily_cap: 2,
+      daily_usage_count: 2,
+      daily_usage_date: r.knex.raw("current_date - 1")
+    });
+
+    expect(await claimLinkDomains(1)).toEqual(["yesterday.example.org"]);
+    const { daily_usage_count: dailyUsageCount } = await r
+      .knex("link_domain")
+      .where({ domain: "yesterday.example.org" })
+      .first("daily_usage_count");
+    expect(dailyUsageCount).toEqual(1);
+  });
+});
+
+describe("shortenMessageLinks", () => {
+  beforeAll(
+    async () => await setupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+  afterEach(() => jest.restoreAllMocks());
+
+  it("retries with a new token when one is already taken", async () => {
+    const organization = await createTestOrganization({
+      features: JSON.stringify({ shortLinkTracking: true })
+    });
+    const campaign = await createTestCampaign(organization.id);
+    const contact = await createTestContact(campaign.id, "+15555550301");
+    await r.knex("link_domain").insert({
+      organization_id: organization.id,
+      domain: "links.example.org",
+      max_usage_count: 100
+    });
+    await r.knex("short_link").insert({
+      token: "AAAAAAAA",
+      organization_id: organization.id,
+      domain: "links.example.org",
+      target_url: "https://example.org/taken"
+    });
+    // The first token generated is the taken one
+    const { randomBytes } = crypto;
+    let tokenCount = 0;
+    jest.spyOn(crypto, "randomBytes").mockImplementation(size => {
+      if (size !== 6) return randomBytes(size);
+      tokenCount += 1;
+      return Buffer.alloc(6, tokenCount === 1 ? 0 : 1);
+    });
+
+    const text = await shortenMessageLinks({
+      organizationId: organization.id,
+      campaignId: campaign.id,
+      campaignContactId: contact.id,
+      text: "RSVP at https://example.org/rsvp"
+    });
+
+    expect(text).toEqual("RSVP at https://links.example.org/l/AQEBAQEB");
+  });
+});
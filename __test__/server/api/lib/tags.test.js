@@ -0,0 +1,99 @@
+import {
+  DEFAULT_TAG_BACKGROUND_COLOR,
+  findTagErrors,
+  getTagColumns,
+  isSystemTagChange,
+  normalizeConfirmationSteps
+} from "../../../../src/server/api/lib/tags";
+
+const tag = {
+  title: " Volunteer ",
+  description: "Wants to help",
+  textColor: "#112233",
+  backgroundColor: "",
+  confirmationSteps: [],
+  onApplyScript: " Thanks {firstName}! ",
+  webhookUrl: "",
+  isAssignable: false
+};
+
+describe("normalizeConfirmationSteps", () => {
+  it("trims values and drops blank steps", () => {
+    expect(
+      normalizeConfirmationSteps([
+        [" Are you sure? ", "Yes", "No"],
+        [],
+        ["", " ", ""],
+        ["Really?", "Yes"]
+      ])
+    ).toEqual([["Are you sure?", "Yes", "No"], ["Really?", "Yes", ""]]);
+    expect(normalizeConfirmationSteps(null)).toEqual([]);
+  });
+});
+
+describe("findTagErrors", () => {
+  it("accepts a complete tag", () => {
+    expect(findTagErrors(tag)).toEqual([]);
+  });
+
+  it("reports each problem", () => {
+    expect(
+      findTagErrors(
+        Object.assign({}, tag, {
+          title: " ",
+          backgroundColor: "blue",
+          confirmationSteps: [["Sure?", "Yes", ""]],
+          webhookUrl: "ftp://example.com"
+        })
+      )
+    ).toEqual([
+      "The tag needs a title.",
+      "The background color must look like #1A2B3C.",
+      "Confirmation step 1 needs its text and both button labels.",
+      "The webhook URL must be an http or https URL."
+    ]);
+  });
+});
+
+describe("getTagColumns", () => {
+  it("fills in defaults and trims text", () => {
+    const columns = getTagColumns(tag, null);
+    expect(columns.title).toEqual("Volunteer");
+    expect(columns.background_color).toEqual(DEFAULT_TAG_BACKGROUND_COLOR);
+    expect(columns.on_apply_script).toEqual("Thanks {firstName}!");
+    expect(columns.is_assignable).toBe(false);
+  });
+
+  it("keeps the title and assignability of system tags", () => {
+    const columns = getTagColumns(tag, { is_system: true });
+    expect(columns.title).toBeUndefined();
+    expect(columns.is_assignable).toBeUndefined();
+    expect(columns.text_color).toEqual("#112233");
+  });
+
+  it("only stores whether the tag is a system tag when it is given", () => {
+    expect(getTagColumns(tag, null).is_system).toBeUndefined();
+    expect(
+      getTagColumns(Object.assign({}, tag, { isSystem: true }), null).is_system
+    ).toBe(true);
+  });
+});
+
+describe("isSystemTagChange", () => {
+  it("detects marking and unmarking system tags", () => {
+    const systemTag = Object.assign({}, tag, { isSystem: true });
+    expect(isSystemTagChange(systemTag, null)).toBe(true);
+    expect(isSystemTagChange(systemTag, { is_system: false })).toBe(true);
+    expect(isSystemTagChange(systemTag, { is_system: true })).toBe(false);
+    expect(
+      isSystemTagChange(Object.assign({}, tag, { isSystem: false }), {
+        is_system: true
+      })
+    ).toBe(true);
+  });
+
+  it("ignores saves that leave it out", () => {
+    expect(isSystemTagChange(tag, { is_system: true })).toBe(false);
+    expect(isSystemTagChange(tag, null)).toBe(false);
+  });
+});
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+
+import {
+  findWebhookConfigErrors,
+  getPublicRequestOptions,
+  getWebhookFieldValues,
+  isPrivateAddress,
+  isPrivateUrl,
+  lookupPublicAddress,
+  publicAddressAgents,
+  renderWebhookBody,
+  signWebhookPayload
+} from "../../../../src/server/api/lib/webhooks";
+
+const fieldValues = getWebhookFieldValues({
+  contact: {
+    id: 7,
+    first_name: "Ana",
+    last_name: "Diaz",
+    cell: "+15555550123",
+    zip: "10001",
+    external_id: "ak-1",
+    custom_fields: '{"event_id":"42","note":"says \\"hi\\""}'
+  },
+  campaign: { id: 3, title: "GOTV" },
+  question: "Can you make it?",
+  answer: "Yes",
+  texter: null
+});
+
+describe("findWebhookConfigErrors", () => {
+  it("accepts usable settings", () => {
+    expect(
+      findWebhookConfigErrors({
+        url: "https://example.com/hook",
+        method: "POST",
+        headers: { Authorization: "Bearer token" },
+        bodyTemplate: '{"cell": "{cell}"}'
+      })
+    ).toEqual([]);
+  });
+
+  it("lists problems with the settings", () => {
+    expect(findWebhookConfigErrors(null)).toEqual([
+      "The webhook is not set up."
+    ]);
+    expect(
+      findWebhookConfigErrors({
+        url: "ftp://example.com",
+        method: "SEND",
+        headers: { "Bad Header": "x" },
+        bodyTemplate: "{cell}"
+      })
+    ).toHaveLength(4);
+  });
+
+  it("rejects private addresses and delivery headers", () => {
+    expect(
+      findWebhookConfigErrors({
+        url: "http://169.254.169.254/latest/meta-data",
+        method: "GET",
+        headers: { Host: "internal", "Transfer-Encoding": "chunked" }
+      })
+    ).toEqual([
+      "The webhook URL must not point to a private network.",
+      "Webhooks cannot set the Host, Transfer-Encoding headers."
+    ]);
+    expect(
+      findWebhookConfigErrors({ url: "http://[::1]:8080/", method: "POST" })
+    ).toHaveLength(1);
+  });
+});
+
+describe("isPrivateAddress", () => {
+  it("flags loopback, private, link-local and mapped addresses", () => {
+    [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.31.255.255",
+      "192.168.0.10",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "not an address"
+    ].forEach(address => expect(isPrivateAddress(address)).toBe(true));
+  });
+
+  it("allows public addresses", () => {
+    ["8.8.8.8", "172.32.0.1", "93.184.216.34", "2606:4700::1111"].forEach(
+      address => expect(isPrivateAddress(address)).toBe(false)
+    );
+  });
+});
+
+describe("lookupPublicAddress", () => {
+  it("refuses hostnames that resolve to private addresses", done => {
+    lookupPublicAddress("localhost", {}, err => {
+      expect(err.code).toEqual("EPRIVATEADDRESS");
+      done();
+    });
+  });
+});
+
+describe("isPrivateUrl", () => {
+  it("checks addresses in URLs", () => {
+    expect(isPrivateUrl("http://169.254.169.254/latest")).toBe(true);
+    expect(isPrivateUrl("https://[::1]:8443/")).toBe(true);
+    expect(isPrivateUrl("https://8.8.8.8/")).toBe(false);
+    expect(isPrivateUrl("https://localhost/")).toBe(false);
+  });
+});
+
+describe("getPublicRequestOptions", () => {
+  it("resolves hostnames through the public agents without redirects", () => {
+    expect(getPublicRequestOptions("https://act.example.org/act/")).toEqual({
+      url: "https://act.example.org/act/",
+      agent: publicAddressAgents["https:"],
+      followRedirect: false
+    });
+  });
+
+  it("refuses private addresses", () => {
+    expect(() => getPublicRequestOptions("http://10.0.0.8/act/")).toThrow(
+      "http://10.0.0.8/act/ points to a private network"
+    );
+  });
+});
+
+describe("renderWebhookBody", () => {
+  it("fills in fields inside JSON strings", () => {
+    const body = renderWebhookBody(
+      JSON.stringify({
+        person: { name: "{firstName} {lastName}", phone: "{cell}" },
+        event: "{event_id}",
+        note: "{note}",
+        answers: ["{question}", "{answer}"],
+        texter: "{texterFirstName|nobody}",
+        count: 1
+      }),
+      fieldValues
+    );
+    expect(body).toEqual({
+      person: { name: "Ana Diaz", phone: "+15555550123" },
+      event: "42",
+      note: 'says "hi"',
+      answers: ["Can you make it?", "Yes"],
+      texter: "nobody",
+      count: 1
+    });
+  });
+
+  it("fills in the tag for tag webhooks", () => {
+    const tagValues = getWebhookFieldValues({
+      contact: { id: 7, first_name: "Ana", custom_fields: "{}" },
+      campaign: { id: 3, title: "GOTV" },
+      tag: "Wants to volunteer",
+      texter: null
+    });
+    expect(
+      renderWebhookBody('{"tag": "{tag}", "answer": "{answer}"}', tagValues)
+    ).toEqual({ tag: "Wants to volunteer", answer: "" });
+  });
+
+  it("leaves unknown tags as written", () => {
+    expect(renderWebhookBody('{"a": "{unknown}"}', fieldValues)).toEqual({
+      a: "{unknown}"
+    });
+  });
+});
+
+describe("signWebhookPayload", () => {
+  it("signs the payload with HMAC-SHA256", () => {
+    const expected = crypto
+      .createHmac("sha256", "secret")
+      .update('{"a":1}')
+      .digest("hex");
+    expect(signWebhookPayload("secret", '{"a":1}')).toEqual(
+      `sha256=${expected}`
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { resolvers } from "../../../src/server/api/schema";
+import { r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestUser
+} from "../../test_helpers";
+
+const { insertLinkDomain, updateLinkDomain } = resolvers.RootMutation;
+
+describe("link domain rotation settings", () => {
+  let organization;
+  let owner;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    owner = await createTestUser();
+    await r.knex("user_organization").insert({
+      user_id: owner.id,
+      organization_id: organization.id,
+      role: "OWNER"
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  const insert = fields =>
+    insertLinkDomain(
+      null,
+      Object.assign(
+        { organizationId: organization.id, maxUsageCount: 100 },
+        fields
+      ),
+      { user: owner }
+    );
+
+  it("saves a domain's weight and daily cap", async () => {
+    const linkDomain = await insert({
+      domain: "weighted.example.org",
+      weight: 3,
+      dailyCap: 1000
+    });
+
+    expect(linkDomain.weight).toEqual(3);
+    expect(linkDomain.daily_cap).toEqual(1000);
+  });
+
+  it("rejects weights and daily caps that aren't positive whole numbers", async () => {
+    await expect(
+      insert({ domain: "zero.example.org", weight: 0 })
+    ).rejects.toThrow("Weight must be a positive whole number.");
+    await expect(
+      insert({ domain: "negative.example.org", dailyCap: -5 })
+    ).rejects.toThrow("Daily cap must be a positive whole number.");
+
+    const linkDomain = await insert({ domain: "valid.example.org" });
+    await expect(
+      updateLinkDomain(
+        null,
+        {
+          organizationId: organization.id,
+          domainId: linkDomain.id,
+          payload: { weight: -2 }
+        },
+        { user: owner }
+      )
+    ).rejects.toThrow("Weight must be a positive whole number.");
+    expect(
+      await r
+        .knex("link_domain")
+        .where({ organization_id: organization.id })
+        .orderBy("id")
+        .pluck("domain")
+    ).toEqual(["weighted.example.org", "valid.example.org"]);
+  });
+});
@@ -0,0 +1,67 @@
+import { resolvers } from "../../../src/server/api/schema";
+import { r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestMessagingService
+} from "../../test_helpers";
+
+const { updateMessagingService } = resolvers.RootMutation;
+
+describe("updateMessagingService", () => {
+  let organization;
+  let owner;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    [owner] = await r
+      .knex("user")
+      .insert({
+        auth0_id: "messaging-service-owner",
+        first_name: "Owner",
+        last_name: "Test",
+        cell: "+15555550100",
+        email: "owner@example.com"
+      })
+      .returning("*");
+    await r.knex("user_organization").insert({
+      user_id: owner.id,
+      organization_id: organization.id,
+      role: "OWNER"
+    });
+    await createTestMessagingService(organization.id, "MG-deactivated");
+    await createTestMessagingService(organization.id, "MG-remaining");
+    await r.knex("messaging_service_stick").insert(
+      ["+15555550201", "+15555550202"].map(cell => ({
+        cell,
+        organization_id: organization.id,
+        messaging_service_sid: "MG-deactivated"
+      }))
+    );
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  it("moves cells off of a service when it is deactivated", async () => {
+    const updated = await updateMessagingService(
+      null,
+      {
+        organizationId: organization.id,
+        messagingServiceId: "MG-deactivated",
+        messagingService: { isActive: false }
+      },
+      { user: owner }
+    );
+
+    expect(updated.is_active).toBe(false);
+    const stickSids = await r
+      .knex("messaging_service_stick")
+      .where({ organization_id: organization.id })
+      .pluck("messaging_service_sid");
+    expect(stickSids).toEqual(["MG-remaining", "MG-remaining"]);
+  });
+});
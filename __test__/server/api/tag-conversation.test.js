@@ -0,0 +1,93 @@
+import { resolvers } from "../../../src/server/api/schema";
+import { r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestCampaign,
+  createTestContact,
+  createTestUser
+} from "../../test_helpers";
+
+const { tagConversation } = resolvers.RootMutation;
+
+describe("tagConversation", () => {
+  let organization;
+  let contact;
+  let owner;
+  let actionTag;
+  let plainTag;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    const campaign = await createTestCampaign(organization.id);
+    contact = await createTestContact(campaign.id, "+15555550801");
+    owner = await createTestUser();
+    await r.knex("user_organization").insert({
+      user_id: owner.id,
+      organization_id: organization.id,
+      role: "OWNER"
+    });
+    await r.knex("organization_action_handler").insert({
+      organization_id: organization.id,
+      action_handler: "test-action",
+      is_enabled: true
+    });
+    [actionTag, plainTag] = await r
+      .knex("tag")
+      .insert([
+        {
+          organization_id: organization.id,
+          title: "Volunteer",
+          action_handler: "test-action",
+          undo_action_on_remove: true
+        },
+        { organization_id: organization.id, title: "Follow up" }
+      ])
+      .returning("*");
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  const tag = (addedTagIds, removedTagIds) =>
+    tagConversation(
+      null,
+      {
+        campaignContactId: contact.id,
+        tag: { addedTagIds, removedTagIds }
+      },
+      { user: owner }
+    );
+
+  const getActionLogs = () =>
+    r
+      .knex("action_handler_log")
+      .where({ campaign_contact_id: contact.id })
+      .orderBy("id")
+      .select("tag_id", "action_type", "status");
+
+  it("queues the actions of newly applied tags", async () => {
+    await tag([actionTag.id, plainTag.id], []);
+
+    expect(await getActionLogs()).toEqual([
+      { tag_id: actionTag.id, action_type: "PROCESS", status: "QUEUED" }
+    ]);
+  });
+
+  it("queues an undo when a tag whose action ran is removed", async () => {
+    await r
+      .knex("action_handler_log")
+      .update({ status: "SUCCEEDED" })
+      .where({ campaign_contact_id: contact.id });
+
+    await tag([], [actionTag.id, plainTag.id]);
+
+    expect(await getActionLogs()).toEqual([
+      { tag_id: actionTag.id, action_type: "PROCESS", status: "SUCCEEDED" },
+      { tag_id: actionTag.id, action_type: "UNDO", status: "QUEUED" }
+    ]);
+  });
+});
@@ -0,0 +1,253 @@
+import bodyParser from "body-parser";
+import express from "express";
+import http from "http";
+
+import { config } from "../../../src/config";
+import utilsRouter from "../../../src/server/routes/utils";
+import { r, cacheableData } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization
+} from "../../test_helpers";
+
+jest.mock("../../../src/config", () => {
+  const { config, clientConfig } = require.requireActual("../../../src/config");
+  return {
+    config: Object.assign({}, config, {
+      isTest: config.isTest,
+      OPT_OUT_SYNC_SECRET: "sync-secret"
+    }),
+    clientConfig
+  };
+});
+
+const requestJson = (server, method, path, payload) =>
+  new Promise((resolve, reject) => {
+    const request = http
+      .request(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          method,
+          path,
+          headers: { "Content-Type": "application/json" }
+        },
+        response => {
+          let body = "";
+          response.on("data", chunk => (body += chunk));
+          response.on("end", () =>
+            resolve({
+              statusCode: response.statusCode,
+              body: /json/.test(response.headers["content-type"])
+                ? JSON.parse(body)
+                : body
+            })
+          );
+        }
+      )
+      .on("error", reject);
+    request.end(payload && JSON.stringify(payload));
+  });
+
+const getJson = (server, path) => requestJson(server, "GET", path);
+
+describe("GET /opt-outs", () => {
+  let server;
+  let organization;
+  let otherOrganization;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    otherOrganization = await createTestOrganization();
+    await r.knex("opt_out_event").insert([
+      {
+        cell: "+15555550401",
+        organization_id: organization.id,
+        event_type: "OPT_OUT",
+        source: "KEYWORD",
+        reason: "stop"
+      },
+      {
+        cell: "+15555550402",
+        organization_id: otherOrganization.id,
+        event_type: "OPT_OUT",
+        source: "API",
+        reason: "api"
+      },
+      {
+        cell: "+15555550401",
+        organization_id: organization.id,
+        event_type: "OPT_IN",
+        source: "ADMIN"
+      }
+    ]);
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(utilsRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await cleanupTest();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterEach(() => {
+    config.OPTOUTS_SHARE_ALL_ORGS = false;
+    jest.restoreAllMocks();
+  });
+
+  const pull = query =>
+    getJson(server, `/opt-outs?secret=sync-secret&${query}`);
+
+  it("requires the sync secret", async () => {
+    const response = await getJson(
+      server,
+      `/opt-outs?secret=wrong&organizationId=${organization.id}`
+    );
+    expect(response.statusCode).toEqual(403);
+  });
+
+  it("returns the organization's events oldest first", async () => {
+    const { statusCode, body } = await pull(
+      `organizationId=${organization.id}`
+    );
+
+    expect(statusCode).toEqual(200);
+    expect(body.events.map(event => [event.cell, event.type])).toEqual([
+      ["+15555550401", "OPT_OUT"],
+      ["+15555550401", "OPT_IN"]
+    ]);
+    expect(body.nextAfterId).toEqual(body.events[1].id);
+  });
+
+  it("pages after an event ID", async () => {
+    const { body: firstPage } = await pull(`organizationId=${organization.id}`);
+    const { body } = await pull(
+      `organizationId=${organization.id}&afterId=${firstPage.events[0].id}`
+    );
+
+    expect(body.events.map(event => event.type)).toEqual(["OPT_IN"]);
+  });
+
+  it("returns every organization's events when opt-outs are shared", async () => {
+    config.OPTOUTS_SHARE_ALL_ORGS = true;
+
+    const { body } = await pull(`organizationId=${organization.id}`);
+
+    // Other suites may be writing opt-outs to the same database
+    const cells = body.events
+      .map(event => event.cell)
+      .filter(cell => cell.startsWith("+1555555040"));
+    expect(cells).toEqual(["+15555550401", "+15555550402", "+15555550401"]);
+  });
+
+  it("rejects invalid and unknown organizations", async () => {
+    expect((await pull("organizationId=abc")).statusCode).toEqual(400);
+    expect(
+      (await pull(`organizationId=${otherOrganization.id + 1000}`)).statusCode
+    ).toEqual(400);
+  });
+
+  it("rejects invalid paging parameters", async () => {
+    expect(
+      (await pull(`organizationId=${organization.id}&since=yesterday`))
+        .statusCode
+    ).toEqual(400);
+    expect((await pull("since=2019-11-21")).statusCode).toEqual(400);
+  });
+});
+
+describe("POST /opt-outs", () => {
+  let server;
+  let organization;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(utilsRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await cleanupTest();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const push = body =>
+    requestJson(server, "POST", "/opt-outs?secret=sync-secret", body);
+
+  it("requires the sync secret", async () => {
+    const response = await requestJson(
+      server,
+      "POST",
+      "/opt-outs?secret=wrong",
+      { organizationId: organization.id, cells: ["2025550411"] }
+    );
+    expect(response.statusCode).toEqual(403);
+  });
+
+  it("opts out new cells and reports invalid ones", async () => {
+    const { statusCode, body } = await push({
+      organizationId: organization.id,
+      cells: ["2025550411", "+12025550412", "not a number"],
+      reason: "synced"
+    });
+
+    expect(statusCode).toEqual(200);
+    expect(body).toEqual({ optedOutCount: 2, invalidCells: ["not a number"] });
+    expect(
+      await r
+        .knex("opt_out_event")
+        .where({ organization_id: organization.id })
+        .orderBy("cell")
+        .select("cell", "source", "reason")
+    ).toEqual([
+      { cell: "+12025550411", source: "API", reason: "synced" },
+      { cell: "+12025550412", source: "API", reason: "synced" }
+    ]);
+  });
+
+  it("skips cells that are already opted out", async () => {
+    const { body } = await push({
+      organizationId: organization.id,
+      cells: ["+12025550411", "2025550413"]
+    });
+
+    expect(body.optedOutCount).toEqual(1);
+  });
+
+  it("rejects missing, invalid and unknown organizations", async () => {
+    expect((await push({ cells: ["2025550414"] })).statusCode).toEqual(400);
+    expect(
+      (await push({ organizationId: "abc", cells: ["2025550414"] })).statusCode
+    ).toEqual(400);
+    expect(
+      (await push({
+        organizationId: organization.id + 1000,
+        cells: ["2025550414"]
+      })).statusCode
+    ).toEqual(400);
+  });
+
+  it("answers with a 500 when saving fails", async () => {
+    jest
+      .spyOn(cacheableData.optOut, "saveMany")
+      .mockImplementation(() => Promise.reject(new Error("database is down")));
+
+    const response = await push({
+      organizationId: organization.id,
+      cells: ["2025550415"]
+    });
+
+    expect(response.statusCode).toEqual(500);
+  });
+});
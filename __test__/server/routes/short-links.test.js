@@ -0,0 +1,64 @@
+import express from "express";
+import http from "http";
+
+import shortLinksRouter from "../../../src/server/routes/short-links";
+import { r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization
+} from "../../test_helpers";
+
+const get = (server, path) =>
+  new Promise((resolve, reject) =>
+    http
+      .get(`http://127.0.0.1:${server.address().port}${path}`, resolve)
+      .on("error", reject)
+  );
+
+describe("GET /l/:token", () => {
+  let server;
+
+  beforeAll(async () => {
+    await setupTest();
+    const organization = await createTestOrganization();
+    await r.knex("short_link").insert({
+      token: "route-test",
+      organization_id: organization.id,
+      domain: "links.example.org",
+      target_url: "https://example.org/event"
+    });
+    const app = express();
+    app.use(shortLinksRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await cleanupTest();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterEach(() => jest.restoreAllMocks());
+
+  it("redirects to the link's target and logs the click", async () => {
+    const response = await get(server, "/l/route-test");
+
+    expect(response.statusCode).toEqual(302);
+    expect(response.headers.location).toEqual("https://example.org/event");
+    const clicks = await r.knex("short_link_click").count("* as count");
+    expect(parseInt(clicks[0].count)).toEqual(1);
+  });
+
+  it("answers unknown tokens with a 404", async () => {
+    const response = await get(server, "/l/missing");
+    expect(response.statusCode).toEqual(404);
+  });
+
+  it("answers with a 500 when the link cannot be looked up", async () => {
+    jest.spyOn(r, "reader").mockImplementation(() => {
+      throw new Error("connection refused");
+    });
+    const response = await get(server, "/l/route-test");
+    expect(response.statusCode).toEqual(500);
+  });
+});
@@ -16,3 +16,102 @@ export function getContext(context) {
     loaders: createLoaders()
   };
 }
+
+// Rows for tests that exercise queries directly, with only the columns the schema requires
+export async function createTestOrganization(fields = {}) {
+  const [organization] = await r
+    .knex("organization")
+    .insert(Object.assign({ name: "Test Organization" }, fields))
+    .returning("*");
+  return organization;
+}
+
+export async function createTestCampaign(organizationId, fields = {}) {
+  const [campaign] = await r
+    .knex("campaign")
+    .insert(
+      Object.assign(
+        { organization_id: organizationId, title: "Test Campaign" },
+        fields
+      )
+    )
+    .returning("*");
+  return campaign;
+}
+
+export async function createTestContact(campaignId, cell, fields = {}) {
+  const [contact] = await r
+    .knex("campaign_contact")
+    .insert(Object.assign({ campaign_id: campaignId, cell }, fields))
+    .returning("*");
+  return contact;
+}
+
+export async function createTestMessagingService(
+  organizationId,
+  messagingServiceSid,
+  fields = {}
+) {
+  const [service] = await r
+    .knex("messaging_service")
+    .insert(
+      Object.assign(
+        {
+          messaging_service_sid: messagingServiceSid,
+          organization_id: organizationId,
+          service_type: "twilio",
+          is_active: true,
+          is_healthy: true
+        },
+        fields
+      )
+    )
+    .returning("*");
+  return service;
+}
+
+export async function createTestUser(fields = {}) {
+  const [user] = await r
+    .knex("user")
+    .insert(
+      Object.assign(
+        {
+          auth0_id: "test|user",
+          first_name: "Test",
+          last_name: "User",
+          cell: "+15555550000",
+          email: "test@example.com"
+        },
+        fields
+      )
+    )
+    .returning("*");
+  return user;
+}
+
+// An outbound message to the contact, sent by a new texter assigned to the contact's campaign
+export async function createTestMessage(contact, fields = {}) {
+  const user = await createTestUser();
+  const [assignment] = await r
+    .knex("assignment")
+    .insert({ user_id: user.id, campaign_id: contact.campaign_id })
+    .returning("*");
+  const [message] = await r
+    .knex("message")
+    .insert(
+      Object.assign(
+        {
+          user_id: user.id,
+          assignment_id: assignment.id,
+          campaign_contact_id: contact.id,
+          contact_number: contact.cell,
+          is_from_contact: false,
+          text: "Test message",
+          send_status: "SENDING"
+        },
+        fields
+      )
+    )
+    .returning("*");
+  return message;
+}
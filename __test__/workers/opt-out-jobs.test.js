@@ -0,0 +1,101 @@
+import { importOptOuts, exportOptOuts } from "../../src/workers/jobs";
+import { gzip } from "../../src/lib";
+import { r } from "../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createTestOrganization,
+  createTestUser
+} from "../test_helpers";
+
+describe("opt-out jobs", () => {
+  let organization;
+  let admin;
+
+  beforeAll(async () => {
+    await setupTest();
+    organization = await createTestOrganization();
+    admin = await createTestUser();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+  afterAll(
+    async () => await cleanupTest(),
+    global.DATABASE_SETUP_TEARDOWN_TIMEOUT
+  );
+
+  const createJob = async (jobType, payload) => {
+    const [job] = await r
+      .knex("job_request")
+      .insert({
+        queue_name: `org-${organization.id}:opt_outs`,
+        job_type: jobType,
+        organization_id: organization.id,
+        assigned: true,
+        payload
+      })
+      .returning("*");
+    return job;
+  };
+
+  const getJob = id =>
+    r
+      .knex("job_request")
+      .where({ id })
+      .first();
+
+  it("imports opt-outs and records the result on the job", async () => {
+    const payload = await gzip(
+      JSON.stringify({
+        cells: ["2025550143", "+12025550144", "not a number"],
+        requester: admin.id
+      })
+    );
+    const job = await createJob("import_opt_outs", payload.toString("base64"));
+
+    await importOptOuts(job);
+
+    expect(
+      await r
+        .knex("opt_out")
+        .where({ organization_id: organization.id })
+        .orderBy("cell")
+        .pluck("cell")
+    ).toEqual(["+12025550143", "+12025550144"]);
+    const { result_message: resultMessage } = await getJob(job.id);
+    expect(resultMessage).toContain("Opted out 2 new numbers.");
+    expect(resultMessage).toContain("Skipped 1 invalid numbers.");
+  });
+
+  it("records an import that cannot read its payload as failed", async () => {
+    const job = await createJob("import_opt_outs", "not gzipped");
+
+    await importOptOuts(job);
+
+    expect((await getJob(job.id)).result_message).toMatch(
+      /^Opt-out import failed/
+    );
+  });
+
+  it("removes the job once the export is done", async () => {
+    const job = await createJob(
+      "export_opt_outs",
+      JSON.stringify({ requester: admin.id })
+    );
+
+    await exportOptOuts(job);
+
+    expect(await getJob(job.id)).toBeUndefined();
+  });
+
+  it("records an export that fails as failed", async () => {
+    const job = await createJob(
+      "export_opt_outs",
+      JSON.stringify({ requester: admin.id + 1000 })
+    );
+
+    await exportOptOuts(job);
+
+    expect((await getJob(job.id)).result_message).toMatch(
+      /^Opt-out export failed/
+    );
+  });
+});
@@ -0,0 +1,14 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable("opt_out", table => {
+    table
+      .boolean("is_automatic")
+      .notNullable()
+      .default(false);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable("opt_out", table => {
+    table.dropColumn("is_automatic");
+  });
+};
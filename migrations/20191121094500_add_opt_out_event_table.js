@@ -0,0 +1,45 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("opt_out_event", table => {
+      table.increments("id").primary();
+      table.text("cell").notNullable();
+      table
+        .integer("organization_id")
+        .notNullable()
+        .references("organization(id)");
+      table.enu("event_type", ["OPT_OUT", "OPT_IN"]).notNullable();
+      table.enu("source", ["TEXTER", "ADMIN", "KEYWORD", "API"]).notNullable();
+      table
+        .text("reason")
+        .notNullable()
+        .default("");
+      table.integer("user_id").references("user(id)");
+      table
+        .timestamp("created_at")
+        .notNullable()
+        .default(knex.fn.now());
+
+      table.index(["organization_id", "cell"]);
+    })
+    .then(() =>
+      // Seed the history with the opt-outs that exist today
+      knex.raw(`
+        insert into opt_out_event (cell, organization_id, event_type, source, reason, user_id, created_at)
+        select
+          opt_out.cell,
+          opt_out.organization_id,
+          'OPT_OUT',
+          case when opt_out.is_automatic then 'KEYWORD' else 'TEXTER' end,
+          coalesce(opt_out.reason_code, ''),
+          case when opt_out.is_automatic then null else assignment.user_id end,
+          opt_out.created_at
+        from opt_out
+        left join assignment on assignment.id = opt_out.assignment_id
+        order by opt_out.id;
+      `)
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable("opt_out_event");
+};
@@ -0,0 +1,45 @@
+// Organization-level jobs (e.g. opt-out imports) have no campaign, and imported opt-outs have no
+// assignment
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("job_request", table => {
+      table
+        .integer("campaign_id")
+        .nullable()
+        .alter();
+      table.integer("organization_id").references("organization(id)");
+      table.index("organization_id");
+    })
+    .then(() =>
+      knex.schema.alterTable("opt_out", table => {
+        table
+          .integer("assignment_id")
+          .nullable()
+          .alter();
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex
+    .raw("delete from job_request where campaign_id is null")
+    .then(() =>
+      knex.schema.alterTable("job_request", table => {
+        table.dropColumn("organization_id");
+        table
+          .integer("campaign_id")
+          .notNullable()
+          .alter();
+      })
+    )
+    .then(() =>
+      knex.raw("delete from opt_out where assignment_id is null").then(() =>
+        knex.schema.alterTable("opt_out", table => {
+          table
+            .integer("assignment_id")
+            .notNullable()
+            .alter();
+        })
+      )
+    );
+};
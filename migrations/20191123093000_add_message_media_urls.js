@@ -0,0 +1,12 @@
+// Inbound media attachments. Outbound media is kept in the message text as markup.
+exports.up = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table.json("media_urls").nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table.dropColumn("media_urls");
+  });
+};
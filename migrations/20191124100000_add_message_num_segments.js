@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table.integer("num_segments").nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table.dropColumn("num_segments");
+  });
+};
@@ -0,0 +1,63 @@
+// Campaigns may be pinned to a subset of their organization's messaging services. Contacts of a
+// pinned campaign stick to a service per (cell, campaign) rather than per (cell, organization).
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("campaign_messaging_service", table => {
+      table
+        .integer("campaign_id")
+        .notNullable()
+        .references("campaign.id")
+        .onDelete("CASCADE");
+      table
+        .text("messaging_service_sid")
+        .notNullable()
+        .references("messaging_service.messaging_service_sid")
+        .onDelete("CASCADE");
+      table.primary(["campaign_id", "messaging_service_sid"]);
+      table.index("messaging_service_sid");
+    })
+    .then(() =>
+      knex.schema.alterTable("messaging_service_stick", table => {
+        table
+          .integer("campaign_id")
+          .nullable()
+          .references("campaign.id")
+          .onDelete("CASCADE");
+        table.dropUnique(
+          ["cell", "organization_id"],
+          "messaging_service_stick_cell_organization_unique_constraint"
+        );
+      })
+    )
+    .then(() =>
+      knex.schema.raw(`
+        create unique index messaging_service_stick_cell_organization_unique_index
+          on messaging_service_stick (cell, organization_id)
+          where campaign_id is null;
+        create unique index messaging_service_stick_cell_campaign_unique_index
+          on messaging_service_stick (cell, campaign_id)
+          where campaign_id is not null;
+      `)
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw(
+      `
+        drop index messaging_service_stick_cell_campaign_unique_index;
+        drop index messaging_service_stick_cell_organization_unique_index;
+        delete from messaging_service_stick where campaign_id is not null;
+      `
+    )
+    .then(() =>
+      knex.schema.alterTable("messaging_service_stick", table => {
+        table.dropColumn("campaign_id");
+        table.unique(
+          ["cell", "organization_id"],
+          "messaging_service_stick_cell_organization_unique_constraint"
+        );
+      })
+    )
+    .then(() => knex.schema.dropTable("campaign_messaging_service"));
+};
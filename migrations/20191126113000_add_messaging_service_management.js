@@ -0,0 +1,31 @@
+// Messaging services are managed from Settings: they get a display name, can be disabled, and can
+// be Nexmo accounts (API key in account_sid, encrypted API secret in encrypted_auth_token).
+exports.up = function(knex) {
+  return knex.schema
+    .raw(`alter type messaging_service_type add value if not exists 'nexmo';`)
+    .then(() =>
+      knex.schema.alterTable("messaging_service", table => {
+        table
+          .text("name")
+          .notNullable()
+          .default("");
+        table
+          .boolean("is_active")
+          .notNullable()
+          .default(true);
+        table.timestamp("created_at").default(knex.fn.now());
+      })
+    );
+};
+
+// Postgres cannot remove a value from an enum, so 'nexmo' stays in messaging_service_type
+exports.down = function(knex) {
+  return knex.schema.alterTable("messaging_service", table => {
+    table.dropColumn("name");
+    table.dropColumn("is_active");
+    table.dropColumn("created_at");
+  });
+};
+
+// `alter type ... add value` cannot run inside a transaction block before Postgres 12
+exports.config = { transaction: false };
@@ -0,0 +1,30 @@
+// Messaging services whose sends start failing are marked unhealthy and skipped for new cells.
+// Outbound messages record the service they were sent through so error rates can be attributed.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("messaging_service", table => {
+      table
+        .boolean("is_healthy")
+        .notNullable()
+        .default(true);
+      table.timestamp("health_changed_at").nullable();
+    })
+    .then(() =>
+      knex.schema.alterTable("message", table => {
+        table.text("messaging_service_sid").nullable();
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("message", table => {
+      table.dropColumn("messaging_service_sid");
+    })
+    .then(() =>
+      knex.schema.alterTable("messaging_service", table => {
+        table.dropColumn("is_healthy");
+        table.dropColumn("health_changed_at");
+      })
+    );
+};
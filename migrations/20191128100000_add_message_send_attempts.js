@@ -0,0 +1,46 @@
+const sendStatuses = [
+  "QUEUED",
+  "SENDING",
+  "SENT",
+  "DELIVERED",
+  "ERROR",
+  "PAUSED",
+  "NOT_ATTEMPTED"
+];
+
+const setSendStatusCheck = (knex, statuses) =>
+  knex.schema.raw(`
+    alter table message drop constraint if exists message_send_status_check;
+    alter table message add constraint message_send_status_check
+      check (send_status in (${statuses.map(s => `'${s}'`).join(", ")}));
+  `);
+
+// Outbound sends are retried with backoff. Each message tracks its attempts, when it may next be
+// attempted (also used as a lease while a sender holds it), and the last provider error.
+// Messages that cannot be sent end up in the terminal DEAD_LETTER status.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("message", table => {
+      table
+        .integer("send_attempts")
+        .notNullable()
+        .default(0);
+      table.timestamp("next_attempt_at").nullable();
+      table.text("last_error").nullable();
+    })
+    .then(() => setSendStatusCheck(knex, sendStatuses.concat(["DEAD_LETTER"])));
+};
+
+exports.down = function(knex) {
+  return knex("message")
+    .update({ send_status: "ERROR" })
+    .where({ send_status: "DEAD_LETTER" })
+    .then(() => setSendStatusCheck(knex, sendStatuses))
+    .then(() =>
+      knex.schema.alterTable("message", table => {
+        table.dropColumn("send_attempts");
+        table.dropColumn("next_attempt_at");
+        table.dropColumn("last_error");
+      })
+    );
+};
@@ -0,0 +1,50 @@
+// Messaging services can be limited to a number of messages per second. The limit is enforced
+// across sender processes with a token bucket per service. The index backs the send rate shown
+// to admins.
+exports.up = function(knex) {
+  return knex.schema
+    .raw(
+      `
+        create index concurrently if not exists message_messaging_service_sid_sent_at_index
+        on message (messaging_service_sid, sent_at)
+        where messaging_service_sid is not null
+      `
+    )
+    .then(() =>
+      knex.schema.alterTable("messaging_service", table => {
+        table.float("max_messages_per_second").nullable();
+      })
+    )
+    .then(() =>
+      knex.schema.createTable("messaging_service_send_bucket", table => {
+        table
+          .text("messaging_service_sid")
+          .primary()
+          .references("messaging_service.messaging_service_sid")
+          .onDelete("CASCADE");
+        table.float("tokens").notNullable();
+        table
+          .timestamp("refilled_at")
+          .notNullable()
+          .default(knex.fn.now());
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTable("messaging_service_send_bucket")
+    .then(() =>
+      knex.schema.alterTable("messaging_service", table => {
+        table.dropColumn("max_messages_per_second");
+      })
+    )
+    .then(() =>
+      knex.schema.raw(
+        "drop index concurrently if exists message_messaging_service_sid_sent_at_index"
+      )
+    );
+};
+
+// Indexes cannot be created concurrently inside a transaction
+exports.config = { transaction: false };
@@ -0,0 +1,68 @@
+// Create short_link and short_link_click tables for the built-in link shortener
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("short_link", table => {
+      table.increments("id").primary();
+      table
+        .text("token")
+        .notNullable()
+        .unique();
+      table
+        .integer("organization_id")
+        .notNullable()
+        .references("organization.id");
+      table
+        .integer("campaign_id")
+        .nullable()
+        .references("campaign.id")
+        .onDelete("CASCADE");
+      table
+        .integer("campaign_contact_id")
+        .nullable()
+        .references("campaign_contact.id")
+        .onDelete("CASCADE");
+      // The script the link was sent from, when known
+      table
+        .integer("interaction_step_id")
+        .nullable()
+        .references("interaction_step.id")
+        .onDelete("SET NULL");
+      table.text("domain").notNullable();
+      table.text("target_url").notNullable();
+      table
+        .timestamp("created_at")
+        .notNullable()
+        .defaultTo(knex.fn.now());
+
+      table.index("campaign_id");
+      table.index("campaign_contact_id");
+    })
+    .then(() =>
+      knex.schema.createTable("short_link_click", table => {
+        table.increments("id").primary();
+        table
+          .integer("short_link_id")
+          .notNullable()
+          .references("short_link.id")
+          .onDelete("CASCADE");
+        table.text("user_agent").nullable();
+        // Link preview fetches by messaging apps and crawlers are not counted as clicks
+        table
+          .boolean("is_preview")
+          .notNullable()
+          .default(false);
+        table
+          .timestamp("created_at")
+          .notNullable()
+          .defaultTo(knex.fn.now());
+
+        table.index("short_link_id");
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTable("short_link_click")
+    .then(() => knex.schema.dropTable("short_link"));
+};
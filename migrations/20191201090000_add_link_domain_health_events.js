@@ -0,0 +1,32 @@
+// Create link_domain_health_event to record why link domains were pulled from and returned to rotation
+exports.up = function(knex) {
+  return knex.schema.createTable("link_domain_health_event", table => {
+    table.increments("id").primary();
+    table
+      .integer("link_domain_id")
+      .notNullable()
+      .references("link_domain.id")
+      .onDelete("CASCADE");
+    // The unhealthy_link_domain row this event opened or closed
+    table
+      .integer("unhealthy_link_domain_id")
+      .nullable()
+      .references("unhealthy_link_domain.id")
+      .onDelete("SET NULL");
+    table.boolean("is_healthy").notNullable();
+    table.text("reason").notNullable();
+    table.integer("send_count").nullable();
+    table.float("error_rate").nullable();
+    table
+      .timestamp("created_at")
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index(["link_domain_id", "created_at"]);
+    table.index("unhealthy_link_domain_id");
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable("link_domain_health_event");
+};
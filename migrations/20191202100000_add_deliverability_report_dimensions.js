@@ -0,0 +1,39 @@
+// Break deliverability reports out by organization, campaign and messaging service, and keep the
+// carrier error code from each message's delivery report. Reports computed before this migration
+// have no organization and are not shown on the deliverability dashboard.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("message", table => {
+      table.text("error_code").nullable();
+    })
+    .then(() =>
+      knex.schema.alterTable("deliverability_report", table => {
+        table.integer("organization_id").nullable();
+        table.integer("campaign_id").nullable();
+        table.text("messaging_service_sid").nullable();
+        // Count of errored messages by carrier error code, e.g. { "30007": 12 }
+        table
+          .jsonb("error_codes")
+          .notNullable()
+          .default("{}");
+
+        table.index(["organization_id", "period_starts_at"]);
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("deliverability_report", table => {
+      table.dropIndex(["organization_id", "period_starts_at"]);
+      table.dropColumn("organization_id");
+      table.dropColumn("campaign_id");
+      table.dropColumn("messaging_service_sid");
+      table.dropColumn("error_codes");
+    })
+    .then(() =>
+      knex.schema.alterTable("message", table => {
+        table.dropColumn("error_code");
+      })
+    );
+};
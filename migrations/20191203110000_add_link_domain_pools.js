@@ -0,0 +1,74 @@
+// Named link domain pools that campaigns can be attached to, plus per-domain weights and daily caps
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("link_domain_pool", table => {
+      table.increments("id").primary();
+      table
+        .integer("organization_id")
+        .notNullable()
+        .references("organization.id");
+      table.text("name").notNullable();
+      table
+        .timestamp("created_at")
+        .notNullable()
+        .defaultTo(knex.fn.now());
+
+      table.unique(["organization_id", "name"]);
+    })
+    .then(() =>
+      knex.schema.alterTable("link_domain", table => {
+        // Domains without a pool are shared by campaigns that have no pool
+        table
+          .integer("pool_id")
+          .nullable()
+          .references("link_domain_pool.id")
+          .onDelete("SET NULL");
+        table
+          .integer("weight")
+          .notNullable()
+          .default(1);
+        table.integer("daily_cap").nullable();
+        table
+          .integer("daily_usage_count")
+          .notNullable()
+          .default(0);
+        table.date("daily_usage_date").nullable();
+        // Weighted rotation: each completed run advances the domain by 1 / weight and the domain
+        // with the lowest pass is used next
+        table
+          .float("rotation_pass")
+          .notNullable()
+          .default(0);
+
+        table.index(["organization_id", "pool_id"]);
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("campaign", table => {
+        table
+          .integer("link_domain_pool_id")
+          .nullable()
+          .references("link_domain_pool.id")
+          .onDelete("SET NULL");
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("campaign", table => {
+      table.dropColumn("link_domain_pool_id");
+    })
+    .then(() =>
+      knex.schema.alterTable("link_domain", table => {
+        table.dropIndex(["organization_id", "pool_id"]);
+        table.dropColumn("pool_id");
+        table.dropColumn("weight");
+        table.dropColumn("daily_cap");
+        table.dropColumn("daily_usage_count");
+        table.dropColumn("daily_usage_date");
+        table.dropColumn("rotation_pass");
+      })
+    )
+    .then(() => knex.schema.dropTable("link_domain_pool"));
+};
@@ -0,0 +1,22 @@
+// Record which interaction step and script option an outbound message was written from, so
+// initial message variants can be compared
+exports.up = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table
+      .integer("interaction_step_id")
+      .nullable()
+      .references("interaction_step.id")
+      .onDelete("SET NULL");
+    table.integer("script_variant").nullable();
+
+    table.index(["interaction_step_id", "script_variant"]);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable("message", table => {
+    table.dropIndex(["interaction_step_id", "script_variant"]);
+    table.dropColumn("interaction_step_id");
+    table.dropColumn("script_variant");
+  });
+};
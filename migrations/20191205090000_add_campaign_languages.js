@@ -0,0 +1,53 @@
+// Campaigns can text contacts in more than one language. Contacts carry their language, and
+// interaction steps and canned responses hold translations keyed by language code.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("campaign", table => {
+      table
+        .text("primary_language")
+        .notNullable()
+        .defaultTo("en");
+      table
+        .specificType("translation_languages", "text ARRAY")
+        .notNullable()
+        .defaultTo("{}");
+    })
+    .then(() =>
+      knex.schema.alterTable("campaign_contact", table => {
+        table.text("language").nullable();
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("interaction_step", table => {
+        table.json("script_translations").nullable();
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("canned_response", table => {
+        table.json("translations").nullable();
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("canned_response", table => {
+      table.dropColumn("translations");
+    })
+    .then(() =>
+      knex.schema.alterTable("interaction_step", table => {
+        table.dropColumn("script_translations");
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("campaign_contact", table => {
+        table.dropColumn("language");
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("campaign", table => {
+        table.dropColumn("primary_language");
+        table.dropColumn("translation_languages");
+      })
+    );
+};
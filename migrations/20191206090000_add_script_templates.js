@@ -0,0 +1,68 @@
+// Organization script library: named templates of interaction steps and canned responses, with
+// every saved version kept so campaigns can record the exact version they were built from
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("script_template", table => {
+      table.increments("id").primary();
+      table
+        .integer("organization_id")
+        .notNullable()
+        .references("organization.id");
+      table.text("name").notNullable();
+      table
+        .text("description")
+        .notNullable()
+        .defaultTo("");
+      table
+        .timestamp("created_at")
+        .notNullable()
+        .defaultTo(knex.fn.now());
+      table
+        .timestamp("updated_at")
+        .notNullable()
+        .defaultTo(knex.fn.now());
+
+      table.unique(["organization_id", "name"]);
+    })
+    .then(() =>
+      knex.schema.createTable("script_template_version", table => {
+        table.increments("id").primary();
+        table
+          .integer("script_template_id")
+          .notNullable()
+          .references("script_template.id")
+          .onDelete("CASCADE");
+        table.integer("version").notNullable();
+        // Interaction step tree, canned responses and languages in the export format
+        table.json("content").notNullable();
+        table
+          .integer("creator_id")
+          .nullable()
+          .references("user.id");
+        table
+          .timestamp("created_at")
+          .notNullable()
+          .defaultTo(knex.fn.now());
+
+        table.unique(["script_template_id", "version"]);
+      })
+    )
+    .then(() =>
+      knex.schema.alterTable("campaign", table => {
+        table
+          .integer("script_template_version_id")
+          .nullable()
+          .references("script_template_version.id")
+          .onDelete("SET NULL");
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("campaign", table => {
+      table.dropColumn("script_template_version_id");
+    })
+    .then(() => knex.schema.dropTable("script_template_version"))
+    .then(() => knex.schema.dropTable("script_template"));
+};
@@ -0,0 +1,56 @@
+// Action handler invocations are queued here instead of run inline when a question response is
+// saved. Each row records the request, its attempts, when it may next be attempted (also used as a
+// lease while a runner holds it), and the outcome or last error.
+exports.up = function(knex) {
+  return knex.schema.createTable("action_handler_log", table => {
+    table.increments("id").primary();
+    table
+      .integer("organization_id")
+      .notNullable()
+      .references("organization.id");
+    table
+      .integer("campaign_id")
+      .notNullable()
+      .references("campaign.id");
+    // Not a foreign key so logs survive contacts being archived
+    table.integer("campaign_contact_id").notNullable();
+    table
+      .integer("interaction_step_id")
+      .nullable()
+      .references("interaction_step.id")
+      .onDelete("SET NULL");
+    table.text("action_handler").notNullable();
+    table.enu("action_type", ["PROCESS", "UNDO"]).notNullable();
+    table
+      .enu("status", ["QUEUED", "RUNNING", "SUCCEEDED", "FAILED"])
+      .notNullable()
+      .defaultTo("QUEUED");
+    // The question response and interaction step the handler is called with
+    table.json("request").notNullable();
+    // Whatever the handler resolved with
+    table.json("result").nullable();
+    table
+      .integer("attempts")
+      .notNullable()
+      .defaultTo(0);
+    table.timestamp("next_attempt_at").nullable();
+    table.text("last_error").nullable();
+    table
+      .timestamp("created_at")
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp("updated_at")
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table.timestamp("completed_at").nullable();
+
+    table.index(["status", "next_attempt_at"]);
+    table.index(["campaign_id", "status"]);
+    table.index("campaign_contact_id");
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable("action_handler_log");
+};
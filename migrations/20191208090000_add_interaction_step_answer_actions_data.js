@@ -0,0 +1,13 @@
+// Settings for an answer's action, such as the URL and body template of a webhook. Handlers store
+// secrets here encrypted.
+exports.up = function(knex) {
+  return knex.schema.alterTable("interaction_step", table => {
+    table.json("answer_actions_data").nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable("interaction_step", table => {
+    table.dropColumn("answer_actions_data");
+  });
+};
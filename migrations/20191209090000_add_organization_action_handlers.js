@@ -0,0 +1,33 @@
+// Per-organization action handler state. Organizations without a row for a handler fall back to
+// the ACTION_HANDLERS environment variable. Settings declared secret by the handler are stored
+// encrypted.
+exports.up = function(knex) {
+  return knex.schema.createTable("organization_action_handler", table => {
+    table.increments("id").primary();
+    table
+      .integer("organization_id")
+      .notNullable()
+      .references("organization.id")
+      .onDelete("CASCADE");
+    table.text("action_handler").notNullable();
+    table
+      .boolean("is_enabled")
+      .notNullable()
+      .defaultTo(false);
+    table.json("settings").nullable();
+    table
+      .timestamp("created_at")
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp("updated_at")
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.unique(["organization_id", "action_handler"]);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable("organization_action_handler");
+};
@@ -0,0 +1,38 @@
+// Tags can run an action handler when they are applied to a contact, and optionally undo it when
+// they are removed. Their runs are logged alongside answer actions, with the tag that triggered
+// them.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("tag", table => {
+      table.text("action_handler").nullable();
+      // Settings for the action, such as a webhook's URL; handlers store secrets here encrypted
+      table.json("action_data").nullable();
+      table
+        .boolean("undo_action_on_remove")
+        .notNullable()
+        .default(false);
+    })
+    .then(() =>
+      knex.schema.alterTable("action_handler_log", table => {
+        table
+          .integer("tag_id")
+          .nullable()
+          .references("tag.id")
+          .onDelete("SET NULL");
+      })
+    );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("action_handler_log", table => {
+      table.dropColumn("tag_id");
+    })
+    .then(() =>
+      knex.schema.alterTable("tag", table => {
+        table.dropColumn("action_handler");
+        table.dropColumn("action_data");
+        table.dropColumn("undo_action_on_remove");
+      })
+    );
+};
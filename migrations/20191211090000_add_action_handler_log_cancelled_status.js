@@ -0,0 +1,32 @@
+const statuses = ["QUEUED", "RUNNING", "SUCCEEDED", "FAILED"];
+
+const setStatusCheck = (knex, allowedStatuses) =>
+  knex.schema.raw(`
+    alter table action_handler_log drop constraint if exists action_handler_log_status_check;
+    alter table action_handler_log add constraint action_handler_log_status_check
+      check (status in (${allowedStatuses.map(s => `'${s}'`).join(", ")}));
+  `);
+
+// An action that has not run yet is cancelled, rather than undone, when its answer or tag is
+// removed. Claims skip an action while an earlier one for the same contact and answer or tag is
+// unfinished, which this index serves.
+exports.up = function(knex) {
+  return setStatusCheck(knex, statuses.concat(["CANCELLED"])).then(() =>
+    knex.schema.alterTable("action_handler_log", table => {
+      table.index(["campaign_contact_id", "status"]);
+    })
+  );
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable("action_handler_log", table => {
+      table.dropIndex(["campaign_contact_id", "status"]);
+    })
+    .then(() =>
+      knex("action_handler_log")
+        .update({ status: "FAILED" })
+        .where({ status: "CANCELLED" })
+    )
+    .then(() => setStatusCheck(knex, statuses));
+};
@@ -0,0 +1,19 @@
+// The messaging service health check counts each service's recent sends by created_at
+exports.up = function(knex) {
+  return knex.schema.raw(
+    `
+      create index concurrently if not exists message_messaging_service_sid_created_at_index
+      on message (messaging_service_sid, created_at)
+      where messaging_service_sid is not null
+    `
+  );
+};
+
+exports.down = function(knex) {
+  return knex.schema.raw(
+    "drop index concurrently if exists message_messaging_service_sid_created_at_index"
+  );
+};
+
+// Indexes cannot be created concurrently inside a transaction
+exports.config = { transaction: false };
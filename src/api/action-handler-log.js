@@ -0,0 +1,41 @@
+export const schema = `
+  enum ActionHandlerLogStatus {
+    QUEUED
+    RUNNING
+    SUCCEEDED
+    FAILED
+    CANCELLED
+  }
+
+  enum ActionType {
+    PROCESS
+    UNDO
+  }
+
+  type ActionHandlerLog {
+    id: ID!
+    actionHandler: String!
+    actionType: ActionType!
+    status: ActionHandlerLogStatus!
+    contact: CampaignContact
+    interactionStep: InteractionStep
+    answerValue: String
+    tagTitle: String
+    request: JSON!
+    result: JSON
+    attempts: Int!
+    nextAttemptAt: Date
+    lastError: String
+    createdAt: Date!
+    updatedAt: Date!
+    completedAt: Date
+  }
+
+  type ActionHandlerLogCounts {
+    queued: Int!
+    running: Int!
+    succeeded: Int!
+    failed: Int!
+    cancelled: Int!
+  }
+`;
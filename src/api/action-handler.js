@@ -0,0 +1,28 @@
+export const schema = `
+  type ActionHandlerSetting {
+    key: String!
+    label: String!
+    hint: String
+    isSecret: Boolean!
+    isRequired: Boolean!
+    value: String
+    hasSavedValue: Boolean!
+    isFromEnvironment: Boolean!
+  }
+
+  type OrganizationActionHandler {
+    name: String!
+    displayName: String!
+    instructions: String!
+    isEnabled: Boolean!
+    isAvailable: Boolean!
+    missingSettings: [String]!
+    settings: [ActionHandlerSetting]!
+    canTestConnection: Boolean!
+  }
+
+  type ActionHandlerTestResult {
+    ok: Boolean!
+    message: String!
+  }
+`;
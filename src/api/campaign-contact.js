@@ -23,6 +23,7 @@ export const schema = `
     cell: Phone
     zip: String
     external_id: String
+    language: String
     customFields: JSON
     messages: [Message]
     timezone: String
@@ -8,6 +8,8 @@ export const schema = `
 
   type CampaignStats {
     sentMessagesCount: Int
+    sentSegmentsCount: Int
+    failedMessagesCount: Int
     receivedMessagesCount: Int
     optOutsCount: Int
   }
@@ -20,6 +22,20 @@ export const schema = `
     resultMessage: String
   }
 
+  enum ScriptLintSeverity {
+    ERROR
+    WARNING
+  }
+
+  type ScriptLintIssue {
+    severity: ScriptLintSeverity!
+    code: String!
+    message: String!
+    location: String!
+    interactionStepId: String
+    cannedResponseId: String
+  }
+
   type Campaign {
     id: ID
     organization: Organization
@@ -48,6 +64,21 @@ export const schema = `
     logoImageUrl: String
     editors: String
     teams: [Team]!
+    messagingServices: [MessagingService]!
+    linkDomainPool: LinkDomainPool
+    scriptTemplateVersion: ScriptTemplateVersion
+    primaryLanguage: String!
+    translationLanguages: [String]!
+    languageStats: [LanguageStats]!
+    scriptLint: [ScriptLintIssue]!
+    scriptVariantStats(interactionStepId: String): [ScriptVariantStats]!
+    previewContacts(search: String, limit: Int): [CampaignContact]!
+    failedMessages(limit: Int): [Message]!
+    actionHandlerLogs(status: ActionHandlerLogStatus, limit: Int): [ActionHandlerLog]!
+    actionHandlerLogCounts: ActionHandlerLogCounts!
+    linkClickStats: LinkClickStats!
+    scriptLinkClickStats: [ScriptLinkClickStats]!
+    contactLinkClicks(limit: Int): [ContactLinkClicks]!
     textingHoursStart: Int
     textingHoursEnd: Int
     isAutoassignEnabled: Boolean!
@@ -1,16 +1,28 @@
 export const schema = `
+  input CannedResponseTranslationInput {
+    language: String!
+    text: String!
+  }
+
   input CannedResponseInput {
     id: String
     title: String
     text: String
+    translations: [CannedResponseTranslationInput]
     campaignId: String
     userId: String
   }
 
+  type CannedResponseTranslation {
+    language: String!
+    text: String!
+  }
+
   type CannedResponse {
     id: ID
     title: String
     text: String
+    translations: [CannedResponseTranslation]!
     isUserCreated: Boolean
   }
 `;
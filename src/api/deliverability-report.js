@@ -0,0 +1,45 @@
+export const schema = `
+  enum DeliverabilityDimension {
+    DOMAIN
+    URL_PATH
+    MESSAGING_SERVICE
+    CAMPAIGN
+  }
+
+  enum DeliverabilityPeriod {
+    HOUR
+    DAY
+  }
+
+  input DeliverabilityFilter {
+    startDate: Date!
+    endDate: Date!
+    campaignId: String
+    messagingServiceSid: String
+    domain: String
+  }
+
+  type DeliverabilityStats {
+    key: String
+    label: String
+    periodStartsAt: Date
+    totalCount: Int!
+    sentCount: Int!
+    deliveredCount: Int!
+    errorCount: Int!
+    deliveryRate: Float
+    errorRate: Float
+  }
+
+  type CarrierErrorCount {
+    errorCode: String!
+    count: Int!
+  }
+
+  type DeliverabilityReport {
+    totals: DeliverabilityStats!
+    timeline(period: DeliverabilityPeriod!): [DeliverabilityStats]!
+    breakdown(dimension: DeliverabilityDimension!): [DeliverabilityStats]!
+    errorCodes: [CarrierErrorCount]!
+  }
+`;
@@ -1,13 +1,20 @@
 export const schema = `
+  type ScriptTranslation {
+    language: String!
+    scriptOptions: [String]!
+  }
+
   type InteractionStep {
     id: ID!
     question: Question
     questionText: String
     scriptOptions: [String]!
+    scriptTranslations: [ScriptTranslation]!
     answerOption: String
     parentInteractionId: String
     isDeleted: Boolean
     answerActions: String
+    answerActionsData: JSON
     questionResponse(campaignContactId: String): QuestionResponse
   }
 `;
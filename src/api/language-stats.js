@@ -0,0 +1,13 @@
+export const schema = `
+  type LanguageStats {
+    language: String!
+    languageName: String!
+    isTranslated: Boolean!
+    contactCount: Int!
+    messagedCount: Int!
+    replyCount: Int!
+    replyRate: Float
+    optOutCount: Int!
+    optOutRate: Float
+  }
+`;
@@ -8,6 +8,44 @@ export const schema = `
     isHealthy: Boolean!
     cycledOutAt: Date!
     createdAt: Date!
+    healthEvents(limit: Int): [LinkDomainHealthEvent]!
+    poolId: String
+    weight: Int!
+    dailyCap: Int
+    dailyUsageCount: Int!
+  }
+
+  type LinkDomainPool {
+    id: ID!
+    name: String!
+    domainCount: Int!
+    nextDomain: String
+    createdAt: Date!
+  }
+
+  type LinkDomainHealthEvent {
+    id: ID!
+    isHealthy: Boolean!
+    reason: String!
+    sendCount: Int
+    errorRate: Float
+    createdAt: Date!
+  }
+
+  type LinkDomainHealthPolicy {
+    enabled: Boolean!
+    maxErrorRate: Float!
+    minSendCount: Int!
+    windowHours: Int!
+    coolDownHours: Int!
+  }
+
+  input LinkDomainHealthPolicyInput {
+    enabled: Boolean!
+    maxErrorRate: Float!
+    minSendCount: Int!
+    windowHours: Int!
+    coolDownHours: Int!
   }
 
   type UnhealthyLinkDomain {
@@ -2,6 +2,7 @@ export const schema = `
   type Message {
     id: ID
     text: String
+    mediaUrls: [String]
     userNumber: String
     contactNumber: String
     createdAt: Date
@@ -10,5 +11,7 @@ export const schema = `
     campaignId: String
     userId: ID
     sendStatus: String
+    sendAttempts: Int
+    lastError: String
   }
 `;
@@ -0,0 +1,41 @@
+export const MessagingServiceType = Object.freeze({
+  TWILIO: "twilio",
+  NEXMO: "nexmo",
+  ASSEMBLE_NUMBERS: "assemble_numbers"
+});
+
+export const schema = `
+  enum MessagingServiceType {
+    twilio
+    nexmo
+    assemble_numbers
+  }
+
+  type MessagingService {
+    id: ID!
+    messagingServiceSid: String!
+    name: String!
+    serviceType: MessagingServiceType!
+    accountSid: String
+    isActive: Boolean!
+    isHealthy: Boolean!
+    unhealthySince: Date
+    maxMessagesPerSecond: Float
+    currentSendRate: Float!
+    queueDepth: Int!
+    stuckCellCount: Int!
+    createdAt: Date
+    updatedAt: Date
+  }
+
+  input MessagingServiceInput {
+    messagingServiceSid: String
+    name: String
+    serviceType: MessagingServiceType
+    accountSid: String
+    authToken: String
+    isActive: Boolean
+    isHealthy: Boolean
+    maxMessagesPerSecond: Float
+  }
+`;
@@ -1,8 +1,44 @@
+export const OptOutEventType = Object.freeze({
+  OPT_OUT: "OPT_OUT",
+  OPT_IN: "OPT_IN"
+});
+
+export const OptOutEventSource = Object.freeze({
+  TEXTER: "TEXTER",
+  ADMIN: "ADMIN",
+  KEYWORD: "KEYWORD",
+  API: "API"
+});
+
 export const schema = `
+  enum OptOutEventType {
+    OPT_OUT
+    OPT_IN
+  }
+
+  enum OptOutEventSource {
+    TEXTER
+    ADMIN
+    KEYWORD
+    API
+  }
+
   type OptOut {
     id: ID
     cell: String
     assignment: Assignment
+    reasonCode: String
+    isAutomatic: Boolean
     createdAt: Date
   }
+
+  type OptOutEvent {
+    id: ID!
+    cell: String!
+    type: OptOutEventType!
+    source: OptOutEventSource!
+    reason: String!
+    user: User
+    createdAt: Date!
+  }
 `;
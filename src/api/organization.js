@@ -26,8 +26,12 @@ export const schema = `
     people(role: String, campaignId: String, offset: Int): [User]
     peopleCount: Int
     optOuts: [OptOut]
+    optOutEvents: [OptOutEvent]
+    pendingJobs(jobTypes: [String]): [JobRequest]
     threeClickEnabled: Boolean
     optOutMessage: String
+    optOutKeywords: [String]!
+    optInKeywords: [String]!
     textingHoursEnforced: Boolean
     textingHoursStart: Int
     textingHoursEnd: Int
@@ -40,6 +44,14 @@ export const schema = `
     myCurrentAssignmentTarget: AssignmentTarget
     escalatedConversationCount: Int!
     linkDomains: [LinkDomain]!
+    linkDomainPools: [LinkDomainPool]!
+    scriptTemplates: [ScriptTemplate]!
+    actionHandlers: [OrganizationActionHandler]!
+    nextLinkDomain: String
+    shortLinkTrackingEnabled: Boolean!
+    linkDomainHealthPolicy: LinkDomainHealthPolicy!
+    deliverabilityReport(filter: DeliverabilityFilter!): DeliverabilityReport!
+    messagingServices: [MessagingService]!
     unhealthyLinkDomains: [UnhealthyLinkDomain]!
     numbersApiKey: String
     tagList: [Tag]
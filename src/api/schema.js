@@ -50,6 +50,14 @@ import {
 } from "./canned-response";
 import { schema as inviteSchema, resolvers as inviteResolvers } from "./invite";
 import { schema as linkDomainSchema } from "./link-domain";
+import { schema as shortLinkSchema } from "./short-link";
+import { schema as scriptVariantSchema } from "./script-variant";
+import { schema as languageStatsSchema } from "./language-stats";
+import { schema as scriptTemplateSchema } from "./script-template";
+import { schema as actionHandlerLogSchema } from "./action-handler-log";
+import { schema as actionHandlerSchema } from "./action-handler";
+import { schema as deliverabilityReportSchema } from "./deliverability-report";
+import { schema as messagingServiceSchema } from "./messaging-service";
 import { schema as assignmentRequestSchema } from "./assignment-request";
 import { schema as tagSchema } from "./tag";
 import { schema as teamSchema } from "./team";
@@ -61,6 +69,7 @@ const rootSchema = `
     cell: String!
     zip: String
     external_id: String
+    language: String
     customFields: String
   }
 
@@ -96,12 +105,19 @@ const rootSchema = `
     nextInteractionStepId: String
   }
 
+  input ScriptTranslationInput {
+    language: String!
+    scriptOptions: [String]!
+  }
+
   input InteractionStepInput {
     id: String
     questionText: String
     scriptOptions: [String]!
+    scriptTranslations: [ScriptTranslationInput]
     answerOption: String
     answerActions: String
+    answerActionsData: JSON
     parentInteractionId: String
     isDeleted: Boolean
     interactionSteps: [InteractionStepInput]
@@ -129,6 +145,11 @@ const rootSchema = `
     organizationId: String
     isAssignmentLimitedToTeams: Boolean
     teamIds: [ID]
+    messagingServiceSids: [String]
+    linkDomainPoolId: String
+    scriptTemplateVersionId: String
+    primaryLanguage: String
+    translationLanguages: [String]
     texters: [TexterInput]
     interactionSteps: InteractionStepInput
     cannedResponses: [CannedResponseInput]
@@ -143,6 +164,8 @@ const rootSchema = `
     contactNumber: Phone
     assignmentId: String
     userId: String
+    interactionStepId: String
+    scriptVariant: Int
   }
 
   input InviteInput {
@@ -181,6 +204,9 @@ const rootSchema = `
   input UpdateLinkDomain {
     maxUsageCount: Int
     isManuallyDisabled: Boolean
+    poolId: String
+    weight: Int
+    dailyCap: Int
   }
 
   enum ReleaseActionTarget {
@@ -249,7 +275,7 @@ const rootSchema = `
     assignment(id:String!): Assignment
     team(id: String!): Team!
     organizations: [Organization]
-    availableActions(organizationId:String!): [Action]
+    availableActions(organizationId:String!, forTags:Boolean): [Action]
     conversations(cursor:OffsetLimitCursor!, organizationId:String!, campaignsFilter:CampaignsFilter, assignmentsFilter:AssignmentsFilter, tagsFilter: TagsFilter, contactsFilter:ContactsFilter, contactNameFilter:ContactNameFilter): PaginatedConversations
     campaigns(organizationId:String!, cursor:OffsetLimitCursor, campaignsFilter: CampaignsFilter): CampaignsReturn
     people(organizationId:String!, cursor:OffsetLimitCursor, campaignsFilter:CampaignsFilter, role: String, userIds:[String]): UsersReturn
@@ -266,6 +292,13 @@ const rootSchema = `
     deleteJob(campaignId:String!, id:String!): JobRequest
     copyCampaign(id: String!): Campaign
     exportCampaign(id:String!): JobRequest
+    retryFailedMessages(campaignId: String!): Int!
+    retryActionHandlerLogs(campaignId: String!, actionHandlerLogIds: [String]): Int!
+    updateActionHandler(organizationId: String!, name: String!, isEnabled: Boolean, settings: JSON): OrganizationActionHandler!
+    testActionHandler(organizationId: String!, name: String!, settings: JSON): ActionHandlerTestResult!
+    importOptOuts(organizationId: String!, cells: [String]!): JobRequest
+    exportOptOuts(organizationId: String!): JobRequest
+    deleteOrganizationJob(organizationId: String!, id: String!): JobRequest
     createCannedResponse(cannedResponse:CannedResponseInput!): CannedResponse
     createOrganization(name: String!, userId: String!, inviteId: String!): Organization
     joinOrganization(organizationUuid: String!): Organization
@@ -277,15 +310,17 @@ const rootSchema = `
     updateTextingHoursEnforcement( organizationId: String!, textingHoursEnforced: Boolean!): Organization
     updateTextRequestFormSettings(organizationId: String!, textRequestFormEnabled: Boolean!, textRequestType: String!, textRequestMaxCount: Int!): Organization
     updateOptOutMessage( organizationId: String!, optOutMessage: String!): Organization
+    updateOptOutKeywords(organizationId: String!, optOutKeywords: [String]!, optInKeywords: [String]!): Organization
     bulkSendMessages(assignmentId: Int!): [CampaignContact]
     sendMessage(message:MessageInput!, campaignContactId:String!): CampaignContact,
     tagConversation(campaignContactId: String!, tag: ContactTagActionInput!): CampaignContact
     createOptOut(optOut:ContactActionInput!, campaignContactId:String!):CampaignContact,
     removeOptOut(cell:Phone!):[CampaignContact],
     editCampaignContactMessageStatus(messageStatus: String!, campaignContactId:String!): CampaignContact,
+    updateContactLanguage(campaignContactId: String!, language: String): CampaignContact
     deleteQuestionResponses(interactionStepIds:[String], campaignContactId:String!): CampaignContact,
     updateQuestionResponses(questionResponses:[QuestionResponseInput], campaignContactId:String!): CampaignContact,
-    startCampaign(id:String!): Campaign,
+    startCampaign(id:String!, acknowledgeWarnings: Boolean): Campaign,
     archiveCampaign(id:String!): Campaign,
     unarchiveCampaign(id:String!): Campaign,
     sendReply(id: String!, message: String!): CampaignContact
@@ -300,13 +335,23 @@ const rootSchema = `
     requestTexts(count: Int!, email: String!, organizationId: String!): String!
     releaseMessages(campaignId: String!, target: ReleaseActionTarget!, ageInHours: Int): String!
     markForSecondPass(campaignId: String!, excludeAgeInHours: Int): String!
-    insertLinkDomain(organizationId: String!, domain: String!, maxUsageCount: Int!): LinkDomain!
+    insertLinkDomain(organizationId: String!, domain: String!, maxUsageCount: Int!, poolId: String, weight: Int, dailyCap: Int): LinkDomain!
     updateLinkDomain(organizationId: String!, domainId: String!, payload: UpdateLinkDomain!): LinkDomain!
     deleteLinkDomain(organizationId: String!, domainId: String!): Boolean!
+    createLinkDomainPool(organizationId: String!, name: String!): LinkDomainPool!
+    deleteLinkDomainPool(organizationId: String!, poolId: String!): Boolean!
+    saveScriptTemplate(campaignId: String!, name: String!, description: String, scriptTemplateId: String): ScriptTemplate!
+    importScriptTemplate(organizationId: String!, content: JSON!, scriptTemplateId: String): ScriptTemplate!
+    deleteScriptTemplate(organizationId: String!, scriptTemplateId: String!): Boolean!
+    updateShortLinkTracking(organizationId: String!, enabled: Boolean!): Organization
+    updateLinkDomainHealthPolicy(organizationId: String!, policy: LinkDomainHealthPolicyInput!): Organization
     deleteCampaignOverlap(organizationId: String!, campaignId: String!, overlappingCampaignId: String!): DeleteCampaignOverlapResult!
     approveAssignmentRequest(assignmentRequestId: String!): Int!
     rejectAssignmentRequest(assignmentRequestId: String!): Boolean!
     setNumbersApiKey(organizationId: String!, numbersApiKey: String): Organization!
+    createMessagingService(organizationId: String!, messagingService: MessagingServiceInput!): MessagingService!
+    updateMessagingService(organizationId: String!, messagingServiceId: String!, messagingService: MessagingServiceInput!): MessagingService!
+    deleteMessagingService(organizationId: String!, messagingServiceId: String!): MessagingService!
     saveTag(organizationId: String!, tag: TagInput!): Tag!
     deleteTag(organizationId: String!, tagId: String!): Boolean!
     saveTeams(organizationId: String!, teams: [TeamInput]!): [Team]!
@@ -339,6 +384,14 @@ export const schema = [
   questionSchema,
   inviteSchema,
   linkDomainSchema,
+  shortLinkSchema,
+  scriptVariantSchema,
+  languageStatsSchema,
+  scriptTemplateSchema,
+  actionHandlerLogSchema,
+  actionHandlerSchema,
+  deliverabilityReportSchema,
+  messagingServiceSchema,
   assignmentRequestSchema,
   conversationSchema,
   tagSchema,
@@ -0,0 +1,24 @@
+export const schema = `
+  type ScriptTemplate {
+    id: ID!
+    name: String!
+    description: String!
+    latestVersion: ScriptTemplateVersion!
+    versions: [ScriptTemplateVersion]!
+    campaignCount: Int!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type ScriptTemplateVersion {
+    id: ID!
+    version: Int!
+    template: ScriptTemplate!
+    content: JSON!
+    exportData: JSON!
+    questionCount: Int!
+    cannedResponseCount: Int!
+    creator: User
+    createdAt: Date!
+  }
+`;
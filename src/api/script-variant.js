@@ -0,0 +1,18 @@
+export const schema = `
+  type ScriptVariantAnswerCount {
+    value: String!
+    count: Int!
+  }
+
+  type ScriptVariantStats {
+    interactionStep: InteractionStep
+    variant: Int!
+    script: String
+    contactCount: Int!
+    replyCount: Int!
+    replyRate: Float
+    optOutCount: Int!
+    optOutRate: Float
+    answers: [ScriptVariantAnswerCount]!
+  }
+`;
@@ -0,0 +1,24 @@
+export const schema = `
+  type LinkClickStats {
+    linkCount: Int!
+    recipientCount: Int!
+    clickCount: Int!
+    clickerCount: Int!
+    clickThroughRate: Float
+  }
+
+  type ScriptLinkClickStats {
+    interactionStep: InteractionStep
+    stats: LinkClickStats!
+  }
+
+  type ContactLinkClicks {
+    campaignContactId: ID!
+    firstName: String
+    lastName: String
+    cell: Phone
+    linkCount: Int!
+    clickCount: Int!
+    lastClickedAt: Date
+  }
+`;
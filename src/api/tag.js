@@ -9,6 +9,9 @@ export const schema = `
     confirmationSteps: [[String]]!
     onApplyScript: String!
     webhookUrl: String!
+    actionHandler: String
+    actionData: JSON
+    undoActionOnRemove: Boolean!
     isAssignable: Boolean!
     isSystem: Boolean!
     createdAt: Date!
@@ -25,7 +28,11 @@ export const schema = `
     confirmationSteps: [[String]]
     onApplyScript: String
     webhookUrl: String
+    actionHandler: String
+    actionData: JSON
+    undoActionOnRemove: Boolean
     isAssignable: Boolean!
+    isSystem: Boolean
   }
 
   input TagsFilter {
@@ -0,0 +1,89 @@
+import PropTypes from "prop-types";
+import React from "react";
+import moment from "moment";
+import FlatButton from "material-ui/FlatButton";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+const errorStyle = {
+  whiteSpace: "normal",
+  wordBreak: "break-word"
+};
+
+const contactName = contact =>
+  contact ? `${contact.firstName} ${contact.lastName}` : "Unknown contact";
+
+const ActionHandlerLogList = ({ logs, isRetrying, onRetry }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Contact</TableHeaderColumn>
+        <TableHeaderColumn>Action</TableHeaderColumn>
+        <TableHeaderColumn>Trigger</TableHeaderColumn>
+        <TableHeaderColumn>Status</TableHeaderColumn>
+        <TableHeaderColumn>Attempts</TableHeaderColumn>
+        <TableHeaderColumn>Last Error</TableHeaderColumn>
+        <TableHeaderColumn />
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {logs.map(log => (
+        <TableRow key={log.id}>
+          <TableRowColumn>{contactName(log.contact)}</TableRowColumn>
+          <TableRowColumn>
+            {log.actionType === "UNDO"
+              ? `Undo ${log.actionHandler}`
+              : log.actionHandler}
+          </TableRowColumn>
+          <TableRowColumn>
+            {log.tagTitle ? `Tag: ${log.tagTitle}` : log.answerValue}
+          </TableRowColumn>
+          <TableRowColumn title={moment(log.updatedAt).format("LLL")}>
+            {log.status} {moment(log.updatedAt).fromNow()}
+          </TableRowColumn>
+          <TableRowColumn>{log.attempts}</TableRowColumn>
+          <TableRowColumn style={errorStyle}>{log.lastError}</TableRowColumn>
+          <TableRowColumn>
+            {log.status === "FAILED" && (
+              <FlatButton
+                label="Retry"
+                disabled={isRetrying}
+                onTouchTap={() => onRetry(log.id)}
+              />
+            )}
+          </TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+ActionHandlerLogList.propTypes = {
+  logs: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      actionHandler: PropTypes.string,
+      actionType: PropTypes.string,
+      status: PropTypes.string,
+      answerValue: PropTypes.string,
+      tagTitle: PropTypes.string,
+      attempts: PropTypes.number,
+      lastError: PropTypes.string,
+      updatedAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+      contact: PropTypes.shape({
+        firstName: PropTypes.string,
+        lastName: PropTypes.string
+      })
+    })
+  ).isRequired,
+  isRetrying: PropTypes.bool,
+  onRetry: PropTypes.func.isRequired
+};
+
+export default ActionHandlerLogList;
@@ -110,6 +110,11 @@ class AdminDashboard extends React.Component {
           count: escalatedConversationCount
         }
       },
+      {
+        name: "Script Library",
+        path: "script-library",
+        role: "ADMIN"
+      },
       {
         name: "Bulk Script Editor",
         path: "bulk-script-editor",
@@ -120,6 +125,11 @@ class AdminDashboard extends React.Component {
         path: "short-link-domains",
         role: "OWNER"
       },
+      {
+        name: "Deliverability",
+        path: "deliverability",
+        role: "ADMIN"
+      },
       {
         name: "Assignment Requests",
         path: "assignment-requests",
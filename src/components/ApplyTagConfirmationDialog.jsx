@@ -16,7 +16,7 @@ class ApplyTagConfirmationDialog extends Component {
     const isNewTag = lastTag === undefined && nextTag !== undefined;
     const isDifferentTag = lastTag && nextTag && lastTag.id !== nextTag.id;
     if (isNewTag || isDifferentTag) {
-      this.state.confirmStepIndex = 0;
+      this.setState({ confirmStepIndex: 0 });
     }
   }
 
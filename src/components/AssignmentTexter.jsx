@@ -273,6 +273,19 @@ class AssignmentTexter extends React.Component {
     ];
   };
 
+  handleChangeContactLanguage = async (contactId, language) => {
+    await this.props.mutations.updateContactLanguage(contactId, language);
+    // Keep the cached contact current so coming back to it keeps the new language
+    const { contactCache } = this.state;
+    if (contactCache[contactId]) {
+      this.setState({
+        contactCache: Object.assign({}, contactCache, {
+          [contactId]: Object.assign({}, contactCache[contactId], { language })
+        })
+      });
+    }
+  };
+
   sendMessage = (contact_id, payload) => {
     const isLastOne = !this.hasNext();
 
@@ -401,6 +414,7 @@ class AssignmentTexter extends React.Component {
         refreshData={this.props.refreshData}
         onExitTexter={this.handleExitTexter}
         errors={errors}
+        onChangeContactLanguage={this.handleChangeContactLanguage}
         mutations={{
           editCampaignContactMessageStatus: this.props.mutations
             .editCampaignContactMessageStatus,
@@ -513,6 +527,26 @@ const mapMutationsToProps = () => ({
       tag
     }
   }),
+  updateContactLanguage: (campaignContactId, language) => ({
+    mutation: gql`
+      mutation updateContactLanguage(
+        $campaignContactId: String!
+        $language: String
+      ) {
+        updateContactLanguage(
+          campaignContactId: $campaignContactId
+          language: $language
+        ) {
+          id
+          language
+        }
+      }
+    `,
+    variables: {
+      campaignContactId,
+      language
+    }
+  }),
   editCampaignContactMessageStatus: (messageStatus, campaignContactId) => ({
     mutation: gql`
       mutation editCampaignContactMessageStatus(
@@ -584,6 +618,7 @@ const mapMutationsToProps = () => ({
             id
             createdAt
             text
+            mediaUrls
             isFromContact
           }
         }
@@ -1,6 +1,5 @@
 import PropTypes from "prop-types";
 import React, { Component } from "react";
-import sample from "lodash/sample";
 
 import { grey50 } from "material-ui/styles/colors";
 import { Card, CardHeader, CardText } from "material-ui/Card";
@@ -8,6 +7,8 @@ import MenuItem from "material-ui/MenuItem";
 import Divider from "material-ui/Divider";
 import SelectField from "material-ui/SelectField";
 
+import { getScriptOptions, pickScriptVariant } from "../lib/scripts";
+
 const styles = {
   root: {},
   card: {
@@ -32,15 +33,9 @@ class AssignmentTexterSurveys extends Component {
     };
   }
 
-  getNextScript({ interactionStep, answerIndex }) {
+  getNextInteractionStep({ interactionStep, answerIndex }) {
     const answerOption = interactionStep.question.answerOptions[answerIndex];
-
-    const { nextInteractionStep } = answerOption;
-    if (nextInteractionStep) {
-      const { scriptOptions } = nextInteractionStep;
-      return sample(scriptOptions);
-    }
-    return null;
+    return answerOption.nextInteractionStep || null;
   }
 
   handleExpandChange = newExpandedState => {
@@ -65,16 +60,33 @@ class AssignmentTexterSurveys extends Component {
     const { onQuestionResponseChange } = this.props;
     let questionResponseValue = null;
     let nextScript = null;
+    let nextInteractionStepId = null;
+    let nextScriptVariant = null;
 
     if (value !== "clearResponse") {
       questionResponseValue = value;
-      nextScript = this.getNextScript({ interactionStep, answerIndex });
+      const nextInteractionStep = this.getNextInteractionStep({
+        interactionStep,
+        answerIndex
+      });
+      if (nextInteractionStep) {
+        const nextScriptOption = pickScriptVariant(
+          getScriptOptions(nextInteractionStep, this.props.language),
+          this.props.contact.id,
+          nextInteractionStep.id
+        );
+        nextScript = nextScriptOption && nextScriptOption.script;
+        nextInteractionStepId = nextInteractionStep.id;
+        nextScriptVariant = nextScriptOption && nextScriptOption.variant;
+      }
     }
 
     onQuestionResponseChange({
       interactionStep,
       questionResponseValue,
-      nextScript
+      nextScript,
+      nextInteractionStepId,
+      nextScriptVariant
     });
   };
 
@@ -158,6 +170,7 @@ AssignmentTexterSurveys.propTypes = {
   interactionSteps: PropTypes.array,
   currentInteractionStep: PropTypes.object,
   questionResponses: PropTypes.object,
+  language: PropTypes.string,
   onQuestionResponseChange: PropTypes.func
 };
 
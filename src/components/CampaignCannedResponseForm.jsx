@@ -6,6 +6,7 @@ import GSForm from "./forms/GSForm";
 import Form from "react-formal";
 import FlatButton from "material-ui/FlatButton";
 import { dataTest } from "../lib/attributes";
+import { getLanguageName } from "../lib/languages";
 
 const styles = StyleSheet.create({
   buttonRow: {
@@ -13,20 +14,40 @@ const styles = StyleSheet.create({
   }
 });
 
+const translationFieldName = language => `translation_${language}`;
+
 // THIS IS A COPY/PASTE FROM CANNED RESPONSE FORM BECAUSE I CANT MAKE FORM.CONTEXT WORK
 class CannedResponseForm extends React.Component {
   handleSave = formValues => {
-    const { onSaveCannedResponse } = this.props;
-    onSaveCannedResponse(formValues);
+    const { onSaveCannedResponse, translationLanguages } = this.props;
+    const translations = translationLanguages
+      .map(language => ({
+        language,
+        text: (formValues[translationFieldName(language)] || "").trim()
+      }))
+      .filter(translation => translation.text !== "");
+    onSaveCannedResponse({
+      title: formValues.title,
+      text: formValues.text,
+      translations
+    });
   };
 
   render() {
-    const modelSchema = yup.object({
-      title: yup.string().required(),
-      text: yup.string().required()
-    });
+    const { customFields, translationLanguages } = this.props;
+    const modelSchema = yup.object(
+      translationLanguages.reduce(
+        (fields, language) =>
+          Object.assign(fields, {
+            [translationFieldName(language)]: yup.string()
+          }),
+        {
+          title: yup.string().required(),
+          text: yup.string().required()
+        }
+      )
+    );
 
-    const { customFields } = this.props;
     return (
       <div>
         <GSForm ref="form" schema={modelSchema} onSubmit={this.handleSave}>
@@ -46,6 +67,17 @@ class CannedResponseForm extends React.Component {
             multiLine
             fullWidth
           />
+          {translationLanguages.map(language => (
+            <Form.Field
+              key={language}
+              customFields={customFields}
+              name={translationFieldName(language)}
+              type="script"
+              label={`${getLanguageName(language)} script (optional)`}
+              multiLine
+              fullWidth
+            />
+          ))}
           <div className={css(styles.buttonRow)}>
             <Form.Button
               {...dataTest("addResponse")}
@@ -70,9 +102,14 @@ class CannedResponseForm extends React.Component {
   }
 }
 
+CannedResponseForm.defaultProps = {
+  translationLanguages: []
+};
+
 CannedResponseForm.propTypes = {
   onSaveCannedResponse: type.func,
-  customFields: type.array
+  customFields: type.array,
+  translationLanguages: type.arrayOf(type.string)
 };
 
 export default CannedResponseForm;
@@ -14,6 +14,7 @@ import CreateIcon from "material-ui/svg-icons/content/create";
 import theme from "../styles/theme";
 import { StyleSheet, css } from "aphrodite";
 import { dataTest } from "../lib/attributes";
+import { getLanguageName } from "../lib/languages";
 
 const styles = StyleSheet.create({
   formContainer: {
@@ -67,6 +68,7 @@ export default class CampaignCannedResponsesForm extends React.Component {
                 this.setState({ showForm: false });
               }}
               customFields={this.props.customFields}
+              translationLanguages={this.props.translationLanguages}
             />
           </div>
         </div>
@@ -89,7 +91,13 @@ export default class CampaignCannedResponsesForm extends React.Component {
         {...dataTest("cannedResponse")}
         value={response.text}
         key={response.id}
-        primaryText={response.title}
+        primaryText={
+          response.translations && response.translations.length > 0
+            ? `${response.title} (also in ${response.translations
+                .map(translation => getLanguageName(translation.language))
+                .join(", ")})`
+            : response.title
+        }
         secondaryText={response.text}
         rightIconButton={
           <IconButton
@@ -157,5 +165,6 @@ CampaignCannedResponsesForm.propTypes = {
   onSubmit: type.func,
   onChange: type.func,
   formValues: type.object,
-  customFields: type.array
+  customFields: type.array,
+  translationLanguages: type.arrayOf(type.string)
 };
@@ -222,7 +222,8 @@ export default class CampaignContactsForm extends React.Component {
       dupeCount,
       missingCellCount,
       invalidCellCount,
-      optOutCount
+      optOutCount,
+      unknownLanguageCount
     } = this.state.validationStats;
 
     let stats = [
@@ -234,6 +235,11 @@ export default class CampaignContactsForm extends React.Component {
     stats = stats
       .filter(([count]) => count > 0)
       .map(([count, text]) => `${count} ${text} removed`);
+    if (unknownLanguageCount > 0) {
+      stats.push(
+        `${unknownLanguageCount} rows with unrecognized languages will get the primary language script`
+      );
+    }
     return (
       <List>
         <Divider />
@@ -331,7 +337,8 @@ export default class CampaignContactsForm extends React.Component {
                   <li>
                     Optional fields are:
                     <span className={css(styles.csvHeader)}>zip</span>,
-                    <span className={css(styles.csvHeader)}>external_id</span>
+                    <span className={css(styles.csvHeader)}>external_id</span>,
+                    <span className={css(styles.csvHeader)}>language</span>
                   </li>
                   <li>
                     Make sure you make those names exactly possibly requiring an
@@ -391,9 +398,11 @@ export default class CampaignContactsForm extends React.Component {
         include a <span className={css(styles.csvHeader)}>zip</span> column,
         we'll use the zip to guess the contact's timezone for enforcing texting
         hours. An optional column to map the contact to a CRM is{" "}
-        <span className={css(styles.csvHeader)}>external_id</span>
-        Any additional columns in your file will be available as custom fields
-        to use in your texting scripts.
+        <span className={css(styles.csvHeader)}>external_id</span>. A{" "}
+        <span className={css(styles.csvHeader)}>language</span> column, holding
+        a language name or code such as Spanish or es, picks which translation
+        of the scripts each contact gets. Any additional columns in your file
+        will be available as custom fields to use in your texting scripts.
       </span>
     );
 
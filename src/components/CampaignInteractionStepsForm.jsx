@@ -4,6 +4,7 @@ import * as yup from "yup";
 import Form from "react-formal";
 
 import RaisedButton from "material-ui/RaisedButton";
+import FlatButton from "material-ui/FlatButton";
 import { Card, CardHeader, CardText } from "material-ui/Card";
 import IconButton from "material-ui/IconButton";
 import HelpIconOutline from "material-ui/svg-icons/action/help-outline";
@@ -11,9 +12,13 @@ import DeleteIcon from "material-ui/svg-icons/action/delete";
 
 import { makeTree } from "../lib";
 import { dataTest } from "../lib/attributes";
+import { getLanguageName } from "../lib/languages";
 import theme from "../styles/theme";
 import GSForm from "./forms/GSForm";
+import GSScriptOptionsField from "./forms/GSScriptOptionsField";
 import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+import ScriptPreview from "./ScriptPreview";
+import WebhookActionForm from "./WebhookActionForm";
 
 const styles = {
   pullRight: {
@@ -32,6 +37,10 @@ const styles = {
     marginBottom: 24
   },
 
+  translation: {
+    marginTop: 10
+  },
+
   answerContainer: {
     marginLeft: "25px",
     marginTop: "10px",
@@ -81,6 +90,7 @@ class CampaignInteractionStepsForm extends React.Component {
             questionText: "",
             answerOption: "",
             scriptOptions: [""],
+            scriptTranslations: [],
             answerActions: "",
             isDeleted: false
           }
@@ -89,11 +99,17 @@ class CampaignInteractionStepsForm extends React.Component {
 
   onSave = async () => {
     // Strip all empty script versions. "Save" should be disabled in this case, but just in case...
+    const nonEmpty = scriptOptions =>
+      scriptOptions.filter(scriptOption => scriptOption.trim() !== "");
     const interactionSteps = this.state.interactionSteps.map(step => {
-      const scriptOptions = step.scriptOptions.filter(
-        scriptOption => scriptOption.trim() !== ""
+      const scriptOptions = nonEmpty(step.scriptOptions);
+      const scriptTranslations = (step.scriptTranslations || []).map(
+        translation => ({
+          language: translation.language,
+          scriptOptions: nonEmpty(translation.scriptOptions)
+        })
       );
-      return Object.assign(step, { scriptOptions });
+      return Object.assign(step, { scriptOptions, scriptTranslations });
     });
 
     await this.props.onChange({
@@ -115,6 +131,7 @@ class CampaignInteractionStepsForm extends React.Component {
           parentInteractionId,
           questionText: "",
           scriptOptions: [""],
+          scriptTranslations: [],
           answerOption: "",
           answerActions: "",
           isDeleted: false
@@ -123,6 +140,32 @@ class CampaignInteractionStepsForm extends React.Component {
     });
   };
 
+  // Pass null scriptOptions to remove the step's translation for the language
+  setScriptTranslation = (stepId, language, scriptOptions) => {
+    const interactionSteps = this.state.interactionSteps.map(step => {
+      if (step.id !== stepId) return step;
+      const scriptTranslations = (step.scriptTranslations || []).filter(
+        translation => translation.language !== language
+      );
+      if (scriptOptions) scriptTranslations.push({ language, scriptOptions });
+      return Object.assign({}, step, { scriptTranslations });
+    });
+    this.setState({ interactionSteps });
+  };
+
+  createTranslationChangeHandler = (stepId, language) => scriptOptions =>
+    this.setScriptTranslation(stepId, language, scriptOptions.slice());
+
+  setAnswerActionsData = (stepId, answerActionsData) => {
+    const interactionSteps = this.state.interactionSteps.map(
+      step =>
+        step.id === stepId
+          ? Object.assign({}, step, { answerActionsData })
+          : step
+    );
+    this.setState({ interactionSteps });
+  };
+
   createDeleteStepHandler = id => () => {
     const interactionSteps = markDeleted(id, this.state.interactionSteps);
     this.setState({ interactionSteps });
@@ -138,6 +181,49 @@ class CampaignInteractionStepsForm extends React.Component {
     this.setState({ interactionSteps });
   };
 
+  renderScriptTranslation(interactionStep, language) {
+    const { customFields } = this.props;
+    const languageName = getLanguageName(language);
+    const translation = (interactionStep.scriptTranslations || []).find(
+      scriptTranslation => scriptTranslation.language === language
+    );
+
+    return (
+      <div key={language} style={styles.translation}>
+        {translation ? (
+          <div>
+            <GSScriptOptionsField
+              title={`${languageName} scripts`}
+              value={translation.scriptOptions.slice()}
+              customFields={customFields}
+              hintText={`The script for contacts who speak ${languageName}.`}
+              onChange={this.createTranslationChangeHandler(
+                interactionStep.id,
+                language
+              )}
+              fullWidth
+              multiLine
+            />
+            <FlatButton
+              label={`Remove ${languageName} translation`}
+              onTouchTap={() =>
+                this.setScriptTranslation(interactionStep.id, language, null)
+              }
+            />
+          </div>
+        ) : (
+          <FlatButton
+            label={`Add ${languageName} translation`}
+            secondary
+            onTouchTap={() =>
+              this.setScriptTranslation(interactionStep.id, language, [""])
+            }
+          />
+        )}
+      </div>
+    );
+  }
+
   renderInteractionStep(interactionStep, title = "Start") {
     const { availableActions, customFields } = this.props;
     const displayActions =
@@ -149,6 +235,7 @@ class CampaignInteractionStepsForm extends React.Component {
       parentInteractionId,
       answerOption,
       answerActions,
+      answerActionsData,
       interactionSteps: childSteps
     } = interactionStep;
     const stepHasScript = scriptOptions.length > 0;
@@ -220,6 +307,14 @@ class CampaignInteractionStepsForm extends React.Component {
                       availableActions.filter(a => a.name === answerActions)[0]
                         .instructions}
                   </div>
+                  {answerActions === "webhook" && (
+                    <WebhookActionForm
+                      value={answerActionsData || { method: "POST" }}
+                      onChange={data =>
+                        this.setAnswerActionsData(interactionStep.id, data)
+                      }
+                    />
+                  )}
                 </div>
               )}
               <Form.Field
@@ -232,6 +327,9 @@ class CampaignInteractionStepsForm extends React.Component {
                 fullWidth
                 multiLine
               />
+              {this.props.translationLanguages.map(language =>
+                this.renderScriptTranslation(interactionStep, language)
+              )}
               <Form.Field
                 {...dataTest("questionText")}
                 name="questionText"
@@ -264,10 +362,15 @@ class CampaignInteractionStepsForm extends React.Component {
   render() {
     const tree = makeTree(this.state.interactionSteps);
 
+    const hasEmptyVersion = scriptOptions =>
+      scriptOptions.filter(version => version.trim() === "").length > 0;
     const emptyScriptSteps = this.state.interactionSteps.filter(step => {
       const hasNoOptions = step.scriptOptions.length === 0;
       const hasEmptyScripts =
-        step.scriptOptions.filter(version => version.trim() === "").length > 0;
+        hasEmptyVersion(step.scriptOptions) ||
+        (step.scriptTranslations || []).some(translation =>
+          hasEmptyVersion(translation.scriptOptions)
+        );
       return hasNoOptions || hasEmptyScripts;
     });
     const hasEmptyScripts = emptyScriptSteps.length > 0;
@@ -279,6 +382,14 @@ class CampaignInteractionStepsForm extends React.Component {
           subtitle="You can add scripts and questions and your texters can indicate responses from your contacts. For example, you might want to collect RSVPs to an event or find out whether to follow up about a different volunteer activity."
         />
         {this.renderInteractionStep(tree)}
+        <ScriptPreview
+          campaignId={this.props.campaignId}
+          interactionSteps={this.state.interactionSteps}
+          customFields={this.props.customFields}
+          texters={this.props.texters}
+          primaryLanguage={this.props.primaryLanguage}
+          translationLanguages={this.props.translationLanguages}
+        />
         <RaisedButton
           {...dataTest("interactionSubmit")}
           primary
@@ -298,7 +409,11 @@ class CampaignInteractionStepsForm extends React.Component {
 
 CampaignInteractionStepsForm.propTypes = {
   formValues: type.object.isRequired,
+  campaignId: type.string.isRequired,
   customFields: type.array.isRequired,
+  texters: type.array.isRequired,
+  primaryLanguage: type.string.isRequired,
+  translationLanguages: type.arrayOf(type.string).isRequired,
   availableActions: type.array.isRequired,
   ensureComplete: type.bool.isRequired,
   saveLabel: type.string.isRequired,
@@ -0,0 +1,104 @@
+import React from "react";
+import PropTypes from "prop-types";
+import * as yup from "yup";
+import Form from "react-formal";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+
+import { LANGUAGES } from "../lib/languages";
+import GSForm from "./forms/GSForm";
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const formSchema = yup.object({});
+
+const languageLabel = language =>
+  language.name === language.nativeName
+    ? language.name
+    : `${language.name} (${language.nativeName})`;
+
+class CampaignLanguagesForm extends React.Component {
+  handlePrimaryLanguageChange = (event, index, primaryLanguage) => {
+    const translationLanguages = this.props.formValues.translationLanguages.filter(
+      language => language !== primaryLanguage
+    );
+    this.props.onChange({ primaryLanguage, translationLanguages });
+  };
+
+  handleTranslationLanguagesChange = (event, index, translationLanguages) =>
+    this.props.onChange({ translationLanguages });
+
+  render() {
+    const {
+      saveLabel,
+      saveDisabled,
+      formValues,
+      onChange,
+      onSubmit
+    } = this.props;
+    const { primaryLanguage, translationLanguages } = formValues;
+
+    return (
+      <GSForm
+        schema={formSchema}
+        value={formValues}
+        onChange={onChange}
+        onSubmit={onSubmit}
+      >
+        <CampaignFormSectionHeading
+          title="Languages for campaign"
+          subtitle="Scripts are written in the primary language. Add languages to write translations of each script and canned response. Contacts get the translation for the language in their upload's language column, or the one their texter picks, and the primary language otherwise."
+        />
+
+        <SelectField
+          floatingLabelText="Primary language"
+          value={primaryLanguage}
+          onChange={this.handlePrimaryLanguageChange}
+        >
+          {LANGUAGES.map(language => (
+            <MenuItem
+              key={language.code}
+              value={language.code}
+              primaryText={languageLabel(language)}
+            />
+          ))}
+        </SelectField>
+        <br />
+        <SelectField
+          multiple
+          floatingLabelText="Translations"
+          hintText="None"
+          value={translationLanguages}
+          onChange={this.handleTranslationLanguagesChange}
+        >
+          {LANGUAGES.filter(language => language.code !== primaryLanguage).map(
+            language => (
+              <MenuItem
+                key={language.code}
+                value={language.code}
+                insetChildren
+                checked={translationLanguages.indexOf(language.code) !== -1}
+                primaryText={languageLabel(language)}
+              />
+            )
+          )}
+        </SelectField>
+        <p>
+          Save this section before editing the scripts so the translation fields
+          appear in Interactions and Canned Responses.
+        </p>
+
+        <Form.Button type="submit" disabled={saveDisabled} label={saveLabel} />
+      </GSForm>
+    );
+  }
+}
+
+CampaignLanguagesForm.propTypes = {
+  formValues: PropTypes.object.isRequired,
+  saveDisabled: PropTypes.bool.isRequired,
+  saveLabel: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default CampaignLanguagesForm;
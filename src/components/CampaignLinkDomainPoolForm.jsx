@@ -0,0 +1,87 @@
+import React from "react";
+import PropTypes from "prop-types";
+import * as yup from "yup";
+import Form from "react-formal";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+
+import GSForm from "./forms/GSForm";
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const formSchema = yup.object({});
+
+const DEFAULT_POOL_VALUE = "default";
+
+class CampaignLinkDomainPoolForm extends React.Component {
+  handlePoolChange = (event, index, value) => {
+    const linkDomainPool =
+      value === DEFAULT_POOL_VALUE
+        ? null
+        : this.props.orgLinkDomainPools.find(pool => pool.id === value);
+    this.props.onChange({ linkDomainPool });
+  };
+
+  render() {
+    const {
+      saveLabel,
+      saveDisabled,
+      formValues,
+      orgLinkDomainPools,
+      orgNextLinkDomain,
+      onChange,
+      onSubmit
+    } = this.props;
+
+    const { linkDomainPool } = formValues;
+    const selectedPool =
+      linkDomainPool &&
+      orgLinkDomainPools.find(pool => pool.id === linkDomainPool.id);
+    const nextDomain = selectedPool
+      ? selectedPool.nextDomain
+      : orgNextLinkDomain;
+
+    return (
+      <GSForm
+        schema={formSchema}
+        value={formValues}
+        onChange={onChange}
+        onSubmit={onSubmit}
+      >
+        <CampaignFormSectionHeading
+          title="Link domain pool for campaign"
+          subtitle="Links in this campaign's messages rotate through the domains in the selected pool. Campaigns using the default pool never use domains reserved for a named pool."
+        />
+
+        <SelectField
+          floatingLabelText="Link domain pool"
+          value={linkDomainPool ? linkDomainPool.id : DEFAULT_POOL_VALUE}
+          onChange={this.handlePoolChange}
+        >
+          <MenuItem value={DEFAULT_POOL_VALUE} primaryText="Default pool" />
+          {orgLinkDomainPools.map(pool => (
+            <MenuItem key={pool.id} value={pool.id} primaryText={pool.name} />
+          ))}
+        </SelectField>
+        <p>
+          {nextDomain
+            ? `The next message from this pool will use ${nextDomain}.`
+            : "This pool has no domain available; links will be sent unchanged."}
+        </p>
+
+        <Form.Button type="submit" disabled={saveDisabled} label={saveLabel} />
+      </GSForm>
+    );
+  }
+}
+
+CampaignLinkDomainPoolForm.propTypes = {
+  formValues: PropTypes.object.isRequired,
+  orgLinkDomainPools: PropTypes.arrayOf(PropTypes.object).isRequired,
+  orgNextLinkDomain: PropTypes.string,
+  saveDisabled: PropTypes.bool.isRequired,
+  saveLabel: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default CampaignLinkDomainPoolForm;
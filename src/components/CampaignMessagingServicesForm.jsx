@@ -0,0 +1,94 @@
+import React from "react";
+import PropTypes from "prop-types";
+import * as yup from "yup";
+import Form from "react-formal";
+import ChipInput from "material-ui-chip-input";
+
+import GSForm from "./forms/GSForm";
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const formSchema = yup.object({});
+
+const serviceLabel = service =>
+  `${service.messagingServiceSid} (${service.serviceType.replace(/_/g, " ")})`;
+
+class CampaignMessagingServicesForm extends React.Component {
+  // Prevent free-text entries
+  handleBeforeRequestAdd = ({ id, label }) =>
+    !!this.props.orgMessagingServices.find(service => service.id === id) &&
+    id !== label;
+
+  handleAddService = ({ id }) => {
+    const { messagingServices } = this.props.formValues;
+    if (messagingServices.find(service => service.id === id)) return;
+
+    const service = this.props.orgMessagingServices.find(
+      orgService => orgService.id === id
+    );
+    this.props.onChange({
+      messagingServices: messagingServices.concat([service])
+    });
+  };
+
+  handleRemoveService = serviceId => {
+    const messagingServices = this.props.formValues.messagingServices.filter(
+      service => service.id !== serviceId
+    );
+    this.props.onChange({ messagingServices });
+  };
+
+  render() {
+    const {
+      saveLabel,
+      saveDisabled,
+      formValues,
+      orgMessagingServices,
+      onChange,
+      onSubmit
+    } = this.props;
+
+    const toChip = service => ({
+      id: service.id,
+      label: serviceLabel(service)
+    });
+
+    return (
+      <GSForm
+        schema={formSchema}
+        value={formValues}
+        onChange={onChange}
+        onSubmit={onSubmit}
+      >
+        <CampaignFormSectionHeading
+          title="Messaging services for campaign"
+          subtitle="Optionally send this campaign only from specific messaging services. Leave this empty to use all of the organization's messaging services. Changing the selection after texting has started moves affected contacts to a new sending number."
+        />
+
+        <ChipInput
+          value={formValues.messagingServices.map(toChip)}
+          dataSourceConfig={{ text: "label", value: "id" }}
+          dataSource={orgMessagingServices.map(toChip)}
+          placeholder="All messaging services"
+          fullWidth={true}
+          openOnFocus={true}
+          onBeforeRequestAdd={this.handleBeforeRequestAdd}
+          onRequestAdd={this.handleAddService}
+          onRequestDelete={this.handleRemoveService}
+        />
+
+        <Form.Button type="submit" disabled={saveDisabled} label={saveLabel} />
+      </GSForm>
+    );
+  }
+}
+
+CampaignMessagingServicesForm.propTypes = {
+  formValues: PropTypes.object.isRequired,
+  orgMessagingServices: PropTypes.arrayOf(PropTypes.object).isRequired,
+  saveDisabled: PropTypes.bool.isRequired,
+  saveLabel: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default CampaignMessagingServicesForm;
@@ -0,0 +1,50 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { List, ListItem } from "material-ui/List";
+import Checkbox from "material-ui/Checkbox";
+import ErrorIcon from "material-ui/svg-icons/alert/error";
+import WarningIcon from "material-ui/svg-icons/alert/warning";
+import { red600, orange600 } from "material-ui/styles/colors";
+
+// Pre-launch script problems. Errors block starting; warnings have to be acknowledged.
+const CampaignScriptLint = ({ issues, acknowledged, onAcknowledge }) => {
+  if (issues.length === 0) return null;
+
+  const hasErrors = issues.some(issue => issue.severity === "ERROR");
+  return (
+    <div>
+      <List>
+        {issues.map((issue, index) => (
+          <ListItem
+            key={index}
+            disabled={true}
+            leftIcon={
+              issue.severity === "ERROR" ? (
+                <ErrorIcon color={red600} />
+              ) : (
+                <WarningIcon color={orange600} />
+              )
+            }
+            primaryText={issue.message}
+            secondaryText={issue.location}
+          />
+        ))}
+      </List>
+      {!hasErrors && (
+        <Checkbox
+          label="I have reviewed these warnings and want to start anyway"
+          checked={acknowledged}
+          onCheck={(event, isChecked) => onAcknowledge(isChecked)}
+        />
+      )}
+    </div>
+  );
+};
+
+CampaignScriptLint.propTypes = {
+  issues: PropTypes.arrayOf(PropTypes.object).isRequired,
+  acknowledged: PropTypes.bool.isRequired,
+  onAcknowledge: PropTypes.func.isRequired
+};
+
+export default CampaignScriptLint;
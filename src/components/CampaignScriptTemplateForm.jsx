@@ -0,0 +1,210 @@
+import React from "react";
+import PropTypes from "prop-types";
+import * as yup from "yup";
+import Form from "react-formal";
+import moment from "moment";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+import TextField from "material-ui/TextField";
+import RaisedButton from "material-ui/RaisedButton";
+
+import GSForm from "./forms/GSForm";
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const formSchema = yup.object({});
+
+const NO_TEMPLATE_VALUE = "none";
+const NEW_TEMPLATE_VALUE = "new";
+
+const versionLabel = version =>
+  `Version ${version.version} (${moment(version.createdAt).format("ll")})`;
+
+class CampaignScriptTemplateForm extends React.Component {
+  state = {
+    saveTemplateId: NEW_TEMPLATE_VALUE,
+    saveName: "",
+    isSavingToLibrary: false
+  };
+
+  selectedTemplate() {
+    const { scriptTemplateVersion } = this.props.formValues;
+    return (
+      scriptTemplateVersion &&
+      this.props.orgScriptTemplates.find(
+        template => template.id === scriptTemplateVersion.template.id
+      )
+    );
+  }
+
+  selectVersion = (template, version) =>
+    this.props.onChange({
+      scriptTemplateVersion: {
+        id: version.id,
+        version: version.version,
+        template: { id: template.id, name: template.name }
+      }
+    });
+
+  handleTemplateChange = (event, index, templateId) => {
+    if (templateId === NO_TEMPLATE_VALUE) {
+      this.props.onChange({ scriptTemplateVersion: null });
+      return;
+    }
+    const template = this.props.orgScriptTemplates.find(
+      orgTemplate => orgTemplate.id === templateId
+    );
+    this.selectVersion(template, template.latestVersion);
+  };
+
+  handleVersionChange = (event, index, versionId) => {
+    const template = this.selectedTemplate();
+    this.selectVersion(
+      template,
+      template.versions.find(version => version.id === versionId)
+    );
+  };
+
+  handleSaveToLibrary = async () => {
+    const { saveTemplateId, saveName } = this.state;
+    this.setState({ isSavingToLibrary: true });
+    try {
+      await this.props.onSaveToLibrary({
+        name: saveName,
+        scriptTemplateId:
+          saveTemplateId === NEW_TEMPLATE_VALUE ? null : saveTemplateId
+      });
+      this.setState({ saveName: "" });
+    } finally {
+      this.setState({ isSavingToLibrary: false });
+    }
+  };
+
+  renderSaveToLibrary() {
+    const { orgScriptTemplates } = this.props;
+    const { saveTemplateId, saveName, isSavingToLibrary } = this.state;
+    const isNewTemplate = saveTemplateId === NEW_TEMPLATE_VALUE;
+    return (
+      <div>
+        <h3>Save this campaign's scripts to the library</h3>
+        <SelectField
+          floatingLabelText="Save as"
+          value={saveTemplateId}
+          onChange={(event, index, value) =>
+            this.setState({ saveTemplateId: value })
+          }
+        >
+          <MenuItem value={NEW_TEMPLATE_VALUE} primaryText="A new template" />
+          {orgScriptTemplates.map(template => (
+            <MenuItem
+              key={template.id}
+              value={template.id}
+              primaryText={`A new version of ${template.name}`}
+            />
+          ))}
+        </SelectField>
+        {isNewTemplate && (
+          <TextField
+            floatingLabelText="Template name"
+            value={saveName}
+            onChange={event => this.setState({ saveName: event.target.value })}
+            style={{ marginLeft: 20 }}
+          />
+        )}
+        <br />
+        <RaisedButton
+          label={isSavingToLibrary ? "Saving..." : "Save to library"}
+          disabled={
+            isSavingToLibrary || (isNewTemplate && saveName.trim() === "")
+          }
+          onClick={this.handleSaveToLibrary}
+        />
+        <p>
+          Save any unsaved changes to Interactions and Canned Responses first.
+        </p>
+      </div>
+    );
+  }
+
+  render() {
+    const {
+      saveLabel,
+      saveDisabled,
+      formValues,
+      orgScriptTemplates,
+      ensureComplete,
+      onChange,
+      onSubmit
+    } = this.props;
+    const { scriptTemplateVersion } = formValues;
+    const template = this.selectedTemplate();
+
+    return (
+      <GSForm
+        schema={formSchema}
+        value={formValues}
+        onChange={onChange}
+        onSubmit={onSubmit}
+      >
+        <CampaignFormSectionHeading
+          title="Script library"
+          subtitle="Start from interactions and canned responses saved in your organization's script library. Questions and answers are copied exactly, so results can be compared with other campaigns that used the same template."
+        />
+
+        <SelectField
+          floatingLabelText="Template"
+          value={template ? template.id : NO_TEMPLATE_VALUE}
+          disabled={ensureComplete}
+          onChange={this.handleTemplateChange}
+        >
+          <MenuItem value={NO_TEMPLATE_VALUE} primaryText="None" />
+          {orgScriptTemplates.map(orgTemplate => (
+            <MenuItem
+              key={orgTemplate.id}
+              value={orgTemplate.id}
+              primaryText={orgTemplate.name}
+            />
+          ))}
+        </SelectField>
+        {template && (
+          <SelectField
+            floatingLabelText="Version"
+            value={scriptTemplateVersion.id}
+            disabled={ensureComplete}
+            onChange={this.handleVersionChange}
+            style={{ marginLeft: 20 }}
+          >
+            {template.versions.map(version => (
+              <MenuItem
+                key={version.id}
+                value={version.id}
+                primaryText={versionLabel(version)}
+              />
+            ))}
+          </SelectField>
+        )}
+        <p>
+          {ensureComplete
+            ? "Templates can only be used before the campaign starts."
+            : "Saving replaces this campaign's interactions, canned responses and languages with the template's."}
+        </p>
+
+        <Form.Button type="submit" disabled={saveDisabled} label={saveLabel} />
+
+        {this.renderSaveToLibrary()}
+      </GSForm>
+    );
+  }
+}
+
+CampaignScriptTemplateForm.propTypes = {
+  formValues: PropTypes.object.isRequired,
+  orgScriptTemplates: PropTypes.arrayOf(PropTypes.object).isRequired,
+  ensureComplete: PropTypes.bool,
+  saveDisabled: PropTypes.bool.isRequired,
+  saveLabel: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onSaveToLibrary: PropTypes.func.isRequired
+};
+
+export default CampaignScriptTemplateForm;
@@ -3,6 +3,7 @@ import React from "react";
 import Popover from "material-ui/Popover";
 import { List } from "material-ui/List";
 import ScriptList from "./ScriptList";
+import { getCannedResponseText } from "../lib/scripts";
 
 const styles = {
   popover: {
@@ -46,10 +47,16 @@ class CannedResponseMenu extends React.Component {
     const {
       userCannedResponses,
       campaignCannedResponses,
+      language,
       open,
       onRequestClose,
       anchorEl
     } = this.props;
+    const translatedCannedResponses = campaignCannedResponses.map(response =>
+      Object.assign({}, response, {
+        text: getCannedResponseText(response, language)
+      })
+    );
 
     return (
       <div>
@@ -67,7 +74,7 @@ class CannedResponseMenu extends React.Component {
         >
           <List>
             {this.renderCannedResponses({
-              scripts: campaignCannedResponses,
+              scripts: translatedCannedResponses,
               subheader: "Suggested",
               showAddScriptButton: false
             })}
@@ -88,7 +95,8 @@ CannedResponseMenu.propTypes = {
   open: type.bool,
   anchorEl: type.object,
   campaignId: type.string,
-  campaignCannedResponses: type.array
+  campaignCannedResponses: type.array,
+  language: type.string
 };
 
 export default CannedResponseMenu;
@@ -0,0 +1,55 @@
+import PropTypes from "prop-types";
+import React from "react";
+import moment from "moment";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+const errorStyle = {
+  whiteSpace: "normal",
+  wordBreak: "break-word"
+};
+
+const FailedMessageList = ({ messages }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Contact</TableHeaderColumn>
+        <TableHeaderColumn>Created</TableHeaderColumn>
+        <TableHeaderColumn>Attempts</TableHeaderColumn>
+        <TableHeaderColumn>Last Error</TableHeaderColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {messages.map(message => (
+        <TableRow key={message.id}>
+          <TableRowColumn>{message.contactNumber}</TableRowColumn>
+          <TableRowColumn>{moment(message.createdAt).fromNow()}</TableRowColumn>
+          <TableRowColumn>{message.sendAttempts}</TableRowColumn>
+          <TableRowColumn style={errorStyle}>
+            {message.lastError}
+          </TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+FailedMessageList.propTypes = {
+  messages: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      contactNumber: PropTypes.string,
+      createdAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+      sendAttempts: PropTypes.number,
+      lastError: PropTypes.string
+    })
+  ).isRequired
+};
+
+export default FailedMessageList;
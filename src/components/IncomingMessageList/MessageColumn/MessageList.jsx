@@ -4,6 +4,8 @@ import moment from "moment-timezone";
 import loadData from "../../../containers/hoc/load-data";
 import gql from "graphql-tag";
 import { StyleSheet, css } from "aphrodite";
+import MessageMedia from "../../MessageMedia";
+import { messageComponents } from "../../../lib/scripts";
 
 const styles = StyleSheet.create({
   conversationRow: {
@@ -54,7 +56,8 @@ class MessageList extends Component {
           return (
             <div key={index} style={containerStyle}>
               <p className={css(styles.conversationRow)} style={messageStyle}>
-                {message.text}
+                {messageComponents(message.text).body}
+                <MessageMedia mediaUrls={message.mediaUrls} />
               </p>
               <p style={senderInfoStyle}>
                 {message.isFromContact
@@ -63,9 +66,13 @@ class MessageList extends Component {
                     ? `Carrier rejected this message sent by ${senderName} at ${moment(
                         message.createdAt
                       ).fromNow()}`
-                    : `Sent by ${senderName} ${moment(
-                        message.createdAt
-                      ).fromNow()}`}
+                    : message.sendStatus == "DEAD_LETTER"
+                      ? `Failed to send this message from ${senderName}, written ${moment(
+                          message.createdAt
+                        ).fromNow()}`
+                      : `Sent by ${senderName} ${moment(
+                          message.createdAt
+                        ).fromNow()}`}
               </p>
             </div>
           );
@@ -148,6 +148,7 @@ const mapMutationsToProps = () => ({
             createdAt
             userId
             text
+            mediaUrls
             isFromContact
           }
         }
@@ -338,6 +338,7 @@ const mapQueriesToProps = ({ ownProps }) => ({
               messages {
                 id
                 text
+                mediaUrls
                 isFromContact
                 createdAt
                 userId
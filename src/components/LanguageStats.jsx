@@ -0,0 +1,59 @@
+import PropTypes from "prop-types";
+import React from "react";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+const formatRate = rate =>
+  rate === null || rate === undefined ? "-" : `${Math.round(rate * 100)}%`;
+
+// Compare how contacts in each language responded
+const LanguageStats = ({ languages }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Language</TableHeaderColumn>
+        <TableHeaderColumn>Contacts</TableHeaderColumn>
+        <TableHeaderColumn>Messaged</TableHeaderColumn>
+        <TableHeaderColumn>Reply Rate</TableHeaderColumn>
+        <TableHeaderColumn>Opt-out Rate</TableHeaderColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {languages.map(language => (
+        <TableRow key={language.language}>
+          <TableRowColumn>
+            {language.isTranslated
+              ? language.languageName
+              : `${language.languageName} (no translation)`}
+          </TableRowColumn>
+          <TableRowColumn>{language.contactCount}</TableRowColumn>
+          <TableRowColumn>{language.messagedCount}</TableRowColumn>
+          <TableRowColumn>{formatRate(language.replyRate)}</TableRowColumn>
+          <TableRowColumn>{formatRate(language.optOutRate)}</TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+LanguageStats.propTypes = {
+  languages: PropTypes.arrayOf(
+    PropTypes.shape({
+      language: PropTypes.string,
+      languageName: PropTypes.string,
+      isTranslated: PropTypes.bool,
+      contactCount: PropTypes.number,
+      messagedCount: PropTypes.number,
+      replyRate: PropTypes.number,
+      optOutRate: PropTypes.number
+    })
+  ).isRequired
+};
+
+export default LanguageStats;
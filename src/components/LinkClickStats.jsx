@@ -0,0 +1,108 @@
+import PropTypes from "prop-types";
+import React from "react";
+import moment from "moment";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+const scriptStyle = {
+  whiteSpace: "normal",
+  wordBreak: "break-word"
+};
+
+const formatRate = rate =>
+  rate === null || rate === undefined ? "-" : `${Math.round(rate * 100)}%`;
+
+const scriptText = interactionStep =>
+  interactionStep
+    ? interactionStep.scriptOptions.join(" / ")
+    : "Other messages";
+
+export const ScriptLinkClickList = ({ scriptStats }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Script</TableHeaderColumn>
+        <TableHeaderColumn>Contacts Sent Links</TableHeaderColumn>
+        <TableHeaderColumn>Clicks</TableHeaderColumn>
+        <TableHeaderColumn>Click-Through Rate</TableHeaderColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {scriptStats.map(({ interactionStep, stats }) => (
+        <TableRow key={interactionStep ? interactionStep.id : "other"}>
+          <TableRowColumn style={scriptStyle}>
+            {scriptText(interactionStep)}
+          </TableRowColumn>
+          <TableRowColumn>{stats.recipientCount}</TableRowColumn>
+          <TableRowColumn>{stats.clickCount}</TableRowColumn>
+          <TableRowColumn>{formatRate(stats.clickThroughRate)}</TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+ScriptLinkClickList.propTypes = {
+  scriptStats: PropTypes.arrayOf(
+    PropTypes.shape({
+      interactionStep: PropTypes.shape({
+        id: PropTypes.string,
+        scriptOptions: PropTypes.arrayOf(PropTypes.string)
+      }),
+      stats: PropTypes.shape({
+        recipientCount: PropTypes.number,
+        clickCount: PropTypes.number,
+        clickThroughRate: PropTypes.number
+      })
+    })
+  ).isRequired
+};
+
+export const ContactLinkClickList = ({ contacts }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Contact</TableHeaderColumn>
+        <TableHeaderColumn>Cell</TableHeaderColumn>
+        <TableHeaderColumn>Links Sent</TableHeaderColumn>
+        <TableHeaderColumn>Clicks</TableHeaderColumn>
+        <TableHeaderColumn>Last Clicked</TableHeaderColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {contacts.map(contact => (
+        <TableRow key={contact.campaignContactId}>
+          <TableRowColumn>
+            {contact.firstName} {contact.lastName}
+          </TableRowColumn>
+          <TableRowColumn>{contact.cell}</TableRowColumn>
+          <TableRowColumn>{contact.linkCount}</TableRowColumn>
+          <TableRowColumn>{contact.clickCount}</TableRowColumn>
+          <TableRowColumn>
+            {contact.lastClickedAt && moment(contact.lastClickedAt).fromNow()}
+          </TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+ContactLinkClickList.propTypes = {
+  contacts: PropTypes.arrayOf(
+    PropTypes.shape({
+      campaignContactId: PropTypes.string,
+      firstName: PropTypes.string,
+      lastName: PropTypes.string,
+      cell: PropTypes.string,
+      linkCount: PropTypes.number,
+      clickCount: PropTypes.number,
+      lastClickedAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object])
+    })
+  ).isRequired
+};
@@ -5,6 +5,8 @@ import moment from "moment";
 import ProhibitedIcon from "material-ui/svg-icons/av/not-interested";
 import Divider from "material-ui/Divider";
 import { red300 } from "material-ui/styles/colors";
+import MessageMedia from "./MessageMedia";
+import { messageComponents } from "../lib/scripts";
 
 const styles = {
   optOut: {
@@ -71,7 +73,12 @@ const MessageList = function MessageList(props) {
             style={style}
             key={message.id}
             primaryText={
-              <span style={{ whiteSpace: "pre-wrap" }}>{message.text}</span>
+              <div>
+                <span style={{ whiteSpace: "pre-wrap" }}>
+                  {messageComponents(message.text).body}
+                </span>
+                <MessageMedia mediaUrls={message.mediaUrls} />
+              </div>
             }
             secondaryText={`${moment(message.createdAt).fromNow()}`}
           />
@@ -0,0 +1,36 @@
+import PropTypes from "prop-types";
+import React from "react";
+
+const styles = {
+  container: {
+    display: "flex",
+    flexWrap: "wrap",
+    marginTop: 5
+  },
+  thumbnail: {
+    maxWidth: 120,
+    maxHeight: 120,
+    marginRight: 5,
+    marginBottom: 5,
+    borderRadius: 3,
+    backgroundColor: "white"
+  }
+};
+
+// Thumbnails of a message's media attachments, each linking to the full-size file
+const MessageMedia = ({ mediaUrls }) =>
+  mediaUrls && mediaUrls.length > 0 ? (
+    <span style={styles.container}>
+      {mediaUrls.map(url => (
+        <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+          <img src={url} alt="Attachment" style={styles.thumbnail} />
+        </a>
+      ))}
+    </span>
+  ) : null;
+
+MessageMedia.propTypes = {
+  mediaUrls: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default MessageMedia;
@@ -7,8 +7,13 @@ import {
   Editor,
   Modifier
 } from "draft-js";
-import { delimit, escapeRegExp } from "../lib/scripts";
+import FlatButton from "material-ui/FlatButton";
+import TextField from "material-ui/TextField";
+import { delimit, mediaMarkup, messageComponents } from "../lib/scripts";
+import { isTemplateTag } from "../lib/script-template";
 import Chip from "./Chip";
+import MessageMedia from "./MessageMedia";
+import SegmentCount from "./SegmentCount";
 import { red400, green500, green600, grey100 } from "material-ui/styles/colors";
 
 const styles = {
@@ -42,6 +47,15 @@ const styles = {
   scriptFieldButtonSection: {
     marginTop: 10,
     padding: 5
+  },
+  templateHelp: {
+    fontSize: 12,
+    color: "#666"
+  },
+  mediaSection: {
+    display: "flex",
+    alignItems: "baseline",
+    padding: 5
   }
 };
 
@@ -82,7 +96,8 @@ class ScriptEditor extends React.Component {
 
     const editorState = this.getEditorState();
     this.state = {
-      editorState
+      editorState,
+      mediaUrl: ""
     };
   }
 
@@ -129,16 +144,16 @@ class ScriptEditor extends React.Component {
   }
 
   getCompositeDecorator(scriptFields) {
-    const recognizedFieldStrategy = (contentBlock, callback) => {
-      const regex = new RegExp(
-        `\{(${scriptFields.map(escapeRegExp).join("|")})\}`,
-        "g"
-      );
-      return findWithRegex(regex, contentBlock, callback);
-    };
-
-    const unrecognizedFieldStrategy = (contentBlock, callback) =>
-      findWithRegex(/\{[^{]*\}/g, contentBlock, callback);
+    // Tags are highlighted as recognized when they are valid template tags for known fields
+    const createTagStrategy = isRecognized => (contentBlock, callback) =>
+      findWithRegex(/\{([^{}]*)\}/g, contentBlock, (start, end) => {
+        const body = contentBlock.getText().slice(start + 1, end - 1);
+        if (isTemplateTag(body, scriptFields) === isRecognized) {
+          callback(start, end);
+        }
+      });
+    const recognizedFieldStrategy = createTagStrategy(true);
+    const unrecognizedFieldStrategy = createTagStrategy(false);
 
     return new CompositeDecorator([
       {
@@ -170,6 +185,55 @@ class ScriptEditor extends React.Component {
     this.setState({ editorState: newEditorState }, this.focus);
   };
 
+  addMedia = () => {
+    const { editorState, mediaUrl } = this.state;
+    const contentState = editorState.getCurrentContent();
+    // Append to the end so the attachment doesn't split the message text
+    const lastBlock = contentState.getLastBlock();
+    const endOfText = editorState.getSelection().merge({
+      anchorKey: lastBlock.getKey(),
+      anchorOffset: lastBlock.getLength(),
+      focusKey: lastBlock.getKey(),
+      focusOffset: lastBlock.getLength()
+    });
+    const padding = contentState.getPlainText() === "" ? "" : " ";
+    const newContentState = Modifier.insertText(
+      contentState,
+      endOfText,
+      `${padding}${mediaMarkup(mediaUrl.trim())}`
+    );
+    this.setState({ mediaUrl: "" }, () =>
+      this.onEditorChange(
+        EditorState.push(editorState, newContentState, "insert-characters")
+      )
+    );
+  };
+
+  renderMedia() {
+    const { mediaUrl } = this.state;
+    const { mediaUrls } = messageComponents(this.getValue());
+    const isValidUrl = /^https?:\/\/\S+$/.test(mediaUrl.trim());
+    return (
+      <div>
+        <MessageMedia mediaUrls={mediaUrls} />
+        <div style={styles.mediaSection}>
+          <TextField
+            name="mediaUrl"
+            hintText="https://example.com/image.jpg"
+            floatingLabelText="Image URL"
+            value={mediaUrl}
+            onChange={event => this.setState({ mediaUrl: event.target.value })}
+          />
+          <FlatButton
+            label="Attach image"
+            disabled={!isValidUrl}
+            onClick={this.addMedia}
+          />
+        </div>
+      </div>
+    );
+  }
+
   renderCustomFields() {
     const { scriptFields } = this.props;
     return (
@@ -182,6 +246,11 @@ class ScriptEditor extends React.Component {
             onTouchTap={() => this.addCustomField(field)}
           />
         ))}
+        <p style={styles.templateHelp}>
+          Use {"{firstName|friend}"} for a fallback when a field is blank,{" "}
+          {"{firstName|upper}"}, {"|lower"} or {"|title"} to format it, and{" "}
+          {'{#if field = "value"}...{else}...{/if}'} to vary the text.
+        </p>
       </div>
     );
   }
@@ -200,7 +269,9 @@ class ScriptEditor extends React.Component {
             spellCheck
           />
         </div>
+        <SegmentCount text={this.getValue()} />
         {this.renderCustomFields()}
+        {this.renderMedia()}
       </div>
     );
   }
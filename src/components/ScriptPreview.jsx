@@ -0,0 +1,287 @@
+import PropTypes from "prop-types";
+import React from "react";
+import gql from "graphql-tag";
+import { Card, CardHeader, CardText } from "material-ui/Card";
+import FlatButton from "material-ui/FlatButton";
+import MenuItem from "material-ui/MenuItem";
+import SelectField from "material-ui/SelectField";
+import TextField from "material-ui/TextField";
+import { red100, red600 } from "material-ui/styles/colors";
+
+import loadData from "../containers/hoc/load-data";
+import { makeTree } from "../lib";
+import { getLanguageName, getScriptLanguage } from "../lib/languages";
+import {
+  applyScriptParts,
+  getScriptOptions,
+  messageComponents
+} from "../lib/scripts";
+import { getSegmentInfo } from "../lib/sms-segments";
+import theme from "../styles/theme";
+
+const styles = {
+  controls: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "baseline"
+  },
+  control: {
+    marginRight: 20
+  },
+  step: {
+    marginLeft: 20,
+    paddingLeft: 10,
+    borderLeft: `3px dashed ${theme.colors.veryLightGray}`
+  },
+  script: {
+    whiteSpace: "pre-wrap",
+    marginBottom: 4
+  },
+  segments: {
+    fontSize: 12,
+    color: theme.colors.gray,
+    marginBottom: 12
+  },
+  emptyField: {
+    backgroundColor: red100,
+    color: red600
+  }
+};
+
+const contactName = contact =>
+  `${contact.firstName || ""} ${contact.lastName || ""}`.trim() || contact.cell;
+
+// Show the interaction step tree as a chosen contact would receive it, from a chosen texter
+class ScriptPreview extends React.Component {
+  state = {
+    search: "",
+    contactId: null,
+    texterId: null
+  };
+
+  handleSearchChange = event => this.setState({ search: event.target.value });
+
+  handleSearch = async () => {
+    this.setState({ contactId: null });
+    await this.props.previewData.refetch({ search: this.state.search.trim() });
+  };
+
+  handleShuffle = async () => {
+    this.setState({ search: "", contactId: null });
+    await this.props.previewData.refetch({ search: "" });
+  };
+
+  handleContactChange = (event, index, contactId) =>
+    this.setState({ contactId });
+
+  handleTexterChange = (event, index, texterId) => this.setState({ texterId });
+
+  renderScript(script, contact, texter) {
+    const { customFields } = this.props;
+    const parts = applyScriptParts({
+      script,
+      // The JSON scalar can arrive parsed; scripts read custom fields from the raw JSON string
+      contact: Object.assign({}, contact, {
+        customFields:
+          typeof contact.customFields === "string"
+            ? contact.customFields
+            : JSON.stringify(contact.customFields || {})
+      }),
+      customFields,
+      texter
+    });
+    const text = parts.map(part => part.text).join("");
+    const { segmentCount, encoding } = getSegmentInfo(
+      messageComponents(text).body
+    );
+    return (
+      <div key={script}>
+        <div style={styles.script}>
+          {parts.map(
+            (part, index) =>
+              part.isEmpty ? (
+                <span
+                  key={index}
+                  style={styles.emptyField}
+                  title="This field is empty for this contact"
+                >
+                  {`{${part.field}}`}
+                </span>
+              ) : (
+                part.text
+              )
+          )}
+        </div>
+        <div style={styles.segments}>
+          {segmentCount} {segmentCount === 1 ? "segment" : "segments"} (
+          {encoding})
+        </div>
+      </div>
+    );
+  }
+
+  renderStep(step, contact, texter, language) {
+    const scripts = (getScriptOptions(step, language) || []).filter(
+      script => script.trim() !== ""
+    );
+    return (
+      <div key={step.id} style={step.parentInteractionId ? styles.step : {}}>
+        {step.parentInteractionId && <h4>Answer: {step.answerOption}</h4>}
+        {scripts.map(script => this.renderScript(script, contact, texter))}
+        {step.questionText && <p>Question: {step.questionText}</p>}
+        {step.interactionSteps
+          .filter(childStep => !childStep.isDeleted)
+          .map(childStep =>
+            this.renderStep(childStep, contact, texter, language)
+          )}
+      </div>
+    );
+  }
+
+  renderPreview() {
+    const {
+      interactionSteps,
+      texters,
+      primaryLanguage,
+      translationLanguages,
+      previewData
+    } = this.props;
+    const { previewContacts } = previewData.campaign;
+    const { search, contactId, texterId } = this.state;
+
+    const contact =
+      previewContacts.find(previewContact => previewContact.id === contactId) ||
+      previewContacts[0];
+    const texter =
+      texters.find(orgTexter => orgTexter.id === texterId) || texters[0];
+    const hasSteps = interactionSteps.some(
+      step => step.parentInteractionId === null
+    );
+    const language =
+      contact &&
+      getScriptLanguage(
+        contact.language,
+        primaryLanguage,
+        translationLanguages
+      );
+
+    return (
+      <div>
+        <div style={styles.controls}>
+          <TextField
+            floatingLabelText="Find a contact by name or cell"
+            value={search}
+            onChange={this.handleSearchChange}
+            onKeyDown={event => event.keyCode === 13 && this.handleSearch()}
+            style={styles.control}
+          />
+          <FlatButton label="Find" onClick={this.handleSearch} />
+          <FlatButton label="Random contacts" onClick={this.handleShuffle} />
+        </div>
+        <div style={styles.controls}>
+          <SelectField
+            floatingLabelText="Contact"
+            value={contact ? contact.id : null}
+            onChange={this.handleContactChange}
+            style={styles.control}
+          >
+            {previewContacts.map(previewContact => (
+              <MenuItem
+                key={previewContact.id}
+                value={previewContact.id}
+                primaryText={contactName(previewContact)}
+              />
+            ))}
+          </SelectField>
+          <SelectField
+            floatingLabelText="Texter"
+            value={texter ? texter.id : null}
+            onChange={this.handleTexterChange}
+            style={styles.control}
+          >
+            {texters.map(orgTexter => (
+              <MenuItem
+                key={orgTexter.id}
+                value={orgTexter.id}
+                primaryText={orgTexter.displayName}
+              />
+            ))}
+          </SelectField>
+        </div>
+        {!contact && (
+          <p>
+            {search
+              ? "No contacts match your search."
+              : "Upload contacts to preview the scripts."}
+          </p>
+        )}
+        {contact &&
+          translationLanguages.length > 0 && (
+            <p>Scripts in {getLanguageName(language)}</p>
+          )}
+        {contact &&
+          texter &&
+          hasSteps &&
+          this.renderStep(
+            makeTree(interactionSteps),
+            contact,
+            texter,
+            language
+          )}
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <Card style={{ marginBottom: 24 }}>
+        <CardHeader
+          title="Preview"
+          subtitle="See each script as a contact will receive it. Empty fields are highlighted."
+          actAsExpander={true}
+          showExpandableButton={true}
+        />
+        <CardText expandable={true}>{this.renderPreview()}</CardText>
+      </Card>
+    );
+  }
+}
+
+ScriptPreview.propTypes = {
+  campaignId: PropTypes.string.isRequired,
+  interactionSteps: PropTypes.arrayOf(PropTypes.object).isRequired,
+  customFields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  texters: PropTypes.arrayOf(PropTypes.object).isRequired,
+  primaryLanguage: PropTypes.string.isRequired,
+  translationLanguages: PropTypes.arrayOf(PropTypes.string).isRequired,
+  previewData: PropTypes.object
+};
+
+const mapQueriesToProps = ({ ownProps }) => ({
+  previewData: {
+    query: gql`
+      query getScriptPreviewContacts($campaignId: String!, $search: String) {
+        campaign(id: $campaignId) {
+          id
+          previewContacts(search: $search, limit: 20) {
+            id
+            firstName
+            lastName
+            cell
+            zip
+            external_id
+            language
+            customFields
+          }
+        }
+      }
+    `,
+    variables: {
+      campaignId: ownProps.campaignId,
+      search: ""
+    },
+    forceFetch: true
+  }
+});
+
+export default loadData(ScriptPreview, { mapQueriesToProps });
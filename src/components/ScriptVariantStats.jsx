@@ -0,0 +1,80 @@
+import PropTypes from "prop-types";
+import React from "react";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+const scriptStyle = {
+  whiteSpace: "normal",
+  wordBreak: "break-word"
+};
+
+const formatRate = rate =>
+  rate === null || rate === undefined ? "-" : `${Math.round(rate * 100)}%`;
+
+const formatAnswers = (answers, contactCount) =>
+  answers.length === 0
+    ? "-"
+    : answers
+        .map(
+          ({ value, count }) =>
+            `${value}: ${count} (${formatRate(count / contactCount)})`
+        )
+        .join(", ");
+
+// Compare the responses to each script option of a step
+const ScriptVariantStats = ({ variants }) => (
+  <Table selectable={false}>
+    <TableHeader enableSelectAll={false} displaySelectAll={false}>
+      <TableRow>
+        <TableHeaderColumn>Variant</TableHeaderColumn>
+        <TableHeaderColumn>Script</TableHeaderColumn>
+        <TableHeaderColumn>Contacts</TableHeaderColumn>
+        <TableHeaderColumn>Reply Rate</TableHeaderColumn>
+        <TableHeaderColumn>Opt-out Rate</TableHeaderColumn>
+        <TableHeaderColumn>Answers</TableHeaderColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody displayRowCheckbox={false}>
+      {variants.map(variant => (
+        <TableRow key={variant.variant}>
+          <TableRowColumn>
+            {String.fromCharCode(65 + variant.variant)}
+          </TableRowColumn>
+          <TableRowColumn style={scriptStyle}>{variant.script}</TableRowColumn>
+          <TableRowColumn>{variant.contactCount}</TableRowColumn>
+          <TableRowColumn>{formatRate(variant.replyRate)}</TableRowColumn>
+          <TableRowColumn>{formatRate(variant.optOutRate)}</TableRowColumn>
+          <TableRowColumn style={scriptStyle}>
+            {formatAnswers(variant.answers, variant.contactCount)}
+          </TableRowColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+ScriptVariantStats.propTypes = {
+  variants: PropTypes.arrayOf(
+    PropTypes.shape({
+      variant: PropTypes.number,
+      script: PropTypes.string,
+      contactCount: PropTypes.number,
+      replyRate: PropTypes.number,
+      optOutRate: PropTypes.number,
+      answers: PropTypes.arrayOf(
+        PropTypes.shape({
+          value: PropTypes.string,
+          count: PropTypes.number
+        })
+      )
+    })
+  ).isRequired
+};
+
+export default ScriptVariantStats;
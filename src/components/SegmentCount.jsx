@@ -0,0 +1,53 @@
+import PropTypes from "prop-types";
+import React from "react";
+import { grey500, orange800 } from "material-ui/styles/colors";
+import { messageComponents } from "../lib/scripts";
+import { getSegmentInfo, SmsEncoding } from "../lib/sms-segments";
+
+const styles = {
+  container: {
+    fontSize: 12,
+    color: grey500,
+    marginTop: 4
+  },
+  warning: {
+    color: orange800
+  }
+};
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+// Live character, encoding and segment counts for a message body
+const SegmentCount = ({ text, style }) => {
+  const { body } = messageComponents(text);
+  const {
+    encoding,
+    characterCount,
+    segmentCount,
+    charactersPerSegment,
+    nonGsmCharacters
+  } = getSegmentInfo(body);
+
+  return (
+    <div style={Object.assign({}, styles.container, style)}>
+      {`${pluralize(characterCount, "character")} · ${encoding} · ${pluralize(
+        segmentCount,
+        "segment"
+      )}`}
+      {encoding === SmsEncoding.UCS2 && (
+        <div style={styles.warning}>
+          {`${nonGsmCharacters.map(char => `"${char}"`).join(", ")} ${
+            nonGsmCharacters.length === 1 ? "forces" : "force"
+          } UCS-2 encoding, which allows only ${charactersPerSegment} characters per segment.`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+SegmentCount.propTypes = {
+  text: PropTypes.string,
+  style: PropTypes.object
+};
+
+export default SegmentCount;
@@ -0,0 +1,129 @@
+import PropTypes from "prop-types";
+import React from "react";
+import FlatButton from "material-ui/FlatButton";
+import MenuItem from "material-ui/MenuItem";
+import SelectField from "material-ui/SelectField";
+import TextField from "material-ui/TextField";
+
+const METHODS = ["POST", "PUT", "PATCH", "GET", "DELETE"];
+
+const headersToText = headers =>
+  Object.keys(headers || {})
+    .map(name => `${name}: ${headers[name]}`)
+    .join("\n");
+
+// Lines without a colon are ignored until they are finished
+const textToHeaders = text =>
+  text.split("\n").reduce((headers, line) => {
+    const separator = line.indexOf(":");
+    if (separator < 1) return headers;
+    return Object.assign(headers, {
+      [line.slice(0, separator).trim()]: line.slice(separator + 1).trim()
+    });
+  }, {});
+
+const bodyTemplateError = bodyTemplate => {
+  if (!bodyTemplate) return undefined;
+  try {
+    JSON.parse(bodyTemplate);
+    return undefined;
+  } catch (err) {
+    return "The body must be valid JSON";
+  }
+};
+
+// Settings for the webhook action on an answer
+class WebhookActionForm extends React.Component {
+  state = {
+    headersText: headersToText(this.props.value.headers)
+  };
+
+  handleChange = changes =>
+    this.props.onChange(Object.assign({}, this.props.value, changes));
+
+  handleHeadersChange = (event, headersText) => {
+    this.setState({ headersText });
+    this.handleChange({ headers: textToHeaders(headersText) });
+  };
+
+  render() {
+    const { value } = this.props;
+    const { headersText } = this.state;
+
+    return (
+      <div>
+        <TextField
+          floatingLabelText="Webhook URL"
+          hintText="https://example.com/spoke-webhook"
+          value={value.url || ""}
+          onChange={(event, url) => this.handleChange({ url })}
+          fullWidth
+        />
+        <SelectField
+          floatingLabelText="Method"
+          value={value.method || "POST"}
+          onChange={(event, index, method) => this.handleChange({ method })}
+        >
+          {METHODS.map(method => (
+            <MenuItem key={method} value={method} primaryText={method} />
+          ))}
+        </SelectField>
+        <TextField
+          floatingLabelText="Headers"
+          hintText="One per line, e.g. Authorization: Bearer abc123"
+          value={headersText}
+          onChange={this.handleHeadersChange}
+          multiLine
+          fullWidth
+        />
+        <TextField
+          floatingLabelText="Signing secret"
+          hintText={
+            value.hasSigningSecret
+              ? "Leave blank to keep the saved secret"
+              : "Optional, used to sign each request"
+          }
+          type="password"
+          value={value.signingSecret || ""}
+          onChange={(event, signingSecret) =>
+            this.handleChange({ signingSecret })
+          }
+          fullWidth
+        />
+        {value.hasSigningSecret && (
+          <FlatButton
+            label="Remove saved secret"
+            onTouchTap={() =>
+              this.handleChange({ hasSigningSecret: false, signingSecret: "" })
+            }
+          />
+        )}
+        <TextField
+          floatingLabelText="Body"
+          hintText={'{"phone": "{cell}", "answer": "{answer}"}'}
+          value={value.bodyTemplate || ""}
+          errorText={bodyTemplateError(value.bodyTemplate)}
+          onChange={(event, bodyTemplate) =>
+            this.handleChange({ bodyTemplate })
+          }
+          multiLine
+          fullWidth
+        />
+      </div>
+    );
+  }
+}
+
+WebhookActionForm.propTypes = {
+  value: PropTypes.shape({
+    url: PropTypes.string,
+    method: PropTypes.string,
+    headers: PropTypes.object,
+    signingSecret: PropTypes.string,
+    hasSigningSecret: PropTypes.bool,
+    bodyTemplate: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default WebhookActionForm;
@@ -4,6 +4,7 @@ import pick from "lodash/pick";
 import GSFormField from "./GSFormField";
 import { allScriptFields } from "../../lib/scripts";
 import ScriptEditor from "../ScriptEditor";
+import SegmentCount from "../SegmentCount";
 import Dialog from "material-ui/Dialog";
 import FlatButton from "material-ui/FlatButton";
 import RaisedButton from "material-ui/RaisedButton";
@@ -114,6 +115,7 @@ class GSScriptField extends GSFormField {
           }}
           {...passThroughProps}
         />
+        <SegmentCount text={this.props.value} />
         {this.renderDialog()}
       </div>
     );
@@ -138,7 +138,7 @@ class GSScriptOptionsField extends GSFormField {
 
     return (
       <div>
-        Scripts
+        {this.props.title}
         <IconButton
           tooltip="For best deliverability results add a few versions of the script with
           different wordings. This makes your texts look more natural."
@@ -191,8 +191,13 @@ class GSScriptOptionsField extends GSFormField {
   }
 }
 
+GSScriptOptionsField.defaultProps = {
+  title: "Scripts"
+};
+
 GSScriptOptionsField.propTypes = {
   value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  title: PropTypes.string,
   customFields: PropTypes.arrayOf(PropTypes.string).isRequired,
   name: PropTypes.string,
   className: PropTypes.string,
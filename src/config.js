@@ -14,7 +14,31 @@ if (isClient()) {
   const validators = {
     ACTION_HANDLERS: str({
       desc: "Comma-separated list of action handlers to enable.",
-      example: "actionkit-rsvp,revere-signup",
+      example: "actionkit-rsvp,revere-signup,webhook",
+      default: undefined
+    }),
+    ACTION_HANDLER_LEASE_SECONDS: num({
+      desc:
+        "How long a runner holds an action handler invocation before other runners may try it again.",
+      default: 300
+    }),
+    ACTION_HANDLER_MAX_ATTEMPTS: num({
+      desc:
+        "How many times an action handler invocation is attempted before it is marked failed.",
+      default: 5
+    }),
+    ACTION_HANDLER_RETRY_BASE_SECONDS: num({
+      desc:
+        "Delay before the first retry of a failed action handler invocation. Retries back off the same way as message sends (see MESSAGE_SEND_RETRY_BASE_SECONDS).",
+      default: 60
+    }),
+    AK_ADD_PHONE_URL: url({
+      desc:
+        "ActionKit endpoint the Revere signup action uses to add a phone number to a user.",
+      default: undefined
+    }),
+    AK_ADD_USER_URL: url({
+      desc: "ActionKit endpoint the Revere signup action uses to create users.",
       default: undefined
     }),
     AK_BASEURL: url({
@@ -255,7 +279,7 @@ if (isClient()) {
     }),
     DELIVERABILITY_ALERT_ENDPOINT: url({
       desc:
-        "When present, notification payloads will be sent to this URL when deliverability for a domain becomes poor.",
+        "When present, notification payloads will be sent to this URL when deliverability for a domain becomes poor or a messaging service changes health.",
       default: undefined
     }),
     DEV_APP_PORT: num({
@@ -407,6 +431,41 @@ if (isClient()) {
       default: 99999,
       isClient: true
     }),
+    MESSAGE_SEND_LEASE_SECONDS: num({
+      desc:
+        "How long a sender holds a message it is sending before other senders may try it again.",
+      default: 300
+    }),
+    MESSAGE_SEND_MAX_ATTEMPTS: num({
+      desc:
+        "How many times a message is attempted before it is moved to the dead letter status.",
+      default: 5
+    }),
+    MESSAGE_SEND_RETRY_BASE_SECONDS: num({
+      desc:
+        "Delay before the first retry of a failed send. Later retries double the delay, up to an hour.",
+      default: 30
+    }),
+    MESSAGING_SERVICE_ERROR_THRESHOLD: num({
+      desc:
+        "Fraction of recent sends that may end in ERROR before a messaging service is marked unhealthy and stops receiving new cells.",
+      default: 0.2
+    }),
+    MESSAGING_SERVICE_HEALTH_MIN_SENDS: num({
+      desc:
+        "Minimum number of recent sends a messaging service needs before its health is judged.",
+      default: 100
+    }),
+    MESSAGING_SERVICE_HEALTH_WINDOW_MINUTES: num({
+      desc:
+        "How many minutes of sends to consider when checking messaging service health.",
+      default: 60
+    }),
+    MESSAGING_SERVICE_FAILOVER_RESTICK: bool({
+      desc:
+        "Whether to move cells stuck to a messaging service onto the healthy ones when it is marked unhealthy.",
+      default: false
+    }),
     NEXMO_API_KEY: str({
       desc: "Nexmo API key. Required if using Nexmo.",
       default: undefined
@@ -436,6 +495,11 @@ if (isClient()) {
       desc: "Spoke instance-wide default for opt out message.",
       default: undefined
     }),
+    OPT_OUT_SYNC_SECRET: str({
+      desc:
+        "Secret to authorize requests to /opt-outs, used to sync opt-outs with external systems.",
+      default: undefined
+    }),
     OPTOUTS_SHARE_ALL_ORGS: bool({
       desc:
         "Can be set to true if opt outs should be respected per instance and across organizations.",
@@ -0,0 +1,130 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import Dialog from "material-ui/Dialog";
+import FlatButton from "material-ui/FlatButton";
+import RaisedButton from "material-ui/RaisedButton";
+import TextField from "material-ui/TextField";
+import { green500, red500 } from "material-ui/styles/colors";
+
+// Secrets start blank; leaving them blank keeps the saved value
+const getInitialValues = handler =>
+  handler.settings.reduce(
+    (values, setting) =>
+      Object.assign(values, {
+        [setting.key]: setting.isSecret ? "" : setting.value || ""
+      }),
+    {}
+  );
+
+const getHintText = setting => {
+  if (setting.isSecret && setting.hasSavedValue) {
+    return "Leave blank to keep the saved value";
+  }
+  if (setting.isFromEnvironment) {
+    return "Set by the server; saving here replaces all of the server's settings";
+  }
+  return setting.hint || "";
+};
+
+class ActionHandlerDialog extends Component {
+  state = { values: {}, isTesting: false, testResult: undefined };
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.handler && !this.props.handler) {
+      this.setState({
+        values: getInitialValues(nextProps.handler),
+        isTesting: false,
+        testResult: undefined
+      });
+    }
+  }
+
+  createHandleChange = key => event =>
+    this.setState({
+      values: Object.assign({}, this.state.values, {
+        [key]: event.target.value
+      }),
+      testResult: undefined
+    });
+
+  handleTestClick = async () => {
+    this.setState({ isTesting: true, testResult: undefined });
+    try {
+      const testResult = await this.props.onTest(this.state.values);
+      this.setState({ testResult });
+    } catch (exc) {
+      this.setState({ testResult: { ok: false, message: exc.message } });
+    } finally {
+      this.setState({ isTesting: false });
+    }
+  };
+
+  handleSaveClick = () => this.props.onSave(this.state.values);
+
+  render() {
+    const { handler, onRequestClose } = this.props;
+    const { values, isTesting, testResult } = this.state;
+    if (!handler) return null;
+
+    const actions = [
+      <FlatButton label="Cancel" primary={false} onClick={onRequestClose} />,
+      handler.canTestConnection && (
+        <FlatButton
+          label={isTesting ? "Testing..." : "Test Connection"}
+          disabled={isTesting}
+          onClick={this.handleTestClick}
+        />
+      ),
+      <RaisedButton
+        label="Save"
+        primary={true}
+        onClick={this.handleSaveClick}
+      />
+    ].filter(Boolean);
+
+    return (
+      <Dialog
+        title={handler.displayName}
+        actions={actions}
+        modal={false}
+        open={true}
+        onRequestClose={onRequestClose}
+        autoScrollBodyContent={true}
+      >
+        <p>{handler.instructions}</p>
+        {handler.settings.length === 0 && (
+          <p>This action does not need any settings.</p>
+        )}
+        {handler.settings.map(setting => (
+          <div key={setting.key}>
+            <TextField
+              floatingLabelText={`${setting.label}${
+                setting.isRequired ? " *" : ""
+              }`}
+              hintText={getHintText(setting)}
+              type={setting.isSecret ? "password" : "text"}
+              value={values[setting.key] || ""}
+              onChange={this.createHandleChange(setting.key)}
+              fullWidth
+            />
+          </div>
+        ))}
+        {testResult && (
+          <p style={{ color: testResult.ok ? green500 : red500 }}>
+            {testResult.message}
+          </p>
+        )}
+      </Dialog>
+    );
+  }
+}
+
+ActionHandlerDialog.propTypes = {
+  handler: PropTypes.object,
+  onRequestClose: PropTypes.func.isRequired,
+  onTest: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired
+};
+
+export default ActionHandlerDialog;
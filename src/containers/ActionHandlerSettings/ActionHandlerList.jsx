@@ -0,0 +1,105 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import DataTables from "material-ui-datatables";
+import Toggle from "material-ui/Toggle";
+import IconButton from "material-ui/IconButton";
+import EditIcon from "material-ui/svg-icons/image/edit";
+import { green500, orange500 } from "material-ui/styles/colors";
+
+const getStatus = handler => {
+  if (handler.missingSettings.length > 0) {
+    return {
+      label: `Needs ${handler.missingSettings.join(", ")}`,
+      color: orange500
+    };
+  }
+  if (!handler.isEnabled) return { label: "Disabled" };
+  if (!handler.isAvailable) {
+    return { label: "Not available", color: orange500 };
+  }
+  return { label: "Ready", color: green500 };
+};
+
+class ActionHandlerList extends Component {
+  tableColumns = () => [
+    {
+      key: "displayName",
+      label: "Action"
+    },
+    {
+      key: "status",
+      label: "Status",
+      tooltip: "Campaign authors can only pick actions that are ready.",
+      render: (value, row) => {
+        const status = getStatus(row);
+        return <span style={{ color: status.color }}>{status.label}</span>;
+      }
+    },
+    {
+      key: "isEnabled",
+      label: "Enabled",
+      render: (value, row) => (
+        <Toggle
+          toggled={value}
+          disabled={row.isRowDisabled}
+          onToggle={this.createHandleToggle(row.name)}
+        />
+      )
+    },
+    {
+      label: "",
+      style: { width: "60px" },
+      render: (value, row) => (
+        <IconButton
+          disabled={row.isRowDisabled}
+          onClick={this.createHandleEditClick(row.name)}
+        >
+          <EditIcon />
+        </IconButton>
+      )
+    }
+  ];
+
+  createHandleToggle = name => (event, value) => {
+    event.stopPropagation();
+    event.preventDefault();
+    this.props.onEnabledToggle(name, value);
+  };
+
+  createHandleEditClick = name => event => {
+    event.stopPropagation();
+    event.preventDefault();
+    this.props.onEditHandler(name);
+  };
+
+  render() {
+    const { handlers, disabledNames } = this.props;
+    const rows = handlers.map(handler =>
+      Object.assign({}, handler, {
+        isRowDisabled: disabledNames.indexOf(handler.name) > -1
+      })
+    );
+
+    return (
+      <DataTables
+        height="auto"
+        selectable={false}
+        showRowHover={false}
+        columns={this.tableColumns()}
+        data={rows}
+        showHeaderToolbar={false}
+        showFooterToolbar={false}
+      />
+    );
+  }
+}
+
+ActionHandlerList.propTypes = {
+  handlers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  disabledNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onEnabledToggle: PropTypes.func.isRequired,
+  onEditHandler: PropTypes.func.isRequired
+};
+
+export default ActionHandlerList;
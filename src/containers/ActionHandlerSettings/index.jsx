@@ -0,0 +1,218 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import gql from "graphql-tag";
+import { connect } from "react-apollo";
+
+import Dialog from "material-ui/Dialog";
+import FlatButton from "material-ui/FlatButton";
+
+import LoadingIndicator from "../../components/LoadingIndicator";
+
+import ActionHandlerList from "./ActionHandlerList";
+import ActionHandlerDialog from "./ActionHandlerDialog";
+
+const actionHandlerFields = `
+  name
+  displayName
+  instructions
+  isEnabled
+  isAvailable
+  missingSettings
+  settings {
+    key
+    label
+    hint
+    isSecret
+    isRequired
+    value
+    hasSavedValue
+    isFromEnvironment
+  }
+  canTestConnection
+`;
+
+class ActionHandlerSettings extends Component {
+  state = {
+    disabledNames: [],
+    webRequestError: undefined,
+    editName: undefined
+  };
+
+  runHandlerRequest = async (name, request) => {
+    this.setState({ disabledNames: this.state.disabledNames.concat([name]) });
+    try {
+      const response = await request();
+      if (response.errors) throw new Error(response.errors);
+      await this.props.actionHandlers.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({
+        disabledNames: this.state.disabledNames.filter(
+          disabledName => disabledName !== name
+        )
+      });
+    }
+  };
+
+  handleEnabledToggle = (name, isEnabled) =>
+    this.runHandlerRequest(name, () =>
+      this.props.mutations.updateActionHandler(name, { isEnabled })
+    );
+
+  handleEditHandler = editName => this.setState({ editName });
+  handleDialogClose = () => this.setState({ editName: undefined });
+
+  handleSaveSettings = settings => {
+    const { editName: name } = this.state;
+    this.setState({ editName: undefined });
+    return this.runHandlerRequest(name, () =>
+      this.props.mutations.updateActionHandler(name, { settings })
+    );
+  };
+
+  handleTestSettings = async settings => {
+    const response = await this.props.mutations.testActionHandler(
+      this.state.editName,
+      settings
+    );
+    if (response.errors) throw new Error(response.errors);
+    return response.data.testActionHandler;
+  };
+
+  handleErrorDialogClose = () => this.setState({ webRequestError: undefined });
+
+  render() {
+    const { actionHandlers } = this.props;
+    const { disabledNames, webRequestError, editName } = this.state;
+
+    if (actionHandlers.loading) {
+      return <LoadingIndicator />;
+    }
+
+    if (actionHandlers.errors) {
+      return <p>{actionHandlers.errors}</p>;
+    }
+
+    const handlers = actionHandlers.organization.actionHandlers;
+    const editHandler =
+      editName && handlers.filter(handler => handler.name === editName)[0];
+
+    const errorActions = [
+      <FlatButton
+        label="Close"
+        primary={true}
+        onClick={this.handleErrorDialogClose}
+      />
+    ];
+
+    return (
+      <div>
+        <ActionHandlerList
+          handlers={handlers}
+          disabledNames={disabledNames}
+          onEnabledToggle={this.handleEnabledToggle}
+          onEditHandler={this.handleEditHandler}
+        />
+        <ActionHandlerDialog
+          handler={editHandler}
+          onRequestClose={this.handleDialogClose}
+          onTest={this.handleTestSettings}
+          onSave={this.handleSaveSettings}
+        />
+        {webRequestError && (
+          <Dialog
+            title="Error Completing Request"
+            actions={errorActions}
+            modal={false}
+            open={true}
+            onRequestClose={this.handleErrorDialogClose}
+          >
+            {webRequestError.message}
+          </Dialog>
+        )}
+      </div>
+    );
+  }
+}
+
+ActionHandlerSettings.propTypes = {
+  params: PropTypes.object,
+  actionHandlers: PropTypes.object,
+  mutations: PropTypes.object
+};
+
+const mapQueriesToProps = ({ ownProps }) => ({
+  actionHandlers: {
+    query: gql`
+      query getActionHandlers($organizationId: String!) {
+        organization(id: $organizationId) {
+          id
+          actionHandlers {
+            ${actionHandlerFields}
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    },
+    forceFetch: true
+  }
+});
+
+const mapMutationsToProps = ({ ownProps }) => ({
+  updateActionHandler: (name, { isEnabled, settings }) => ({
+    mutation: gql`
+      mutation updateActionHandler(
+        $organizationId: String!
+        $name: String!
+        $isEnabled: Boolean
+        $settings: JSON
+      ) {
+        updateActionHandler(
+          organizationId: $organizationId
+          name: $name
+          isEnabled: $isEnabled
+          settings: $settings
+        ) {
+          ${actionHandlerFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      name,
+      isEnabled,
+      settings
+    }
+  }),
+  testActionHandler: (name, settings) => ({
+    mutation: gql`
+      mutation testActionHandler(
+        $organizationId: String!
+        $name: String!
+        $settings: JSON
+      ) {
+        testActionHandler(
+          organizationId: $organizationId
+          name: $name
+          settings: $settings
+        ) {
+          ok
+          message
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      name,
+      settings
+    }
+  })
+});
+
+export default connect({
+  mapQueriesToProps,
+  mapMutationsToProps
+})(ActionHandlerSettings);
@@ -28,6 +28,11 @@ import { dataTest, camelCase } from "../lib/attributes";
 import CampaignTextingHoursForm from "../components/CampaignTextingHoursForm";
 import CampaignAutoassignModeForm from "../components/CampaignAutoassignModeForm";
 import CampaignTeamsForm from "../components/CampaignTeamsForm";
+import CampaignMessagingServicesForm from "../components/CampaignMessagingServicesForm";
+import CampaignLinkDomainPoolForm from "../components/CampaignLinkDomainPoolForm";
+import CampaignLanguagesForm from "../components/CampaignLanguagesForm";
+import CampaignScriptTemplateForm from "../components/CampaignScriptTemplateForm";
+import CampaignScriptLint from "../components/CampaignScriptLint";
 
 const campaignInfoFragment = `
   id
@@ -52,6 +57,33 @@ const campaignInfoFragment = `
     id
     title
   }
+  messagingServices {
+    id
+    messagingServiceSid
+    serviceType
+  }
+  linkDomainPool {
+    id
+    name
+  }
+  primaryLanguage
+  translationLanguages
+  scriptTemplateVersion {
+    id
+    version
+    template {
+      id
+      name
+    }
+  }
+  scriptLint {
+    severity
+    code
+    message
+    location
+    interactionStepId
+    cannedResponseId
+  }
   texters {
     id
     firstName
@@ -66,8 +98,13 @@ const campaignInfoFragment = `
     id
     questionText
     scriptOptions
+    scriptTranslations {
+      language
+      scriptOptions
+    }
     answerOption
     answerActions
+    answerActionsData
     parentInteractionId
     isDeleted
   }
@@ -75,6 +112,10 @@ const campaignInfoFragment = `
     id
     title
     text
+    translations {
+      language
+      text
+    }
   }
   editors
 `;
@@ -88,7 +129,8 @@ class AdminCampaignEdit extends React.Component {
       campaignFormValues: Object.assign({}, props.campaignData.campaign),
       startingCampaign: false,
       isWorking: false,
-      requestError: undefined
+      requestError: undefined,
+      lintWarningsAcknowledged: false
     };
   }
 
@@ -139,8 +181,17 @@ class AdminCampaignEdit extends React.Component {
       });
     }
 
+    // Warnings have to be acknowledged again when the scripts change
+    const lintWarningsAcknowledged =
+      this.state.lintWarningsAcknowledged &&
+      isEqual(
+        newProps.campaignData.campaign.scriptLint,
+        this.props.campaignData.campaign.scriptLint
+      );
+
     this.setState({
-      campaignFormValues: Object.assign({}, pushToFormValues)
+      campaignFormValues: Object.assign({}, pushToFormValues),
+      lintWarningsAcknowledged
     });
   }
 
@@ -229,7 +280,8 @@ class AdminCampaignEdit extends React.Component {
             firstName: contact.firstName,
             lastName: contact.lastName,
             zip: contact.zip || "",
-            external_id: contact.external_id || ""
+            external_id: contact.external_id || "",
+            language: contact.language || null
           };
           Object.keys(contact).forEach(key => {
             if (!contactInput.hasOwnProperty(key)) {
@@ -248,6 +300,24 @@ class AdminCampaignEdit extends React.Component {
         newCampaign.teamIds = newCampaign.teams.map(team => team.id);
         delete newCampaign.teams;
       }
+      if (newCampaign.hasOwnProperty("messagingServices")) {
+        newCampaign.messagingServiceSids = newCampaign.messagingServices.map(
+          service => service.id
+        );
+        delete newCampaign.messagingServices;
+      }
+      if (newCampaign.hasOwnProperty("linkDomainPool")) {
+        newCampaign.linkDomainPoolId = newCampaign.linkDomainPool
+          ? newCampaign.linkDomainPool.id
+          : null;
+        delete newCampaign.linkDomainPool;
+      }
+      if (newCampaign.hasOwnProperty("scriptTemplateVersion")) {
+        newCampaign.scriptTemplateVersionId = newCampaign.scriptTemplateVersion
+          ? newCampaign.scriptTemplateVersion.id
+          : null;
+        delete newCampaign.scriptTemplateVersion;
+      }
       if (newCampaign.hasOwnProperty("texters")) {
         newCampaign.texters = newCampaign.texters.map(texter => ({
           id: texter.id,
@@ -286,6 +356,20 @@ class AdminCampaignEdit extends React.Component {
     }
   };
 
+  handleSaveToLibrary = async ({ name, scriptTemplateId }) => {
+    try {
+      await this.props.mutations.saveScriptTemplate(
+        this.props.campaignData.campaign.id,
+        name,
+        scriptTemplateId
+      );
+      await this.props.organizationData.refetch();
+      await this.props.campaignData.refetch();
+    } catch (err) {
+      this.setState({ requestError: err.message });
+    }
+  };
+
   async pollDuringActiveJobs(noMore) {
     const pendingJobs = await this.props.pendingJobsData.refetch();
     if (pendingJobs.length && !noMore) {
@@ -433,6 +517,49 @@ class AdminCampaignEdit extends React.Component {
           orgTeams: this.props.organizationData.organization.teams
         }
       },
+      {
+        title: "Messaging Services",
+        content: CampaignMessagingServicesForm,
+        keys: ["messagingServices"],
+        checkSaved: () => {
+          const newServices = this.state.campaignFormValues.messagingServices;
+          const { messagingServices } = this.props.campaignData.campaign;
+          return isEqual(
+            new Set(newServices.map(service => service.id)),
+            new Set(messagingServices.map(service => service.id))
+          );
+        },
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: false,
+        extraProps: {
+          orgMessagingServices: this.props.organizationData.organization
+            .messagingServices
+        }
+      },
+      {
+        title: "Link Domain Pool",
+        content: CampaignLinkDomainPoolForm,
+        keys: ["linkDomainPool"],
+        checkSaved: () => {
+          const poolId = pool => (pool ? pool.id : null);
+          return (
+            poolId(this.state.campaignFormValues.linkDomainPool) ===
+            poolId(this.props.campaignData.campaign.linkDomainPool)
+          );
+        },
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: false,
+        extraProps: {
+          orgLinkDomainPools: this.props.organizationData.organization
+            .linkDomainPools,
+          orgNextLinkDomain: this.props.organizationData.organization
+            .nextLinkDomain
+        }
+      },
       {
         title: "Texters",
         content: CampaignTextersForm,
@@ -457,6 +584,36 @@ class AdminCampaignEdit extends React.Component {
           campaignId: this.props.campaignData.campaign.id
         }
       },
+      {
+        title: "Languages",
+        content: CampaignLanguagesForm,
+        keys: ["primaryLanguage", "translationLanguages"],
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: true
+      },
+      {
+        title: "Script Library",
+        content: CampaignScriptTemplateForm,
+        keys: ["scriptTemplateVersion"],
+        checkSaved: () => {
+          const versionId = version => (version ? version.id : null);
+          return (
+            versionId(this.state.campaignFormValues.scriptTemplateVersion) ===
+            versionId(this.props.campaignData.campaign.scriptTemplateVersion)
+          );
+        },
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: false,
+        extraProps: {
+          orgScriptTemplates: this.props.organizationData.organization
+            .scriptTemplates,
+          onSaveToLibrary: this.handleSaveToLibrary
+        }
+      },
       {
         title: "Interactions",
         content: CampaignInteractionStepsForm,
@@ -467,8 +624,13 @@ class AdminCampaignEdit extends React.Component {
         expandAfterCampaignStarts: true,
         expandableBySuperVolunteers: true,
         extraProps: {
+          campaignId: this.props.campaignData.campaign.id,
           customFields: this.props.campaignData.campaign.customFields,
-          availableActions: this.props.availableActionsData.availableActions
+          availableActions: this.props.availableActionsData.availableActions,
+          texters: this.props.organizationData.organization.texters,
+          primaryLanguage: this.props.campaignData.campaign.primaryLanguage,
+          translationLanguages: this.props.campaignData.campaign
+            .translationLanguages
         }
       },
       {
@@ -480,7 +642,9 @@ class AdminCampaignEdit extends React.Component {
         expandAfterCampaignStarts: true,
         expandableBySuperVolunteers: true,
         extraProps: {
-          customFields: this.props.campaignData.campaign.customFields
+          customFields: this.props.campaignData.campaign.customFields,
+          translationLanguages: this.props.campaignData.campaign
+            .translationLanguages
         }
       },
       {
@@ -640,6 +804,11 @@ class AdminCampaignEdit extends React.Component {
         isCompleted = false;
       }
     });
+    const { scriptLint } = this.props.campaignData.campaign;
+    const { lintWarningsAcknowledged } = this.state;
+    const hasLintErrors = scriptLint.some(issue => issue.severity === "ERROR");
+    const isLintResolved =
+      !hasLintErrors && (scriptLint.length === 0 || lintWarningsAcknowledged);
 
     return (
       <div
@@ -653,9 +822,20 @@ class AdminCampaignEdit extends React.Component {
           }}
         >
           {isCompleted
-            ? "Your campaign is all good to go! >>>>>>>>>"
+            ? isLintResolved
+              ? "Your campaign is all good to go! >>>>>>>>>"
+              : hasLintErrors
+                ? "Fix the script errors below before you start this campaign"
+                : "Review the script warnings below before you start this campaign"
             : "You need to complete all the sections below before you can start this campaign"}
           {this.renderCurrentEditors()}
+          <CampaignScriptLint
+            issues={scriptLint}
+            acknowledged={lintWarningsAcknowledged}
+            onAcknowledge={isChecked =>
+              this.setState({ lintWarningsAcknowledged: isChecked })
+            }
+          />
         </div>
         <div>
           {this.props.campaignData.campaign.isArchived ? (
@@ -681,17 +861,23 @@ class AdminCampaignEdit extends React.Component {
             {...dataTest("startCampaign")}
             primary
             label="Start This Campaign!"
-            disabled={!isCompleted}
+            disabled={!isCompleted || !isLintResolved}
             onTouchTap={async () => {
               this.setState({
                 startingCampaign: true
               });
-              await this.props.mutations.startCampaign(
-                this.props.campaignData.campaign.id
-              );
-              this.setState({
-                startingCampaign: false
-              });
+              try {
+                await this.props.mutations.startCampaign(
+                  this.props.campaignData.campaign.id,
+                  lintWarningsAcknowledged
+                );
+              } catch (err) {
+                this.setState({ requestError: err.message });
+              } finally {
+                this.setState({
+                  startingCampaign: false
+                });
+              }
             }}
           />
         </div>
@@ -884,6 +1070,31 @@ const mapQueriesToProps = ({ ownProps }) => ({
             id
             title
           }
+          messagingServices {
+            id
+            messagingServiceSid
+            serviceType
+          }
+          linkDomainPools {
+            id
+            name
+            nextDomain
+          }
+          nextLinkDomain
+          scriptTemplates {
+            id
+            name
+            latestVersion {
+              id
+              version
+              createdAt
+            }
+            versions {
+              id
+              version
+              createdAt
+            }
+          }
           texters: people {
             id
             firstName
@@ -941,13 +1152,13 @@ const mapMutationsToProps = ({ ownProps }) => ({
       }`,
     variables: { campaignId }
   }),
-  startCampaign: campaignId => ({
-    mutation: gql`mutation startCampaign($campaignId: String!) {
-        startCampaign(id: $campaignId) {
+  startCampaign: (campaignId, acknowledgeWarnings) => ({
+    mutation: gql`mutation startCampaign($campaignId: String!, $acknowledgeWarnings: Boolean) {
+        startCampaign(id: $campaignId, acknowledgeWarnings: $acknowledgeWarnings) {
           ${campaignInfoFragment}
         }
       }`,
-    variables: { campaignId }
+    variables: { campaignId, acknowledgeWarnings }
   }),
   editCampaign: (campaignId, campaign) => ({
     mutation: gql`
@@ -962,6 +1173,29 @@ const mapMutationsToProps = ({ ownProps }) => ({
       campaign
     }
   }),
+  saveScriptTemplate: (campaignId, name, scriptTemplateId) => ({
+    mutation: gql`
+      mutation saveScriptTemplate(
+        $campaignId: String!
+        $name: String!
+        $scriptTemplateId: String
+      ) {
+        saveScriptTemplate(
+          campaignId: $campaignId
+          name: $name
+          scriptTemplateId: $scriptTemplateId
+        ) {
+          id
+          name
+        }
+      }
+    `,
+    variables: {
+      campaignId,
+      name,
+      scriptTemplateId
+    }
+  }),
   deleteJob: jobId => ({
     mutation: gql`
       mutation deleteJob($campaignId: String!, $id: String!) {
@@ -6,6 +6,14 @@ import Chart from "../components/Chart";
 import { Card, CardTitle, CardText } from "material-ui/Card";
 import { red600 } from "material-ui/styles/colors";
 import TexterStats from "../components/TexterStats";
+import FailedMessageList from "../components/FailedMessageList";
+import ActionHandlerLogList from "../components/ActionHandlerLogList";
+import {
+  ScriptLinkClickList,
+  ContactLinkClickList
+} from "../components/LinkClickStats";
+import ScriptVariantStats from "../components/ScriptVariantStats";
+import LanguageStats from "../components/LanguageStats";
 import Snackbar from "material-ui/Snackbar";
 import { withRouter } from "react-router";
 import { StyleSheet, css } from "aphrodite";
@@ -93,9 +101,144 @@ Stat.propTypes = {
 class AdminCampaignStats extends React.Component {
   state = {
     exportMessageOpen: false,
-    disableExportButton: false
+    disableExportButton: false,
+    isRetryingFailedMessages: false,
+    isRetryingActions: false,
+    retryMessage: undefined
   };
 
+  handleRetryFailedMessages = async () => {
+    this.setState({ isRetryingFailedMessages: true });
+    try {
+      const response = await this.props.mutations.retryFailedMessages(
+        this.props.params.campaignId
+      );
+      const { retryFailedMessages: requeuedCount } = response.data;
+      this.setState({
+        retryMessage: `Queued ${requeuedCount} failed messages to send again`
+      });
+      await this.props.data.refetch();
+    } catch (exc) {
+      this.setState({ retryMessage: `Could not retry: ${exc.message}` });
+    } finally {
+      this.setState({ isRetryingFailedMessages: false });
+    }
+  };
+
+  renderFailedMessages() {
+    const { failedMessages, stats } = this.props.data.campaign;
+    const hiddenCount = stats.failedMessagesCount - failedMessages.length;
+
+    return (
+      <div>
+        <div className={css(styles.header)}>Failed Messages</div>
+        <p>
+          These messages could not be sent after retrying. Messages past the end
+          of their texting hours and messages to contacts who have since opted
+          out are not retried.
+        </p>
+        <RaisedButton
+          label="Retry All"
+          disabled={this.state.isRetryingFailedMessages}
+          onTouchTap={this.handleRetryFailedMessages}
+        />
+        <FailedMessageList messages={failedMessages} />
+        {hiddenCount > 0 && <p>And {hiddenCount} more.</p>}
+      </div>
+    );
+  }
+
+  handleRetryActions = async actionHandlerLogIds => {
+    this.setState({ isRetryingActions: true });
+    try {
+      const response = await this.props.mutations.retryActionHandlerLogs(
+        this.props.params.campaignId,
+        actionHandlerLogIds
+      );
+      const { retryActionHandlerLogs: requeuedCount } = response.data;
+      this.setState({
+        retryMessage: `Queued ${requeuedCount} failed actions to run again`
+      });
+      await this.props.data.refetch();
+    } catch (exc) {
+      this.setState({ retryMessage: `Could not retry: ${exc.message}` });
+    } finally {
+      this.setState({ isRetryingActions: false });
+    }
+  };
+
+  renderActionHandlerLogs() {
+    const {
+      actionHandlerLogs,
+      actionHandlerLogCounts
+    } = this.props.data.campaign;
+    const { isRetryingActions } = this.state;
+
+    return (
+      <div>
+        <div className={css(styles.header)}>Actions</div>
+        <p>
+          Actions triggered by survey answers run in the background and are
+          retried if they fail. {actionHandlerLogCounts.succeeded} succeeded,{" "}
+          {actionHandlerLogCounts.queued + actionHandlerLogCounts.running}{" "}
+          pending, {actionHandlerLogCounts.failed} failed and{" "}
+          {actionHandlerLogCounts.cancelled} cancelled.
+        </p>
+        {actionHandlerLogCounts.failed > 0 && (
+          <RaisedButton
+            label="Retry All Failed"
+            disabled={isRetryingActions}
+            onTouchTap={() => this.handleRetryActions(null)}
+          />
+        )}
+        <ActionHandlerLogList
+          logs={actionHandlerLogs}
+          isRetrying={isRetryingActions}
+          onRetry={actionHandlerLogId =>
+            this.handleRetryActions([actionHandlerLogId])
+          }
+        />
+      </div>
+    );
+  }
+
+  renderLinkClickStats() {
+    const {
+      linkClickStats,
+      scriptLinkClickStats,
+      contactLinkClicks
+    } = this.props.data.campaign;
+    const { clickThroughRate } = linkClickStats;
+
+    return (
+      <div>
+        <div className={css(styles.header)}>Link Clicks</div>
+        <div className={css(styles.container)}>
+          <div className={css(styles.flexColumn, styles.spacer)}>
+            <Stat title="Links Sent" count={linkClickStats.linkCount} />
+          </div>
+          <div className={css(styles.flexColumn, styles.spacer)}>
+            <Stat title="Clicks" count={linkClickStats.clickCount} />
+          </div>
+          <div className={css(styles.flexColumn)}>
+            <Stat
+              title="% Contacts Clicked"
+              count={
+                clickThroughRate === null
+                  ? 0
+                  : Math.round(clickThroughRate * 100)
+              }
+            />
+          </div>
+        </div>
+        <div className={css(styles.secondaryHeader)}>By script</div>
+        <ScriptLinkClickList scriptStats={scriptLinkClickStats} />
+        <div className={css(styles.secondaryHeader)}>Recent clickers</div>
+        <ContactLinkClickList contacts={contactLinkClicks} />
+      </div>
+    );
+  }
+
   renderSurveyStats() {
     const { interactionSteps } = this.props.data.campaign;
 
@@ -275,6 +418,9 @@ class AdminCampaignStats extends React.Component {
           <div className={css(styles.flexColumn, styles.spacer)}>
             <Stat title="Sent" count={campaign.stats.sentMessagesCount} />
           </div>
+          <div className={css(styles.flexColumn, styles.spacer)}>
+            <Stat title="Segments" count={campaign.stats.sentSegmentsCount} />
+          </div>
           <div className={css(styles.flexColumn, styles.spacer)}>
             <Stat
               title="Replies"
@@ -285,6 +431,22 @@ class AdminCampaignStats extends React.Component {
             <Stat title="Opt-outs" count={campaign.stats.optOutsCount} />
           </div>
         </div>
+        {campaign.stats.failedMessagesCount > 0 && this.renderFailedMessages()}
+        {campaign.actionHandlerLogs.length > 0 &&
+          this.renderActionHandlerLogs()}
+        {campaign.linkClickStats.linkCount > 0 && this.renderLinkClickStats()}
+        {campaign.scriptVariantStats.length > 1 && (
+          <div>
+            <div className={css(styles.header)}>Initial Message Variants</div>
+            <ScriptVariantStats variants={campaign.scriptVariantStats} />
+          </div>
+        )}
+        {campaign.languageStats.length > 1 && (
+          <div>
+            <div className={css(styles.header)}>Languages</div>
+            <LanguageStats languages={campaign.languageStats} />
+          </div>
+        )}
         <div className={css(styles.header)}>Survey Questions</div>
         {this.renderSurveyStats()}
 
@@ -299,6 +461,14 @@ class AdminCampaignStats extends React.Component {
             this.setState({ exportMessageOpen: false });
           }}
         />
+        <Snackbar
+          open={!!this.state.retryMessage}
+          message={this.state.retryMessage || ""}
+          autoHideDuration={5000}
+          onRequestClose={() => {
+            this.setState({ retryMessage: undefined });
+          }}
+        />
         <Snackbar
           open={this.state.campaignJustCopied}
           message="Campaign successfully copied. Click &quot;Campaigns&quot; to see it"
@@ -361,9 +531,87 @@ const mapQueriesToProps = ({ ownProps }) => ({
           contactsCount
           stats {
             sentMessagesCount
+            sentSegmentsCount
+            failedMessagesCount
             receivedMessagesCount
             optOutsCount
           }
+          failedMessages(limit: 100) {
+            id
+            contactNumber
+            createdAt
+            sendAttempts
+            lastError
+          }
+          actionHandlerLogCounts {
+            queued
+            running
+            succeeded
+            failed
+            cancelled
+          }
+          actionHandlerLogs(limit: 100) {
+            id
+            actionHandler
+            actionType
+            status
+            answerValue
+            tagTitle
+            attempts
+            lastError
+            updatedAt
+            contact {
+              id
+              firstName
+              lastName
+            }
+          }
+          linkClickStats {
+            linkCount
+            recipientCount
+            clickCount
+            clickThroughRate
+          }
+          scriptLinkClickStats {
+            interactionStep {
+              id
+              scriptOptions
+            }
+            stats {
+              recipientCount
+              clickCount
+              clickThroughRate
+            }
+          }
+          languageStats {
+            language
+            languageName
+            isTranslated
+            contactCount
+            messagedCount
+            replyRate
+            optOutRate
+          }
+          scriptVariantStats {
+            variant
+            script
+            contactCount
+            replyRate
+            optOutRate
+            answers {
+              value
+              count
+            }
+          }
+          contactLinkClicks(limit: 50) {
+            campaignContactId
+            firstName
+            lastName
+            cell
+            linkCount
+            clickCount
+            lastClickedAt
+          }
         }
       }
     `,
@@ -410,6 +658,28 @@ const mapMutationsToProps = () => ({
     `,
     variables: { campaignId }
   }),
+  retryFailedMessages: campaignId => ({
+    mutation: gql`
+      mutation retryFailedMessages($campaignId: String!) {
+        retryFailedMessages(campaignId: $campaignId)
+      }
+    `,
+    variables: { campaignId }
+  }),
+  retryActionHandlerLogs: (campaignId, actionHandlerLogIds) => ({
+    mutation: gql`
+      mutation retryActionHandlerLogs(
+        $campaignId: String!
+        $actionHandlerLogIds: [String]
+      ) {
+        retryActionHandlerLogs(
+          campaignId: $campaignId
+          actionHandlerLogIds: $actionHandlerLogIds
+        )
+      }
+    `,
+    variables: { campaignId, actionHandlerLogIds }
+  }),
   copyCampaign: campaignId => ({
     mutation: gql`
       mutation copyCampaign($campaignId: String!) {
@@ -0,0 +1,218 @@
+import React from "react";
+import PropTypes from "prop-types";
+import gql from "graphql-tag";
+import moment from "moment";
+import { connect } from "react-apollo";
+import { Line } from "react-chartjs";
+
+import { Card, CardHeader, CardText } from "material-ui/Card";
+import {
+  Table,
+  TableBody,
+  TableHeader,
+  TableHeaderColumn,
+  TableRow,
+  TableRowColumn
+} from "material-ui/Table";
+
+import LoadingIndicator from "../../components/LoadingIndicator";
+
+const styles = {
+  card: { marginTop: 20 }
+};
+
+const formatRate = rate =>
+  rate === null || rate === undefined ? "-" : `${(rate * 100).toFixed(1)}%`;
+
+const renderStatsColumns = stats => [
+  <TableRowColumn key="total">{stats.totalCount}</TableRowColumn>,
+  <TableRowColumn key="delivered">{stats.deliveredCount}</TableRowColumn>,
+  <TableRowColumn key="error">{stats.errorCount}</TableRowColumn>,
+  <TableRowColumn key="deliveryRate">
+    {formatRate(stats.deliveryRate)}
+  </TableRowColumn>,
+  <TableRowColumn key="errorRate">{formatRate(stats.errorRate)}</TableRowColumn>
+];
+
+const statsHeaders = [
+  <TableHeaderColumn key="total">Messages</TableHeaderColumn>,
+  <TableHeaderColumn key="delivered">Delivered</TableHeaderColumn>,
+  <TableHeaderColumn key="error">Errors</TableHeaderColumn>,
+  <TableHeaderColumn key="deliveryRate">Delivery Rate</TableHeaderColumn>,
+  <TableHeaderColumn key="errorRate">Error Rate</TableHeaderColumn>
+];
+
+const toPercent = rate => (rate === null ? null : Math.round(rate * 1000) / 10);
+
+export const DeliverabilityReport = props => {
+  const { report, period, dimensionLabel } = props;
+
+  if (report.loading) {
+    return <LoadingIndicator />;
+  }
+
+  if (report.errors) {
+    return <p>{report.errors.message}</p>;
+  }
+
+  const {
+    totals,
+    timeline,
+    breakdown,
+    errorCodes
+  } = report.organization.deliverabilityReport;
+
+  if (totals.totalCount === 0) {
+    return <p>No deliverability reports for this date range.</p>;
+  }
+
+  const labelFormat = period === "DAY" ? "MMM D" : "MMM D h a";
+  const chartData = {
+    labels: timeline.map(point =>
+      moment(point.periodStartsAt).format(labelFormat)
+    ),
+    datasets: [
+      {
+        label: "Delivery rate %",
+        strokeColor: "#46BFBD",
+        pointColor: "#46BFBD",
+        fillColor: "rgba(0, 0, 0, 0)",
+        data: timeline.map(point => toPercent(point.deliveryRate))
+      },
+      {
+        label: "Error rate %",
+        strokeColor: "#F7464A",
+        pointColor: "#F7464A",
+        fillColor: "rgba(0, 0, 0, 0)",
+        data: timeline.map(point => toPercent(point.errorRate))
+      }
+    ]
+  };
+
+  return (
+    <div>
+      <Card style={styles.card}>
+        <CardHeader
+          title="Delivery and error rates"
+          subtitle={`${totals.totalCount} messages, ${formatRate(
+            totals.deliveryRate
+          )} delivered, ${formatRate(totals.errorRate)} errored`}
+        />
+        <CardText>
+          <Line
+            data={chartData}
+            options={{ responsive: true, datasetFill: false }}
+            height={80}
+          />
+        </CardText>
+      </Card>
+      <Card style={styles.card}>
+        <CardHeader title={`By ${dimensionLabel.toLowerCase()}`} />
+        <Table selectable={false}>
+          <TableHeader enableSelectAll={false} displaySelectAll={false}>
+            <TableRow>
+              <TableHeaderColumn>{dimensionLabel}</TableHeaderColumn>
+              {statsHeaders}
+            </TableRow>
+          </TableHeader>
+          <TableBody displayRowCheckbox={false}>
+            {breakdown.map(stats => (
+              <TableRow key={stats.key}>
+                <TableRowColumn>{stats.label || stats.key}</TableRowColumn>
+                {renderStatsColumns(stats)}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+      <Card style={styles.card}>
+        <CardHeader
+          title="Carrier error codes"
+          subtitle="Errored messages by the error code in their delivery report"
+        />
+        {errorCodes.length === 0 ? (
+          <CardText>No error codes reported.</CardText>
+        ) : (
+          <Table selectable={false}>
+            <TableHeader enableSelectAll={false} displaySelectAll={false}>
+              <TableRow>
+                <TableHeaderColumn>Error Code</TableHeaderColumn>
+                <TableHeaderColumn>Messages</TableHeaderColumn>
+              </TableRow>
+            </TableHeader>
+            <TableBody displayRowCheckbox={false}>
+              {errorCodes.map(({ errorCode, count }) => (
+                <TableRow key={errorCode}>
+                  <TableRowColumn>{errorCode}</TableRowColumn>
+                  <TableRowColumn>{count}</TableRowColumn>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+DeliverabilityReport.propTypes = {
+  organizationId: PropTypes.string.isRequired,
+  filter: PropTypes.object.isRequired,
+  period: PropTypes.oneOf(["HOUR", "DAY"]).isRequired,
+  dimension: PropTypes.string.isRequired,
+  dimensionLabel: PropTypes.string.isRequired,
+  report: PropTypes.object
+};
+
+const statsFields = `
+  totalCount
+  sentCount
+  deliveredCount
+  errorCount
+  deliveryRate
+  errorRate
+`;
+
+const mapQueriesToProps = ({ ownProps }) => ({
+  report: {
+    query: gql`
+      query getDeliverabilityReport(
+        $organizationId: String!
+        $filter: DeliverabilityFilter!
+        $period: DeliverabilityPeriod!
+        $dimension: DeliverabilityDimension!
+      ) {
+        organization(id: $organizationId) {
+          id
+          deliverabilityReport(filter: $filter) {
+            totals {
+              ${statsFields}
+            }
+            timeline(period: $period) {
+              periodStartsAt
+              ${statsFields}
+            }
+            breakdown(dimension: $dimension) {
+              key
+              label
+              ${statsFields}
+            }
+            errorCodes {
+              errorCode
+              count
+            }
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      filter: ownProps.filter,
+      period: ownProps.period,
+      dimension: ownProps.dimension
+    },
+    forceFetch: true
+  }
+});
+
+export default connect({ mapQueriesToProps })(DeliverabilityReport);
@@ -0,0 +1,109 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import moment from "moment";
+
+import DatePicker from "material-ui/DatePicker";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+
+import DeliverabilityReport from "./DeliverabilityReport";
+
+const styles = {
+  filters: { display: "flex", alignItems: "baseline", flexWrap: "wrap" },
+  filter: { marginRight: 20 }
+};
+
+const dimensionLabels = Object.freeze({
+  DOMAIN: "Link Domain",
+  URL_PATH: "URL Path",
+  MESSAGING_SERVICE: "Messaging Service",
+  CAMPAIGN: "Campaign"
+});
+
+class AdminDeliverability extends Component {
+  state = {
+    startDate: moment()
+      .subtract(7, "days")
+      .startOf("day")
+      .toDate(),
+    endDate: moment()
+      .endOf("day")
+      .toDate(),
+    dimension: "DOMAIN"
+  };
+
+  handleStartDateChange = (_event, date) =>
+    this.setState({
+      startDate: moment(date)
+        .startOf("day")
+        .toDate()
+    });
+
+  handleEndDateChange = (_event, date) =>
+    this.setState({
+      endDate: moment(date)
+        .endOf("day")
+        .toDate()
+    });
+
+  handleDimensionChange = (_event, _index, dimension) =>
+    this.setState({ dimension });
+
+  render() {
+    const { startDate, endDate, dimension } = this.state;
+    // Hourly points are too dense to read over more than a few days
+    const period =
+      moment(endDate).diff(startDate, "days", true) > 3 ? "DAY" : "HOUR";
+
+    return (
+      <div>
+        <div style={styles.filters}>
+          <DatePicker
+            floatingLabelText="From"
+            value={startDate}
+            maxDate={endDate}
+            onChange={this.handleStartDateChange}
+            style={styles.filter}
+          />
+          <DatePicker
+            floatingLabelText="To"
+            value={endDate}
+            minDate={startDate}
+            onChange={this.handleEndDateChange}
+            style={styles.filter}
+          />
+          <SelectField
+            floatingLabelText="Break down by"
+            value={dimension}
+            onChange={this.handleDimensionChange}
+            style={styles.filter}
+          >
+            {Object.keys(dimensionLabels).map(key => (
+              <MenuItem
+                key={key}
+                value={key}
+                primaryText={dimensionLabels[key]}
+              />
+            ))}
+          </SelectField>
+        </div>
+        <DeliverabilityReport
+          organizationId={this.props.params.organizationId}
+          filter={{
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString()
+          }}
+          period={period}
+          dimension={dimension}
+          dimensionLabel={dimensionLabels[dimension]}
+        />
+      </div>
+    );
+  }
+}
+
+AdminDeliverability.propTypes = {
+  params: PropTypes.object
+};
+
+export default AdminDeliverability;
@@ -1,31 +1,204 @@
 import PropTypes from "prop-types";
 import React from "react";
+import moment from "moment";
 import { List, ListItem } from "material-ui/List";
+import LinearProgress from "material-ui/LinearProgress";
+import RaisedButton from "material-ui/RaisedButton";
 import ProhibitedIcon from "material-ui/svg-icons/av/not-interested";
 import Empty from "../components/Empty";
 import loadData from "./hoc/load-data";
+import wrapMutations from "./hoc/wrap-mutations";
 import gql from "graphql-tag";
+import { parseOptOutCSV } from "../lib";
 
-const AdminOptOutList = function AdminOptOutList(props) {
-  const { data } = props;
-  const { optOuts } = data.organization;
-  return (
-    <div>
-      {optOuts.length === 0 ? (
-        <Empty title="Yay, no one has opted out!" icon={<ProhibitedIcon />} />
-      ) : (
-        <List>
-          {optOuts.map(optOut => (
-            <ListItem key={optOut.id} primaryText={optOut.cell} />
-          ))}
-        </List>
-      )}
-    </div>
-  );
+const OPT_OUT_JOB_TYPES = ["import_opt_outs", "export_opt_outs"];
+
+const jobLabels = {
+  import_opt_outs: "Import",
+  export_opt_outs: "Export"
 };
 
+const optOutSource = optOut =>
+  optOut.isAutomatic ? `Automatic (replied "${optOut.reasonCode}")` : "Manual";
+
+const eventDescription = event => {
+  const action = event.type === "OPT_OUT" ? "Opted out" : "Opted back in";
+  const userName = event.user ? ` (${event.user.displayName})` : "";
+  switch (event.source) {
+    case "KEYWORD":
+      return `${action} automatically after replying "${event.reason}"`;
+    case "API":
+      return `${action} through the API`;
+    case "ADMIN":
+      return `${action} by an admin${userName}`;
+    default:
+      return `${action} by a texter${userName}`;
+  }
+};
+
+class AdminOptOutList extends React.Component {
+  state = {
+    uploading: false,
+    uploadError: null
+  };
+
+  handleUpload = event => {
+    event.preventDefault();
+    const file = event.target.files[0];
+    // Allow the same file to be picked again after an error
+    event.target.value = "";
+    this.setState({ uploading: true, uploadError: null }, () => {
+      parseOptOutCSV(file, async ({ cells, error }) => {
+        if (error) {
+          this.setState({ uploading: false, uploadError: error });
+        } else if (cells.length === 0) {
+          this.setState({
+            uploading: false,
+            uploadError: "Upload at least one phone number"
+          });
+        } else {
+          await this.props.mutations.importOptOuts(cells);
+          await this.props.jobsData.refetch();
+          this.setState({ uploading: false });
+        }
+      });
+    });
+  };
+
+  handleExport = async () => {
+    await this.props.mutations.exportOptOuts();
+    await this.props.jobsData.refetch();
+  };
+
+  handleDismissJob = async jobId => {
+    await this.props.mutations.deleteOrganizationJob(jobId);
+    await this.props.jobsData.refetch();
+  };
+
+  renderJobs() {
+    const { pendingJobs } = this.props.jobsData.organization;
+    if (!pendingJobs.length) {
+      return null;
+    }
+    return (
+      <List>
+        {pendingJobs.map(job => {
+          const label = jobLabels[job.jobType] || job.jobType;
+          return job.resultMessage ? (
+            <ListItem
+              key={job.id}
+              primaryText={`${label}: ${job.resultMessage}`}
+              rightIconButton={
+                <RaisedButton
+                  label="Dismiss"
+                  onClick={() => this.handleDismissJob(job.id)}
+                />
+              }
+              disabled
+            />
+          ) : (
+            <ListItem
+              key={job.id}
+              primaryText={`${label} in progress (${job.status}%)`}
+              secondaryText={
+                <LinearProgress mode="determinate" value={job.status} />
+              }
+              disabled
+            />
+          );
+        })}
+      </List>
+    );
+  }
+
+  renderActions() {
+    const { uploading, uploadError } = this.state;
+    const importRunning = this.props.jobsData.organization.pendingJobs.some(
+      job => job.jobType === "import_opt_outs" && !job.resultMessage
+    );
+    return (
+      <div>
+        <RaisedButton
+          label={uploading ? "Uploading..." : "Import opt-outs"}
+          disabled={uploading || importRunning}
+          onClick={() => document.querySelector("#opt-out-upload").click()}
+        />
+        <input
+          id="opt-out-upload"
+          type="file"
+          accept=".csv"
+          onChange={this.handleUpload}
+          style={{ display: "none" }}
+        />{" "}
+        <RaisedButton label="Export opt-outs" onClick={this.handleExport} />
+        {uploadError ? <div>{uploadError}</div> : null}
+      </div>
+    );
+  }
+
+  render() {
+    const { optOuts, optOutEvents } = this.props.data.organization;
+
+    const eventsByCell = {};
+    optOutEvents.forEach(event => {
+      eventsByCell[event.cell] = (eventsByCell[event.cell] || []).concat([
+        event
+      ]);
+    });
+
+    // Cells that were opted back in still have a history worth showing
+    const optedOutCells = new Set(optOuts.map(optOut => optOut.cell));
+    const optedInCells = Object.keys(eventsByCell).filter(
+      cell => !optedOutCells.has(cell)
+    );
+
+    const renderTimeline = cell =>
+      (eventsByCell[cell] || []).map(event => (
+        <ListItem
+          key={event.id}
+          primaryText={eventDescription(event)}
+          secondaryText={moment(event.createdAt).format("LLL")}
+          disabled
+        />
+      ));
+
+    return (
+      <div>
+        {this.renderActions()}
+        {this.renderJobs()}
+        {optOuts.length === 0 && optedInCells.length === 0 ? (
+          <Empty title="Yay, no one has opted out!" icon={<ProhibitedIcon />} />
+        ) : (
+          <List>
+            {optOuts.map(optOut => (
+              <ListItem
+                key={optOut.id}
+                primaryText={optOut.cell}
+                secondaryText={optOutSource(optOut)}
+                primaryTogglesNestedList
+                nestedItems={renderTimeline(optOut.cell)}
+              />
+            ))}
+            {optedInCells.map(cell => (
+              <ListItem
+                key={cell}
+                primaryText={cell}
+                secondaryText="Opted back in"
+                primaryTogglesNestedList
+                nestedItems={renderTimeline(cell)}
+              />
+            ))}
+          </List>
+        )}
+      </div>
+    );
+  }
+}
+
 AdminOptOutList.propTypes = {
-  data: PropTypes.object
+  data: PropTypes.object,
+  jobsData: PropTypes.object,
+  mutations: PropTypes.object
 };
 
 const mapQueriesToProps = ({ ownProps }) => ({
@@ -37,6 +210,20 @@ const mapQueriesToProps = ({ ownProps }) => ({
           optOuts {
             id
             cell
+            reasonCode
+            isAutomatic
+          }
+          optOutEvents {
+            id
+            cell
+            type
+            source
+            reason
+            createdAt
+            user {
+              id
+              displayName
+            }
           }
         }
       }
@@ -45,7 +232,71 @@ const mapQueriesToProps = ({ ownProps }) => ({
       organizationId: ownProps.params.organizationId
     },
     forceFetch: true
+  },
+  jobsData: {
+    query: gql`
+      query getOptOutJobs($organizationId: String!, $jobTypes: [String]) {
+        organization(id: $organizationId) {
+          id
+          pendingJobs(jobTypes: $jobTypes) {
+            id
+            jobType
+            status
+            resultMessage
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      jobTypes: OPT_OUT_JOB_TYPES
+    },
+    pollInterval: 5000
   }
 });
 
-export default loadData(AdminOptOutList, { mapQueriesToProps });
+const mapMutationsToProps = ({ ownProps }) => ({
+  importOptOuts: cells => ({
+    mutation: gql`
+      mutation importOptOuts($organizationId: String!, $cells: [String]!) {
+        importOptOuts(organizationId: $organizationId, cells: $cells) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      cells
+    }
+  }),
+  exportOptOuts: () => ({
+    mutation: gql`
+      mutation exportOptOuts($organizationId: String!) {
+        exportOptOuts(organizationId: $organizationId) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    }
+  }),
+  deleteOrganizationJob: jobId => ({
+    mutation: gql`
+      mutation deleteOrganizationJob($organizationId: String!, $id: String!) {
+        deleteOrganizationJob(organizationId: $organizationId, id: $id) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      id: jobId
+    }
+  })
+});
+
+export default loadData(wrapMutations(AdminOptOutList), {
+  mapQueriesToProps,
+  mapMutationsToProps
+});
@@ -0,0 +1,347 @@
+import PropTypes from "prop-types";
+import React from "react";
+import gql from "graphql-tag";
+import moment from "moment";
+import { List, ListItem } from "material-ui/List";
+import Dialog from "material-ui/Dialog";
+import FlatButton from "material-ui/FlatButton";
+import IconButton from "material-ui/IconButton";
+import IconMenu from "material-ui/IconMenu";
+import MenuItem from "material-ui/MenuItem";
+import RaisedButton from "material-ui/RaisedButton";
+import DescriptionIcon from "material-ui/svg-icons/action/description";
+import DownloadIcon from "material-ui/svg-icons/file/file-download";
+import MoreVertIcon from "material-ui/svg-icons/navigation/more-vert";
+
+import Empty from "../components/Empty";
+import loadData from "./hoc/load-data";
+import wrapMutations from "./hoc/wrap-mutations";
+
+const versionFields = `
+  id
+  version
+  questionCount
+  cannedResponseCount
+  exportData
+  createdAt
+  creator {
+    id
+    displayName
+  }
+`;
+
+const fileName = (template, version) =>
+  `${template.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase()}-v${
+    version.version
+  }.json`;
+
+const downloadJson = (data, name) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json"
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
+
+const versionSummary = version =>
+  `${version.questionCount} ${
+    version.questionCount === 1 ? "question" : "questions"
+  }, ${version.cannedResponseCount} canned ${
+    version.cannedResponseCount === 1 ? "response" : "responses"
+  }`;
+
+// Organization-wide library of saved interaction steps and canned responses
+class AdminScriptLibrary extends React.Component {
+  state = {
+    importTemplateId: null,
+    isImporting: false,
+    warnDeleteTemplateId: undefined,
+    requestError: undefined
+  };
+
+  handleImportClick = importTemplateId =>
+    this.setState({ importTemplateId }, () =>
+      document.querySelector("#script-template-upload").click()
+    );
+
+  handleUpload = event => {
+    event.preventDefault();
+    const file = event.target.files[0];
+    // Allow the same file to be picked again after an error
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let content;
+      try {
+        content = JSON.parse(reader.result);
+      } catch (err) {
+        this.setState({ requestError: "This file is not valid JSON." });
+        return;
+      }
+      this.setState({ isImporting: true });
+      try {
+        await this.props.mutations.importScriptTemplate(
+          content,
+          this.state.importTemplateId
+        );
+        await this.props.data.refetch();
+      } catch (err) {
+        this.setState({ requestError: err.message });
+      } finally {
+        this.setState({ isImporting: false });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  handleDeleteTemplate = async () => {
+    const { warnDeleteTemplateId } = this.state;
+    this.setState({ warnDeleteTemplateId: undefined });
+    try {
+      await this.props.mutations.deleteScriptTemplate(warnDeleteTemplateId);
+      await this.props.data.refetch();
+    } catch (err) {
+      this.setState({ requestError: err.message });
+    }
+  };
+
+  renderVersion(template, version) {
+    const creator = version.creator ? ` by ${version.creator.displayName}` : "";
+    return (
+      <ListItem
+        key={version.id}
+        primaryText={`Version ${version.version}: ${versionSummary(version)}`}
+        secondaryText={`Saved ${moment(version.createdAt).format(
+          "LLL"
+        )}${creator}`}
+        rightIconButton={
+          <IconButton
+            tooltip="Export"
+            onClick={() =>
+              downloadJson(version.exportData, fileName(template, version))
+            }
+          >
+            <DownloadIcon />
+          </IconButton>
+        }
+        disabled
+      />
+    );
+  }
+
+  renderTemplate(template) {
+    const { latestVersion } = template;
+    const menu = (
+      <IconMenu
+        iconButtonElement={
+          <IconButton>
+            <MoreVertIcon />
+          </IconButton>
+        }
+        anchorOrigin={{ horizontal: "right", vertical: "top" }}
+        targetOrigin={{ horizontal: "right", vertical: "top" }}
+      >
+        <MenuItem
+          primaryText="Export latest version"
+          onClick={() =>
+            downloadJson(
+              latestVersion.exportData,
+              fileName(template, latestVersion)
+            )
+          }
+        />
+        <MenuItem
+          primaryText="Import as new version"
+          onClick={() => this.handleImportClick(template.id)}
+        />
+        <MenuItem
+          primaryText="Delete"
+          onClick={() => this.setState({ warnDeleteTemplateId: template.id })}
+        />
+      </IconMenu>
+    );
+    return (
+      <ListItem
+        key={template.id}
+        primaryText={template.name}
+        secondaryText={`Version ${latestVersion.version}, ${versionSummary(
+          latestVersion
+        )}. Used by ${template.campaignCount} ${
+          template.campaignCount === 1 ? "campaign" : "campaigns"
+        }.`}
+        rightIconButton={menu}
+        primaryTogglesNestedList
+        nestedItems={template.versions.map(version =>
+          this.renderVersion(template, version)
+        )}
+      />
+    );
+  }
+
+  render() {
+    const { scriptTemplates } = this.props.data.organization;
+    const { isImporting, warnDeleteTemplateId, requestError } = this.state;
+    const warnDeleteTemplate =
+      warnDeleteTemplateId &&
+      scriptTemplates.find(template => template.id === warnDeleteTemplateId);
+
+    return (
+      <div>
+        <RaisedButton
+          label={isImporting ? "Importing..." : "Import template"}
+          disabled={isImporting}
+          onClick={() => this.handleImportClick(null)}
+        />
+        <input
+          id="script-template-upload"
+          type="file"
+          accept=".json,application/json"
+          onChange={this.handleUpload}
+          style={{ display: "none" }}
+        />
+        <p>
+          Save a campaign's interactions and canned responses to the library
+          from the Script Library section of the campaign. Templates can then be
+          used by new campaigns, or exported and imported as JSON files.
+        </p>
+        {scriptTemplates.length === 0 ? (
+          <Empty
+            title="No scripts in the library yet"
+            icon={<DescriptionIcon />}
+          />
+        ) : (
+          <List>
+            {scriptTemplates.map(template => this.renderTemplate(template))}
+          </List>
+        )}
+        {warnDeleteTemplate && (
+          <Dialog
+            title="Delete script template"
+            actions={[
+              <FlatButton
+                label="Cancel"
+                onClick={() =>
+                  this.setState({ warnDeleteTemplateId: undefined })
+                }
+              />,
+              <RaisedButton
+                label="Delete"
+                primary
+                onClick={this.handleDeleteTemplate}
+              />
+            ]}
+            open
+            onRequestClose={() =>
+              this.setState({ warnDeleteTemplateId: undefined })
+            }
+          >
+            Delete {warnDeleteTemplate.name} and all of its versions? Campaigns
+            that used it keep their scripts.
+          </Dialog>
+        )}
+        <Dialog
+          title="Request Error"
+          actions={[
+            <FlatButton
+              label="Ok"
+              primary
+              onClick={() => this.setState({ requestError: undefined })}
+            />
+          ]}
+          open={requestError !== undefined}
+          onRequestClose={() => this.setState({ requestError: undefined })}
+        >
+          {requestError || ""}
+        </Dialog>
+      </div>
+    );
+  }
+}
+
+AdminScriptLibrary.propTypes = {
+  data: PropTypes.object,
+  mutations: PropTypes.object,
+  params: PropTypes.object
+};
+
+const mapQueriesToProps = ({ ownProps }) => ({
+  data: {
+    query: gql`
+      query getScriptTemplates($organizationId: String!) {
+        organization(id: $organizationId) {
+          id
+          scriptTemplates {
+            id
+            name
+            description
+            campaignCount
+            latestVersion {
+              ${versionFields}
+            }
+            versions {
+              ${versionFields}
+            }
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    },
+    forceFetch: true
+  }
+});
+
+const mapMutationsToProps = ({ ownProps }) => ({
+  importScriptTemplate: (content, scriptTemplateId) => ({
+    mutation: gql`
+      mutation importScriptTemplate(
+        $organizationId: String!
+        $content: JSON!
+        $scriptTemplateId: String
+      ) {
+        importScriptTemplate(
+          organizationId: $organizationId
+          content: $content
+          scriptTemplateId: $scriptTemplateId
+        ) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      content,
+      scriptTemplateId
+    }
+  }),
+  deleteScriptTemplate: scriptTemplateId => ({
+    mutation: gql`
+      mutation deleteScriptTemplate(
+        $organizationId: String!
+        $scriptTemplateId: String!
+      ) {
+        deleteScriptTemplate(
+          organizationId: $organizationId
+          scriptTemplateId: $scriptTemplateId
+        )
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      scriptTemplateId
+    }
+  })
+});
+
+export default loadData(wrapMutations(AdminScriptLibrary), {
+  mapQueriesToProps,
+  mapMutationsToProps
+});
@@ -5,60 +5,96 @@ import Dialog from "material-ui/Dialog";
 import FlatButton from "material-ui/FlatButton";
 import RaisedButton from "material-ui/RaisedButton";
 import TextField from "material-ui/TextField";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+
+const DEFAULT_POOL_VALUE = "default";
 
 class AddDomainDialog extends Component {
-  state = {
-    domain: "",
-    maxUsageCount: 100
-  };
+  constructor(props) {
+    super(props);
+    // When editing, start from the domain's current settings
+    const { linkDomain } = props;
+    this.state = linkDomain
+      ? {
+          domain: linkDomain.domain,
+          maxUsageCount: linkDomain.maxUsageCount,
+          poolId: linkDomain.poolId,
+          weight: linkDomain.weight,
+          dailyCap: linkDomain.dailyCap
+        }
+      : {
+          domain: "",
+          maxUsageCount: 100,
+          poolId: props.defaultPoolId || null,
+          weight: 1,
+          dailyCap: null
+        };
+  }
 
   handleDomainChange = event => this.setState({ domain: event.target.value });
   handleMaxUsageCountChange = event =>
     this.setState({ maxUsageCount: parseInt(event.target.value, 10) });
+  handlePoolChange = (event, index, value) =>
+    this.setState({ poolId: value === DEFAULT_POOL_VALUE ? null : value });
+  handleWeightChange = event =>
+    this.setState({ weight: parseInt(event.target.value, 10) });
+  handleDailyCapChange = event => {
+    const dailyCap = parseInt(event.target.value, 10);
+    this.setState({ dailyCap: isNaN(dailyCap) ? null : dailyCap });
+  };
 
-  handleAddDomainClick = () => {
-    const { onAddNewDomain } = this.props;
-    const { domain, maxUsageCount } = this.state;
-    onAddNewDomain(domain, maxUsageCount);
+  handleSaveClick = () => {
+    const { onSaveDomain } = this.props;
+    const { domain, maxUsageCount, poolId, weight, dailyCap } = this.state;
+    onSaveDomain({ domain, maxUsageCount, poolId, weight, dailyCap });
   };
 
   render() {
-    const { open, onRequestClose } = this.props;
-    const { domain, maxUsageCount } = this.state;
+    const { open, onRequestClose, linkDomain, pools } = this.props;
+    const { domain, maxUsageCount, poolId, weight, dailyCap } = this.state;
 
     const isDomainValid = domain !== "";
     const isMaxUsageCountValid = maxUsageCount > 0;
-    const isSubmitDisabled = !isDomainValid || !isMaxUsageCountValid;
+    const isWeightValid = weight > 0;
+    const isDailyCapValid = dailyCap === null || dailyCap > 0;
+    const isSubmitDisabled =
+      !isDomainValid ||
+      !isMaxUsageCountValid ||
+      !isWeightValid ||
+      !isDailyCapValid;
 
     const actions = [
       <FlatButton label="Close" primary={false} onClick={onRequestClose} />,
       <RaisedButton
-        label="Add"
+        label={linkDomain ? "Save" : "Add"}
         primary={true}
         disabled={isSubmitDisabled}
-        onClick={this.handleAddDomainClick}
+        onClick={this.handleSaveClick}
       />
     ];
 
     return (
       <Dialog
-        title="Add Domain"
+        title={linkDomain ? "Edit Domain" : "Add Domain"}
         actions={actions}
         modal={false}
         open={open}
         onRequestClose={onRequestClose}
+        autoScrollBodyContent={true}
       >
-        <p>Add a new shortlink domain.</p>
+        {!linkDomain && <p>Add a new shortlink domain.</p>}
         <TextField
           floatingLabelText="Shortlink Domain"
           hintText="bit.ly"
           value={domain}
+          disabled={!!linkDomain}
           errorText={isDomainValid ? undefined : "You must provide a domain."}
           onChange={this.handleDomainChange}
         />
         <br />
         <TextField
-          floatingLabelText="Shortlink Domain"
+          floatingLabelText="Maximum Usage Count"
           value={maxUsageCount}
           errorText={
             isMaxUsageCountValid
@@ -68,15 +104,52 @@ class AddDomainDialog extends Component {
           type="number"
           onChange={this.handleMaxUsageCountChange}
         />
+        <br />
+        <SelectField
+          floatingLabelText="Pool"
+          value={poolId || DEFAULT_POOL_VALUE}
+          onChange={this.handlePoolChange}
+        >
+          <MenuItem value={DEFAULT_POOL_VALUE} primaryText="Default pool" />
+          {pools.map(pool => (
+            <MenuItem key={pool.id} value={pool.id} primaryText={pool.name} />
+          ))}
+        </SelectField>
+        <br />
+        <TextField
+          floatingLabelText="Weight"
+          value={weight}
+          errorText={isWeightValid ? undefined : "Weight must be at least 1."}
+          type="number"
+          onChange={this.handleWeightChange}
+        />
+        <br />
+        <TextField
+          floatingLabelText="Daily Cap"
+          hintText="No cap"
+          value={dailyCap === null ? "" : dailyCap}
+          errorText={
+            isDailyCapValid ? undefined : "Daily cap must be at least 1."
+          }
+          type="number"
+          onChange={this.handleDailyCapChange}
+        />
       </Dialog>
     );
   }
 }
 
+AddDomainDialog.defaultProps = {
+  pools: []
+};
+
 AddDomainDialog.propTypes = {
   open: PropTypes.bool,
+  linkDomain: PropTypes.object,
+  pools: PropTypes.arrayOf(PropTypes.object),
+  defaultPoolId: PropTypes.string,
   onRequestClose: PropTypes.func,
-  onAddNewDomain: PropTypes.func
+  onSaveDomain: PropTypes.func
 };
 
 export default AddDomainDialog;
@@ -0,0 +1,136 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import RaisedButton from "material-ui/RaisedButton";
+import TextField from "material-ui/TextField";
+import Toggle from "material-ui/Toggle";
+
+const styles = {
+  field: { marginRight: 20, width: 180 }
+};
+
+// Edit the policy that pulls link domains out of rotation when their deliverability drops
+class HealthPolicyForm extends Component {
+  constructor(props) {
+    super(props);
+    const { policy } = props;
+    this.state = {
+      enabled: policy.enabled,
+      maxErrorPercent: Math.round(policy.maxErrorRate * 100),
+      minSendCount: policy.minSendCount,
+      windowHours: policy.windowHours,
+      coolDownHours: policy.coolDownHours
+    };
+  }
+
+  createIntegerHandler = key => event =>
+    this.setState({ [key]: parseInt(event.target.value, 10) });
+
+  handleEnabledToggle = (_event, enabled) => this.setState({ enabled });
+
+  handleSaveClick = () => {
+    const {
+      enabled,
+      maxErrorPercent,
+      minSendCount,
+      windowHours,
+      coolDownHours
+    } = this.state;
+    this.props.onSave({
+      enabled,
+      maxErrorRate: maxErrorPercent / 100,
+      minSendCount,
+      windowHours,
+      coolDownHours
+    });
+  };
+
+  render() {
+    const { isWorking } = this.props;
+    const {
+      enabled,
+      maxErrorPercent,
+      minSendCount,
+      windowHours,
+      coolDownHours
+    } = this.state;
+
+    const isPercentValid = maxErrorPercent >= 0 && maxErrorPercent <= 100;
+    const isSendCountValid = minSendCount >= 1;
+    const isWindowValid = windowHours >= 1;
+    const isCoolDownValid = coolDownHours >= 1;
+    const isSaveDisabled =
+      isWorking ||
+      !isPercentValid ||
+      !isSendCountValid ||
+      !isWindowValid ||
+      !isCoolDownValid;
+
+    return (
+      <div style={{ marginBottom: 20 }}>
+        <Toggle
+          label="Automatically pull domains with poor deliverability out of rotation"
+          toggled={enabled}
+          onToggle={this.handleEnabledToggle}
+          style={{ maxWidth: 600 }}
+        />
+        <TextField
+          floatingLabelText="Maximum error %"
+          type="number"
+          value={maxErrorPercent}
+          disabled={!enabled}
+          errorText={isPercentValid ? undefined : "Must be 0 to 100."}
+          onChange={this.createIntegerHandler("maxErrorPercent")}
+          style={styles.field}
+        />
+        <TextField
+          floatingLabelText="Minimum sends"
+          type="number"
+          value={minSendCount}
+          disabled={!enabled}
+          errorText={isSendCountValid ? undefined : "Must be at least 1."}
+          onChange={this.createIntegerHandler("minSendCount")}
+          style={styles.field}
+        />
+        <TextField
+          floatingLabelText="Window (hours)"
+          type="number"
+          value={windowHours}
+          disabled={!enabled}
+          errorText={isWindowValid ? undefined : "Must be at least 1."}
+          onChange={this.createIntegerHandler("windowHours")}
+          style={styles.field}
+        />
+        <TextField
+          floatingLabelText="Cool-down (hours)"
+          type="number"
+          value={coolDownHours}
+          disabled={!enabled}
+          errorText={isCoolDownValid ? undefined : "Must be at least 1."}
+          onChange={this.createIntegerHandler("coolDownHours")}
+          style={styles.field}
+        />
+        <RaisedButton
+          label="Save Policy"
+          primary={true}
+          disabled={isSaveDisabled}
+          onClick={this.handleSaveClick}
+        />
+      </div>
+    );
+  }
+}
+
+HealthPolicyForm.propTypes = {
+  policy: PropTypes.shape({
+    enabled: PropTypes.bool,
+    maxErrorRate: PropTypes.number,
+    minSendCount: PropTypes.number,
+    windowHours: PropTypes.number,
+    coolDownHours: PropTypes.number
+  }).isRequired,
+  isWorking: PropTypes.bool,
+  onSave: PropTypes.func.isRequired
+};
+
+export default HealthPolicyForm;
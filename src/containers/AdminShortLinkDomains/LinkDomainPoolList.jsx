@@ -0,0 +1,90 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import { List, ListItem } from "material-ui/List";
+import Subheader from "material-ui/Subheader";
+import IconButton from "material-ui/IconButton";
+import RaisedButton from "material-ui/RaisedButton";
+import TextField from "material-ui/TextField";
+import DeleteForeverIcon from "material-ui/svg-icons/action/delete-forever";
+import { red500 } from "material-ui/styles/colors";
+
+const describeNextDomain = nextDomain =>
+  nextDomain ? `Next message uses ${nextDomain}` : "No domain available";
+
+// Named pools of link domains that campaigns can be pointed at instead of the default pool
+class LinkDomainPoolList extends Component {
+  state = {
+    name: ""
+  };
+
+  handleNameChange = event => this.setState({ name: event.target.value });
+
+  handleCreateClick = async () => {
+    await this.props.onCreatePool(this.state.name.trim());
+    this.setState({ name: "" });
+  };
+
+  createHandleDeleteClick = poolId => () => this.props.onDeletePool(poolId);
+
+  render() {
+    const { pools, defaultPoolNextDomain, isWorking } = this.props;
+    const { name } = this.state;
+
+    return (
+      <div style={{ marginBottom: 20 }}>
+        <List>
+          <Subheader>Domain Pools</Subheader>
+          <ListItem
+            primaryText="Default"
+            secondaryText={`Domains without a pool. ${describeNextDomain(
+              defaultPoolNextDomain
+            )}`}
+            disabled={true}
+          />
+          {pools.map(pool => (
+            <ListItem
+              key={pool.id}
+              primaryText={`${pool.name} (${pool.domainCount} domains)`}
+              secondaryText={describeNextDomain(pool.nextDomain)}
+              disabled={true}
+              rightIconButton={
+                <IconButton
+                  disabled={isWorking}
+                  onClick={this.createHandleDeleteClick(pool.id)}
+                >
+                  <DeleteForeverIcon color={red500} />
+                </IconButton>
+              }
+            />
+          ))}
+        </List>
+        <TextField
+          floatingLabelText="New pool name"
+          value={name}
+          onChange={this.handleNameChange}
+          style={{ marginRight: 20 }}
+        />
+        <RaisedButton
+          label="Add Pool"
+          disabled={isWorking || name.trim() === ""}
+          onClick={this.handleCreateClick}
+        />
+      </div>
+    );
+  }
+}
+
+LinkDomainPoolList.defaultProps = {
+  isWorking: false
+};
+
+LinkDomainPoolList.propTypes = {
+  pools: PropTypes.arrayOf(PropTypes.object).isRequired,
+  defaultPoolNextDomain: PropTypes.string,
+  isWorking: PropTypes.bool,
+  onCreatePool: PropTypes.func.isRequired,
+  onDeletePool: PropTypes.func.isRequired
+};
+
+export default LinkDomainPoolList;
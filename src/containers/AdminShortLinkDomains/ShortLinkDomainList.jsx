@@ -10,6 +10,7 @@ import BlockIcon from "material-ui/svg-icons/content/block";
 import ThumbUpIcon from "material-ui/svg-icons/action/thumb-up";
 import ThumbDownIcon from "material-ui/svg-icons/action/thumb-down";
 import DeleteForeverIcon from "material-ui/svg-icons/action/delete-forever";
+import EditIcon from "material-ui/svg-icons/image/edit";
 import { red500, green500 } from "material-ui/styles/colors";
 
 class ShortLinkDomainList extends Component {
@@ -30,6 +31,29 @@ class ShortLinkDomainList extends Component {
       key: "domain",
       label: "Domain"
     },
+    {
+      key: "poolId",
+      label: "Pool",
+      tooltip: "The pool of domains this domain rotates with.",
+      render: (value, row) => {
+        const pool = this.props.pools.find(pool => pool.id === value);
+        return pool ? pool.name : "Default";
+      }
+    },
+    {
+      key: "weight",
+      label: "Weight",
+      tooltip:
+        "How many turns the domain gets per rotation relative to the rest of its pool."
+    },
+    {
+      key: "dailyUsageCount",
+      label: "Used Today",
+      tooltip:
+        "How many messages have used the domain today, out of its daily cap if it has one.",
+      render: (value, row) =>
+        row.dailyCap ? `${value} / ${row.dailyCap}` : `${value}`
+    },
     {
       key: "currentUsageCount",
       label: "Current Usage",
@@ -68,6 +92,19 @@ class ShortLinkDomainList extends Component {
         );
       }
     },
+    {
+      key: "healthEvents",
+      label: "Last Health Change",
+      tooltip: "Why the domain was last pulled from or returned to rotation.",
+      style: { whiteSpace: "normal" },
+      render: (value, row) => {
+        const [latestEvent] = value || [];
+        if (!latestEvent) return "";
+        return `${latestEvent.reason} (${moment(
+          latestEvent.createdAt
+        ).fromNow()})`;
+      }
+    },
     {
       key: "cycledOutAt",
       label: "Last Cycled Out",
@@ -79,6 +116,20 @@ class ShortLinkDomainList extends Component {
       label: "Created",
       render: (value, row) => new Date(value).toLocaleString()
     },
+    {
+      label: "",
+      style: { width: "50px" },
+      render: (value, row) => {
+        return (
+          <IconButton
+            disabled={row.isRowDisabled}
+            onClick={this.createHandleEditClick(row.id)}
+          >
+            <EditIcon />
+          </IconButton>
+        );
+      }
+    },
     {
       label: "",
       style: { width: "50px" },
@@ -104,6 +155,15 @@ class ShortLinkDomainList extends Component {
     this.props.onManualDisableToggle(domainId, value);
   };
 
+  createHandleEditClick = domainId => event => {
+    // These don't appear to be doing anything to stop handleCellClick being called...
+    event.stopPropagation();
+    event.nativeEvent.stopImmediatePropagation();
+    event.preventDefault();
+
+    this.props.onEditDomain(domainId);
+  };
+
   createHandleDeleteClick = domainId => event => {
     // These don't appear to be doing anything to stop handleCellClick being called...
     event.stopPropagation();
@@ -136,13 +196,16 @@ class ShortLinkDomainList extends Component {
 }
 
 ShortLinkDomainList.defaultProps = {
-  disabledDomainIds: []
+  disabledDomainIds: [],
+  pools: []
 };
 
 ShortLinkDomainList.propTypes = {
   domains: PropTypes.arrayOf(PropTypes.object).isRequired,
   disabledDomainIds: PropTypes.arrayOf(PropTypes.string),
+  pools: PropTypes.arrayOf(PropTypes.object),
   onManualDisableToggle: PropTypes.func.isRequired,
+  onEditDomain: PropTypes.func.isRequired,
   onDeleteDomain: PropTypes.func.isRequired
 };
 
@@ -7,6 +7,7 @@ import FloatingActionButton from "material-ui/FloatingActionButton";
 import Dialog from "material-ui/Dialog";
 import FlatButton from "material-ui/FlatButton";
 import RaisedButton from "material-ui/RaisedButton";
+import Toggle from "material-ui/Toggle";
 import ContentAddIcon from "material-ui/svg-icons/content/add";
 import CloudUploadIcon from "material-ui/svg-icons/file/cloud-upload";
 
@@ -15,6 +16,23 @@ import LoadingIndicator from "../../components/LoadingIndicator";
 
 import ShortLinkDomainList from "./ShortLinkDomainList";
 import AddDomainDialog from "./AddDomainDialog";
+import HealthPolicyForm from "./HealthPolicyForm";
+import LinkDomainPoolList from "./LinkDomainPoolList";
+
+const linkDomainFields = `
+  id
+  domain
+  maxUsageCount
+  currentUsageCount
+  isManuallyDisabled
+  isHealthy
+  cycledOutAt
+  createdAt
+  poolId
+  weight
+  dailyCap
+  dailyUsageCount
+`;
 
 class AdminShortLinkDomains extends Component {
   state = {
@@ -22,7 +40,99 @@ class AdminShortLinkDomains extends Component {
     webRequestError: undefined,
     showAddDomainDialog: false,
     addDomainIsWorking: false,
-    warnDeleteDomainId: undefined
+    warnDeleteDomainId: undefined,
+    trackingToggleIsWorking: false,
+    healthPolicyIsWorking: false,
+    editDomainId: undefined,
+    poolIsWorking: false
+  };
+
+  handleCreatePool = async name => {
+    this.setState({ poolIsWorking: true });
+    try {
+      const response = await this.props.mutations.createLinkDomainPool(name);
+      if (response.errors) throw new Error(response.errors);
+      await this.props.shortLinkDomains.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({ poolIsWorking: false });
+    }
+  };
+
+  handleDeletePool = async poolId => {
+    this.setState({ poolIsWorking: true });
+    try {
+      const response = await this.props.mutations.deleteLinkDomainPool(poolId);
+      if (response.errors) throw new Error(response.errors);
+      await this.props.shortLinkDomains.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({ poolIsWorking: false });
+    }
+  };
+
+  handleEditDomainClick = editDomainId => this.setState({ editDomainId });
+  handleEditDomainDialogClose = () =>
+    this.setState({ editDomainId: undefined });
+
+  handleEditDomain = async ({ maxUsageCount, poolId, weight, dailyCap }) => {
+    const { editDomainId: domainId } = this.state;
+    const linkDomain = this.props.shortLinkDomains.organization.linkDomains.find(
+      domain => domain.id === domainId
+    );
+    const payload = { maxUsageCount, weight, dailyCap };
+    // Moving pools restarts the domain's place in rotation, so only send a pool that changed
+    if (poolId !== linkDomain.poolId) payload.poolId = poolId;
+    this.setState({
+      disabledDomainIds: this.state.disabledDomainIds.concat([domainId]),
+      editDomainId: undefined
+    });
+    try {
+      const response = await this.props.mutations.updateLinkDomain(
+        domainId,
+        payload
+      );
+      if (response.errors) throw new Error(response.errors);
+      await this.props.shortLinkDomains.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({
+        disabledDomainIds: this.state.disabledDomainIds.filter(
+          disabledId => disabledId !== domainId
+        )
+      });
+    }
+  };
+
+  handleSaveHealthPolicy = async policy => {
+    this.setState({ healthPolicyIsWorking: true });
+    try {
+      const response = await this.props.mutations.updateLinkDomainHealthPolicy(
+        policy
+      );
+      if (response.errors) throw new Error(response.errors);
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({ healthPolicyIsWorking: false });
+    }
+  };
+
+  handleTrackingToggle = async (_event, enabled) => {
+    this.setState({ trackingToggleIsWorking: true });
+    try {
+      const response = await this.props.mutations.updateShortLinkTracking(
+        enabled
+      );
+      if (response.errors) throw new Error(response.errors);
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({ trackingToggleIsWorking: false });
+    }
   };
 
   handleManualDisableToggle = async (domainId, isManuallyDisabled) => {
@@ -52,13 +162,10 @@ class AdminShortLinkDomains extends Component {
   handleAddDomainDialogClose = () =>
     this.setState({ showAddDomainDialog: false });
 
-  handleAddDomain = async (domain, maxUsageCount) => {
+  handleAddDomain = async linkDomain => {
     this.setState({ showAddDomainDialog: false, addDomainIsWorking: true });
     try {
-      const response = await this.props.mutations.insertLinkDomain(
-        domain,
-        maxUsageCount
-      );
+      const response = await this.props.mutations.insertLinkDomain(linkDomain);
       if (response.errors) throw new Error(response.errors);
       await this.props.shortLinkDomains.refetch();
     } catch (exc) {
@@ -101,7 +208,11 @@ class AdminShortLinkDomains extends Component {
       webRequestError,
       showAddDomainDialog,
       addDomainIsWorking,
-      warnDeleteDomainId
+      warnDeleteDomainId,
+      trackingToggleIsWorking,
+      healthPolicyIsWorking,
+      editDomainId,
+      poolIsWorking
     } = this.state;
 
     if (shortLinkDomains.loading) {
@@ -112,7 +223,15 @@ class AdminShortLinkDomains extends Component {
       return <p>{shortLinkDomains.errors}</p>;
     }
 
-    const { linkDomains } = shortLinkDomains.organization;
+    const {
+      linkDomains,
+      linkDomainPools,
+      nextLinkDomain,
+      shortLinkTrackingEnabled,
+      linkDomainHealthPolicy
+    } = shortLinkDomains.organization;
+    const editDomain =
+      editDomainId && linkDomains.find(domain => domain.id === editDomainId);
     const warnDomainName =
       warnDeleteDomainId &&
       linkDomains.filter(domain => domain.id === warnDeleteDomainId)[0].domain;
@@ -140,10 +259,31 @@ class AdminShortLinkDomains extends Component {
 
     return (
       <div>
+        <Toggle
+          label="Shorten links in outbound messages and track clicks per contact"
+          toggled={shortLinkTrackingEnabled}
+          disabled={trackingToggleIsWorking}
+          onToggle={this.handleTrackingToggle}
+          style={{ maxWidth: 600, marginBottom: 20 }}
+        />
+        <HealthPolicyForm
+          policy={linkDomainHealthPolicy}
+          isWorking={healthPolicyIsWorking}
+          onSave={this.handleSaveHealthPolicy}
+        />
+        <LinkDomainPoolList
+          pools={linkDomainPools}
+          defaultPoolNextDomain={nextLinkDomain}
+          isWorking={poolIsWorking}
+          onCreatePool={this.handleCreatePool}
+          onDeletePool={this.handleDeletePool}
+        />
         <ShortLinkDomainList
           domains={linkDomains}
+          pools={linkDomainPools}
           disabledDomainIds={disabledDomainIds}
           onManualDisableToggle={this.handleManualDisableToggle}
+          onEditDomain={this.handleEditDomainClick}
           onDeleteDomain={this.handleConfirmDeleteDomain}
         />
         <FloatingActionButton
@@ -153,11 +293,23 @@ class AdminShortLinkDomains extends Component {
         >
           {addDomainIsWorking ? <CloudUploadIcon /> : <ContentAddIcon />}
         </FloatingActionButton>
-        <AddDomainDialog
-          open={showAddDomainDialog}
-          onRequestClose={this.handleAddDomainDialogClose}
-          onAddNewDomain={this.handleAddDomain}
-        />
+        {showAddDomainDialog && (
+          <AddDomainDialog
+            open={true}
+            pools={linkDomainPools}
+            onRequestClose={this.handleAddDomainDialogClose}
+            onSaveDomain={this.handleAddDomain}
+          />
+        )}
+        {editDomain && (
+          <AddDomainDialog
+            open={true}
+            linkDomain={editDomain}
+            pools={linkDomainPools}
+            onRequestClose={this.handleEditDomainDialogClose}
+            onSaveDomain={this.handleEditDomain}
+          />
+        )}
         {warnDomainName && (
           <Dialog
             title="Confirm Delete Domain"
@@ -197,15 +349,29 @@ const mapQueriesToProps = ({ ownProps }) => ({
       query getShortLinkDomains($organizationId: String!) {
         organization(id: $organizationId) {
           id
-          linkDomains {
+          shortLinkTrackingEnabled
+          linkDomainHealthPolicy {
+            enabled
+            maxErrorRate
+            minSendCount
+            windowHours
+            coolDownHours
+          }
+          nextLinkDomain
+          linkDomainPools {
             id
-            domain
-            maxUsageCount
-            currentUsageCount
-            isManuallyDisabled
-            isHealthy
-            cycledOutAt
-            createdAt
+            name
+            domainCount
+            nextDomain
+          }
+          linkDomains {
+            ${linkDomainFields}
+            healthEvents(limit: 1) {
+              id
+              isHealthy
+              reason
+              createdAt
+            }
           }
         }
       }
@@ -217,33 +383,87 @@ const mapQueriesToProps = ({ ownProps }) => ({
 });
 
 const mapMutationsToProps = ({ ownProps }) => ({
-  insertLinkDomain: (domain, maxUsageCount) => ({
+  insertLinkDomain: ({ domain, maxUsageCount, poolId, weight, dailyCap }) => ({
     mutation: gql`
       mutation insertLinkDomain(
         $organizationId: String!
         $domain: String!
         $maxUsageCount: Int!
+        $poolId: String
+        $weight: Int
+        $dailyCap: Int
       ) {
         insertLinkDomain(
           organizationId: $organizationId
           domain: $domain
           maxUsageCount: $maxUsageCount
+          poolId: $poolId
+          weight: $weight
+          dailyCap: $dailyCap
         ) {
-          id
-          domain
-          maxUsageCount
-          currentUsageCount
-          isManuallyDisabled
-          isHealthy
-          cycledOutAt
-          createdAt
+          ${linkDomainFields}
         }
       }
     `,
     variables: {
       organizationId: ownProps.params.organizationId,
       domain,
-      maxUsageCount
+      maxUsageCount,
+      poolId,
+      weight,
+      dailyCap
+    }
+  }),
+  updateLinkDomain: (domainId, payload) => ({
+    mutation: gql`
+      mutation updateLinkDomain(
+        $organizationId: String!
+        $domainId: String!
+        $payload: UpdateLinkDomain!
+      ) {
+        updateLinkDomain(
+          organizationId: $organizationId
+          domainId: $domainId
+          payload: $payload
+        ) {
+          ${linkDomainFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      domainId,
+      payload
+    }
+  }),
+  createLinkDomainPool: name => ({
+    mutation: gql`
+      mutation createLinkDomainPool($organizationId: String!, $name: String!) {
+        createLinkDomainPool(organizationId: $organizationId, name: $name) {
+          id
+          name
+          domainCount
+          nextDomain
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      name
+    }
+  }),
+  deleteLinkDomainPool: poolId => ({
+    mutation: gql`
+      mutation deleteLinkDomainPool(
+        $organizationId: String!
+        $poolId: String!
+      ) {
+        deleteLinkDomainPool(organizationId: $organizationId, poolId: $poolId)
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      poolId
     }
   }),
   setDomainManuallyDisabled: (domainId, isManuallyDisabled) => ({
@@ -271,6 +491,52 @@ const mapMutationsToProps = ({ ownProps }) => ({
       }
     }
   }),
+  updateShortLinkTracking: enabled => ({
+    mutation: gql`
+      mutation updateShortLinkTracking(
+        $organizationId: String!
+        $enabled: Boolean!
+      ) {
+        updateShortLinkTracking(
+          organizationId: $organizationId
+          enabled: $enabled
+        ) {
+          id
+          shortLinkTrackingEnabled
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      enabled
+    }
+  }),
+  updateLinkDomainHealthPolicy: policy => ({
+    mutation: gql`
+      mutation updateLinkDomainHealthPolicy(
+        $organizationId: String!
+        $policy: LinkDomainHealthPolicyInput!
+      ) {
+        updateLinkDomainHealthPolicy(
+          organizationId: $organizationId
+          policy: $policy
+        ) {
+          id
+          linkDomainHealthPolicy {
+            enabled
+            maxErrorRate
+            minSendCount
+            windowHours
+            coolDownHours
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      policy
+    }
+  }),
   deleteLinkDomain: domainId => ({
     mutation: gql`
       mutation deleteLinkDomain($organizationId: String!, $domainId: String!) {
@@ -0,0 +1,83 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import FlatButton from "material-ui/FlatButton";
+import IconButton from "material-ui/IconButton";
+import TextField from "material-ui/TextField";
+import DeleteIcon from "material-ui/svg-icons/action/delete";
+
+const styles = {
+  step: {
+    display: "flex",
+    alignItems: "flex-start"
+  },
+  label: {
+    width: 140,
+    marginRight: 10
+  }
+};
+
+// Each step is [content, confirmLabel, cancelLabel], shown to texters in order before the tag is
+// applied
+class ConfirmationStepsEditor extends Component {
+  createHandleChange = (stepIndex, valueIndex) => (event, value) => {
+    const steps = this.props.value.map(step => step.slice());
+    steps[stepIndex][valueIndex] = value;
+    this.props.onChange(steps);
+  };
+
+  createHandleDelete = stepIndex => () =>
+    this.props.onChange(
+      this.props.value.filter((step, index) => index !== stepIndex)
+    );
+
+  handleAddStep = () =>
+    this.props.onChange(this.props.value.concat([["", "Confirm", "Cancel"]]));
+
+  render() {
+    const { value } = this.props;
+
+    return (
+      <div>
+        <p>
+          Confirmation steps texters must agree to before the tag is applied.
+          The text can use Markdown.
+        </p>
+        {value.map(([content, confirm, cancel], stepIndex) => (
+          <div key={stepIndex} style={styles.step}>
+            <TextField
+              floatingLabelText={`Step ${stepIndex + 1}`}
+              value={content}
+              onChange={this.createHandleChange(stepIndex, 0)}
+              multiLine={true}
+              fullWidth={true}
+            />
+            <TextField
+              floatingLabelText="Confirm button"
+              value={confirm}
+              onChange={this.createHandleChange(stepIndex, 1)}
+              style={styles.label}
+            />
+            <TextField
+              floatingLabelText="Cancel button"
+              value={cancel}
+              onChange={this.createHandleChange(stepIndex, 2)}
+              style={styles.label}
+            />
+            <IconButton onClick={this.createHandleDelete(stepIndex)}>
+              <DeleteIcon />
+            </IconButton>
+          </div>
+        ))}
+        <FlatButton label="Add Step" onClick={this.handleAddStep} />
+      </div>
+    );
+  }
+}
+
+ConfirmationStepsEditor.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default ConfirmationStepsEditor;
@@ -21,8 +21,7 @@ const styles = {
     padding: 10
   },
   chip: {
-    marginRight: "auto",
-    color: "#000000"
+    marginRight: "auto"
   },
   description: {
     maxWidth: "200px"
@@ -41,7 +40,11 @@ class TagEditorList extends Component {
         {tags.map(tag => (
           <Paper key={tag.id} style={styles.card}>
             <div style={{ display: "flex" }}>
-              <Chip backgroundColor={"#DDEEEE"} style={styles.chip}>
+              <Chip
+                backgroundColor={tag.backgroundColor || "#DDEEEE"}
+                labelColor={tag.textColor || "#000000"}
+                style={styles.chip}
+              >
                 {tag.title}
               </Chip>
             </div>
@@ -52,11 +55,13 @@ class TagEditorList extends Component {
               Assignable?{" "}
               {tag.isAssignable ? <CheckCircleIcon /> : <BlockIcon />}
             </p>
+            {tag.confirmationSteps.length > 0 && (
+              <p>Confirmation steps: {tag.confirmationSteps.length}</p>
+            )}
             <div style={{ display: "flex" }}>
               <RaisedButton
                 label="Edit"
                 labelPosition="before"
-                disabled={tag.isSystem}
                 primary={true}
                 icon={<CreateIcon />}
                 style={{ marginRight: 10 }}
@@ -74,7 +79,7 @@ class TagEditorList extends Component {
                 onClick={this.createHandleDeleteTag(tag.id)}
               />
             </div>
-            {tag.isSystem && <p>System tags cannot be edited</p>}
+            {tag.isSystem && <p>System tags cannot be deleted</p>}
           </Paper>
         ))}
       </div>
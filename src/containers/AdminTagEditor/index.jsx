@@ -9,10 +9,15 @@ import Dialog from "material-ui/Dialog";
 import TextField from "material-ui/TextField";
 import Toggle from "material-ui/Toggle";
 import FlatButton from "material-ui/FlatButton";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
 import ContentAddIcon from "material-ui/svg-icons/content/add";
 
+import { hasRole } from "../../lib";
 import LoadingIndicator from "../../components/LoadingIndicator";
+import WebhookActionForm from "../../components/WebhookActionForm";
 import TagEditorList from "./TagEditorList";
+import ConfirmationStepsEditor from "./ConfirmationStepsEditor";
 import theme from "../../styles/theme";
 
 class AdminTagEditor extends Component {
@@ -34,12 +39,16 @@ class AdminTagEditor extends Component {
       editingTag: {
         title: "",
         description: "",
-        textColor: "",
-        backgroundColor: "",
-        confirmationSteps: [[]],
+        textColor: "#000000",
+        backgroundColor: "#DDEEEE",
+        confirmationSteps: [],
         onApplyScript: "",
         webhookUrl: "",
-        isAssignable: true
+        actionHandler: null,
+        actionData: null,
+        undoActionOnRemove: false,
+        isAssignable: true,
+        isSystem: false
       }
     });
 
@@ -47,8 +56,15 @@ class AdminTagEditor extends Component {
 
   handleCancelEditTag = () => this.setState({ editingTag: undefined });
 
+  isOwner = () => {
+    const { currentUser } = this.props.currentUserRoles || {};
+    return !!currentUser && hasRole("OWNER", currentUser.roles || []);
+  };
+
   handleSaveTag = async () => {
     const { editingTag } = this.state;
+    // Only owners may make a tag a system tag or stop it being one
+    const ownerFields = this.isOwner() ? ["isSystem"] : [];
     const tag = pick(editingTag, [
       "id",
       "title",
@@ -58,17 +74,22 @@ class AdminTagEditor extends Component {
       "confirmationSteps",
       "onApplyScript",
       "webhookUrl",
-      "isAssignable"
+      "actionHandler",
+      "actionData",
+      "undoActionOnRemove",
+      "isAssignable",
+      ...ownerFields
     ]);
     this.setState({ isWorking: true });
     try {
       const result = await this.props.mutations.saveTag(tag);
       if (result.errors) throw new Error(result.errors);
+      this.handleCancelEditTag();
     } catch (error) {
+      // Keep the tag open so problems can be fixed
       this.setState({ error: error.message });
     } finally {
       this.setState({ isWorking: false });
-      this.handleCancelEditTag();
     }
   };
 
@@ -90,14 +111,45 @@ class AdminTagEditor extends Component {
     this.setState({ editingTag });
   };
 
+  // Settings belong to one action, so changing the action starts them over
+  handleActionHandlerChange = (event, index, actionHandler) => {
+    const { editingTag } = this.state;
+    this.setState({
+      editingTag: Object.assign({}, editingTag, {
+        actionHandler,
+        actionData: actionHandler === "webhook" ? { method: "POST" } : null,
+        undoActionOnRemove: actionHandler
+          ? editingTag.undoActionOnRemove
+          : false
+      })
+    });
+  };
+
+  handleConfirmationStepsChange = confirmationSteps =>
+    this.setState({
+      editingTag: Object.assign({}, this.state.editingTag, {
+        confirmationSteps
+      })
+    });
+
+  handleActionDataChange = actionData =>
+    this.setState({
+      editingTag: Object.assign({}, this.state.editingTag, { actionData })
+    });
+
   render() {
-    const { organizationTags } = this.props;
+    const { organizationTags, availableActionsData } = this.props;
     const { editingTag, isWorking, error } = this.state;
 
     if (organizationTags.loading) return <LoadingIndicator />;
     if (organizationTags.errors) return <p>{organizationTags.errors}</p>;
 
     const { tagList } = organizationTags.organization;
+    const availableActions =
+      (availableActionsData && availableActionsData.availableActions) || [];
+    const selectedAction =
+      editingTag &&
+      availableActions.find(action => action.name === editingTag.actionHandler);
 
     const isNewTag = (editingTag || {}).id === undefined;
     const tagVerb = isNewTag ? "Create" : "Edit";
@@ -130,12 +182,20 @@ class AdminTagEditor extends Component {
             actions={actions}
             modal={false}
             open={true}
+            autoScrollBodyContent={true}
             onRequestClose={this.handleCancelEditTag}
           >
+            {editingTag.isSystem && (
+              <p>
+                This is a system tag, so its title and assignment setting cannot
+                be changed.
+              </p>
+            )}
             <TextField
               name="title"
               floatingLabelText="Tag title"
               value={editingTag.title || ""}
+              disabled={editingTag.isSystem}
               onChange={this.createTagEditorHandle}
             />
             <br />
@@ -148,12 +208,97 @@ class AdminTagEditor extends Component {
             />
             <br />
             <br />
+            <TextField
+              name="textColor"
+              floatingLabelText="Text color"
+              hintText="#000000"
+              value={editingTag.textColor || ""}
+              onChange={this.createTagEditorHandle}
+            />
+            <TextField
+              name="backgroundColor"
+              floatingLabelText="Background color"
+              hintText="#DDEEEE"
+              value={editingTag.backgroundColor || ""}
+              onChange={this.createTagEditorHandle}
+            />
+            <br />
+            <br />
             <Toggle
               name="isAssignable"
               label="Allow assignment?"
               toggled={editingTag.isAssignable}
+              disabled={editingTag.isSystem}
               onToggle={this.createTagEditorHandle}
             />
+            {this.isOwner() && (
+              <Toggle
+                name="isSystem"
+                label="System tag? System tags cannot be deleted or renamed."
+                toggled={!!editingTag.isSystem}
+                onToggle={this.createTagEditorHandle}
+              />
+            )}
+            <ConfirmationStepsEditor
+              value={editingTag.confirmationSteps || []}
+              onChange={this.handleConfirmationStepsChange}
+            />
+            <TextField
+              name="onApplyScript"
+              floatingLabelText="Message when applied"
+              hintText="Fills in the texter's message, e.g. Thanks {firstName}, someone will follow up."
+              multiLine={true}
+              fullWidth={true}
+              value={editingTag.onApplyScript || ""}
+              onChange={this.createTagEditorHandle}
+            />
+            <TextField
+              name="webhookUrl"
+              floatingLabelText="Webhook URL"
+              hintText="Notified when the tag is applied"
+              fullWidth={true}
+              value={editingTag.webhookUrl || ""}
+              onChange={this.createTagEditorHandle}
+            />
+            <SelectField
+              floatingLabelText="Action when applied"
+              value={editingTag.actionHandler || null}
+              onChange={this.handleActionHandlerChange}
+              fullWidth
+            >
+              <MenuItem value={null} primaryText="None" />
+              {availableActions.map(action => (
+                <MenuItem
+                  key={action.name}
+                  value={action.name}
+                  primaryText={action.display_name}
+                />
+              ))}
+              {editingTag.actionHandler &&
+                !selectedAction && (
+                  <MenuItem
+                    value={editingTag.actionHandler}
+                    primaryText={`${
+                      editingTag.actionHandler
+                    } (no longer available)`}
+                  />
+                )}
+            </SelectField>
+            {selectedAction && <p>{selectedAction.instructions}</p>}
+            {editingTag.actionHandler === "webhook" && (
+              <WebhookActionForm
+                value={editingTag.actionData || { method: "POST" }}
+                onChange={this.handleActionDataChange}
+              />
+            )}
+            {editingTag.actionHandler && (
+              <Toggle
+                name="undoActionOnRemove"
+                label="Undo the action when the tag is removed, if the action supports it"
+                toggled={editingTag.undoActionOnRemove}
+                onToggle={this.createTagEditorHandle}
+              />
+            )}
           </Dialog>
         )}
         <Dialog
@@ -172,7 +317,11 @@ class AdminTagEditor extends Component {
 AdminTagEditor.defaultProps = {};
 
 AdminTagEditor.propTypes = {
-  params: PropTypes.object.isRequired
+  params: PropTypes.object.isRequired,
+  organizationTags: PropTypes.object,
+  availableActionsData: PropTypes.object,
+  currentUserRoles: PropTypes.object,
+  mutations: PropTypes.object
 };
 
 const mapQueriesToProps = ({ ownProps }) => ({
@@ -185,8 +334,16 @@ const mapQueriesToProps = ({ ownProps }) => ({
             id
             title
             description
+            textColor
+            backgroundColor
+            confirmationSteps
+            onApplyScript
+            webhookUrl
             isSystem
             isAssignable
+            actionHandler
+            actionData
+            undoActionOnRemove
             createdAt
           }
         }
@@ -195,6 +352,33 @@ const mapQueriesToProps = ({ ownProps }) => ({
     variables: {
       organizationId: ownProps.params.organizationId
     }
+  },
+  currentUserRoles: {
+    query: gql`
+      query getTagEditorUserRoles($organizationId: String!) {
+        currentUser {
+          id
+          roles(organizationId: $organizationId)
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    }
+  },
+  availableActionsData: {
+    query: gql`
+      query getTagActions($organizationId: String!) {
+        availableActions(organizationId: $organizationId, forTags: true) {
+          name
+          display_name
+          instructions
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    }
   }
 });
 
@@ -11,11 +11,14 @@ import ApplyTagConfirmationDialog from "../../components/ApplyTagConfirmationDia
 const isEscalateTag = t => t.title === "Escalated" || t.title === "Escalate";
 const isNonAssignableTagApplied = appliedTags =>
   appliedTags.findIndex(t => !t.isAssignable) > -1;
+const needsConfirmation = t =>
+  !!t.confirmationSteps && t.confirmationSteps.length > 0;
 
 class ApplyTagDialog extends Component {
   state = {
     selectedTags: [],
-    pendingTag: undefined
+    // Tags waiting for the texter to step through their confirmation, first one showing
+    pendingTags: []
   };
 
   componentWillMount() {
@@ -29,35 +32,59 @@ class ApplyTagDialog extends Component {
   }
 
   resetTags = () =>
-    this.setState({ selectedTags: this.props.contactTags.slice() });
+    this.setState({
+      selectedTags: this.props.contactTags.slice(),
+      pendingTags: []
+    });
 
-  handleOnTagChange = selectedTags => this.setState({ selectedTags });
+  // Newly selected tags with confirmation steps are only added once the texter confirms them
+  handleOnTagChange = nextTags => {
+    const { contactTags } = this.props;
+    const { selectedTags, pendingTags } = this.state;
+    const knownTagIds = new Set(
+      contactTags
+        .concat(selectedTags)
+        .concat(pendingTags)
+        .map(tag => tag.id)
+    );
+    const unconfirmedTags = nextTags.filter(
+      tag => !knownTagIds.has(tag.id) && needsConfirmation(tag)
+    );
+    this.setState({
+      selectedTags: nextTags.filter(tag => !unconfirmedTags.includes(tag)),
+      pendingTags: pendingTags.concat(unconfirmedTags)
+    });
+  };
 
   handleAddEscalatedTag = () => {
     const { allTags } = this.props;
     const escalateTag = allTags.find(isEscalateTag);
 
-    if (
-      escalateTag.confirmationSteps &&
-      escalateTag.confirmationSteps.length > 0
-    ) {
-      this.setState({ pendingTag: escalateTag });
+    if (needsConfirmation(escalateTag)) {
+      this.setState({ pendingTags: [escalateTag] });
     } else {
-      this.handleOnConfirmAddEscalatedTag(escalateTag);
+      this.addSelectedTag(escalateTag);
     }
   };
 
-  handleOnCancelEscalateTag = () => this.setState({ pendingTag: undefined });
-
-  handleOnConfirmAddEscalatedTag = escalateTag => {
+  addSelectedTag = addedTag => {
     const selectedTags = [...this.state.selectedTags];
-    if (selectedTags.findIndex(tag => tag.id === escalateTag.id) === -1) {
-      selectedTags.push(escalateTag);
+    if (selectedTags.findIndex(tag => tag.id === addedTag.id) === -1) {
+      selectedTags.push(addedTag);
       this.setState({ selectedTags });
     }
-    this.handleOnCancelEscalateTag();
   };
 
+  handleOnCancelPendingTag = () =>
+    this.setState({ pendingTags: this.state.pendingTags.slice(1) });
+
+  handleOnConfirmPendingTag = pendingTag => {
+    this.addSelectedTag(pendingTag);
+    this.handleOnCancelPendingTag();
+  };
+
+  clearPendingTags = () => this.setState({ pendingTags: [] });
+
   handleApplyTags = () => {
     const { contactTags } = this.props;
     const { selectedTags } = this.state;
@@ -67,7 +94,7 @@ class ApplyTagDialog extends Component {
     const removedTags = contactTags.filter(tag => !selectedTagIds.has(tag.id));
 
     this.props.onApplyTag(addedTags, removedTags);
-    this.handleOnCancelEscalateTag();
+    this.clearPendingTags();
   };
 
   handleApplyTagsAndMoveOn = () => {
@@ -79,12 +106,12 @@ class ApplyTagDialog extends Component {
     const removedTags = contactTags.filter(tag => !selectedTagIds.has(tag.id));
 
     this.props.onApplyTagsAndMoveOn(addedTags, removedTags);
-    this.handleOnCancelEscalateTag();
+    this.clearPendingTags();
   };
 
   render() {
     const { open, allTags } = this.props;
-    const { selectedTags, pendingTag } = this.state;
+    const { selectedTags, pendingTags } = this.state;
 
     const escalateTag = allTags.find(isEscalateTag);
     const tagsWithoutEscalated = allTags.filter(t => !isEscalateTag(t));
@@ -138,9 +165,9 @@ class ApplyTagDialog extends Component {
           />
         </Dialog>
         <ApplyTagConfirmationDialog
-          pendingTag={pendingTag}
-          onCancel={this.handleOnCancelEscalateTag}
-          onConfirm={this.handleOnConfirmAddEscalatedTag}
+          pendingTag={pendingTags[0]}
+          onCancel={this.handleOnCancelPendingTag}
+          onConfirm={this.handleOnConfirmPendingTag}
         />
       </div>
     );
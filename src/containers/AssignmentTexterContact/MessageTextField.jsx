@@ -1,6 +1,7 @@
 import React, { Component } from "react";
 import Form from "react-formal";
 import { StyleSheet, css } from "aphrodite";
+import SegmentCount from "../../components/SegmentCount";
 
 const styles = StyleSheet.create({
   textField: {
@@ -36,17 +37,22 @@ class MessageTextField extends Component {
   };
 
   render() {
+    // `text` is the current message, passed separately because the field's value is bound by GSForm
+    const { text, ...fieldProps } = this.props;
     return (
-      <Form.Field
-        ref="messageText"
-        className={css(styles.textField)}
-        name="messageText"
-        label="Your message"
-        multiLine
-        fullWidth
-        rowsMax={6}
-        {...this.props}
-      />
+      <div>
+        <Form.Field
+          ref="messageText"
+          className={css(styles.textField)}
+          name="messageText"
+          label="Your message"
+          multiLine
+          fullWidth
+          rowsMax={6}
+          {...fieldProps}
+        />
+        <SegmentCount text={text} />
+      </div>
     );
   }
 }
@@ -1,6 +1,5 @@
 import React from "react";
 import PropTypes from "prop-types";
-import sample from "lodash/sample";
 import { withRouter } from "react-router";
 import * as yup from "yup";
 import sortBy from "lodash/sortBy";
@@ -11,6 +10,7 @@ import IconButton from "material-ui/IconButton";
 import { Toolbar, ToolbarGroup } from "material-ui/Toolbar";
 import IconMenu from "material-ui/IconMenu";
 import MenuItem from "material-ui/MenuItem";
+import SelectField from "material-ui/SelectField";
 import CircularProgress from "material-ui/CircularProgress";
 import Snackbar from "material-ui/Snackbar";
 import { grey100, blueGrey100 } from "material-ui/styles/colors";
@@ -20,7 +20,12 @@ import LocalOfferIcon from "material-ui/svg-icons/maps/local-offer";
 
 import { isContactNowWithinCampaignHours } from "../../lib/timezones";
 import { getChildren, getTopMostParent, interactionStepForId } from "../../lib";
-import { applyScript } from "../../lib/scripts";
+import {
+  applyScript,
+  getScriptOptions,
+  pickScriptVariant
+} from "../../lib/scripts";
+import { getLanguageName, getScriptLanguage } from "../../lib/languages";
 import { dataTest } from "../../lib/attributes";
 import MessageList from "../../components/MessageList";
 import CannedResponseMenu from "../../components/CannedResponseMenu";
@@ -90,6 +95,9 @@ const styles = StyleSheet.create({
     flex: "0 0 auto",
     marginBottom: "none"
   },
+  languageField: {
+    padding: "0px 8px"
+  },
   messageField: {
     padding: "0px 8px",
     "@media(maxWidth: 450px)": {
@@ -116,6 +124,13 @@ export class AssignmentTexterContact extends React.Component {
       contact.questionResponseValues
     );
     const availableSteps = this.getAvailableInteractionSteps(questionResponses);
+    const language = getScriptLanguage(
+      contact.language,
+      campaign.primaryLanguage,
+      campaign.translationLanguages
+    );
+    const startingStep = this.getStartingStep();
+    const startingScript = this.pickStartingScript(startingStep, language);
 
     let disabled = false;
     let disabledText = "Sending...";
@@ -148,11 +163,18 @@ export class AssignmentTexterContact extends React.Component {
       snackbarOnTouchTap,
       optOutMessageText: campaign.organization.optOutMessage,
       tagMessageText: "",
+      language,
       addedTags: [],
       removedTags: [],
       pendingNewTags: [],
       responsePopoverOpen: false,
-      messageText: this.getStartingMessageText(),
+      messageText: startingScript
+        ? this.getMessageTextFromScript(startingScript.script)
+        : "",
+      // The interaction step and script option the current message text came from, for link
+      // click and variant stats
+      scriptInteractionStepId: startingStep ? startingStep.id : null,
+      scriptVariant: startingScript ? startingScript.variant : null,
       dialogType: TexterDialogType.None,
       currentInteractionStep:
         availableSteps.length > 0
@@ -238,6 +260,19 @@ export class AssignmentTexterContact extends React.Component {
     return availableSteps;
   };
 
+  getStartingStep = () =>
+    this.props.contact.messageStatus === "needsMessage"
+      ? getTopMostParent(this.props.campaign.interactionSteps)
+      : null;
+
+  pickStartingScript = (startingStep, language) =>
+    startingStep &&
+    pickScriptVariant(
+      getScriptOptions(startingStep, language),
+      this.props.contact.id,
+      startingStep.id
+    );
+
   getInitialQuestionResponses = questionResponseValues => {
     const questionResponses = {};
     questionResponseValues.forEach(questionResponse => {
@@ -260,16 +295,6 @@ export class AssignmentTexterContact extends React.Component {
       : null;
   };
 
-  getStartingMessageText = () => {
-    const { contact, campaign } = this.props;
-    if (contact.messageStatus === "needsMessage") {
-      const { scriptOptions } = getTopMostParent(campaign.interactionSteps);
-      const randomScript = sample(scriptOptions);
-      return this.getMessageTextFromScript(randomScript);
-    }
-    return "";
-  };
-
   handleOpenPopover = event => {
     event.preventDefault();
     const { assignment } = this.props;
@@ -294,7 +319,11 @@ export class AssignmentTexterContact extends React.Component {
     this.handleChangeScript(cannedResponseScript);
   };
 
-  createMessageToContact = text => {
+  createMessageToContact = (
+    text,
+    interactionStepId = null,
+    scriptVariant = null
+  ) => {
     const { texter, assignment } = this.props;
     const { contact } = this.props;
 
@@ -302,7 +331,9 @@ export class AssignmentTexterContact extends React.Component {
       contactNumber: contact.cell,
       userId: texter.id,
       text,
-      assignmentId: assignment.id
+      assignmentId: assignment.id,
+      interactionStepId,
+      scriptVariant
     };
   };
 
@@ -324,7 +355,11 @@ export class AssignmentTexterContact extends React.Component {
 
   submitAction = async messageText => {
     const { contact } = this.props;
-    const message = this.createMessageToContact(messageText);
+    const message = this.createMessageToContact(
+      messageText,
+      this.state.scriptInteractionStepId,
+      this.state.scriptVariant
+    );
     const changes = this.gatherSurveyAndTagChanges();
     const payload = Object.assign({ message }, changes);
     this.props.sendMessage(contact.id, payload);
@@ -422,7 +457,7 @@ export class AssignmentTexterContact extends React.Component {
   };
 
   handleApplyTags = (addedTags, removedTags, callback) => {
-    const pendingNewTags = this.props.contact.contactTags || [];
+    const pendingNewTags = (this.props.contact.contactTags || []).slice();
 
     addedTags.forEach(addedTag => {
       const tagDoesNotExist = !pendingNewTags.find(
@@ -458,10 +493,12 @@ export class AssignmentTexterContact extends React.Component {
       });
     }
 
-    if (!callback && addedTags.length > 0) {
-      const mostImportantTag = sortBy(addedTags, "id")[0];
-      const tagMessageText = mostImportantTag.onApplyScript;
-      if (tagMessageText !== "") this.handleChangeScript(tagMessageText);
+    // The oldest added tag with an on-apply script fills in the message
+    if (!callback) {
+      const scriptTag = sortBy(addedTags, tag => parseInt(tag.id, 10)).find(
+        tag => !!tag.onApplyScript
+      );
+      if (scriptTag) this.handleChangeScript(scriptTag.onApplyScript);
     }
   };
 
@@ -477,15 +514,37 @@ export class AssignmentTexterContact extends React.Component {
     this.setState({ dialogType: TexterDialogType.None });
   };
 
-  handleChangeScript = newScript => {
+  handleChangeScript = (
+    newScript,
+    scriptInteractionStepId = null,
+    scriptVariant = null
+  ) => {
     const messageText = this.getMessageTextFromScript(newScript);
-    this.setState({ messageText });
+    this.setState({ messageText, scriptInteractionStepId, scriptVariant });
+  };
+
+  handleLanguageChange = (event, index, language) => {
+    const { contact, onChangeContactLanguage } = this.props;
+    this.setState({ language });
+    // An unsent initial message switches to the new language's script
+    const startingStep = this.getStartingStep();
+    const startingScript = this.pickStartingScript(startingStep, language);
+    if (startingScript) {
+      this.handleChangeScript(
+        startingScript.script,
+        startingStep.id,
+        startingScript.variant
+      );
+    }
+    onChangeContactLanguage(contact.id, language).catch(console.error);
   };
 
   handleQuestionResponseChange = ({
     interactionStep,
     questionResponseValue,
-    nextScript
+    nextScript,
+    nextInteractionStepId,
+    nextScriptVariant
   }) => {
     const { questionResponses } = this.state;
     const { interactionSteps } = this.props.campaign;
@@ -503,7 +562,11 @@ export class AssignmentTexterContact extends React.Component {
         questionResponses
       },
       () => {
-        this.handleChangeScript(nextScript);
+        this.handleChangeScript(
+          nextScript,
+          nextInteractionStepId,
+          nextScriptVariant
+        );
       }
     );
   };
@@ -568,6 +631,7 @@ export class AssignmentTexterContact extends React.Component {
           onQuestionResponseChange={this.handleQuestionResponseChange}
           currentInteractionStep={this.state.currentInteractionStep}
           questionResponses={questionResponses}
+          language={this.state.language}
         />
       </div>
     );
@@ -744,11 +808,37 @@ export class AssignmentTexterContact extends React.Component {
         customFields={campaign.customFields}
         campaignId={campaign.id}
         texterId={texter.id}
+        language={this.state.language}
         onSelectCannedResponse={this.handleCannedResponseChange}
       />
     );
   }
 
+  renderLanguageField() {
+    const { primaryLanguage, translationLanguages } = this.props.campaign;
+    if (translationLanguages.length === 0) return null;
+
+    return (
+      <div className={css(styles.languageField)}>
+        <SelectField
+          floatingLabelText="Language"
+          value={this.state.language}
+          onChange={this.handleLanguageChange}
+        >
+          {[primaryLanguage]
+            .concat(translationLanguages)
+            .map(language => (
+              <MenuItem
+                key={language}
+                value={language}
+                primaryText={getLanguageName(language)}
+              />
+            ))}
+        </SelectField>
+      </div>
+    );
+  }
+
   renderCorrectSendButton() {
     const { messageStatus } = this.props.contact;
     const validStates = ["messaged", "convo", "needsResponse"];
@@ -779,6 +869,7 @@ export class AssignmentTexterContact extends React.Component {
         {this.renderSurveySection()}
         {dialogType === TexterDialogType.None && (
           <div>
+            {this.renderLanguageField()}
             <div className={css(styles.messageField)}>
               <GSForm
                 ref="form"
@@ -789,7 +880,7 @@ export class AssignmentTexterContact extends React.Component {
                 }
                 onChange={this.handleMessageFormChange}
               >
-                <MessageTextField />
+                <MessageTextField text={messageText} />
                 {this.renderCorrectSendButton()}
               </GSForm>
             </div>
@@ -899,6 +990,7 @@ AssignmentTexterContact.propTypes = {
   mutations: PropTypes.object,
   refreshData: PropTypes.func,
   onExitTexter: PropTypes.func,
+  onChangeContactLanguage: PropTypes.func,
   onRefreshAssignmentContacts: PropTypes.func
 };
 
@@ -0,0 +1,203 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import Dialog from "material-ui/Dialog";
+import FlatButton from "material-ui/FlatButton";
+import RaisedButton from "material-ui/RaisedButton";
+import SelectField from "material-ui/SelectField";
+import MenuItem from "material-ui/MenuItem";
+import TextField from "material-ui/TextField";
+
+import { serviceTypeLabels } from "./MessagingServiceList";
+
+// Field labels differ by provider
+const credentialLabels = {
+  twilio: {
+    id: "Messaging Service SID",
+    account: "Account SID",
+    secret: "Auth Token"
+  },
+  nexmo: {
+    id: "Messaging Service ID",
+    account: "API Key",
+    secret: "API Secret"
+  },
+  assemble_numbers: {
+    id: "Profile ID",
+    account: null,
+    secret: "API Key"
+  }
+};
+
+const emptyService = {
+  serviceType: "twilio",
+  messagingServiceSid: "",
+  name: "",
+  accountSid: "",
+  authToken: "",
+  maxMessagesPerSecond: ""
+};
+
+class MessagingServiceDialog extends Component {
+  state = { ...emptyService };
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.open && !this.props.open) {
+      const { service } = nextProps;
+      this.setState(
+        service
+          ? {
+              serviceType: service.serviceType,
+              messagingServiceSid: service.messagingServiceSid,
+              name: service.name,
+              accountSid: service.accountSid || "",
+              authToken: "",
+              maxMessagesPerSecond:
+                service.maxMessagesPerSecond === null
+                  ? ""
+                  : `${service.maxMessagesPerSecond}`
+            }
+          : { ...emptyService }
+      );
+    }
+  }
+
+  createHandleChange = key => event =>
+    this.setState({ [key]: event.target.value });
+
+  handleServiceTypeChange = (event, index, serviceType) =>
+    this.setState({ serviceType });
+
+  handleSaveClick = () => {
+    const { service } = this.props;
+    const { serviceType, messagingServiceSid, name, authToken } = this.state;
+    const labels = credentialLabels[serviceType];
+    const accountSid = labels.account ? this.state.accountSid : "";
+    // A blank limit means no limit
+    const maxMessagesPerSecond =
+      this.state.maxMessagesPerSecond === ""
+        ? null
+        : parseFloat(this.state.maxMessagesPerSecond);
+
+    if (service) {
+      // A blank secret keeps the current one
+      this.props.onSave({
+        name,
+        accountSid,
+        authToken: authToken || undefined,
+        maxMessagesPerSecond
+      });
+    } else {
+      this.props.onSave({
+        serviceType,
+        messagingServiceSid,
+        name,
+        accountSid,
+        authToken,
+        maxMessagesPerSecond
+      });
+    }
+  };
+
+  render() {
+    const { open, service, onRequestClose } = this.props;
+    const {
+      serviceType,
+      messagingServiceSid,
+      name,
+      accountSid,
+      authToken,
+      maxMessagesPerSecond
+    } = this.state;
+    const labels = credentialLabels[serviceType];
+    const isEditing = !!service;
+
+    const isValid =
+      messagingServiceSid !== "" &&
+      (maxMessagesPerSecond === "" || parseFloat(maxMessagesPerSecond) > 0) &&
+      (!labels.account || accountSid !== "") &&
+      (isEditing || authToken !== "");
+
+    const actions = [
+      <FlatButton label="Cancel" primary={false} onClick={onRequestClose} />,
+      <RaisedButton
+        label={isEditing ? "Save" : "Add"}
+        primary={true}
+        disabled={!isValid}
+        onClick={this.handleSaveClick}
+      />
+    ];
+
+    return (
+      <Dialog
+        title={isEditing ? "Edit Messaging Service" : "Add Messaging Service"}
+        actions={actions}
+        modal={false}
+        open={open}
+        onRequestClose={onRequestClose}
+      >
+        <p>Credentials are checked with the provider before saving.</p>
+        <SelectField
+          floatingLabelText="Provider"
+          value={serviceType}
+          disabled={isEditing}
+          onChange={this.handleServiceTypeChange}
+        >
+          {Object.keys(serviceTypeLabels).map(type => (
+            <MenuItem
+              key={type}
+              value={type}
+              primaryText={serviceTypeLabels[type]}
+            />
+          ))}
+        </SelectField>
+        <br />
+        <TextField
+          floatingLabelText="Name"
+          value={name}
+          onChange={this.createHandleChange("name")}
+        />
+        <br />
+        <TextField
+          floatingLabelText={labels.id}
+          value={messagingServiceSid}
+          disabled={isEditing}
+          onChange={this.createHandleChange("messagingServiceSid")}
+        />
+        {labels.account && (
+          <div>
+            <TextField
+              floatingLabelText={labels.account}
+              value={accountSid}
+              onChange={this.createHandleChange("accountSid")}
+            />
+          </div>
+        )}
+        <TextField
+          floatingLabelText={labels.secret}
+          hintText={isEditing ? "Leave blank to keep the current one" : ""}
+          type="password"
+          value={authToken}
+          onChange={this.createHandleChange("authToken")}
+        />
+        <br />
+        <TextField
+          floatingLabelText="Messages per second"
+          hintText="Leave blank for no limit"
+          type="number"
+          value={maxMessagesPerSecond}
+          onChange={this.createHandleChange("maxMessagesPerSecond")}
+        />
+      </Dialog>
+    );
+  }
+}
+
+MessagingServiceDialog.propTypes = {
+  open: PropTypes.bool,
+  service: PropTypes.object,
+  onRequestClose: PropTypes.func,
+  onSave: PropTypes.func
+};
+
+export default MessagingServiceDialog;
@@ -0,0 +1,160 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import moment from "moment";
+
+import DataTables from "material-ui-datatables";
+import Toggle from "material-ui/Toggle";
+import IconButton from "material-ui/IconButton";
+import EditIcon from "material-ui/svg-icons/image/edit";
+import DeleteForeverIcon from "material-ui/svg-icons/action/delete-forever";
+import { red500 } from "material-ui/styles/colors";
+
+export const serviceTypeLabels = {
+  twilio: "Twilio",
+  nexmo: "Nexmo",
+  assemble_numbers: "Assemble Numbers"
+};
+
+class MessagingServiceList extends Component {
+  tableColumns = () => [
+    {
+      key: "name",
+      label: "Name"
+    },
+    {
+      key: "messagingServiceSid",
+      label: "ID",
+      tooltip: "Messaging service SID or Assemble Numbers profile ID."
+    },
+    {
+      key: "serviceType",
+      label: "Type",
+      render: value => serviceTypeLabels[value] || value
+    },
+    {
+      key: "maxMessagesPerSecond",
+      label: "Rate Limit",
+      tooltip: "Maximum messages per second, shared by all sender processes.",
+      render: value => (value === null ? "None" : `${value}/s`)
+    },
+    {
+      key: "currentSendRate",
+      label: "Send Rate",
+      tooltip: "Messages per second sent over the last minute.",
+      render: value => `${value.toFixed(1)}/s`
+    },
+    {
+      key: "queueDepth",
+      label: "Queued",
+      tooltip: "Messages waiting to be sent to cells stuck to this service."
+    },
+    {
+      key: "stuckCellCount",
+      label: "Stuck Cells",
+      tooltip: "How many contact cells always receive texts from this service."
+    },
+    {
+      key: "isActive",
+      label: "Active",
+      tooltip:
+        "Disabled services keep their existing cells but get no new ones.",
+      render: (value, row) => (
+        <Toggle
+          toggled={value}
+          disabled={row.isRowDisabled}
+          onToggle={this.createHandleToggle(row.id, this.props.onActiveToggle)}
+        />
+      )
+    },
+    {
+      key: "isHealthy",
+      label: "Healthy",
+      tooltip:
+        "Services with too many failed sends are marked unhealthy and get no new cells.",
+      render: (value, row) => (
+        <div>
+          <Toggle
+            toggled={value}
+            disabled={row.isRowDisabled}
+            onToggle={this.createHandleToggle(
+              row.id,
+              this.props.onHealthyToggle
+            )}
+          />
+          {row.unhealthySince && (
+            <span>Since {moment(row.unhealthySince).fromNow()}</span>
+          )}
+        </div>
+      )
+    },
+    {
+      label: "",
+      style: { width: "100px" },
+      render: (value, row) => (
+        <div>
+          <IconButton
+            disabled={row.isRowDisabled}
+            onClick={this.createHandleClick(row.id, this.props.onEditService)}
+          >
+            <EditIcon />
+          </IconButton>
+          <IconButton
+            disabled={row.isRowDisabled}
+            onClick={this.createHandleClick(row.id, this.props.onDeleteService)}
+          >
+            <DeleteForeverIcon color={red500} />
+          </IconButton>
+        </div>
+      )
+    }
+  ];
+
+  createHandleToggle = (serviceId, handler) => (event, value) => {
+    event.stopPropagation();
+    event.preventDefault();
+    handler(serviceId, value);
+  };
+
+  createHandleClick = (serviceId, handler) => event => {
+    event.stopPropagation();
+    event.preventDefault();
+    handler(serviceId);
+  };
+
+  render() {
+    const { services, disabledServiceIds } = this.props;
+    const rows = services.map(service =>
+      Object.assign({}, service, {
+        isRowDisabled: disabledServiceIds.indexOf(service.id) > -1
+      })
+    );
+
+    return (
+      <DataTables
+        height="auto"
+        selectable={false}
+        showRowHover={false}
+        columns={this.tableColumns()}
+        data={rows}
+        showHeaderToolbar={false}
+        showFooterToolbar={false}
+        showCheckboxes={false}
+      />
+    );
+  }
+}
+
+MessagingServiceList.defaultProps = {
+  disabledServiceIds: []
+};
+
+MessagingServiceList.propTypes = {
+  services: PropTypes.arrayOf(PropTypes.object).isRequired,
+  disabledServiceIds: PropTypes.arrayOf(PropTypes.string),
+  onActiveToggle: PropTypes.func.isRequired,
+  onHealthyToggle: PropTypes.func.isRequired,
+  onEditService: PropTypes.func.isRequired,
+  onDeleteService: PropTypes.func.isRequired
+};
+
+export default MessagingServiceList;
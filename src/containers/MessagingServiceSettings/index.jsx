@@ -0,0 +1,319 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import gql from "graphql-tag";
+import { connect } from "react-apollo";
+
+import Dialog from "material-ui/Dialog";
+import FlatButton from "material-ui/FlatButton";
+import RaisedButton from "material-ui/RaisedButton";
+
+import LoadingIndicator from "../../components/LoadingIndicator";
+
+import MessagingServiceList from "./MessagingServiceList";
+import MessagingServiceDialog from "./MessagingServiceDialog";
+
+const messagingServiceFields = `
+  id
+  messagingServiceSid
+  name
+  serviceType
+  accountSid
+  isActive
+  isHealthy
+  unhealthySince
+  maxMessagesPerSecond
+  currentSendRate
+  queueDepth
+  stuckCellCount
+  createdAt
+`;
+
+class MessagingServiceSettings extends Component {
+  state = {
+    disabledServiceIds: [],
+    webRequestError: undefined,
+    showServiceDialog: false,
+    editServiceId: undefined,
+    isWorking: false,
+    warnDeleteServiceId: undefined
+  };
+
+  runServiceRequest = async (serviceId, request) => {
+    this.setState({
+      disabledServiceIds: this.state.disabledServiceIds.concat([serviceId])
+    });
+    try {
+      const response = await request();
+      if (response.errors) throw new Error(response.errors);
+      await this.props.messagingServices.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({
+        disabledServiceIds: this.state.disabledServiceIds.filter(
+          disabledId => disabledId !== serviceId
+        )
+      });
+    }
+  };
+
+  handleActiveToggle = (serviceId, isActive) =>
+    this.runServiceRequest(serviceId, () =>
+      this.props.mutations.updateMessagingService(serviceId, { isActive })
+    );
+
+  handleHealthyToggle = (serviceId, isHealthy) =>
+    this.runServiceRequest(serviceId, () =>
+      this.props.mutations.updateMessagingService(serviceId, { isHealthy })
+    );
+
+  handleErrorDialogClose = () => this.setState({ webRequestError: undefined });
+
+  handleAddServiceClick = () =>
+    this.setState({ showServiceDialog: true, editServiceId: undefined });
+  handleEditService = editServiceId =>
+    this.setState({ showServiceDialog: true, editServiceId });
+  handleServiceDialogClose = () => this.setState({ showServiceDialog: false });
+
+  handleSaveService = async messagingService => {
+    const { editServiceId } = this.state;
+    this.setState({ showServiceDialog: false, isWorking: true });
+    try {
+      const response = editServiceId
+        ? await this.props.mutations.updateMessagingService(
+            editServiceId,
+            messagingService
+          )
+        : await this.props.mutations.createMessagingService(messagingService);
+      if (response.errors) throw new Error(response.errors);
+      await this.props.messagingServices.refetch();
+    } catch (exc) {
+      this.setState({ webRequestError: exc });
+    } finally {
+      this.setState({ isWorking: false });
+    }
+  };
+
+  handleConfirmDeleteService = warnDeleteServiceId =>
+    this.setState({ warnDeleteServiceId });
+  handleCancelDeleteService = () =>
+    this.setState({ warnDeleteServiceId: undefined });
+
+  handleDeleteService = () => {
+    const { warnDeleteServiceId: serviceId } = this.state;
+    this.setState({ warnDeleteServiceId: undefined });
+    return this.runServiceRequest(serviceId, () =>
+      this.props.mutations.deleteMessagingService(serviceId)
+    );
+  };
+
+  render() {
+    const { messagingServices } = this.props;
+    const {
+      disabledServiceIds,
+      webRequestError,
+      showServiceDialog,
+      editServiceId,
+      isWorking,
+      warnDeleteServiceId
+    } = this.state;
+
+    if (messagingServices.loading) {
+      return <LoadingIndicator />;
+    }
+
+    if (messagingServices.errors) {
+      return <p>{messagingServices.errors}</p>;
+    }
+
+    const services = messagingServices.organization.messagingServices;
+    const findService = serviceId =>
+      services.filter(service => service.id === serviceId)[0];
+    const editService = editServiceId && findService(editServiceId);
+    const warnService = warnDeleteServiceId && findService(warnDeleteServiceId);
+    const otherActiveCount = warnService
+      ? services.filter(
+          service =>
+            service.isActive &&
+            service.isHealthy &&
+            service.id !== warnService.id
+        ).length
+      : 0;
+
+    const deleteServiceActions = [
+      <FlatButton
+        label="Cancel"
+        primary={false}
+        onClick={this.handleCancelDeleteService}
+      />,
+      <RaisedButton
+        label="Delete"
+        primary={true}
+        onClick={this.handleDeleteService}
+      />
+    ];
+
+    const errorActions = [
+      <FlatButton
+        label="Close"
+        primary={true}
+        onClick={this.handleErrorDialogClose}
+      />
+    ];
+
+    return (
+      <div>
+        {services.length > 0 ? (
+          <MessagingServiceList
+            services={services}
+            disabledServiceIds={disabledServiceIds}
+            onActiveToggle={this.handleActiveToggle}
+            onHealthyToggle={this.handleHealthyToggle}
+            onEditService={this.handleEditService}
+            onDeleteService={this.handleConfirmDeleteService}
+          />
+        ) : (
+          <p>No messaging services have been added yet.</p>
+        )}
+        <RaisedButton
+          label="Add Messaging Service"
+          primary={true}
+          disabled={isWorking}
+          onClick={this.handleAddServiceClick}
+        />
+        <MessagingServiceDialog
+          open={showServiceDialog}
+          service={editService}
+          onRequestClose={this.handleServiceDialogClose}
+          onSave={this.handleSaveService}
+        />
+        {warnService && (
+          <Dialog
+            title="Confirm Delete Messaging Service"
+            actions={deleteServiceActions}
+            modal={false}
+            open={true}
+            onRequestClose={this.handleCancelDeleteService}
+          >
+            Are you sure you want to delete the messaging service{" "}
+            <span style={{ color: "#000000" }}>
+              {warnService.name || warnService.messagingServiceSid}
+            </span>?{" "}
+            {warnService.stuckCellCount > 0 &&
+              (otherActiveCount > 0
+                ? `Its ${
+                    warnService.stuckCellCount
+                  } stuck cells will be spread across the other active, healthy services.`
+                : `Its ${
+                    warnService.stuckCellCount
+                  } stuck cells will be released because there are no other active, healthy services.`)}
+          </Dialog>
+        )}
+        {webRequestError && (
+          <Dialog
+            title="Error Completing Request"
+            actions={errorActions}
+            modal={false}
+            open={true}
+            onRequestClose={this.handleErrorDialogClose}
+          >
+            {webRequestError.message}
+          </Dialog>
+        )}
+      </div>
+    );
+  }
+}
+
+MessagingServiceSettings.propTypes = {
+  params: PropTypes.object,
+  messagingServices: PropTypes.object,
+  mutations: PropTypes.object
+};
+
+const mapQueriesToProps = ({ ownProps }) => ({
+  messagingServices: {
+    query: gql`
+      query getMessagingServices($organizationId: String!) {
+        organization(id: $organizationId) {
+          id
+          messagingServices {
+            ${messagingServiceFields}
+          }
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId
+    },
+    pollInterval: 10000
+  }
+});
+
+const mapMutationsToProps = ({ ownProps }) => ({
+  createMessagingService: messagingService => ({
+    mutation: gql`
+      mutation createMessagingService(
+        $organizationId: String!
+        $messagingService: MessagingServiceInput!
+      ) {
+        createMessagingService(
+          organizationId: $organizationId
+          messagingService: $messagingService
+        ) {
+          ${messagingServiceFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      messagingService
+    }
+  }),
+  updateMessagingService: (messagingServiceId, messagingService) => ({
+    mutation: gql`
+      mutation updateMessagingService(
+        $organizationId: String!
+        $messagingServiceId: String!
+        $messagingService: MessagingServiceInput!
+      ) {
+        updateMessagingService(
+          organizationId: $organizationId
+          messagingServiceId: $messagingServiceId
+          messagingService: $messagingService
+        ) {
+          ${messagingServiceFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      messagingServiceId,
+      messagingService
+    }
+  }),
+  deleteMessagingService: messagingServiceId => ({
+    mutation: gql`
+      mutation deleteMessagingService(
+        $organizationId: String!
+        $messagingServiceId: String!
+      ) {
+        deleteMessagingService(
+          organizationId: $organizationId
+          messagingServiceId: $messagingServiceId
+        ) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      messagingServiceId
+    }
+  })
+});
+
+export default connect({
+  mapQueriesToProps,
+  mapMutationsToProps
+})(MessagingServiceSettings);
@@ -16,6 +16,8 @@ import loadData from "./hoc/load-data";
 import wrapMutations from "./hoc/wrap-mutations";
 import GSForm from "../components/forms/GSForm";
 import GSSubmitButton from "../components/forms/GSSubmitButton";
+import MessagingServiceSettings from "./MessagingServiceSettings";
+import ActionHandlerSettings from "./ActionHandlerSettings";
 
 const styles = StyleSheet.create({
   sectionCard: {
@@ -84,6 +86,15 @@ class Settings extends React.Component {
     });
   };
 
+  handleSubmitOptOutKeywords = ({ optOutKeywords, optInKeywords }) => {
+    const splitKeywords = keywords =>
+      (keywords || "").split(",").map(keyword => keyword.trim());
+    return this.props.mutations.updateOptOutKeywords(
+      splitKeywords(optOutKeywords),
+      splitKeywords(optInKeywords)
+    );
+  };
+
   renderTextingHoursForm() {
     const { organization } = this.props.data;
     const { textingHoursStart, textingHoursEnd } = organization;
@@ -168,12 +179,22 @@ class Settings extends React.Component {
 
   render() {
     const { organization } = this.props.data;
-    const { optOutMessage, numbersApiKey } = organization;
+    const {
+      optOutMessage,
+      optOutKeywords,
+      optInKeywords,
+      numbersApiKey
+    } = organization;
 
     const formSchema = yup.object({
       optOutMessage: yup.string().required()
     });
 
+    const optOutKeywordsSchema = yup.object({
+      optOutKeywords: yup.string(),
+      optInKeywords: yup.string()
+    });
+
     const numbersApiKeySchema = yup.object({
       numbersApiKey: yup.string().nullable()
     });
@@ -203,6 +224,39 @@ class Settings extends React.Component {
           </GSForm>
         </Card>
 
+        <Card className={css(styles.sectionCard)}>
+          <GSForm
+            schema={optOutKeywordsSchema}
+            onSubmit={this.handleSubmitOptOutKeywords}
+            defaultValue={{
+              optOutKeywords: optOutKeywords.join(", "),
+              optInKeywords: optInKeywords.join(", ")
+            }}
+          >
+            <CardHeader title="Automatic Opt-Outs" />
+            <CardText>
+              Contacts who reply with exactly one of these keywords are opted
+              out automatically and sent the opt-out message above. Separate
+              keywords with commas; leave a list blank to disable it.
+              <Form.Field
+                label="Opt-Out Keywords"
+                name="optOutKeywords"
+                fullWidth
+              />
+              Contacts who were opted out automatically are opted back in if
+              they reply with exactly one of these keywords.
+              <Form.Field
+                label="Re-Subscribe Keywords"
+                name="optInKeywords"
+                fullWidth
+              />
+            </CardText>
+            <CardActions>
+              <Form.Button type="submit" label="Save Opt-Out Keywords" />
+            </CardActions>
+          </GSForm>
+        </Card>
+
         <Card className={css(styles.sectionCard)}>
           <CardHeader title="Texting Hours" />
           <CardText>
@@ -277,6 +331,28 @@ class Settings extends React.Component {
             </CardActions>
           </GSForm>
         </Card>
+
+        <Card className={css(styles.sectionCard)}>
+          <CardHeader title="Messaging Services" />
+          <CardText>
+            Contacts stick to the messaging service that first texted them.
+            Disabling a service stops new contacts from being assigned to it;
+            deleting one moves its contacts to the remaining active services.
+            Services whose sends keep failing are marked unhealthy and skipped
+            for new contacts until they recover or are marked healthy again.
+            <MessagingServiceSettings params={this.props.params} />
+          </CardText>
+        </Card>
+
+        <Card className={css(styles.sectionCard)}>
+          <CardHeader title="Actions" />
+          <CardText>
+            Actions run when texters record certain answers. Enable the ones
+            this organization uses and enter their credentials; secrets are
+            stored encrypted and never shown again.
+            <ActionHandlerSettings params={this.props.params} />
+          </CardText>
+        </Card>
       </div>
     );
   }
@@ -356,6 +432,30 @@ const mapMutationsToProps = ({ ownProps }) => ({
       optOutMessage
     }
   }),
+  updateOptOutKeywords: (optOutKeywords, optInKeywords) => ({
+    mutation: gql`
+      mutation updateOptOutKeywords(
+        $optOutKeywords: [String]!
+        $optInKeywords: [String]!
+        $organizationId: String!
+      ) {
+        updateOptOutKeywords(
+          optOutKeywords: $optOutKeywords
+          optInKeywords: $optInKeywords
+          organizationId: $organizationId
+        ) {
+          id
+          optOutKeywords
+          optInKeywords
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      optOutKeywords,
+      optInKeywords
+    }
+  }),
   setNumbersApiKey: ({ numbersApiKey }) => ({
     mutation: gql`
       mutation setNumbersApiKey(
@@ -389,6 +489,8 @@ const mapQueriesToProps = ({ ownProps }) => ({
           textingHoursStart
           textingHoursEnd
           optOutMessage
+          optOutKeywords
+          optInKeywords
           numbersApiKey
         }
       }
@@ -12,6 +12,7 @@ const contactDataFragment = `
         lastName
         cell
         zip
+        language
         customFields
         optOut {
           id
@@ -30,6 +31,7 @@ const contactDataFragment = `
           id
           createdAt
           text
+          mediaUrls
           isFromContact
         }
         contactTags {
@@ -37,6 +39,7 @@ const contactDataFragment = `
           title
           description
           confirmationSteps
+          onApplyScript
           isAssignable
           isSystem
           createdAt
@@ -123,6 +126,10 @@ const mapQueriesToProps = ({ ownProps }) => ({
             id
             title
             text
+            translations {
+              language
+              text
+            }
             isUserCreated
           }
           texter {
@@ -144,9 +151,15 @@ const mapQueriesToProps = ({ ownProps }) => ({
               optOutMessage
             }
             customFields
+            primaryLanguage
+            translationLanguages
             interactionSteps {
               id
               scriptOptions
+              scriptTranslations {
+                language
+                scriptOptions
+              }
               question {
                 text
                 answerOptions {
@@ -154,6 +167,10 @@ const mapQueriesToProps = ({ ownProps }) => ({
                   nextInteractionStep {
                     id
                     scriptOptions
+                    scriptTranslations {
+                      language
+                      scriptOptions
+                    }
                   }
                 }
               }
@@ -14,6 +14,7 @@ export { sleep };
 import Papa from "papaparse";
 import _ from "lodash";
 import { getFormattedPhoneNumber, getFormattedZip } from "../lib";
+import { normalizeLanguage } from "./languages";
 export {
   findParent,
   getInteractionPath,
@@ -30,7 +31,8 @@ const topLevelUploadFields = [
   "lastName",
   "cell",
   "zip",
-  "external_id"
+  "external_id",
+  "language"
 ];
 
 export {
@@ -76,6 +78,16 @@ const getValidatedData = (data, optOuts) => {
   );
   const zipCount = validatedData.filter(row => !!row.zip).length;
 
+  // Unrecognized languages are dropped, so those contacts get the primary language scripts
+  let unknownLanguageCount = 0;
+  validatedData = _.map(validatedData, row => {
+    const language = normalizeLanguage(row.language);
+    if (row.language && row.language.trim() !== "" && !language) {
+      unknownLanguageCount += 1;
+    }
+    return _.extend(row, { language });
+  });
+
   return {
     validatedData,
     validationStats: {
@@ -83,7 +95,8 @@ const getValidatedData = (data, optOuts) => {
       optOutCount: optOutRows.length,
       invalidCellCount: invalidCellRows.length,
       missingCellCount: missingCellRows.length,
-      zipCount
+      zipCount,
+      unknownLanguageCount
     }
   };
 };
@@ -149,6 +162,24 @@ export const parseCSV = (file, optOuts, callback) => {
   });
 };
 
+export const parseOptOutCSV = (file, callback) => {
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    complete: ({ data, meta }) => {
+      const cellField = (meta.fields || []).find(
+        field => ["cell", "phone"].indexOf(field.trim().toLowerCase()) !== -1
+      );
+      if (!cellField) {
+        callback({ error: "Missing field: cell" });
+      } else {
+        const cells = data.map(row => (row[cellField] || "").trim());
+        callback({ cells: cells.filter(cell => cell) });
+      }
+    }
+  });
+};
+
 export const convertRowToContact = row => {
   const customFields = row;
   const contact = {};
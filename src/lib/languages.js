@@ -0,0 +1,78 @@
+// Languages campaigns can be written in. Codes are ISO 639-1.
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = [
+  { code: "en", name: "English", nativeName: "English" },
+  { code: "es", name: "Spanish", nativeName: "Español" },
+  { code: "zh", name: "Chinese", nativeName: "中文" },
+  { code: "vi", name: "Vietnamese", nativeName: "Tiếng Việt" },
+  { code: "tl", name: "Tagalog", nativeName: "Tagalog" },
+  { code: "ko", name: "Korean", nativeName: "한국어" },
+  { code: "ar", name: "Arabic", nativeName: "العربية" },
+  { code: "fr", name: "French", nativeName: "Français" },
+  { code: "ht", name: "Haitian Creole", nativeName: "Kreyòl ayisyen" },
+  { code: "ru", name: "Russian", nativeName: "Русский" },
+  { code: "pt", name: "Portuguese", nativeName: "Português" },
+  { code: "hi", name: "Hindi", nativeName: "हिन्दी" },
+  { code: "so", name: "Somali", nativeName: "Soomaali" },
+  { code: "hmn", name: "Hmong", nativeName: "Hmoob" }
+];
+
+const simplify = text =>
+  text
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Match free-form language text, such as an upload column, to a language code. Accepts codes,
+ * English names and native names in any case, with or without accents, and regional codes
+ * like "es-MX".
+ * @param {string} value The language text
+ * @returns {string|null} The language code, or null when the language is blank or unknown
+ */
+export const normalizeLanguage = value => {
+  if (value === undefined || value === null) return null;
+  const text = simplify(String(value));
+  if (text === "") return null;
+  const code = text.split(/[-_]/)[0];
+  const language = LANGUAGES.find(
+    ({ code: languageCode, name, nativeName }) =>
+      languageCode === code ||
+      simplify(name) === text ||
+      simplify(nativeName) === text
+  );
+  return language ? language.code : null;
+};
+
+/**
+ * The English name of a language, falling back to the code for languages not in the list.
+ * @param {string} code The language code
+ * @returns {string}
+ */
+export const getLanguageName = code => {
+  const language = LANGUAGES.find(
+    ({ code: languageCode }) => languageCode === code
+  );
+  return language ? language.name : code;
+};
+
+/**
+ * The language a contact should be texted in: their own language when the campaign has scripts
+ * for it, otherwise the campaign's primary language.
+ * @param {string|null} contactLanguage The contact's language code
+ * @param {string} primaryLanguage The campaign's primary language code
+ * @param {string[]} translationLanguages Languages the campaign's scripts are translated into
+ * @returns {string} The language code
+ */
+export const getScriptLanguage = (
+  contactLanguage,
+  primaryLanguage,
+  translationLanguages
+) =>
+  contactLanguage &&
+  (translationLanguages || []).indexOf(contactLanguage) !== -1
+    ? contactLanguage
+    : primaryLanguage || DEFAULT_LANGUAGE;
@@ -0,0 +1,207 @@
+/*
+ * A small template language for scripts. Every tag is wrapped in the script delimiters:
+ *
+ *   {firstName}                      the field's value
+ *   {firstName|friend}               "friend" when the field is blank
+ *   {firstName|upper}                formatted with a filter: upper, lower or title
+ *   {firstName|"upper"}              quote a default that is also a filter name
+ *   {#if field}...{else}...{/if}     text depending on whether a field is blank
+ *   {#if field = value}...{/if}      comparisons ignore case; != is also supported
+ *
+ * Pipes run left to right, so `{firstName|friend|upper}` uppercases the default as well.
+ * Anything in braces that is not a tag for a known field is left in the text unchanged.
+ */
+
+const TAG_REGEX = /\{([^{}]*)\}/g;
+const CONDITION_REGEX = /^(!)?\s*(.+?)\s*(?:(!=|=)\s*(.*))?$/;
+
+export const TEMPLATE_FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value =>
+    value
+      .toLowerCase()
+      .replace(
+        /(^|[\s-])(\S)/g,
+        (match, separator, letter) => `${separator}${letter.toUpperCase()}`
+      )
+};
+
+const isBlank = value =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const unquote = text => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^"(.*)"$/) || trimmed.match(/^'(.*)'$/);
+  return match ? { text: match[1], isQuoted: true } : { text: trimmed };
+};
+
+/**
+ * Parse the text between a pair of delimiters.
+ * @param {string} body Tag text without the delimiters
+ * @param {string[]} scriptFields Fields available to the script
+ * @returns {object|null} The parsed tag, or null when the text is not a template tag
+ */
+export const parseTemplateTag = (body, scriptFields) => {
+  const trimmed = body.trim();
+  if (trimmed === "else") return { type: "else" };
+  if (trimmed === "/if") return { type: "endif" };
+
+  if (/^#if\s/.test(trimmed)) {
+    const match = trimmed
+      .slice(3)
+      .trim()
+      .match(CONDITION_REGEX);
+    if (!match) return null;
+    const [, negation, field, operator, value] = match;
+    if (scriptFields.indexOf(field) === -1) return null;
+    if (operator && negation) return null;
+    return {
+      type: "if",
+      field,
+      operator: operator || (negation ? "blank" : "present"),
+      value: operator ? unquote(value).text : undefined
+    };
+  }
+
+  const [field, ...segments] = body.split("|");
+  if (scriptFields.indexOf(field.trim()) === -1) return null;
+  const pipes = segments.map(segment => {
+    const { text, isQuoted } = unquote(segment);
+    return !isQuoted && TEMPLATE_FILTERS.hasOwnProperty(text)
+      ? { filter: text }
+      : { defaultValue: text };
+  });
+  return { type: "field", field: field.trim(), pipes };
+};
+
+/**
+ * Whether the text between a pair of delimiters is a template tag for known fields.
+ * @param {string} body Tag text without the delimiters
+ * @param {string[]} scriptFields Fields available to the script
+ * @returns {boolean}
+ */
+export const isTemplateTag = (body, scriptFields) =>
+  parseTemplateTag(body, scriptFields) !== null;
+
+// Split a script into text and tag tokens, then nest conditional sections. Stray `{else}` and
+// `{/if}` tags are kept as text and unclosed sections run to the end of the script.
+const parseTemplate = (script, scriptFields) => {
+  const errors = [];
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.elseChildren || node.children;
+  };
+  const addText = text => {
+    if (text) current().push({ type: "text", text });
+  };
+
+  let lastIndex = 0;
+  let match;
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(script)) !== null) {
+    addText(script.slice(lastIndex, match.index));
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const [raw, body] = match;
+    const tag = parseTemplateTag(body, scriptFields);
+    const openIf = stack.length > 1 ? stack[stack.length - 1] : null;
+    if (!tag) {
+      errors.push(`Unknown field or tag ${raw}`);
+      addText(raw);
+    } else if (tag.type === "field") {
+      current().push(tag);
+    } else if (tag.type === "if") {
+      const node = Object.assign({}, tag, { children: [], elseChildren: null });
+      current().push(node);
+      stack.push(node);
+    } else if (tag.type === "else" && openIf && !openIf.elseChildren) {
+      openIf.elseChildren = [];
+    } else if (tag.type === "endif" && openIf) {
+      stack.pop();
+    } else {
+      errors.push(`${raw} does not match an open {#if}`);
+      addText(raw);
+    }
+  }
+  addText(script.slice(lastIndex));
+
+  stack.slice(1).forEach(node => {
+    errors.push(`{#if ${node.field}} is missing a closing {/if}`);
+  });
+  return { nodes: root.children, errors };
+};
+
+const isConditionMet = (condition, value) => {
+  switch (condition.operator) {
+    case "present":
+      return !isBlank(value);
+    case "blank":
+      return isBlank(value);
+    default: {
+      const isEqual =
+        String(isBlank(value) ? "" : value)
+          .trim()
+          .toLowerCase() === condition.value.toLowerCase();
+      return condition.operator === "=" ? isEqual : !isEqual;
+    }
+  }
+};
+
+const renderField = (tag, value) =>
+  tag.pipes.reduce((result, pipe) => {
+    if (pipe.filter) return TEMPLATE_FILTERS[pipe.filter](result);
+    return isBlank(result) ? pipe.defaultValue : result;
+  }, isBlank(value) ? "" : String(value));
+
+const renderNodes = (nodes, getFieldValue) =>
+  nodes.reduce((parts, node) => {
+    if (node.type === "text") return parts.concat([{ text: node.text }]);
+    const value = getFieldValue(node.field);
+    if (node.type === "field") {
+      const text = renderField(node, value);
+      return parts.concat([
+        { text, field: node.field, isEmpty: isBlank(text) }
+      ]);
+    }
+    return parts.concat(
+      isConditionMet(node, value)
+        ? renderNodes(node.children, getFieldValue)
+        : renderNodes(node.elseChildren || [], getFieldValue)
+    );
+  }, []);
+
+/**
+ * Render a script template into parts, so callers can tell which text came from which field.
+ * @param {string} script The script text
+ * @param {string[]} scriptFields Fields available to the script
+ * @param {function} getFieldValue Returns the value of a field for the recipient
+ * @returns {object[]} Parts with `text`; parts rendered from a field tag also have `field` and
+ *     `isEmpty`, which is true when the field rendered as blank text
+ */
+export const renderTemplateParts = (script, scriptFields, getFieldValue) =>
+  renderNodes(parseTemplate(script, scriptFields).nodes, getFieldValue);
+
+/**
+ * Render a script template.
+ * @param {string} script The script text
+ * @param {string[]} scriptFields Fields available to the script
+ * @param {function} getFieldValue Returns the value of a field for the recipient
+ * @returns {string} The message text
+ */
+export const renderTemplate = (script, scriptFields, getFieldValue) =>
+  renderTemplateParts(script, scriptFields, getFieldValue)
+    .map(part => part.text)
+    .join("");
+
+/**
+ * List problems with a script template: unknown fields, and conditional sections that are not
+ * opened or closed properly.
+ * @param {string} script The script text
+ * @param {string[]} scriptFields Fields available to the script
+ * @returns {string[]} Error messages, empty when the template is valid
+ */
+export const findTemplateErrors = (script, scriptFields) =>
+  parseTemplate(script, scriptFields).errors;
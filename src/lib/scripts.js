@@ -1,3 +1,5 @@
+import { renderTemplate, renderTemplateParts } from "./script-template";
+
 export const delimiters = {
   startDelimiter: "{",
   endDelimiter: "}"
@@ -49,24 +51,133 @@ const getScriptFieldValue = (contact, texter, fieldName) => {
   }
 
   if (CAPITALIZE_FIELDS.indexOf(fieldName) >= 0) {
-    result = capitalize(result);
+    result = capitalize(result || "");
   }
 
   return result;
 };
 
-export const applyScript = ({ script, contact, customFields, texter }) => {
-  const scriptFields = allScriptFields(customFields);
-  let appliedScript = script;
+/**
+ * Fill in a script for a contact. Scripts use the template language in `script-template.js`,
+ * so plain `{field}` tags work as before alongside defaults, filters and conditionals.
+ * @param {object} options
+ * @param {string} options.script The script text
+ * @param {object} options.contact Contact with camelCased fields and JSON `customFields`
+ * @param {string[]} options.customFields The campaign's custom field names
+ * @param {object} options.texter Texter with `firstName` and `lastName`
+ * @returns {string} The message text
+ */
+export const applyScript = ({ script, contact, customFields, texter }) =>
+  renderTemplate(script, allScriptFields(customFields), field =>
+    getScriptFieldValue(contact, texter, field)
+  );
+
+/**
+ * Fill in a script like `applyScript`, keeping track of which text came from which field.
+ * @param {object} options Same as `applyScript`
+ * @returns {object[]} Parts as returned by `renderTemplateParts`
+ */
+export const applyScriptParts = ({ script, contact, customFields, texter }) =>
+  renderTemplateParts(script, allScriptFields(customFields), field =>
+    getScriptFieldValue(contact, texter, field)
+  );
+
+// FNV-1a, so a contact keeps the same variant across page loads and devices. FNV-1a alone
+// barely mixes its last characters, so similar ids like "7" and "8" would get related hashes;
+// MurmurHash3's finalizer spreads every input bit across the whole hash.
+const hashString = text => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+/**
+ * Assign a contact one of an interaction step's script options. The assignment is random across
+ * contacts but stable for each contact, so the variant recorded on the message is the one the
+ * texter was shown.
+ * @param {string[]} scriptOptions The step's script options
+ * @param {string} campaignContactId The contact being texted
+ * @param {string} interactionStepId The step the scripts belong to
+ * @returns {object|null} Object with the `script` and its `variant` index, or null when the
+ *     step has no scripts
+ */
+export const pickScriptVariant = (
+  scriptOptions,
+  campaignContactId,
+  interactionStepId
+) => {
+  if (!scriptOptions || scriptOptions.length === 0) return null;
+  // Scale from the whole hash rather than taking a remainder of its low bits
+  const hash = hashString(`${campaignContactId}:${interactionStepId}`);
+  const variant = Math.floor((hash / 2 ** 32) * scriptOptions.length);
+  return { script: scriptOptions[variant], variant };
+};
+
+/**
+ * The script options to use for an interaction step in a language. Steps without a translation
+ * for the language use their primary language scripts.
+ * @param {object} interactionStep Step with `scriptOptions` and `scriptTranslations`
+ * @param {string} language The language code
+ * @returns {string[]} The script options
+ */
+export const getScriptOptions = (interactionStep, language) => {
+  const translation = (interactionStep.scriptTranslations || []).find(
+    scriptTranslation => scriptTranslation.language === language
+  );
+  const translatedOptions = translation
+    ? translation.scriptOptions.filter(script => script.trim() !== "")
+    : [];
+  return translatedOptions.length > 0
+    ? translatedOptions
+    : interactionStep.scriptOptions;
+};
+
+/**
+ * The text of a canned response in a language, falling back to the primary language text.
+ * @param {object} cannedResponse Canned response with `text` and `translations`
+ * @param {string} language The language code
+ * @returns {string} The canned response text
+ */
+export const getCannedResponseText = (cannedResponse, language) => {
+  const translation = (cannedResponse.translations || []).find(
+    cannedTranslation => cannedTranslation.language === language
+  );
+  return translation && translation.text.trim() !== ""
+    ? translation.text
+    : cannedResponse.text;
+};
+
+// Media attachments are written into message text as bracketed URLs, e.g. "[https://...]"
+const mediaExtractor = /\[\s*(http[^\]\s]*)\s*\]/g;
+
+export const mediaMarkup = url => `[${url}]`;
 
-  for (const field of scriptFields) {
-    const re = new RegExp(escapeRegExp(`${delimit(field)}`), "g");
-    appliedScript = appliedScript.replace(
-      re,
-      getScriptFieldValue(contact, texter, field)
-    );
+/**
+ * Extract Spoke-style media attachments from the plain message text.
+ * @param {string} messageText The raw Spoke message text.
+ * @returns {object} Object with properties `body` and `mediaUrls`.
+ *     `body` is the input text stripped of media markup.
+ *     `mediaUrls` is the list of extracted media URLs, possibly empty.
+ */
+export const messageComponents = messageText => {
+  const text = messageText || "";
+  const mediaUrls = [];
+  let match = mediaExtractor.exec(text);
+  while (match !== null) {
+    mediaUrls.push(match[1]);
+    match = mediaExtractor.exec(text);
   }
-  return appliedScript;
+  const body =
+    mediaUrls.length > 0 ? text.replace(mediaExtractor, "").trim() : text;
+  return { body, mediaUrls };
 };
 
 export const escapeRegExp = string => {
@@ -0,0 +1,73 @@
+// SMS segment counting. Carriers bill per segment, and the segment size depends on whether a
+// message fits the GSM-7 alphabet or has to be sent as UCS-2.
+
+export const SmsEncoding = Object.freeze({
+  GSM7: "GSM-7",
+  UCS2: "UCS-2"
+});
+
+const GSM_BASIC_CHARACTERS =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+
+// Extension characters are sent as an escape sequence and take two septets
+const GSM_EXTENDED_CHARACTERS = "\f^{}\\[~]|€";
+
+const gsmBasic = new Set(GSM_BASIC_CHARACTERS);
+const gsmExtended = new Set(GSM_EXTENDED_CHARACTERS);
+
+const SEGMENT_LIMITS = {
+  [SmsEncoding.GSM7]: { single: 160, multipart: 153 },
+  [SmsEncoding.UCS2]: { single: 70, multipart: 67 }
+};
+
+const isGsmCharacter = char => gsmBasic.has(char) || gsmExtended.has(char);
+
+/**
+ * Characters in the text that are not part of the GSM-7 alphabet.
+ * @param {string} text The message text
+ * @returns {string[]} Distinct non-GSM characters, in order of appearance
+ */
+export const getNonGsmCharacters = text => {
+  const found = new Set();
+  // Array.from splits by code point so emoji are kept whole
+  Array.from(text || "").forEach(char => {
+    if (!isGsmCharacter(char)) found.add(char);
+  });
+  return Array.from(found);
+};
+
+/**
+ * Count the characters, encoding and segments of an SMS body.
+ * @param {string} text The message text, without media markup
+ * @returns {object} Object with properties `encoding`, `characterCount` (septets for GSM-7, UTF-16
+ *     code units for UCS-2), `segmentCount`, `charactersPerSegment` and `nonGsmCharacters`.
+ */
+export const getSegmentInfo = text => {
+  const body = text || "";
+  const nonGsmCharacters = getNonGsmCharacters(body);
+  const encoding =
+    nonGsmCharacters.length > 0 ? SmsEncoding.UCS2 : SmsEncoding.GSM7;
+
+  const characterCount =
+    encoding === SmsEncoding.GSM7
+      ? Array.from(body).reduce(
+          (count, char) => count + (gsmExtended.has(char) ? 2 : 1),
+          0
+        )
+      : body.length;
+
+  const limits = SEGMENT_LIMITS[encoding];
+  const isMultipart = characterCount > limits.single;
+  const charactersPerSegment = isMultipart ? limits.multipart : limits.single;
+  const segmentCount =
+    characterCount === 0 ? 0 : Math.ceil(characterCount / charactersPerSegment);
+
+  return {
+    encoding,
+    characterCount,
+    segmentCount,
+    charactersPerSegment,
+    nonGsmCharacters
+  };
+};
@@ -11,6 +11,8 @@ import AdminTagEditor from "./containers/AdminTagEditor";
 import AdminOptOutList from "./containers/AdminOptOutList";
 import AdminBulkScriptEditor from "./containers/AdminBulkScriptEditor";
 import AdminShortLinkDomains from "./containers/AdminShortLinkDomains";
+import AdminScriptLibrary from "./containers/AdminScriptLibrary";
+import AdminDeliverability from "./containers/AdminDeliverability";
 import AdminAssignmentRequest from "./containers/AdminAssignmentRequest";
 import AdminIncomingMessageList from "./containers/AdminIncomingMessageList";
 import EscalatedConversationList from "./containers/AdminIncomingMessageList/EscalatedConversationList";
@@ -60,7 +62,9 @@ export default function makeRoutes(requireAuth = () => {}) {
           <Route path="incoming" component={AdminIncomingMessageList} />
           <Route path="escalated" component={EscalatedConversationList} />
           <Route path="bulk-script-editor" component={AdminBulkScriptEditor} />
+          <Route path="script-library" component={AdminScriptLibrary} />
           <Route path="short-link-domains" component={AdminShortLinkDomains} />
+          <Route path="deliverability" component={AdminDeliverability} />
           <Route
             path="assignment-requests"
             component={AdminAssignmentRequest}
@@ -1,7 +1,7 @@
 import request from "request";
-import { config } from "../../config";
 import logger from "../../logger";
 import { r } from "../models";
+import { getPublicRequestOptions } from "../api/lib/webhooks";
 import crypto from "crypto";
 
 export const displayName = () => "ActionKit Event RSVP";
@@ -14,30 +14,45 @@ export const instructions = () =>
   which will be added as post data where '*' can be any word which will map to an action/event field.
   `;
 
-export async function available(organizationId) {
-  if (config.AK_BASEURL && config.AK_SECRET) {
-    return true;
+// Settings admins enter for their organization in Settings
+export const configSchema = [
+  {
+    key: "AK_BASEURL",
+    label: "ActionKit base URL",
+    hint: "For example https://act.example.org",
+    isRequired: true
+  },
+  {
+    key: "AK_SECRET",
+    label: "ActionKit secret",
+    isSecret: true,
+    isRequired: true
   }
-  const org = await r
-    .knex("organization")
-    .where("id", organizationId)
-    .select("features");
-  const features = JSON.parse(org.features || "{}");
-  let needed = [];
-  if (!config.AK_BASEURL && !features.AK_BASEURL) {
-    needed.push("AK_BASEURL");
-  }
-  if (!config.AK_SECRET && !features.AK_SECRET) {
-    needed.push("AK_SECRET");
-  }
-  if (needed.length) {
-    logger.error(
-      "actionkit-rsvp unavailable because " +
-        needed.join(", ") +
-        " must be set (either in environment variables or json value for organization)"
+];
+
+// Requests give up well within the action handler lease, so a slow ActionKit is retried rather
+// than holding the invocation
+const REQUEST_TIMEOUT_MS = 10000;
+
+// ActionKit answers any request to its base URL; errors mean the URL is wrong or unreachable.
+// Admins set the base URL, so requests are kept off private networks.
+export async function testConnection(settings) {
+  try {
+    await new Promise((resolve, reject) =>
+      request.get(
+        Object.assign(getPublicRequestOptions(`${settings.AK_BASEURL}/act/`), {
+          timeout: REQUEST_TIMEOUT_MS
+        }),
+        (err, response) =>
+          err || response.statusCode >= 500
+            ? reject(err || new Error(`responded with ${response.statusCode}`))
+            : resolve(response)
+      )
     );
+    return { ok: true, message: "ActionKit responded." };
+  } catch (err) {
+    return { ok: false, message: `Could not reach ActionKit: ${err.message}` };
   }
-  return !!needed.length;
 }
 
 export const akidGenerate = function(ak_secret, cleartext) {
@@ -50,95 +65,96 @@ export const akidGenerate = function(ak_secret, cleartext) {
 export async function processAction(
   questionResponse,
   interactionStep,
-  campaignContactId
+  campaignContactId,
+  settings
 ) {
   const contactRes = await r
     .knex("campaign_contact")
     .where("campaign_contact.id", campaignContactId)
-    .leftJoin("campaign", "campaign_contact.campaign_id", "campaign.id")
-    .leftJoin("organization", "campaign.organization_id", "organization.id")
     .select(
       "campaign_contact.custom_fields as custom_fields",
-      "campaign_contact.external_id as external_id",
-      "organization.features as features",
-      "organization.id as organization_id"
+      "campaign_contact.external_id as external_id"
     );
   const contact = contactRes.length ? contactRes[0] : {};
 
-  if (contact.external_id && contact.custom_fields != "{}") {
-    try {
-      const customFields = JSON.parse(contact.custom_fields || "{}");
-      const features = JSON.parse(contact.features || "{}");
-      const actionkitBaseUrl = config.AK_BASEURL || features.AK_BASEURL;
-      const akSecret = config.AK_SECRET || features.AK_SECRET;
+  if (!contact.external_id || contact.custom_fields == "{}") {
+    return null;
+  }
 
-      if (
-        actionkitBaseUrl &&
-        customFields.event_id &&
-        customFields.event_page
-      ) {
-        const userData = {
-          event_id: customFields.event_id,
-          page: customFields.event_page,
-          role: "attendee",
-          status: "active",
-          akid: akidGenerate(akSecret, "." + contact.external_id),
-          event_signup_ground_rules: "1",
-          source: customFields.event_source || "spoke",
-          suppress_subscribe: customFields.suppress_subscribe || "1"
-        };
-        for (let field in customFields) {
-          if (field.startsWith("event_field_")) {
-            userData["event_" + field.slice("event_field_".length)] =
-              customFields[field];
-          } else if (field.startsWith("event_action_")) {
-            userData[field.slice("event_".length)] = customFields[field];
-          }
+  const customFields = JSON.parse(contact.custom_fields || "{}");
+  const { AK_BASEURL: actionkitBaseUrl, AK_SECRET: akSecret } = settings;
+
+  if (!actionkitBaseUrl || !customFields.event_id || !customFields.event_page) {
+    return null;
+  }
+
+  const userData = {
+    event_id: customFields.event_id,
+    page: customFields.event_page,
+    role: "attendee",
+    status: "active",
+    akid: akidGenerate(akSecret, "." + contact.external_id),
+    event_signup_ground_rules: "1",
+    source: customFields.event_source || "spoke",
+    suppress_subscribe: customFields.suppress_subscribe || "1"
+  };
+  for (let field in customFields) {
+    if (field.startsWith("event_field_")) {
+      userData["event_" + field.slice("event_field_".length)] =
+        customFields[field];
+    } else if (field.startsWith("event_action_")) {
+      userData[field.slice("event_".length)] = customFields[field];
+    }
+  }
+
+  // Rejecting lets the action handler runner retry the sign up and log the error
+  const httpResponse = await new Promise((resolve, reject) =>
+    request.post(
+      Object.assign(getPublicRequestOptions(`${actionkitBaseUrl}/act/`), {
+        form: userData,
+        timeout: REQUEST_TIMEOUT_MS
+      }),
+      (err, response, body) => {
+        if (err) {
+          reject(err);
+        } else if (body && body.error) {
+          reject(new Error(`actionkit event sign up failed: ${body.error}`));
+        } else if (response.statusCode >= 400) {
+          reject(
+            Object.assign(
+              new Error(
+                `actionkit event sign up failed with status ${
+                  response.statusCode
+                }`
+              ),
+              { isTransient: response.statusCode >= 500 }
+            )
+          );
+        } else {
+          resolve(response);
         }
-        request.post(
-          {
-            url: `${actionkitBaseUrl}/act/`,
-            form: userData
-          },
-          async function(err, httpResponse, body) {
-            // TODO: should we save the action id somewhere?
-            if (err || (body && body.error)) {
-              logger.error(
-                "error: actionkit event sign up failed",
-                err,
-                userData,
-                body
-              );
-            } else {
-              if (httpResponse.headers && httpResponse.headers.location) {
-                const actionId = httpResponse.headers.location.match(
-                  /action_id=([^&]+)/
-                );
-                if (actionId) {
-                  // save the action id of the rsvp back to the contact record
-                  customFields["processed_event_action"] = actionId[1];
-                  await r
-                    .knex("campaign_contact")
-                    .where("campaign_contact.id", campaignContactId)
-                    .update("custom_fields", JSON.stringify(customFields));
-                }
-              }
-              logger.info(
-                "actionkit event sign up SUCCESS!",
-                userData,
-                httpResponse,
-                body
-              );
-            }
-          }
-        );
       }
-    } catch (err) {
-      logger.error(
-        "Processing Actionkit RSVP action failed on custom field parsing",
-        campaignContactId,
-        err
-      );
-    }
+    )
+  );
+
+  logger.info("actionkit event sign up SUCCESS!", userData);
+  const actionId =
+    httpResponse.headers &&
+    httpResponse.headers.location &&
+    httpResponse.headers.location.match(/action_id=([^&]+)/);
+  if (!actionId) {
+    return null;
   }
+
+  // save the action id of the rsvp back to the contact record
+  customFields["processed_event_action"] = actionId[1];
+  await r
+    .knex("campaign_contact")
+    .where("campaign_contact.id", campaignContactId)
+    .update("custom_fields", JSON.stringify(customFields));
+  return { actionId: actionId[1] };
 }
+
+// The RSVP only depends on the contact, so tags sign people up the same way answers do
+export const processTagAction = (tag, campaignContactId, settings) =>
+  processAction(null, null, campaignContactId, settings);
@@ -0,0 +1,19 @@
+import { config } from "../../config";
+import * as actionkitRsvp from "./actionkit-rsvp";
+import * as revereSignup from "./revere-signup";
+import * as testAction from "./test-action";
+import * as webhook from "./webhook";
+
+// Installed action handlers by name. Names are stored with answers, so they must not change.
+const actionHandlers = {
+  "actionkit-rsvp": actionkitRsvp,
+  "revere-signup": revereSignup,
+  webhook
+};
+
+// The test action rewrites contacts' custom fields, so it is only offered outside production
+if (!config.isProduction) {
+  actionHandlers["test-action"] = testAction;
+}
+
+export default actionHandlers;
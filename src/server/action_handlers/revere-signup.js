@@ -1,94 +1,160 @@
 import request from "request";
 import aws from "aws-sdk";
 import { r } from "../models";
-import { config } from "../../config";
 import logger from "../../logger";
+import {
+  checkPublicUrl,
+  getPublicRequestOptions,
+  publicAddressAgents
+} from "../api/lib/webhooks";
+
+// Admins set the URLs signups are sent to, so requests are kept off private networks
+const sqs = new aws.SQS({
+  httpOptions: { agent: publicAddressAgents["https:"] }
+});
+
+// A signup makes up to three requests, which together must finish within the action handler lease
+const REQUEST_TIMEOUT_MS = 10000;
 
-const sqs = new aws.SQS();
 // What the user sees as the option
 export const displayName = () => "Revere Signup";
 
-const listId = config.REVERE_LIST_ID;
-const defaultMobileFlowId = config.REVERE_NEW_SUBSCRIBER_MOBILE_FLOW;
-const mobileApiKey = config.REVERE_MOBILE_API_KEY;
-const sendContentUrl = config.REVERE_API_URL;
-const akAddUserUrl = config.AK_ADD_USER_URL;
-const akAddPhoneUrl = config.AK_ADD_PHONE_URL;
-const sqsUrl = config.REVERE_SQS_URL;
-
 // The Help text for the user after selecting the action
 export const instructions = () =>
   "This option triggers a new user request to Revere when selected.";
 
-export async function available(organizationId) {
-  if (organizationId && listId && mobileApiKey) {
-    return true;
+// Settings admins enter for their organization in Settings
+export const configSchema = [
+  { key: "REVERE_LIST_ID", label: "Revere list ID", isRequired: true },
+  {
+    key: "REVERE_MOBILE_API_KEY",
+    label: "Revere mobile API key",
+    isSecret: true,
+    isRequired: true
+  },
+  {
+    key: "REVERE_NEW_SUBSCRIBER_MOBILE_FLOW",
+    label: "Default mobile flow",
+    hint: "Contacts with a revere_signup_flow field use that flow instead"
+  },
+  { key: "REVERE_API_URL", label: "Revere API URL" },
+  {
+    key: "REVERE_SQS_URL",
+    label: "SQS queue URL",
+    hint: "When set, signups are sent to this queue instead of the Revere API"
+  },
+  { key: "AK_ADD_USER_URL", label: "ActionKit add user URL" },
+  { key: "AK_ADD_PHONE_URL", label: "ActionKit add phone URL" }
+];
+
+// Checks the signup queue when one is set, and otherwise that Revere accepts the API key
+export async function testConnection(settings) {
+  try {
+    if (settings.REVERE_SQS_URL) {
+      checkPublicUrl(settings.REVERE_SQS_URL);
+      await sqs
+        .getQueueAttributes({ QueueUrl: settings.REVERE_SQS_URL })
+        .promise();
+      return { ok: true, message: "The signup queue is reachable." };
+    }
+    if (!settings.REVERE_API_URL) {
+      return { ok: false, message: "Set the Revere API URL or an SQS queue." };
+    }
+    const response = await new Promise((resolve, reject) =>
+      request.get(
+        Object.assign(getPublicRequestOptions(settings.REVERE_API_URL), {
+          headers: { Authorization: settings.REVERE_MOBILE_API_KEY },
+          timeout: REQUEST_TIMEOUT_MS
+        }),
+        (error, res) => (error ? reject(error) : resolve(res))
+      )
+    );
+    if (response.statusCode === 401 || response.statusCode === 403) {
+      return { ok: false, message: "Revere rejected the API key." };
+    }
+    return { ok: true, message: "Revere responded." };
+  } catch (err) {
+    return { ok: false, message: `Could not reach Revere: ${err.message}` };
   }
-  return false;
 }
 
-const actionKitSignup = (cell, contact) => {
-  // Currently we add the user to Revere and Action Kit. When we add them to AK
-  // It takes two requests - one to create the user and then a second request
-  // to add the phone numnber to the user. We add the user to ActionKit to make sure
-  // we keep have a record of their phone number & attach it to a fake email.
-  if (akAddUserUrl && akAddPhoneUrl) {
-    const userData = {
-      email: cell + "-smssubscriber@example.com",
-      first_name: contact.first_name,
-      last_name: contact.last_name,
-      sms_subscribed: true,
-      action_mobilesubscribe: true,
-      suppress_subscribe: true,
-      phone: [contactCell],
-      phone_type: "mobile",
-      source: "spoke-signup"
-    };
-
+// Resolves with the response, rejecting on network errors, timeouts and unexpected statuses so the
+// action handler runner retries the signup
+const post = (options, expectedStatus) =>
+  new Promise((resolve, reject) =>
     request.post(
-      {
-        url: akAddUserUrl,
-        headers: {
-          accept: "application/json",
-          "content-type": "application/json"
-        },
-        form: userData
-      },
-      (errorResponse, httpResponse) => {
-        if (errorResponse) throw new Error(errorResponse);
-        if (httpResponse.statusCode === 201) {
-          request.post(
-            {
-              url: akAddPhoneUrl,
-              headers: {
-                accept: "application/json",
-                "content-type": "application/json"
-              },
-              form: {
-                user: httpResponse.headers.location,
-                phone: contactCell,
-                type: "mobile"
-              }
-            },
-            (lastError, lastResponse) => {
-              if (lastError) throw new Error(lastError);
-              if (lastResponse.statusCode === 201) {
-                return;
-              }
-            }
+      Object.assign(
+        { timeout: REQUEST_TIMEOUT_MS },
+        options,
+        getPublicRequestOptions(options.url)
+      ),
+      (error, response) => {
+        if (error) {
+          reject(error);
+        } else if (expectedStatus && response.statusCode !== expectedStatus) {
+          reject(
+            new Error(`${options.url} responded with ${response.statusCode}`)
           );
+        } else {
+          resolve(response);
         }
       }
-    );
-  } else {
+    )
+  );
+
+const actionKitSignup = async (cell, contact, settings) => {
+  // Currently we add the user to Revere and Action Kit. When we add them to AK
+  // It takes two requests - one to create the user and then a second request
+  // to add the phone numnber to the user. We add the user to ActionKit to make sure
+  // we keep have a record of their phone number & attach it to a fake email.
+  const {
+    AK_ADD_USER_URL: akAddUserUrl,
+    AK_ADD_PHONE_URL: akAddPhoneUrl
+  } = settings;
+  if (!akAddUserUrl || !akAddPhoneUrl) {
     logger.error("No AK Post URLs Configured");
+    return;
   }
+
+  const userData = {
+    email: cell + "-smssubscriber@example.com",
+    first_name: contact.first_name,
+    last_name: contact.last_name,
+    sms_subscribed: true,
+    action_mobilesubscribe: true,
+    suppress_subscribe: true,
+    phone: [cell],
+    phone_type: "mobile",
+    source: "spoke-signup"
+  };
+  const headers = {
+    accept: "application/json",
+    "content-type": "application/json"
+  };
+
+  const userResponse = await post(
+    { url: akAddUserUrl, headers, form: userData },
+    201
+  );
+  await post(
+    {
+      url: akAddPhoneUrl,
+      headers,
+      form: {
+        user: userResponse.headers.location,
+        phone: cell,
+        type: "mobile"
+      }
+    },
+    201
+  );
 };
 
 export async function processAction(
   questionResponse,
   interactionStep,
-  campaignContactId
+  campaignContactId,
+  settings
 ) {
   const contactRes = await r
     .knex("campaign_contact")
@@ -106,10 +172,10 @@ export async function processAction(
   const customFields = JSON.parse(contact.custom_fields);
   const mobileFlowId = customFields.revere_signup_flow
     ? customFields.revere_signup_flow
-    : defaultMobileFlowId;
+    : settings.REVERE_NEW_SUBSCRIBER_MOBILE_FLOW;
   const contactCell = contact.cell.substring(1);
 
-  if (sqsUrl) {
+  if (settings.REVERE_SQS_URL) {
     const msg = {
       payload: {
         cell: `${contactCell}`,
@@ -118,37 +184,38 @@ export async function processAction(
       }
     };
 
+    checkPublicUrl(settings.REVERE_SQS_URL);
     const sqsParams = {
       MessageBody: JSON.stringify(msg),
-      QueueUrl: sqsUrl
+      QueueUrl: settings.REVERE_SQS_URL
     };
 
-    sqs.sendMessage(sqsParams, (err, data) => {
-      if (err) {
-        logger.error("Error sending message to queue", err);
-      }
-      logger.info("Sent message to queue with data:", data);
-    });
+    const data = await sqs.sendMessage(sqsParams).promise();
+    logger.info("Sent message to queue with data:", data);
   } else {
-    const options = {
-      method: "POST",
-      url: sendContentUrl,
-      headers: {
-        accept: "application/json",
-        "content-type": "application/json",
-        Authorization: mobileApiKey
-      },
-      body: {
-        msisdns: [`00${contactCell}`],
-        mobileFlow: `${mobileFlowId}`
+    await post(
+      {
+        url: settings.REVERE_API_URL,
+        headers: {
+          accept: "application/json",
+          "content-type": "application/json",
+          Authorization: settings.REVERE_MOBILE_API_KEY
+        },
+        body: {
+          msisdns: [`00${contactCell}`],
+          mobileFlow: `${mobileFlowId}`
+        },
+        json: true
       },
-      json: true
-    };
-
-    return request(options, (error, response) => {
-      if (error) throw new Error(error);
-    });
+      null
+    );
+    return { mobileFlowId };
   }
 
-  actionKitSignup(contactCell, contact);
+  await actionKitSignup(contactCell, contact, settings);
+  return { mobileFlowId };
 }
+
+// The signup only depends on the contact, so tags sign people up the same way answers do
+export const processTagAction = (tag, campaignContactId, settings) =>
+  processAction(null, null, campaignContactId, settings);
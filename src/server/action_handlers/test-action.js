@@ -10,28 +10,39 @@ export const instructions = () =>
   This action is for testing and as a code-template for new actions.
   `;
 
+// Settings the action needs, which admins enter for their organization in Settings.
+// Each has a `key`, a `label` and optionally a `hint`; `isRequired` settings must be filled in
+// before the action can be picked, and `isSecret` settings are stored encrypted and never shown
+// again. A setting left blank falls back to the environment variable named by its key.
+// Handlers can also export `testConnection(settings)`, resolving with `{ ok, message }`.
+// New handlers must be added to ./index.js; organizations then enable them in Settings, or
+// they are enabled by default when listed in process.env.ACTION_HANDLERS.
+export const configSchema = [];
+
 // return true, if the action is usable and available for the organizationId
-// Sometimes this means certain variables/credentials must be setup
-// either in environment variables or organization.features json data
-// Besides this returning true, "test-action" will also need to be added to
-// process.env.ACTION_HANDLERS
-export async function available(organizationId) {
+// `settings` holds the organization's values for the configSchema
+export async function available(organizationId, settings) {
   return true;
 }
 
 // What happens when a texter saves the answer that triggers the action
 // This is presumably the meat of the action
+// Actions are queued and run by the action handler runner. Throw (or reject) to have the
+// action retried with backoff; set `isTransient = false` on the error to fail it right away.
+// Whatever the action resolves with is saved in the action handler log.
 export async function processAction(
   questionResponse,
   interactionStep,
-  campaignContactId
+  campaignContactId,
+  settings
 ) {
   // This is a meta action that updates a variable in the contact record itself.
   // Generally, you want to send action data to the outside world, so you
   // might want the request library loaded above
   const contact = await r
     .knex("campaign_contact")
-    .where("campaign_contact_id", campaignContactId);
+    .where("campaign_contact.id", campaignContactId)
+    .first();
   const customFields = JSON.parse(contact.custom_fields || "{}");
   if (customFields) {
     customFields["processed_test_action"] = "completed";
@@ -42,3 +53,34 @@ export async function processAction(
     .where("campaign_contact.id", campaignContactId)
     .update("custom_fields", JSON.stringify(customFields));
 }
+
+// Optional: what happens when the answer is changed or deleted after the action was queued.
+// Handlers without undoAction are not called when an answer is removed.
+export async function undoAction(
+  questionResponse,
+  interactionStep,
+  campaignContactId
+) {
+  const contact = await r
+    .knex("campaign_contact")
+    .where("campaign_contact.id", campaignContactId)
+    .first();
+  const customFields = JSON.parse(contact.custom_fields || "{}");
+  delete customFields["processed_test_action"];
+
+  await r
+    .knex("campaign_contact")
+    .where("campaign_contact.id", campaignContactId)
+    .update("custom_fields", JSON.stringify(customFields));
+}
+
+// Optional: what happens when a tag using the action is applied to a contact. Handlers without
+// processTagAction cannot be picked for tags. `tag` is the tag row without its action settings.
+export async function processTagAction(tag, campaignContactId, settings) {
+  return processAction(null, null, campaignContactId, settings);
+}
+
+// Optional: what happens when the tag is removed, if the tag is set to undo its action
+export async function undoTagAction(tag, campaignContactId, settings) {
+  return undoAction(null, null, campaignContactId);
+}
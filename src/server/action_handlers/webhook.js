@@ -0,0 +1,163 @@
+import request from "superagent";
+import { URL } from "url";
+import { r } from "../models";
+import { symmetricEncrypt, symmetricDecrypt } from "../api/lib/crypto";
+import {
+  WEBHOOK_SIGNATURE_HEADER,
+  findWebhookConfigErrors,
+  getWebhookFieldValues,
+  publicAddressAgents,
+  renderWebhookBody,
+  signWebhookPayload
+} from "../api/lib/webhooks";
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// What the user sees as the option
+export const displayName = () => "Webhook";
+
+// The Help text for the user after selecting the action
+export const instructions = () =>
+  `
+  Sends a request to the URL below when this answer is saved or this tag is applied. The body is
+  JSON, and its text can use contact fields like {firstName} and {cell}, custom fields,
+  {question} and {answer} (for answers), {tag} (for tags), {campaignTitle} and the texter's
+  {texterFirstName}, {texterLastName} and {texterEmail}.
+  With a signing secret, requests carry an ${WEBHOOK_SIGNATURE_HEADER} header holding
+  "sha256=" and the hex HMAC-SHA256 of the body.
+  `;
+
+export async function available() {
+  return true;
+}
+
+// Settings are checked when the campaign's interactions are saved
+export const validateActionData = data => findWebhookConfigErrors(data);
+
+// The signing secret is stored encrypted. An empty secret keeps the saved one unless the author
+// removed it; copied campaigns pass the encrypted secret through.
+export const prepareActionData = (data, previousData) => {
+  const {
+    signingSecret,
+    encryptedSigningSecret,
+    hasSigningSecret,
+    ...settings
+  } = data;
+  let secret = null;
+  if (signingSecret) {
+    secret = symmetricEncrypt(signingSecret);
+  } else if (encryptedSigningSecret) {
+    secret = encryptedSigningSecret;
+  } else if (hasSigningSecret && previousData) {
+    secret = previousData.encryptedSigningSecret || null;
+  }
+  return Object.assign(settings, { encryptedSigningSecret: secret });
+};
+
+// What campaign authors see: never the secret, only whether there is one
+export const redactActionData = data => {
+  const { encryptedSigningSecret, ...settings } = data;
+  return Object.assign(settings, {
+    hasSigningSecret: !!encryptedSigningSecret
+  });
+};
+
+const failure = (message, isTransient) =>
+  Object.assign(new Error(message), { isTransient });
+
+const sendWebhook = async (data, campaignContactId, fields) => {
+  const errors = findWebhookConfigErrors(data);
+  if (errors.length) throw failure(errors.join(" "), false);
+
+  const contact = await r
+    .knex("campaign_contact")
+    .where({ id: campaignContactId })
+    .first();
+  const [campaign, texter] = await Promise.all([
+    r
+      .knex("campaign")
+      .where({ id: contact.campaign_id })
+      .first("id", "title"),
+    contact.assignment_id
+      ? r
+          .knex("user")
+          .join("assignment", "assignment.user_id", "user.id")
+          .where({ "assignment.id": contact.assignment_id })
+          .first("user.first_name", "user.last_name", "user.email")
+      : null
+  ]);
+
+  const payload = data.bodyTemplate
+    ? JSON.stringify(
+        renderWebhookBody(
+          data.bodyTemplate,
+          getWebhookFieldValues(
+            Object.assign({ contact, campaign, texter }, fields)
+          )
+        )
+      )
+    : "";
+
+  // Connections never reach private networks, and redirects are not followed, since they could
+  // lead anywhere
+  let webhookRequest = request(data.method, data.url)
+    .agent(publicAddressAgents[new URL(data.url).protocol])
+    .redirects(0)
+    .timeout(WEBHOOK_TIMEOUT_MS)
+    .set(data.headers || {});
+  if (data.encryptedSigningSecret) {
+    webhookRequest = webhookRequest.set(
+      WEBHOOK_SIGNATURE_HEADER,
+      signWebhookPayload(symmetricDecrypt(data.encryptedSigningSecret), payload)
+    );
+  }
+  if (payload && data.method !== "GET") {
+    webhookRequest = webhookRequest.type("application/json").send(payload);
+  }
+
+  try {
+    const response = await webhookRequest;
+    return { url: data.url, status: response.status };
+  } catch (err) {
+    // Rate limiting, server errors and network failures are retried; other responses are not
+    const { status } = err;
+    if (err.code === "EPRIVATEADDRESS") throw failure(err.message, false);
+    if (!status) throw failure(err.message, true);
+    throw failure(
+      `${data.method} ${data.url} responded with ${status}`,
+      status === 429 || status >= 500
+    );
+  }
+};
+
+// Settings are read when the action runs, so retrying a failure uses the corrected settings
+export async function processAction(
+  questionResponse,
+  interactionStep,
+  campaignContactId
+) {
+  const [step, question] = await Promise.all([
+    r
+      .knex("interaction_step")
+      .where({ id: interactionStep.id })
+      .first("answer_actions_data"),
+    r
+      .knex("interaction_step")
+      .where({ id: questionResponse.interaction_step_id })
+      .first("question")
+  ]);
+  return sendWebhook(step && step.answer_actions_data, campaignContactId, {
+    question: question ? question.question : "",
+    answer: questionResponse.value
+  });
+}
+
+export async function processTagAction(tag, campaignContactId) {
+  const saved = await r
+    .knex("tag")
+    .where({ id: tag.id })
+    .first("action_data");
+  return sendWebhook(saved && saved.action_data, campaignContactId, {
+    tag: tag.title
+  });
+}
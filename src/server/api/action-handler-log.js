@@ -0,0 +1,38 @@
+import { r } from "../models";
+import { ActionHandlerLogStatus } from "./lib/action-handlers";
+
+export const resolvers = {
+  ActionHandlerLog: {
+    id: log => log.id,
+    actionHandler: log => log.action_handler,
+    actionType: log => log.action_type,
+    status: log => log.status,
+    contact: async (log, _, { loaders }) =>
+      loaders.campaignContact.load(log.campaign_contact_id),
+    interactionStep: async log =>
+      log.interaction_step_id
+        ? r
+            .reader("interaction_step")
+            .where({ id: log.interaction_step_id })
+            .first()
+        : null,
+    answerValue: log =>
+      log.request.questionResponse ? log.request.questionResponse.value : null,
+    tagTitle: log => (log.request.tag ? log.request.tag.title : null),
+    request: log => log.request,
+    result: log => log.result,
+    attempts: log => log.attempts,
+    nextAttemptAt: log => log.next_attempt_at,
+    lastError: log => log.last_error,
+    createdAt: log => log.created_at,
+    updatedAt: log => log.updated_at,
+    completedAt: log => log.completed_at
+  },
+  ActionHandlerLogCounts: {
+    queued: counts => counts[ActionHandlerLogStatus.Queued] || 0,
+    running: counts => counts[ActionHandlerLogStatus.Running] || 0,
+    succeeded: counts => counts[ActionHandlerLogStatus.Succeeded] || 0,
+    failed: counts => counts[ActionHandlerLogStatus.Failed] || 0,
+    cancelled: counts => counts[ActionHandlerLogStatus.Cancelled] || 0
+  }
+};
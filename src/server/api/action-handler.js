@@ -0,0 +1,38 @@
+import {
+  hasSavedActionHandlerSettings,
+  isActionHandlerAvailable
+} from "./lib/action-handlers";
+
+export const resolvers = {
+  OrganizationActionHandler: {
+    name: state => state.name,
+    displayName: state => state.handler.displayName(),
+    instructions: state => state.handler.instructions().trim(),
+    isEnabled: state => state.isEnabled,
+    isAvailable: async state =>
+      isActionHandlerAvailable(state, state.organizationId),
+    missingSettings: state => state.missingSettings,
+    // Secrets are never sent back; admins only see whether one is saved
+    settings: state => {
+      const isSaved = hasSavedActionHandlerSettings(
+        state.handler,
+        state.savedSettings
+      );
+      return (state.handler.configSchema || []).map(setting => {
+        const savedValue = (state.savedSettings || {})[setting.key];
+        return {
+          key: setting.key,
+          label: setting.label,
+          hint: setting.hint || null,
+          isSecret: !!setting.isSecret,
+          isRequired: !!setting.isRequired,
+          value: setting.isSecret ? null : savedValue || null,
+          hasSavedValue: !!savedValue,
+          isFromEnvironment: !isSaved && !!state.settings[setting.key]
+        };
+      });
+    },
+    canTestConnection: state =>
+      typeof state.handler.testConnection === "function"
+  }
+};
@@ -17,6 +17,7 @@ export const resolvers = {
         "lastName",
         "cell",
         "zip",
+        "language",
         "customFields",
         "messageStatus",
         "assignmentId",
@@ -1,8 +1,18 @@
 import { config } from "../../config";
-import { mapFieldsToModel } from "./lib/utils";
+import { mapFieldsToModel, translationMapToList } from "./lib/utils";
 import { Campaign, JobRequest, r, cacheableData } from "../models";
 import { currentEditors } from "../models/cacheable_queries";
 import { getUsers } from "./user";
+import {
+  getCampaignLinkClickStats,
+  getContactLinkClicks,
+  getScriptLinkClickStats
+} from "./short-link";
+import { getScriptVariantStats } from "./script-variant";
+import { getLanguageStats } from "./language-stats";
+import { lintCampaignScripts } from "./lib/script-lint";
+import { getOptOutKeywords } from "./lib/opt-out-keywords";
+import { DEFAULT_LANGUAGE } from "../../lib/languages";
 
 export function addCampaignsFilterToQuery(queryParam, campaignsFilter) {
   let query = queryParam;
@@ -85,6 +95,58 @@ export async function getCampaigns(organizationId, cursor, campaignsFilter) {
   }
 }
 
+/**
+ * Run the pre-launch script checks for a campaign against its saved scripts.
+ * @param {object} campaign The campaign record
+ * @returns {Promise<object[]>} Issues found by `lintCampaignScripts`
+ */
+export async function getCampaignScriptLint(campaign) {
+  const [
+    interactionSteps,
+    cannedResponses,
+    customFields,
+    linkDomains,
+    organization
+  ] = await Promise.all([
+    r
+      .reader("interaction_step")
+      .where({ campaign_id: campaign.id, is_deleted: false })
+      .orderBy("id"),
+    cacheableData.cannedResponse.query({
+      campaignId: campaign.id,
+      userId: ""
+    }),
+    cacheableData.campaign.dbCustomFields(campaign.id),
+    r
+      .reader("link_domain")
+      .where({ organization_id: campaign.organization_id })
+      .pluck("domain"),
+    cacheableData.organization.load(campaign.organization_id)
+  ]);
+  return lintCampaignScripts({
+    interactionSteps: interactionSteps.map(step => ({
+      id: step.id,
+      parentInteractionId: step.parent_interaction_id,
+      answerOption: step.answer_option,
+      scriptOptions: step.script_options || [step.script],
+      scriptTranslations: translationMapToList(
+        step.script_translations,
+        "scriptOptions"
+      )
+    })),
+    cannedResponses: cannedResponses.map(response =>
+      Object.assign({}, response, {
+        translations: translationMapToList(response.translations, "text")
+      })
+    ),
+    customFields,
+    linkDomains,
+    shortensLinks: !!organization.feature.shortLinkTracking,
+    optOutKeywords: getOptOutKeywords(organization.feature),
+    translationLanguages: campaign.translation_languages || []
+  });
+}
+
 export const resolvers = {
   JobRequest: {
     ...mapFieldsToModel(
@@ -119,6 +181,36 @@ export const resolvers = {
         .eqJoin("id", r.table("message"), { index: "assignment_id" })
         .filter({ is_from_contact: true })
         .count(),
+    sentSegmentsCount: async campaign => {
+      const { sum } = await r
+        .reader("message")
+        .join(
+          "campaign_contact",
+          "campaign_contact.id",
+          "message.campaign_contact_id"
+        )
+        .where({
+          "campaign_contact.campaign_id": campaign.id,
+          "message.is_from_contact": false
+        })
+        .sum("message.num_segments as sum")
+        .first();
+      return Number(sum || 0);
+    },
+    failedMessagesCount: async campaign =>
+      r.getCount(
+        r
+          .reader("message")
+          .join(
+            "campaign_contact",
+            "campaign_contact.id",
+            "message.campaign_contact_id"
+          )
+          .where({
+            "campaign_contact.campaign_id": campaign.id,
+            "message.send_status": "DEAD_LETTER"
+          })
+      ),
     optOutsCount: async campaign =>
       await r.getCount(
         r
@@ -199,6 +291,110 @@ export const resolvers = {
         .where({
           "campaign_team.campaign_id": campaign.id
         }),
+    messagingServices: async campaign =>
+      r
+        .reader("messaging_service")
+        .select("messaging_service.*")
+        .join(
+          "campaign_messaging_service",
+          "campaign_messaging_service.messaging_service_sid",
+          "messaging_service.messaging_service_sid"
+        )
+        .where({ "campaign_messaging_service.campaign_id": campaign.id }),
+    failedMessages: async (campaign, { limit = 100 }) =>
+      r
+        .reader("message")
+        .select("message.*")
+        .join(
+          "campaign_contact",
+          "campaign_contact.id",
+          "message.campaign_contact_id"
+        )
+        .where({
+          "campaign_contact.campaign_id": campaign.id,
+          "message.send_status": "DEAD_LETTER"
+        })
+        .orderBy("message.created_at", "desc")
+        .limit(limit),
+    actionHandlerLogs: async (campaign, { status, limit = 100 }) => {
+      const query = r
+        .reader("action_handler_log")
+        .where({ campaign_id: campaign.id })
+        .orderBy("id", "desc")
+        .limit(Math.min(limit, 500));
+      return status ? query.where({ status }) : query;
+    },
+    actionHandlerLogCounts: async campaign => {
+      const rows = await r
+        .reader("action_handler_log")
+        .where({ campaign_id: campaign.id })
+        .groupBy("status")
+        .select("status")
+        .count("* as count");
+      return rows.reduce(
+        (counts, { status, count }) =>
+          Object.assign(counts, { [status]: Number(count) }),
+        {}
+      );
+    },
+    scriptLint: async campaign => getCampaignScriptLint(campaign),
+    // A random sample of uploaded contacts, or those matching a name or cell search
+    previewContacts: async (campaign, { search, limit }) => {
+      let query = r
+        .reader("campaign_contact")
+        .where({ campaign_id: campaign.id })
+        .limit(Math.min(limit || 20, 100));
+      if (search) {
+        const pattern = `%${search.trim()}%`;
+        query = query
+          .where(builder =>
+            builder
+              .where("first_name", "ilike", pattern)
+              .orWhere("last_name", "ilike", pattern)
+              .orWhere("cell", "ilike", pattern)
+          )
+          .orderBy("id");
+      } else {
+        query = query.orderByRaw("random()");
+      }
+      return query;
+    },
+    // Defaults to the initial message
+    scriptVariantStats: async (campaign, { interactionStepId }) => {
+      const step = interactionStepId
+        ? { id: interactionStepId }
+        : await r
+            .reader("interaction_step")
+            .where({
+              campaign_id: campaign.id,
+              parent_interaction_id: null,
+              is_deleted: false
+            })
+            .first("id");
+      return step ? getScriptVariantStats(campaign.id, step.id) : [];
+    },
+    primaryLanguage: campaign => campaign.primary_language || DEFAULT_LANGUAGE,
+    translationLanguages: campaign => campaign.translation_languages || [],
+    languageStats: async campaign => getLanguageStats(campaign),
+    linkDomainPool: async campaign =>
+      campaign.link_domain_pool_id
+        ? r
+            .reader("link_domain_pool")
+            .where({ id: campaign.link_domain_pool_id })
+            .first()
+        : null,
+    scriptTemplateVersion: async campaign =>
+      campaign.script_template_version_id
+        ? r
+            .reader("script_template_version")
+            .where({ id: campaign.script_template_version_id })
+            .first()
+        : null,
+    linkClickStats: async campaign => getCampaignLinkClickStats(campaign.id),
+    scriptLinkClickStats: async campaign =>
+      getScriptLinkClickStats(campaign.id),
+    contactLinkClicks: async (campaign, { limit = 100 }) =>
+      getContactLinkClicks(campaign.id, limit),
     texters: async campaign =>
       getUsers(campaign.organization_id, null, { campaignId: campaign.id }),
     assignments: async (campaign, { assignmentsFilter }) => {
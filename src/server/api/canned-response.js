@@ -1,9 +1,11 @@
-import { mapFieldsToModel } from "./lib/utils";
+import { mapFieldsToModel, translationMapToList } from "./lib/utils";
 import { CannedResponse } from "../models";
 
 export const resolvers = {
   CannedResponse: {
     ...mapFieldsToModel(["id", "title", "text"], CannedResponse),
+    translations: cannedResponse =>
+      translationMapToList(cannedResponse.translations, "text"),
     isUserCreated: cannedResponse => cannedResponse.user_id !== ""
   }
 };
@@ -187,6 +187,7 @@ export async function getConversations(
     "assignment.id as ass_id",
     "message.id as mess_id",
     "message.text",
+    "message.media_urls",
     "message.user_number",
     "message.contact_number",
     "message.created_at",
@@ -230,6 +231,7 @@ export async function getConversations(
   const messageFields = [
     "mess_id",
     "text",
+    "media_urls",
     "user_number",
     "contact_number",
     "created_at",
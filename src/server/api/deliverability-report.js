@@ -0,0 +1,142 @@
+import { r } from "../models";
+
+const DIMENSION_COLUMNS = Object.freeze({
+  DOMAIN: "deliverability_report.domain",
+  URL_PATH: "deliverability_report.url_path",
+  MESSAGING_SERVICE: "deliverability_report.messaging_service_sid",
+  CAMPAIGN: "deliverability_report.campaign_id"
+});
+
+const filteredReports = ({ organizationId, filter }) => {
+  const {
+    startDate,
+    endDate,
+    campaignId,
+    messagingServiceSid,
+    domain
+  } = filter;
+  let query = r
+    .reader("deliverability_report")
+    .where("deliverability_report.organization_id", organizationId)
+    .where("deliverability_report.period_starts_at", ">=", startDate)
+    .where("deliverability_report.period_ends_at", "<=", endDate);
+  if (campaignId) {
+    query = query.where("deliverability_report.campaign_id", campaignId);
+  }
+  if (messagingServiceSid) {
+    query = query.where(
+      "deliverability_report.messaging_service_sid",
+      messagingServiceSid
+    );
+  }
+  if (domain) {
+    query = query.where("deliverability_report.domain", domain);
+  }
+  return query;
+};
+
+const countColumns = () => [
+  r.reader.raw(
+    "coalesce(sum(deliverability_report.count_total), 0) as total_count"
+  ),
+  r.reader.raw(
+    "coalesce(sum(deliverability_report.count_sent), 0) as sent_count"
+  ),
+  r.reader.raw(
+    "coalesce(sum(deliverability_report.count_delivered), 0) as delivered_count"
+  ),
+  r.reader.raw(
+    "coalesce(sum(deliverability_report.count_error), 0) as error_count"
+  )
+];
+
+// Messages that reached a final send status; queued and in-flight messages are left out of rates
+const finishedCount = stats =>
+  parseInt(stats.sent_count) +
+  parseInt(stats.delivered_count) +
+  parseInt(stats.error_count);
+
+export const resolvers = {
+  DeliverabilityReport: {
+    totals: async report =>
+      filteredReports(report)
+        .select(countColumns())
+        .first(),
+    timeline: async (report, { period }) =>
+      filteredReports(report)
+        .select(
+          r.reader.raw(
+            "date_trunc(?, deliverability_report.period_starts_at) as period_starts_at",
+            [period.toLowerCase()]
+          ),
+          ...countColumns()
+        )
+        .groupByRaw("1")
+        .orderByRaw("1"),
+    breakdown: async (report, { dimension }) => {
+      const column = DIMENSION_COLUMNS[dimension];
+      let query = filteredReports(report).whereNotNull(column);
+      let labelColumn = column;
+      if (dimension === "CAMPAIGN") {
+        query = query.leftJoin(
+          "campaign",
+          "campaign.id",
+          "deliverability_report.campaign_id"
+        );
+        labelColumn = "campaign.title";
+      } else if (dimension === "MESSAGING_SERVICE") {
+        query = query.leftJoin(
+          "messaging_service",
+          "messaging_service.messaging_service_sid",
+          "deliverability_report.messaging_service_sid"
+        );
+        labelColumn = "messaging_service.name";
+      }
+      return query
+        .select(
+          `${column} as key`,
+          `${labelColumn} as label`,
+          ...countColumns()
+        )
+        .groupBy(column, labelColumn)
+        .orderByRaw("sum(deliverability_report.count_total) desc")
+        .limit(100);
+    },
+    errorCodes: async report => {
+      const rows = await filteredReports(report)
+        .joinRaw(
+          "cross join jsonb_each_text(deliverability_report.error_codes) as error_code_counts"
+        )
+        .select(
+          "error_code_counts.key as error_code",
+          r.reader.raw("sum(error_code_counts.value::integer) as count")
+        )
+        .groupBy("error_code_counts.key")
+        .orderByRaw("2 desc");
+      return rows.map(row => ({
+        errorCode: row.error_code,
+        count: parseInt(row.count)
+      }));
+    }
+  },
+  DeliverabilityStats: {
+    key: stats => (stats.key === undefined ? null : String(stats.key)),
+    label: stats =>
+      stats.label === undefined || stats.label === null
+        ? null
+        : String(stats.label),
+    periodStartsAt: stats => stats.period_starts_at || null,
+    totalCount: stats => parseInt(stats.total_count),
+    sentCount: stats => parseInt(stats.sent_count),
+    deliveredCount: stats => parseInt(stats.delivered_count),
+    errorCount: stats => parseInt(stats.error_count),
+    deliveryRate: stats => {
+      const count = finishedCount(stats);
+      return count > 0 ? parseInt(stats.delivered_count) / count : null;
+    },
+    errorRate: stats => {
+      const count = finishedCount(stats);
+      return count > 0 ? parseInt(stats.error_count) / count : null;
+    }
+  }
+};
@@ -1,5 +1,6 @@
-import { mapFieldsToModel } from "./lib/utils";
+import { mapFieldsToModel, translationMapToList } from "./lib/utils";
 import { InteractionStep, r } from "../models";
+import { redactAnswerActionsData } from "./lib/action-handlers";
 
 export const resolvers = {
   InteractionStep: {
@@ -17,6 +18,16 @@ export const resolvers = {
       const { script, script_options } = interactionStep;
       return script_options || [script];
     },
+    scriptTranslations: interactionStep =>
+      translationMapToList(
+        interactionStep.script_translations,
+        "scriptOptions"
+      ),
+    answerActionsData: interactionStep =>
+      redactAnswerActionsData(
+        interactionStep.answer_actions,
+        interactionStep.answer_actions_data
+      ),
     questionText: async interactionStep => {
       return interactionStep.question;
     },
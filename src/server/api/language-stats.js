@@ -0,0 +1,67 @@
+import { r } from "../models";
+import { DEFAULT_LANGUAGE, getLanguageName } from "../../lib/languages";
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Break a campaign's contacts down by language. Contacts without a language are counted under
+ * the campaign's primary language.
+ * @param {object} campaign The campaign record
+ * @returns {Promise<object[]>} One entry per language, the primary language and translations
+ *     first even when they have no contacts
+ */
+export const getLanguageStats = async campaign => {
+  const primaryLanguage = campaign.primary_language || DEFAULT_LANGUAGE;
+  const translationLanguages = campaign.translation_languages || [];
+  const { rows } = await r.reader.raw(
+    `
+      select
+        coalesce(campaign_contact.language, ?) as language,
+        count(*) as contact_count,
+        count(*) filter (
+          where campaign_contact.message_status != 'needsMessage'
+        ) as messaged_count,
+        count(*) filter (
+          where exists (
+            select 1
+            from message
+            where
+              message.campaign_contact_id = campaign_contact.id
+              and message.is_from_contact
+          )
+        ) as reply_count,
+        count(*) filter (where campaign_contact.is_opted_out) as opt_out_count
+      from campaign_contact
+      where campaign_contact.campaign_id = ?
+      group by 1
+      order by count(*) desc
+    `,
+    [primaryLanguage, campaign.id]
+  );
+
+  const scriptLanguages = [primaryLanguage].concat(translationLanguages);
+  const languages = scriptLanguages.concat(
+    rows
+      .map(row => row.language)
+      .filter(language => scriptLanguages.indexOf(language) === -1)
+  );
+  return languages.map(language => {
+    const counts = rows.find(row => row.language === language);
+    return {
+      language,
+      isTranslated: scriptLanguages.indexOf(language) !== -1,
+      contactCount: counts ? parseInt(counts.contact_count) : 0,
+      messagedCount: counts ? parseInt(counts.messaged_count) : 0,
+      replyCount: counts ? parseInt(counts.reply_count) : 0,
+      optOutCount: counts ? parseInt(counts.opt_out_count) : 0
+    };
+  });
+};
+
+export const resolvers = {
+  LanguageStats: {
+    languageName: stats => getLanguageName(stats.language),
+    replyRate: stats => rate(stats.replyCount, stats.messagedCount),
+    optOutRate: stats => rate(stats.optOutCount, stats.messagedCount)
+  }
+};
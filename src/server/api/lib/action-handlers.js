@@ -0,0 +1,642 @@
+import { config } from "../../../config";
+import logger from "../../../logger";
+import { r } from "../../models";
+import actionHandlers from "../../action_handlers";
+import { symmetricDecrypt, symmetricEncrypt } from "./crypto";
+import { getLeaseExpiry, getRetryDelay } from "./utils";
+
+export const ActionType = Object.freeze({
+  Process: "PROCESS",
+  Undo: "UNDO"
+});
+
+export const ActionHandlerLogStatus = Object.freeze({
+  Queued: "QUEUED",
+  Running: "RUNNING",
+  Succeeded: "SUCCEEDED",
+  Failed: "FAILED",
+  Cancelled: "CANCELLED"
+});
+
+// What removing an answer or tag does to the action it triggered
+export const UndoDecision = Object.freeze({
+  Cancel: "CANCEL",
+  Undo: "UNDO",
+  Skip: "SKIP"
+});
+
+/**
+ * The action handlers enabled by ACTION_HANDLERS, for organizations that have not turned
+ * handlers on or off themselves.
+ * @returns {string[]} Handler names
+ */
+export const getDefaultActionHandlerNames = () =>
+  (config.ACTION_HANDLERS || "")
+    .split(",")
+    .map(name => name.trim())
+    .filter(name => name !== "");
+
+/**
+ * Look up an installed action handler. Only handlers in the registry are returned, so stored
+ * answer actions cannot be used to load arbitrary modules.
+ * @param {string} name The handler name
+ * @returns {object|null} The handler module, or null when no such handler is installed
+ */
+export const getActionHandler = name =>
+  Object.prototype.hasOwnProperty.call(actionHandlers, name)
+    ? actionHandlers[name]
+    : null;
+
+/**
+ * @returns {string[]} The names of all installed action handlers
+ */
+export const getInstalledActionHandlerNames = () => Object.keys(actionHandlers);
+
+const getConfigSchema = handler => handler.configSchema || [];
+
+const hasAnySetting = (handler, values) =>
+  getConfigSchema(handler).some(setting => !!(values || {})[setting.key]);
+
+/**
+ * Resolve a handler's settings for an organization. All settings come from one place: the
+ * organization's saved settings if it has saved any, otherwise the environment variables of the
+ * same names, otherwise the organization's features JSON, so deployments configured before
+ * per-organization settings keep working. Sources are never mixed, so a URL an organization
+ * enters is never sent the deployment's secrets.
+ * @param {object} handler The handler module
+ * @param {object} savedSettings The organization's stored settings, secrets still encrypted
+ * @param {object} features The organization's parsed features
+ * @returns {object} Setting values by key, with secrets decrypted
+ */
+export const resolveActionHandlerSettings = (
+  handler,
+  savedSettings,
+  features
+) => {
+  const schema = getConfigSchema(handler);
+  if (hasAnySetting(handler, savedSettings)) {
+    return schema.reduce((settings, setting) => {
+      const saved = savedSettings[setting.key] || null;
+      return Object.assign(settings, {
+        [setting.key]:
+          saved && setting.isSecret ? symmetricDecrypt(saved) : saved
+      });
+    }, {});
+  }
+  // Only declared variables can be read from the strict config
+  const environment = schema.reduce(
+    (settings, setting) =>
+      Object.assign(settings, {
+        [setting.key]: (setting.key in config && config[setting.key]) || null
+      }),
+    {}
+  );
+  const source = hasAnySetting(handler, environment) ? environment : features;
+  return schema.reduce(
+    (settings, setting) =>
+      Object.assign(settings, {
+        [setting.key]: (source || {})[setting.key] || null
+      }),
+    {}
+  );
+};
+
+/**
+ * @param {object} handler The handler module
+ * @param {object} savedSettings The organization's stored settings
+ * @returns {boolean} Whether the organization's own settings are used instead of the server's
+ */
+export const hasSavedActionHandlerSettings = (handler, savedSettings) =>
+  hasAnySetting(handler, savedSettings);
+
+/**
+ * The settings to store for a handler. Secret settings are encrypted; a blank secret keeps the
+ * saved one so admins do not have to enter it again. Other blank settings are cleared.
+ * @param {object} handler The handler module
+ * @param {object} submitted Setting values as entered, by key
+ * @param {object} savedSettings The organization's stored settings, if any
+ * @returns {object} Settings to store; keys not in the handler's config schema are dropped
+ */
+export const prepareActionHandlerSettings = (
+  handler,
+  submitted,
+  savedSettings
+) =>
+  getConfigSchema(handler).reduce((settings, setting) => {
+    const raw = (submitted || {})[setting.key];
+    const value = typeof raw === "string" ? raw.trim() : "";
+    if (setting.isSecret) {
+      const saved = (savedSettings || {})[setting.key] || null;
+      return Object.assign(settings, {
+        [setting.key]: value ? symmetricEncrypt(value) : saved
+      });
+    }
+    return Object.assign(settings, { [setting.key]: value || null });
+  }, {});
+
+/**
+ * @param {object} handler The handler module
+ * @param {object} settings Resolved settings
+ * @returns {string[]} Labels of required settings that have no value
+ */
+export const findMissingActionHandlerSettings = (handler, settings) =>
+  getConfigSchema(handler)
+    .filter(setting => setting.isRequired && !settings[setting.key])
+    .map(setting => setting.label);
+
+const getOrganizationHandlerState = async (organizationId, name) => {
+  const [organization, savedState] = await Promise.all([
+    r
+      .reader("organization")
+      .where({ id: organizationId })
+      .first("features"),
+    r
+      .reader("organization_action_handler")
+      .where({ organization_id: organizationId, action_handler: name })
+      .first()
+  ]);
+  return {
+    savedState: savedState || null,
+    features: JSON.parse((organization && organization.features) || "{}")
+  };
+};
+
+/**
+ * Describe an installed handler's state for an organization.
+ * @param {string} organizationId The organization
+ * @param {string} name The handler name
+ * @returns {Promise<object|null>} `handler`, `isEnabled`, resolved `settings`, `savedSettings`,
+ *     `missingSettings` and the organization's `features`, or null when the handler is not
+ *     installed
+ */
+export const getOrganizationActionHandler = async (organizationId, name) => {
+  const handler = getActionHandler(name);
+  if (!handler) return null;
+  const { savedState, features } = await getOrganizationHandlerState(
+    organizationId,
+    name
+  );
+  const savedSettings = savedState ? savedState.settings : null;
+  const settings = resolveActionHandlerSettings(
+    handler,
+    savedSettings,
+    features
+  );
+  return {
+    name,
+    handler,
+    isEnabled: savedState
+      ? savedState.is_enabled
+      : getDefaultActionHandlerNames().indexOf(name) !== -1,
+    settings,
+    savedSettings,
+    missingSettings: findMissingActionHandlerSettings(handler, settings),
+    features
+  };
+};
+
+/**
+ * Whether an organization's authors can pick a handler: it must be enabled, have its required
+ * settings, and pass the handler's own `available` check.
+ * @param {object} state State from `getOrganizationActionHandler`
+ * @param {string} organizationId The organization
+ * @returns {Promise<boolean>}
+ */
+export const isActionHandlerAvailable = async (state, organizationId) => {
+  if (!state || !state.isEnabled || state.missingSettings.length > 0) {
+    return false;
+  }
+  const { handler, settings } = state;
+  return handler.available
+    ? !!(await handler.available(organizationId, settings))
+    : true;
+};
+
+/**
+ * Whether a handler can run when a tag is applied, by exporting `processTagAction`.
+ * @param {object} handler The handler module
+ * @returns {boolean}
+ */
+export const supportsTagActions = handler =>
+  !!handler && typeof handler.processTagAction === "function";
+
+/**
+ * @param {string} organizationId The organization
+ * @param {boolean} forTags Only include handlers that tags can trigger
+ * @returns {Promise<object[]>} States of the handlers the organization's authors can pick
+ */
+export const getAvailableActionHandlers = async (organizationId, forTags) => {
+  const names = getInstalledActionHandlerNames().filter(
+    name => !forTags || supportsTagActions(getActionHandler(name))
+  );
+  const states = await Promise.all(
+    names.map(name => getOrganizationActionHandler(organizationId, name))
+  );
+  const isAvailable = await Promise.all(
+    states.map(state => isActionHandlerAvailable(state, organizationId))
+  );
+  return states.filter((state, index) => isAvailable[index]);
+};
+
+/**
+ * Check an answer's action settings with the handler's `validateActionData` hook, if it has one.
+ * @param {string} actionHandler The handler name
+ * @param {object} data The settings as submitted
+ * @returns {string[]} Problems with the settings; empty when they can be saved
+ */
+export const findAnswerActionsDataErrors = (actionHandler, data) => {
+  const handler = getActionHandler(actionHandler);
+  return handler && handler.validateActionData
+    ? handler.validateActionData(data)
+    : [];
+};
+
+/**
+ * The action settings to store for an answer. Handlers can transform them with a
+ * `prepareActionData` hook, for example to encrypt secrets. Settings are only kept for installed
+ * handlers, so secrets are never stored as submitted.
+ * @param {string} actionHandler The handler name
+ * @param {object} data The settings as submitted
+ * @param {object} previousData The settings stored before, if any
+ * @returns {object|null} The settings to store
+ */
+export const prepareAnswerActionsData = (actionHandler, data, previousData) => {
+  const handler = actionHandler && getActionHandler(actionHandler);
+  if (!handler || !data) return null;
+  return handler.prepareActionData
+    ? handler.prepareActionData(data, previousData)
+    : data;
+};
+
+/**
+ * The action settings campaign authors see, with secrets removed by the handler's
+ * `redactActionData` hook.
+ * @param {string} actionHandler The handler name
+ * @param {object} data The stored settings
+ * @returns {object|null}
+ */
+export const redactAnswerActionsData = (actionHandler, data) => {
+  const handler = actionHandler && getActionHandler(actionHandler);
+  if (!handler || !data) return null;
+  return handler.redactActionData ? handler.redactActionData(data) : data;
+};
+
+/**
+ * @param {number} attempts The number of attempts made so far
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+export const getActionRetryDelay = attempts =>
+  getRetryDelay(config.ACTION_HANDLER_RETRY_BASE_SECONDS, attempts);
+
+/**
+ * @returns {Date} When a lease on an invocation taken now expires
+ */
+export const getActionLeaseExpiry = () =>
+  getLeaseExpiry(config.ACTION_HANDLER_LEASE_SECONDS);
+
+/**
+ * The update recording a failed attempt. Failures are retried with backoff until the attempts run
+ * out; handlers can reject with an error whose `isTransient` is false to fail immediately.
+ * @param {object} log The action_handler_log row, including the attempt that just failed
+ * @param {Error} error The error the handler rejected with
+ * @param {Date} now The time of the failure
+ * @returns {object} Columns to update on the row
+ */
+export const getActionFailureUpdate = (log, error, now) => {
+  const attempts = log.attempts || 1;
+  const isFailed =
+    (error && error.isTransient === false) ||
+    attempts >= config.ACTION_HANDLER_MAX_ATTEMPTS;
+  return {
+    status: isFailed
+      ? ActionHandlerLogStatus.Failed
+      : ActionHandlerLogStatus.Queued,
+    next_attempt_at: isFailed
+      ? null
+      : new Date(now.getTime() + getActionRetryDelay(attempts)),
+    last_error: (error && error.message) || String(error),
+    completed_at: isFailed ? now : null,
+    updated_at: now
+  };
+};
+
+const permanentFailure = message =>
+  Object.assign(new Error(message), { isTransient: false });
+
+/**
+ * Decide how to reverse an action when its answer or tag is removed. An action that has not run
+ * yet, or failed, is cancelled so it can never run or be retried; one that is running or
+ * succeeded is undone. Nothing is done when the latest action was already reversed.
+ * @param {object} lastLog The latest action_handler_log row for the contact and answer or tag
+ * @returns {string} An UndoDecision
+ */
+export const getUndoDecision = lastLog => {
+  if (!lastLog || lastLog.action_type !== ActionType.Process) {
+    return UndoDecision.Skip;
+  }
+  switch (lastLog.status) {
+    case ActionHandlerLogStatus.Queued:
+    case ActionHandlerLogStatus.Failed:
+      return UndoDecision.Cancel;
+    case ActionHandlerLogStatus.Running:
+    case ActionHandlerLogStatus.Succeeded:
+      return UndoDecision.Undo;
+    default:
+      return UndoDecision.Skip;
+  }
+};
+
+/**
+ * The columns identifying the actions for one contact's answer or tag, which run in the order
+ * they were queued.
+ * @param {object} log An action_handler_log row
+ * @returns {object|null} Columns to match, or null when the answer's step was deleted
+ */
+export const getActionSubjectColumns = log => {
+  if (log.tag_id) {
+    return { campaign_contact_id: log.campaign_contact_id, tag_id: log.tag_id };
+  }
+  if (log.interaction_step_id) {
+    return {
+      campaign_contact_id: log.campaign_contact_id,
+      interaction_step_id: log.interaction_step_id
+    };
+  }
+  return null;
+};
+
+const cancelledUpdate = () => ({
+  status: ActionHandlerLogStatus.Cancelled,
+  next_attempt_at: null,
+  completed_at: r.knex.fn.now(),
+  updated_at: r.knex.fn.now()
+});
+
+// Cancel the latest action for the subject if it has not run, and report whether an undo is due
+const shouldQueueUndo = async subjectColumns => {
+  const lastLog = await r
+    .knex("action_handler_log")
+    .where(subjectColumns)
+    .orderBy("id", "desc")
+    .first("id", "action_type", "status");
+  const decision = getUndoDecision(lastLog);
+  if (decision !== UndoDecision.Cancel) return decision === UndoDecision.Undo;
+
+  const cancelledCount = await r
+    .knex("action_handler_log")
+    .update(cancelledUpdate())
+    .where({ id: lastLog.id })
+    .whereIn("status", [
+      ActionHandlerLogStatus.Queued,
+      ActionHandlerLogStatus.Failed
+    ]);
+  // A runner claimed it in the meantime, so it has to be undone after it runs
+  return cancelledCount === 0;
+};
+
+// Settings can hold secrets, so requests never include them; handlers read them when they run
+const insertActionHandlerLog = async ({
+  organizationId,
+  campaignId,
+  campaignContactId,
+  actionHandler,
+  actionType,
+  isUndoable,
+  columns,
+  request
+}) => {
+  if (
+    actionType === ActionType.Undo &&
+    !(await shouldQueueUndo(
+      Object.assign({ campaign_contact_id: campaignContactId }, columns)
+    ))
+  ) {
+    return null;
+  }
+  const state = await getOrganizationActionHandler(
+    organizationId,
+    actionHandler
+  );
+  if (!state || !state.isEnabled) return null;
+  if (actionType === ActionType.Undo && !isUndoable(state.handler)) {
+    return null;
+  }
+  const [log] = await r
+    .knex("action_handler_log")
+    .insert(
+      Object.assign(
+        {
+          organization_id: organizationId,
+          campaign_id: campaignId,
+          campaign_contact_id: campaignContactId,
+          action_handler: actionHandler,
+          action_type: actionType,
+          status: ActionHandlerLogStatus.Queued,
+          request,
+          next_attempt_at: r.knex.fn.now()
+        },
+        columns
+      )
+    )
+    .returning("*");
+  return log;
+};
+
+const serializeQuestionResponse = questionResponse => ({
+  id: questionResponse.id,
+  campaign_contact_id: questionResponse.campaign_contact_id,
+  interaction_step_id: questionResponse.interaction_step_id,
+  value: questionResponse.value,
+  created_at: questionResponse.created_at
+});
+
+/**
+ * Queue the action for a question response, if its answer has one and the handler is enabled for
+ * the campaign's organization. Undo cancels the answer's action instead when it has not run yet,
+ * and is only queued for handlers that implement `undoAction`.
+ * @param {string} actionType ActionType.Process or ActionType.Undo
+ * @param {object} questionResponse The question_response row the action is for
+ * @returns {Promise<object|null>} The queued action_handler_log row, or null when there is nothing
+ *     to run
+ */
+export const queueQuestionResponseAction = async (
+  actionType,
+  questionResponse
+) => {
+  const interactionStep = await r
+    .knex("interaction_step")
+    .where({
+      parent_interaction_id: questionResponse.interaction_step_id,
+      answer_option: questionResponse.value
+    })
+    .whereNot("answer_actions", "")
+    .whereNotNull("answer_actions")
+    .first();
+  if (!interactionStep) return null;
+
+  const stepSnapshot = Object.assign({}, interactionStep);
+  delete stepSnapshot.answer_actions_data;
+  const actionHandler = interactionStep.answer_actions;
+
+  const campaign = await r
+    .knex("campaign")
+    .where({ id: interactionStep.campaign_id })
+    .first("id", "organization_id");
+  return insertActionHandlerLog({
+    organizationId: campaign.organization_id,
+    campaignId: campaign.id,
+    campaignContactId: questionResponse.campaign_contact_id,
+    actionHandler,
+    actionType,
+    isUndoable: handler => typeof handler.undoAction === "function",
+    columns: { interaction_step_id: interactionStep.id },
+    request: {
+      questionResponse: serializeQuestionResponse(questionResponse),
+      interactionStep: stepSnapshot
+    }
+  });
+};
+
+/**
+ * Queue the action for a tag applied to or removed from a contact, if the tag has one and the
+ * handler is enabled for the organization. Undo is only queued when the tag asks for it and the
+ * handler implements `undoTagAction`; it cancels the tag's action instead when that has not run.
+ * @param {string} actionType ActionType.Process when the tag was applied, ActionType.Undo when it
+ *     was removed
+ * @param {object} tag The tag row
+ * @param {object} campaignContact The campaign_contact row the tag was applied to
+ * @returns {Promise<object|null>} The queued action_handler_log row, or null when there is nothing
+ *     to run
+ */
+export const queueTagAction = async (actionType, tag, campaignContact) => {
+  if (!tag.action_handler) return null;
+  if (actionType === ActionType.Undo && !tag.undo_action_on_remove) {
+    return null;
+  }
+
+  const tagSnapshot = Object.assign({}, tag);
+  delete tagSnapshot.action_data;
+  return insertActionHandlerLog({
+    organizationId: tag.organization_id,
+    campaignId: campaignContact.campaign_id,
+    campaignContactId: campaignContact.id,
+    actionHandler: tag.action_handler,
+    actionType,
+    isUndoable: handler => typeof handler.undoTagAction === "function",
+    columns: { tag_id: tag.id },
+    request: { tag: tagSnapshot }
+  });
+};
+
+// An undo only reverses an action that succeeded; claims run them in order, so that has settled
+const isUndoDue = async log => {
+  const subjectColumns = getActionSubjectColumns(log);
+  if (!subjectColumns) return true;
+  const lastProcess = await r
+    .knex("action_handler_log")
+    .where(subjectColumns)
+    .where({ action_type: ActionType.Process })
+    .where("id", "<", log.id)
+    .orderBy("id", "desc")
+    .first("status");
+  return (
+    !!lastProcess && lastProcess.status === ActionHandlerLogStatus.Succeeded
+  );
+};
+
+// Record an outcome only while this run still holds the claim. Once the lease expires another
+// runner can claim the invocation again, and the later attempt owns the outcome.
+const updateClaimedLog = async (log, update) => {
+  const updatedCount = await r
+    .knex("action_handler_log")
+    .update(update)
+    .where({
+      id: log.id,
+      status: ActionHandlerLogStatus.Running,
+      attempts: log.attempts
+    });
+  if (updatedCount === 0) {
+    logger.warn(
+      `Action handler log ${log.id} was claimed again before attempt ${
+        log.attempts
+      } finished; its outcome was not recorded`
+    );
+  }
+};
+
+/**
+ * Run a claimed invocation and record its outcome. Undoing an action that never succeeded
+ * cancels the undo instead.
+ * @param {object} log The claimed action_handler_log row
+ * @returns {Promise<boolean>} Whether the handler succeeded
+ */
+export const runAction = async log => {
+  const { questionResponse, interactionStep, tag } = log.request;
+  if (log.action_type === ActionType.Undo && !(await isUndoDue(log))) {
+    await updateClaimedLog(log, cancelledUpdate());
+    return false;
+  }
+  try {
+    const state = await getOrganizationActionHandler(
+      log.organization_id,
+      log.action_handler
+    );
+    if (!state) {
+      throw permanentFailure(
+        `Action handler ${log.action_handler} is not installed`
+      );
+    }
+    if (!state.isEnabled) {
+      throw permanentFailure(
+        `Action handler ${
+          log.action_handler
+        } is not enabled for this organization`
+      );
+    }
+    if (state.missingSettings.length > 0) {
+      throw permanentFailure(
+        `Action handler ${
+          log.action_handler
+        } is missing settings: ${state.missingSettings.join(", ")}`
+      );
+    }
+    const { handler, settings } = state;
+    const isUndo = log.action_type === ActionType.Undo;
+    let result;
+    if (tag) {
+      const action = isUndo ? handler.undoTagAction : handler.processTagAction;
+      if (typeof action !== "function") {
+        throw permanentFailure(
+          `Action handler ${log.action_handler} cannot be triggered by tags`
+        );
+      }
+      result = await action(tag, log.campaign_contact_id, settings);
+    } else {
+      const action = isUndo ? handler.undoAction : handler.processAction;
+      result = await action(
+        questionResponse,
+        interactionStep,
+        log.campaign_contact_id,
+        settings
+      );
+    }
+
+    await updateClaimedLog(log, {
+      status: ActionHandlerLogStatus.Succeeded,
+      result: result === undefined ? null : JSON.stringify(result),
+      next_attempt_at: null,
+      completed_at: r.knex.fn.now(),
+      updated_at: r.knex.fn.now()
+    });
+    return true;
+  } catch (error) {
+    logger.error(
+      `Action handler ${log.action_handler} failed for contact ${
+        log.campaign_contact_id
+      } (attempt ${log.attempts})`,
+      error
+    );
+    await updateClaimedLog(log, getActionFailureUpdate(log, error, new Date()));
+    return false;
+  }
+};
@@ -1,12 +1,36 @@
 import { config } from "../../../config";
 import logger from "../../../logger";
 import { r } from "../../models";
+import { rebalanceMessagingServiceSticks } from "./message-sending";
+import {
+  getLinkDomainHealthPolicy,
+  isLinkDomainUnhealthy
+} from "./link-domain-health";
 import _ from "lodash";
 import request from "superagent";
 import { PlacesAllInclusive } from "material-ui/svg-icons";
 
 const THRESHOLD = 0.2;
 
+/**
+ * Post a health change to DELIVERABILITY_ALERT_ENDPOINT, when it is present. Failures are logged
+ * rather than thrown so one unreachable endpoint doesn't stop the rest of a health check.
+ * @param {object} payload The alert body
+ */
+async function postDeliverabilityAlert(payload) {
+  if (config.DELIVERABILITY_ALERT_ENDPOINT === undefined) return;
+  try {
+    await request.post(config.DELIVERABILITY_ALERT_ENDPOINT).send(payload);
+  } catch (ex) {
+    logger.error(
+      `Error posting deliverability alert to ${
+        config.DELIVERABILITY_ALERT_ENDPOINT
+      }`,
+      ex
+    );
+  }
+}
+
 async function checkForBadDeliverability() {
   if (config.DELIVERABILITY_ALERT_ENDPOINT === undefined) return null;
   logger.info("Running deliverability check");
@@ -62,6 +86,237 @@ async function checkForBadDeliverability() {
   }
 }
 
+/**
+ * Mark messaging services unhealthy when too many of their recent sends end in ERROR, and
+ * healthy again once they recover. Unhealthy services stop receiving new cells and, when
+ * MESSAGING_SERVICE_FAILOVER_RESTICK is set, their stuck cells are moved to healthy services.
+ * Changes are posted to DELIVERABILITY_ALERT_ENDPOINT when it is present.
+ */
+async function checkMessagingServiceHealth() {
+  logger.info("Running messaging service health check");
+  // Only sends since the last health change count so a reset service starts with a clean slate
+  const { rows } = await r.reader.raw(
+    `
+      select
+        messaging_service.messaging_service_sid,
+        messaging_service.organization_id,
+        messaging_service.is_healthy,
+        count(*) as send_count,
+        count(*) filter (
+          where message.send_status in ('ERROR', 'DEAD_LETTER')
+        ) as error_count
+      from messaging_service
+      join message
+        on message.messaging_service_sid = messaging_service.messaging_service_sid
+      where
+        messaging_service.is_active
+        and message.is_from_contact = false
+        and message.send_status in ('SENT', 'DELIVERED', 'ERROR', 'DEAD_LETTER')
+        and message.created_at > greatest(
+          now() - ? * interval '1 minute',
+          coalesce(messaging_service.health_changed_at, '-infinity'::timestamptz)
+        )
+      group by messaging_service.messaging_service_sid
+    `,
+    [config.MESSAGING_SERVICE_HEALTH_WINDOW_MINUTES]
+  );
+
+  for (let service of rows) {
+    const sendCount = parseInt(service.send_count);
+    if (sendCount < config.MESSAGING_SERVICE_HEALTH_MIN_SENDS) continue;
+
+    const errorPercent = parseInt(service.error_count) / sendCount;
+    const isHealthy = errorPercent <= config.MESSAGING_SERVICE_ERROR_THRESHOLD;
+    if (isHealthy === service.is_healthy) continue;
+
+    const {
+      messaging_service_sid: messagingServiceSid,
+      organization_id: organizationId
+    } = service;
+    let movedCellCount = 0;
+    await r.knex.transaction(async trx => {
+      await trx("messaging_service")
+        .update({ is_healthy: isHealthy, health_changed_at: trx.fn.now() })
+        .where({ messaging_service_sid: messagingServiceSid });
+      if (!isHealthy && config.MESSAGING_SERVICE_FAILOVER_RESTICK) {
+        movedCellCount = await rebalanceMessagingServiceSticks(
+          trx,
+          organizationId,
+          messagingServiceSid
+        );
+      }
+    });
+
+    logger.info(
+      `Marked messaging service ${messagingServiceSid} ${
+        isHealthy ? "healthy" : "unhealthy"
+      } at error rate ${errorPercent}; moved ${movedCellCount} cells`
+    );
+
+    await postDeliverabilityAlert({
+      messagingServiceSid,
+      organizationId,
+      isHealthy,
+      errorPercent,
+      movedCellCount
+    });
+  }
+}
+
+const formatPercent = rate => `${Math.round(rate * 100)}%`;
+
+/**
+ * Return link domains to rotation once their cool-down ends, recording the change.
+ */
+async function releaseCooledDownLinkDomains() {
+  const { rows: released } = await r.knex.raw(`
+    select
+      unhealthy_link_domain.id as unhealthy_link_domain_id,
+      link_domain.id as link_domain_id,
+      link_domain.domain
+    from unhealthy_link_domain
+    join link_domain
+      on link_domain.domain = unhealthy_link_domain.domain
+    where
+      unhealthy_link_domain.healthy_again_at <= now()
+      and exists (
+        select 1
+        from link_domain_health_event
+        where
+          link_domain_health_event.unhealthy_link_domain_id = unhealthy_link_domain.id
+          and not link_domain_health_event.is_healthy
+      )
+      and not exists (
+        select 1
+        from link_domain_health_event
+        where
+          link_domain_health_event.unhealthy_link_domain_id = unhealthy_link_domain.id
+          and link_domain_health_event.is_healthy
+      )
+  `);
+  if (released.length === 0) return;
+
+  await r.knex("link_domain_health_event").insert(
+    released.map(row => ({
+      link_domain_id: row.link_domain_id,
+      unhealthy_link_domain_id: row.unhealthy_link_domain_id,
+      is_healthy: true,
+      reason: "Cool-down period ended"
+    }))
+  );
+  logger.info(
+    `Returned link domains to rotation: ${released
+      .map(row => row.domain)
+      .join(", ")}`
+  );
+}
+
+/**
+ * Pull link domains out of rotation when their deliverability reports break the organization's
+ * health policy, and return them once the policy's cool-down has passed. Each change is recorded
+ * in link_domain_health_event and posted to DELIVERABILITY_ALERT_ENDPOINT when it is present.
+ */
+async function checkLinkDomainHealth() {
+  logger.info("Running link domain health check");
+  await releaseCooledDownLinkDomains();
+
+  const organizations = await r.reader("organization").select("id", "features");
+  for (let organization of organizations) {
+    let features = {};
+    try {
+      features = JSON.parse(organization.features || "{}");
+    } catch (ex) {
+      // use the default policy
+    }
+    const policy = getLinkDomainHealthPolicy(features);
+    if (!policy.enabled) continue;
+
+    // Reports from before a domain's last cool-down ended are not held against it again
+    const { rows: domains } = await r.reader.raw(
+      `
+        select
+          link_domain.id,
+          link_domain.domain,
+          coalesce(sum(
+            deliverability_report.count_sent
+            + deliverability_report.count_delivered
+            + deliverability_report.count_error
+          ), 0) as send_count,
+          coalesce(sum(deliverability_report.count_error), 0) as error_count
+        from link_domain
+        join deliverability_report
+          on lower(deliverability_report.domain) = lower(link_domain.domain)
+          -- Only the organization's own traffic counts toward its domains' health
+          and deliverability_report.organization_id = link_domain.organization_id
+        where
+          link_domain.organization_id = ?
+          and deliverability_report.period_starts_at >= greatest(
+            now() - ? * interval '1 hour',
+            coalesce(
+              (
+                select max(healthy_again_at)
+                from unhealthy_link_domain
+                where
+                  unhealthy_link_domain.domain = link_domain.domain
+                  and healthy_again_at <= now()
+              ),
+              '-infinity'::timestamptz
+            )
+          )
+          and not exists (
+            select 1
+            from unhealthy_link_domain
+            where
+              unhealthy_link_domain.domain = link_domain.domain
+              and (healthy_again_at is null or healthy_again_at > now())
+          )
+        group by link_domain.id
+      `,
+      [organization.id, policy.windowHours]
+    );
+
+    for (let domain of domains) {
+      const sendCount = parseInt(domain.send_count);
+      const errorCount = parseInt(domain.error_count);
+      if (!isLinkDomainUnhealthy(policy, sendCount, errorCount)) continue;
+
+      const errorRate = errorCount / sendCount;
+      const reason = `Error rate ${formatPercent(
+        errorRate
+      )} over ${sendCount} sends exceeded the ${formatPercent(
+        policy.maxErrorRate
+      )} limit`;
+      await r.knex.transaction(async trx => {
+        const [unhealthyLinkDomainId] = await trx("unhealthy_link_domain")
+          .insert({
+            domain: domain.domain,
+            healthy_again_at: trx.raw("now() + ? * interval '1 hour'", [
+              policy.coolDownHours
+            ])
+          })
+          .returning("id");
+        await trx("link_domain_health_event").insert({
+          link_domain_id: domain.id,
+          unhealthy_link_domain_id: unhealthyLinkDomainId,
+          is_healthy: false,
+          reason,
+          send_count: sendCount,
+          error_rate: errorRate
+        });
+      });
+
+      logger.info(`Marked link domain ${domain.domain} unhealthy: ${reason}`);
+
+      await postDeliverabilityAlert({
+        domain: domain.domain,
+        organizationId: organization.id,
+        isHealthy: false,
+        errorPercent: errorRate
+      });
+    }
+  }
+}
+
 async function notifyOnTagConversation(campaignContactId, userId, webhookUrls) {
   const promises = {
     mostRecentlyReceivedMessage: (async () => {
@@ -113,4 +368,9 @@ async function notifyOnTagConversation(campaignContactId, userId, webhookUrls) {
   );
 }
 
-export { checkForBadDeliverability, notifyOnTagConversation };
+export {
+  checkForBadDeliverability,
+  checkMessagingServiceHealth,
+  checkLinkDomainHealth,
+  notifyOnTagConversation
+};
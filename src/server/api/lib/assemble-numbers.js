@@ -10,10 +10,10 @@ import {
   SpokeSendStatus,
   getMessagingServiceById,
   getContactMessagingService,
-  messageComponents,
   getCampaignContactAndAssignmentForIncomingMessage,
   saveNewIncomingMessage
 } from "./message-sending";
+import { messageComponents } from "../../../lib/scripts";
 
 export const NumbersSendStatus = Object.freeze({
   Queued: "queued",
@@ -37,6 +37,30 @@ export const numbersClient = async numbersService => {
   return client;
 };
 
+/**
+ * Check that an Assemble Numbers API key works and can see the profile.
+ * @param {object} credentials Object with `messagingServiceSid` (the profile ID) and `authToken`
+ *     (the API key)
+ */
+export const validateCredentials = async ({
+  messagingServiceSid,
+  authToken
+}) => {
+  const numbers = new NumbersClient({ apiKey: authToken });
+  let result;
+  try {
+    result = await numbers.sms.getSendingLocations(messagingServiceSid);
+  } catch (err) {
+    throw new Error(`Assemble Numbers rejected the API key: ${err.message}`);
+  }
+  const { errors } = result;
+  if (errors && errors.length > 0) {
+    throw new Error(
+      `Assemble Numbers rejected the profile: ${errors[0].message}`
+    );
+  }
+};
+
 export const inboundMessageValidator = () => async (req, res, next) => {
   // Check if the 'x-assemble-signature' header exists or not
   if (!req.header("x-assemble-signature")) {
@@ -112,13 +136,12 @@ export const sendMessage = async (message, _organizationId, _trx) => {
     .reader("campaign_contact")
     .where({ id: campaignContactId })
     .first("zip");
-  const { body, mediaUrl } = messageComponents(messageText);
-  const mediaUrls = mediaUrl ? [mediaUrl] : undefined;
+  const { body, mediaUrls } = messageComponents(messageText);
   const messageInput = {
     profileId,
     to,
     body,
-    mediaUrls,
+    mediaUrls: mediaUrls.length > 0 ? mediaUrls : undefined,
     contactZipCode: contactZipCode === "" ? null : contactZipCode
   };
   try {
@@ -132,6 +155,7 @@ export const sendMessage = async (message, _organizationId, _trx) => {
       .knex("message")
       .update({
         service_id: serviceId,
+        messaging_service_sid: profileId,
         send_status: SpokeSendStatus.Sent,
         sent_at: r.knex.fn.now(),
         service_response: JSON.stringify([result])
@@ -141,8 +165,10 @@ export const sendMessage = async (message, _organizationId, _trx) => {
     logger.error("Error sending message with Assemble Numbers", exc);
     await r
       .knex("message")
-      .update({ send_status: SpokeSendStatus.Error })
+      .update({ messaging_service_sid: profileId })
       .where({ id: spokeMessageId });
+    // The caller records the failed attempt and decides whether to retry
+    throw exc;
   }
 };
 
@@ -173,7 +199,7 @@ const getMessageStatus = assembleNumbersStatus => {
  * @param {object} reportBody Assemble Numbers delivery report
  */
 export const handleDeliveryReport = async reportBody => {
-  const { eventType, messageId } = reportBody;
+  const { eventType, messageId, errorCodes } = reportBody;
 
   // Record the delivery report
   const insertResult = await r.knex("log").insert({
@@ -194,7 +220,9 @@ export const handleDeliveryReport = async reportBody => {
           .knex("message")
           .update({
             service_response_at: r.knex.fn.now(),
-            send_status: getMessageStatus(eventType)
+            send_status: getMessageStatus(eventType),
+            error_code:
+              errorCodes && errorCodes.length > 0 ? String(errorCodes[0]) : null
           })
           .where({ service_id: messageId });
       } else {
@@ -215,15 +243,18 @@ export const handleDeliveryReport = async reportBody => {
 };
 
 /**
- * Embed warning text for the user into the body of the message when receiving media attachments.
+ * Embed warning text for the user into the body of the message when receiving media attachments
+ * whose URLs were not included in the message payload.
  * @param {string} body The body (text) of the inbound message
  * @param {number} numMedia The number of media attachments
+ * @param {string[]} mediaUrls The URLs of the media attachments
  */
-const formatInboundBody = (body, numMedia) => {
+const formatInboundBody = (body, numMedia, mediaUrls) => {
   let text = body.replace(/\0/g, ""); // strip all UTF-8 null characters (0x00)
 
-  if (numMedia > 0) {
-    const warningText = `Spoke Message:\n\nThis message contained ${numMedia} multimedia attachment(s) which Spoke does not display.`;
+  const missingMediaCount = numMedia - mediaUrls.length;
+  if (missingMediaCount > 0) {
+    const warningText = `Spoke Message:\n\nThis message contained ${missingMediaCount} multimedia attachment(s) which Spoke could not display.`;
     const padding = text === "" ? "" : "\n\n";
     text = `${text}${padding}${warningText}`;
   }
@@ -243,6 +274,7 @@ const convertInboundMessage = async assembleMessage => {
     from,
     to,
     numMedia,
+    mediaUrls = [],
     profileId
   } = assembleMessage;
   const contactNumber = getFormattedPhoneNumber(from);
@@ -265,7 +297,8 @@ const convertInboundMessage = async assembleMessage => {
     contact_number: contactNumber,
     user_number: userNumber,
     is_from_contact: true,
-    text: formatInboundBody(body, numMedia),
+    text: formatInboundBody(body, numMedia, mediaUrls),
+    media_urls: JSON.stringify(mediaUrls),
     service_response: JSON.stringify([assembleMessage]).replace(/\0/g, ""),
     service_id: serviceId,
     assignment_id: ccInfo && ccInfo.assignment_id,
@@ -315,5 +348,6 @@ export default {
   deliveryReportValidator,
   handleDeliveryReport,
   handleIncomingMessage,
-  convertMessagePartsToMessage
+  convertMessagePartsToMessage,
+  validateCredentials
 };
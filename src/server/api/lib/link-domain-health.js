@@ -0,0 +1,57 @@
+// Automatic link domain health checks are off until an organization turns them on
+export const DEFAULT_LINK_DOMAIN_HEALTH_POLICY = Object.freeze({
+  enabled: false,
+  maxErrorRate: 0.2,
+  minSendCount: 1000,
+  windowHours: 48,
+  coolDownHours: 7 * 24
+});
+
+/**
+ * Return the link domain health policy for an organization, filling in defaults for any
+ * settings it has not saved.
+ * @param {object} features The parsed organization features
+ * @returns {object} The health policy
+ */
+export const getLinkDomainHealthPolicy = features => {
+  const { linkDomainHealthPolicy } = features || {};
+  return Object.assign(
+    {},
+    DEFAULT_LINK_DOMAIN_HEALTH_POLICY,
+    linkDomainHealthPolicy
+  );
+};
+
+/**
+ * Validate a user-supplied link domain health policy.
+ * @param {object} policy The policy to validate
+ * @returns {string[]} Problems with the policy; empty when it is valid
+ */
+export const validateLinkDomainHealthPolicy = policy => {
+  const errors = [];
+  const { maxErrorRate, minSendCount, windowHours, coolDownHours } = policy;
+  if (!(maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    errors.push("Maximum error rate must be between 0 and 1.");
+  }
+  if (!(Number.isInteger(minSendCount) && minSendCount >= 1)) {
+    errors.push("Minimum send count must be a positive whole number.");
+  }
+  if (!(Number.isInteger(windowHours) && windowHours >= 1)) {
+    errors.push("Window must be at least one hour.");
+  }
+  if (!(Number.isInteger(coolDownHours) && coolDownHours >= 1)) {
+    errors.push("Cool-down must be at least one hour.");
+  }
+  return errors;
+};
+
+/**
+ * Whether a domain's recent deliverability breaks an organization's health policy.
+ * @param {object} policy The organization's health policy
+ * @param {number} sendCount Messages with a final send status in the window
+ * @param {number} errorCount Messages that ended in ERROR in the window
+ * @returns {boolean}
+ */
+export const isLinkDomainUnhealthy = (policy, sendCount, errorCount) =>
+  sendCount >= policy.minSendCount &&
+  errorCount / sendCount > policy.maxErrorRate;
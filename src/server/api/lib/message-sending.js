@@ -1,5 +1,18 @@
-import { r } from "../../models";
+import moment from "moment-timezone";
+
+import { r, cacheableData } from "../../models";
 import { config } from "../../../config";
+import logger from "../../../logger";
+import { OptOutEventSource } from "../../../api/opt-out";
+import { messageComponents } from "../../../lib/scripts";
+import { getSegmentInfo } from "../../../lib/sms-segments";
+import {
+  getOptInKeywords,
+  getOptOutKeywords,
+  getOptOutMessage,
+  matchKeyword
+} from "./opt-out-keywords";
+import { getLeaseExpiry, getRetryDelay } from "./utils";
 
 export const SpokeSendStatus = Object.freeze({
   Queued: "QUEUED",
@@ -8,74 +21,131 @@ export const SpokeSendStatus = Object.freeze({
   Delivered: "DELIVERED",
   Error: "ERROR",
   Paused: "PAUSED",
-  NotAttempted: "NOT_ATTEMPTED"
+  NotAttempted: "NOT_ATTEMPTED",
+  DeadLetter: "DEAD_LETTER"
 });
 
+// Network failures worth retrying a send on
+const TRANSIENT_NETWORK_ERRORS = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE"
+];
+
 /**
- * Return a list of messaing services for an organization that are candidates for assignment.
- *
- * TODO: Update logic to allow for per-campaign decisions.
+ * Return a list of messaing services that are candidates for assignment. If the campaign is
+ * pinned to specific messaging services only those are candidates, otherwise all of the
+ * organization's messaging services are. Disabled messaging services are never candidates, and
+ * unhealthy ones are only candidates when no healthy service is available.
  *
  * @param {number} organizationId The ID of organization
+ * @param {number} campaignId The ID of the campaign being texted, if any
  */
-export const getMessagingServiceCandidates = async organizationId => {
+export const getMessagingServiceCandidates = async (
+  organizationId,
+  campaignId = null
+) => {
   const { rows: messagingServiceCandidates } = await r.reader.raw(
     `
+      with pinned_service as (
+        select messaging_service_sid
+        from campaign_messaging_service
+        where campaign_id = ?
+      )
       select
         messaging_service.messaging_service_sid,
+        messaging_service.is_healthy,
         count(messaging_service_stick.messaging_service_sid) as count
       from messaging_service
       left join messaging_service_stick
         on messaging_service_stick.messaging_service_sid = messaging_service.messaging_service_sid
       where
         messaging_service.organization_id = ?
+        and messaging_service.is_active
+        and (
+          not exists (select 1 from pinned_service)
+          or messaging_service.messaging_service_sid in (
+            select messaging_service_sid from pinned_service
+          )
+        )
       group by
         messaging_service.messaging_service_sid
       order by count desc
     `,
-    [organizationId]
+    [campaignId, organizationId]
+  );
+  const healthyCandidates = messagingServiceCandidates.filter(
+    service => service.is_healthy
   );
-  return messagingServiceCandidates;
+  return healthyCandidates.length > 0
+    ? healthyCandidates
+    : messagingServiceCandidates;
 };
 
 /**
- * Assign an appropriate messaging service for a (cell, organization) pairing.
+ * Assign an appropriate messaging service for a (cell, organization) pairing, or a
+ * (cell, campaign) pairing if the campaign is pinned to specific messaging services.
  * This creates a messaging_service_stick record.
  *
- * TODO: Update logic to allow for per-campaign decisions.
- *
  * @param {string} cell An E164-formatted destination cell phone number
  * @param {number} organizationId The ID of the organization to create the mapping for
+ * @param {number} campaignId The ID of the campaign being texted, if any
  * @returns {object} The messaging service record assigned to that (cell, organization)
  */
-export const assignMessagingServiceSID = async (cell, organizationId) => {
+export const assignMessagingServiceSID = async (
+  cell,
+  organizationId,
+  campaignId = null
+) => {
   const {
     rows: [messaging_service]
   } = await r.knex.raw(
     `
-      with chosen_messaging_service_sid as (
+      with pinned_service as (
+        select messaging_service_sid
+        from campaign_messaging_service
+        where campaign_id = ?
+      ),
+      chosen_messaging_service_sid as (
         select
           messaging_service.messaging_service_sid,
           count(messaging_service_stick.messaging_service_sid) as count
         from messaging_service
         left join messaging_service_stick
           on messaging_service_stick.messaging_service_sid = messaging_service.messaging_service_sid
-        where messaging_service.organization_id = ?
+        where
+          messaging_service.organization_id = ?
+          and messaging_service.is_active
+          and (
+            not exists (select 1 from pinned_service)
+            or messaging_service.messaging_service_sid in (
+              select messaging_service_sid from pinned_service
+            )
+          )
         group by
           messaging_service.messaging_service_sid
-        order by count asc
+        -- Unhealthy services only get new cells when there is nothing else
+        order by messaging_service.is_healthy desc, count asc
         limit 1
       ),
       insert_results as (
-        insert into messaging_service_stick (cell, organization_id, messaging_service_sid)
-        values (?, ?, (select messaging_service_sid from chosen_messaging_service_sid))
+        insert into messaging_service_stick (cell, organization_id, campaign_id, messaging_service_sid)
+        values (
+          ?,
+          ?,
+          (case when exists (select 1 from pinned_service) then ?::integer else null end),
+          (select messaging_service_sid from chosen_messaging_service_sid)
+        )
         returning messaging_service_sid
       )
       select * from messaging_service, insert_results
       where messaging_service.messaging_service_sid = insert_results.messaging_service_sid
       limit 1;
     `,
-    [organizationId, cell, organizationId]
+    [campaignId, organizationId, cell, organizationId, campaignId]
   );
 
   return messaging_service;
@@ -94,7 +164,7 @@ export const getMessagingServiceById = async messagingServiceId =>
 
 /**
  * Fetches an existing assigned messaging service for a campaign contact. If no messaging service
- * has been assigned then assign one and return that.
+ * has been assigned, or the assigned one has been deactivated, then assign one and return that.
  * @param {number} campaignContactId The ID of the target campaign contact
  * @returns {object} Assigned messaging service Postgres row
  */
@@ -107,7 +177,15 @@ export const getContactMessagingService = async campaignContactId => {
   } = await r.reader.raw(
     `
       with cc_record as (
-        select campaign_contact.cell, campaign.organization_id
+        select
+          campaign_contact.cell,
+          campaign.organization_id,
+          campaign.id as campaign_id,
+          exists (
+            select 1
+            from campaign_messaging_service
+            where campaign_messaging_service.campaign_id = campaign.id
+          ) as is_pinned
         from campaign_contact
           join campaign on campaign.id = campaign_contact.campaign_id
         where campaign_contact.id = ?
@@ -116,6 +194,7 @@ export const getContactMessagingService = async campaignContactId => {
       select
         cc_record.organization_id as cc_organization_id,
         cc_record.cell as cc_cell,
+        cc_record.campaign_id as cc_campaign_id,
         messaging_service.*
       from messaging_service
       join messaging_service_stick
@@ -123,6 +202,10 @@ export const getContactMessagingService = async campaignContactId => {
       right join cc_record
         on messaging_service_stick.organization_id = cc_record.organization_id
         and messaging_service_stick.cell = cc_record.cell
+        -- Pinned campaigns stick per campaign, all others per organization
+        and messaging_service_stick.campaign_id is not distinct from (
+          case when cc_record.is_pinned then cc_record.campaign_id else null end
+        )
       ;
     `,
     [campaignContactId]
@@ -134,17 +217,33 @@ export const getContactMessagingService = async campaignContactId => {
   const {
     cc_organization_id: organization_id,
     cc_cell: cell,
+    cc_campaign_id: campaign_id,
     ...existingMessagingService
   } = lookupResult;
 
   // Return an existing match if there is one
   const isRealService = existingMessagingService.messaging_service_sid !== null;
-  if (isRealService) return existingMessagingService;
+  if (isRealService && existingMessagingService.is_active) {
+    return existingMessagingService;
+  }
+
+  // A cell stuck to a service that has since been deactivated is assigned afresh
+  if (isRealService) {
+    await r
+      .knex("messaging_service_stick")
+      .where({
+        cell,
+        organization_id,
+        messaging_service_sid: existingMessagingService.messaging_service_sid
+      })
+      .del();
+  }
 
   // Otherwise select an appropriate messaging service and assign
   const assignedService = await assignMessagingServiceSID(
     cell,
-    organization_id
+    organization_id,
+    campaign_id
   );
   return assignedService;
 };
@@ -170,28 +269,37 @@ export const assignMissingMessagingServices = async (
   // Do not attempt assignment if we're using fakeservice
   if (config.DEFAULT_SERVICE === "fakeservice") return;
 
+  const pinnedServiceSids = await trx("campaign_messaging_service")
+    .where({ campaign_id: campaignId })
+    .pluck("messaging_service_sid");
+  const stickCampaignId = pinnedServiceSids.length > 0 ? campaignId : null;
+
   const { rows } = await trx.raw(
     `
       select
         distinct campaign_contact.cell
-      from
-        messaging_service_stick
-        join messaging_service
-          on messaging_service.messaging_service_sid = messaging_service_stick.messaging_service_sid
-        right join campaign_contact
-          on messaging_service_stick.cell = campaign_contact.cell
-          and messaging_service_stick.organization_id = ?
+      from campaign_contact
       where
         campaign_contact.campaign_id = ?
-        and messaging_service_stick.messaging_service_sid is null
+        and not exists (
+          select 1
+          from messaging_service_stick
+          where
+            messaging_service_stick.cell = campaign_contact.cell
+            and messaging_service_stick.organization_id = ?
+            and messaging_service_stick.campaign_id is not distinct from ?::integer
+        )
     `,
-    [organizationId, campaignId]
+    [campaignId, organizationId, stickCampaignId]
   );
   const cells = rows.map(r => r.cell);
 
   if (cells.length === 0) return;
 
-  const candidateServices = await getMessagingServiceCandidates(organizationId);
+  const candidateServices = await getMessagingServiceCandidates(
+    organizationId,
+    campaignId
+  );
 
   // Do not attempt assignment if there are no messaging service candidates
   if (candidateServices.length === 0) return;
@@ -201,6 +309,7 @@ export const assignMissingMessagingServices = async (
   const toInsert = cells.map((cell, idx) => ({
     cell,
     organization_id: organizationId,
+    campaign_id: stickCampaignId,
     messaging_service_sid:
       candidateServices[idx % candidateServices.length].messaging_service_sid
   }));
@@ -208,27 +317,270 @@ export const assignMissingMessagingServices = async (
   return await trx("messaging_service_stick").insert(toInsert);
 };
 
-const mediaExtractor = new RegExp(/\[\s*(http[^\]\s]*)\s*\]/);
+/**
+ * Move every cell stuck to a messaging service onto the organization's other active, healthy
+ * messaging services, spreading them round-robin. Sticks belonging to pinned campaigns are removed instead
+ * and get reassigned within the campaign's pins on the next send.
+ * @param {object} trx Knex client
+ * @param {number} organizationId The ID of the organization
+ * @param {string} messagingServiceSid The messaging service to move cells off of
+ * @returns {number} The number of cells moved
+ */
+export const rebalanceMessagingServiceSticks = async (
+  trx,
+  organizationId,
+  messagingServiceSid
+) => {
+  await trx("messaging_service_stick")
+    .where({ messaging_service_sid: messagingServiceSid })
+    .whereNotNull("campaign_id")
+    .del();
+
+  const { rowCount } = await trx.raw(
+    `
+      with target_service as (
+        select
+          messaging_service_sid,
+          row_number() over (order by messaging_service_sid) - 1 as idx,
+          count(*) over () as total
+        from messaging_service
+        where
+          organization_id = ?
+          and is_active
+          and is_healthy
+          and messaging_service_sid <> ?
+      ),
+      moved_cell as (
+        select
+          cell,
+          row_number() over (order by cell) - 1 as idx
+        from messaging_service_stick
+        where
+          messaging_service_sid = ?
+          and campaign_id is null
+      )
+      update messaging_service_stick
+      set messaging_service_sid = target_service.messaging_service_sid
+      from moved_cell
+      join target_service
+        on moved_cell.idx % target_service.total = target_service.idx
+      where
+        messaging_service_stick.cell = moved_cell.cell
+        and messaging_service_stick.organization_id = ?
+        and messaging_service_stick.campaign_id is null
+    `,
+    [organizationId, messagingServiceSid, messagingServiceSid, organizationId]
+  );
+
+  // With no other service to move to, the cells are assigned afresh once one exists
+  await trx("messaging_service_stick")
+    .where({ messaging_service_sid: messagingServiceSid })
+    .del();
+
+  return rowCount;
+};
 
 /**
- * Extract Spoke-style media attachments from the plain message text.
- * @param {string} messageText The raw Spoke message text.
- * @returns {object} Object with properties `body` (required) and `mediaUrl` (optional).
- *     `body` is the input text stripped of media markdown.
- *     `mediaUrl` is the extracted media URL, if present.
+ * The number of SMS segments the text of an outbound message is billed as.
+ * @param {string} messageText The raw Spoke message text, possibly including media markup
+ * @returns {number} The segment count
  */
-export const messageComponents = messageText => {
-  const params = {
-    body: messageText.replace(mediaExtractor, "")
-  };
+export const countMessageSegments = messageText =>
+  getSegmentInfo(messageComponents(messageText).body).segmentCount;
 
-  // Image extraction
-  const results = messageText.match(mediaExtractor);
-  if (results) {
-    params.mediaUrl = results[1];
+/**
+ * All media attached to a message. Inbound media is stored on the message row, while outbound
+ * media is written into the message text as markup.
+ * @param {object} message A message row
+ * @returns {string[]} The media URLs
+ */
+export const getMessageMediaUrls = message => {
+  let storedUrls = message.media_urls || [];
+  if (typeof storedUrls === "string") {
+    storedUrls = JSON.parse(storedUrls);
   }
+  return storedUrls.concat(messageComponents(message.text).mediaUrls);
+};
 
-  return params;
+/**
+ * Whether a send error is worth retrying. Services may flag their errors with `isTransient`;
+ * otherwise rate limiting, provider server errors and network failures are transient.
+ * @param {Error} error The error a service's sendMessage rejected with
+ * @returns {boolean}
+ */
+export const isTransientSendError = error => {
+  if (!error) return false;
+  if (typeof error.isTransient === "boolean") return error.isTransient;
+  const status = error.status || error.statusCode;
+  if (status) return status === 429 || status >= 500;
+  return TRANSIENT_NETWORK_ERRORS.includes(error.code);
+};
+
+/**
+ * @param {number} attempts The number of attempts made so far
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+export const getSendRetryDelay = attempts =>
+  getRetryDelay(config.MESSAGE_SEND_RETRY_BASE_SECONDS, attempts);
+
+/**
+ * @returns {Date} When a lease on a message taken now expires
+ */
+export const getSendLeaseExpiry = () =>
+  getLeaseExpiry(config.MESSAGE_SEND_LEASE_SECONDS);
+
+/**
+ * Record a failed send attempt. Transient failures are queued again with backoff; permanent
+ * failures, and messages out of attempts or past their send_before, move to DEAD_LETTER.
+ * @param {object} message The message row, including the attempt that just failed
+ * @param {Error} error The error the service rejected with
+ * @returns {boolean} Whether the message was dead-lettered
+ */
+export const recordSendFailure = async (message, error) => {
+  const attempts = message.send_attempts || 1;
+  const retryAt = new Date(Date.now() + getSendRetryDelay(attempts));
+  const isExpired =
+    !!message.send_before && retryAt > new Date(message.send_before);
+  const isDeadLetter =
+    !isTransientSendError(error) ||
+    attempts >= config.MESSAGE_SEND_MAX_ATTEMPTS ||
+    isExpired;
+
+  await r
+    .knex("message")
+    .update({
+      send_status: isDeadLetter
+        ? SpokeSendStatus.DeadLetter
+        : SpokeSendStatus.Queued,
+      next_attempt_at: isDeadLetter ? null : retryAt,
+      last_error: (error && error.message) || String(error)
+    })
+    .where({ id: message.id })
+    // A delivery report may already have settled the message
+    .whereIn("send_status", [SpokeSendStatus.Queued, SpokeSendStatus.Sending]);
+
+  return isDeadLetter;
+};
+
+/**
+ * Take a token from a messaging service's send bucket. Buckets refill at the service's
+ * max_messages_per_second and hold at most one second's worth of tokens. The bucket row is
+ * shared by all sender processes and updated atomically.
+ * @param {object} messagingService The messaging service record
+ * @returns {number} 0 if a token was taken (or the service is unlimited), otherwise the number of
+ *     seconds until one will be available
+ */
+export const takeSendToken = async messagingService => {
+  const {
+    messaging_service_sid: messagingServiceSid,
+    max_messages_per_second: rate
+  } = messagingService;
+  if (!rate) return 0;
+  const capacity = Math.max(1, rate);
+
+  await r.knex.raw(
+    `
+      insert into messaging_service_send_bucket (messaging_service_sid, tokens)
+      values (?, ?)
+      on conflict (messaging_service_sid) do nothing
+    `,
+    [messagingServiceSid, capacity]
+  );
+
+  const availableTokens = `least(
+    ?, tokens + extract(epoch from now() - refilled_at) * ?
+  )`;
+  const {
+    rows: [taken]
+  } = await r.knex.raw(
+    `
+      update messaging_service_send_bucket
+      set
+        tokens = ${availableTokens} - 1,
+        refilled_at = now()
+      where
+        messaging_service_sid = ?
+        and ${availableTokens} >= 1
+      returning tokens
+    `,
+    [capacity, rate, messagingServiceSid, capacity, rate]
+  );
+  if (taken) return 0;
+
+  const {
+    rows: [bucket]
+  } = await r.knex.raw(
+    `
+      select ${availableTokens} as tokens
+      from messaging_service_send_bucket
+      where messaging_service_sid = ?
+    `,
+    [capacity, rate, messagingServiceSid]
+  );
+  return Math.max(0, (1 - bucket.tokens) / rate);
+};
+
+/**
+ * How long a message must wait for its messaging service's send limit.
+ * @param {object} message The message row
+ * @returns {number} Seconds to wait, 0 if it may be sent now
+ */
+const getSendThrottleDelay = async message => {
+  if (message.service === "fakeservice") return 0;
+  const messagingService = await getContactMessagingService(
+    message.campaign_contact_id
+  );
+  if (!messagingService || !messagingService.messaging_service_sid) return 0;
+  return takeSendToken(messagingService);
+};
+
+/**
+ * Give a throttled message back to the queue until its service has capacity. The attempt it was
+ * claimed for is not counted.
+ * @param {object} message The message row
+ * @param {number} delaySeconds How long to wait before trying again
+ */
+const deferThrottledSend = async (message, delaySeconds) =>
+  r
+    .knex("message")
+    .update({
+      send_status: SpokeSendStatus.Queued,
+      send_attempts: r.knex.raw("greatest(send_attempts - 1, 0)"),
+      next_attempt_at: new Date(Date.now() + delaySeconds * 1000)
+    })
+    .where({ id: message.id })
+    .whereIn("send_status", [SpokeSendStatus.Queued, SpokeSendStatus.Sending]);
+
+/**
+ * Make one attempt at sending a message this process holds, recording the failure if it fails.
+ * The attempt must already be counted in send_attempts. Messages whose messaging service is at its
+ * send limit wait in the queue instead.
+ * @param {object} message The message row
+ * @param {number} organizationId The ID of the message's organization, if known
+ */
+export const attemptMessageSend = async (message, organizationId) => {
+  // Required lazily: services -> twilio -> message-sending is a circular import
+  const serviceMap = require("./services").default;
+  const service = serviceMap[message.service || config.DEFAULT_SERVICE];
+
+  // Errors here are our own rather than the provider's; the lease expiring retries the message
+  const throttleDelay = await getSendThrottleDelay(message);
+  if (throttleDelay > 0) {
+    await deferThrottledSend(message, throttleDelay);
+    return;
+  }
+
+  try {
+    await service.sendMessage(message, organizationId);
+  } catch (error) {
+    const isDeadLetter = await recordSendFailure(message, error);
+    logger.error(
+      `Error sending message ${message.id} on attempt ${message.send_attempts}${
+        isDeadLetter ? "; moved to dead letter" : "; will retry"
+      }`,
+      error
+    );
+  }
 };
 
 /*
@@ -297,7 +649,23 @@ export async function getCampaignContactAndAssignmentForIncomingMessage({
       where messaging_service_sid = ?
     ),
     campaign_contact_option as (
-      select campaign_contact.id
+      select
+        campaign_contact.id,
+        (
+          -- Prefer campaigns that can text from this messaging service
+          not exists (
+            select 1
+            from campaign_messaging_service
+            where campaign_messaging_service.campaign_id = campaign.id
+          )
+          or exists (
+            select 1
+            from campaign_messaging_service
+            where
+              campaign_messaging_service.campaign_id = campaign.id
+              and campaign_messaging_service.messaging_service_sid = ?
+          )
+        ) as uses_service
       from campaign_contact
       join campaign
         on campaign_contact.campaign_id = campaign.id
@@ -313,24 +681,182 @@ export async function getCampaignContactAndAssignmentForIncomingMessage({
       on message.campaign_contact_id = campaign_contact_option.id
     where
       message.is_from_contact = false
-    order by created_at desc
+    order by campaign_contact_option.uses_service desc, created_at desc
     limit 1`,
-    [messaging_service_sid, contactNumber]
+    [messaging_service_sid, messaging_service_sid, contactNumber]
   );
 
   return rows[0];
 }
 
+/**
+ * Look up the campaign contact and organization an incoming message belongs to.
+ * @param {object} messageInstance The incoming message record
+ * @returns {object} Campaign contact ID, cell, assignment ID and organization ID, if found
+ */
+const getIncomingMessageContact = async messageInstance => {
+  const query = r
+    .reader("campaign_contact")
+    .join("campaign", "campaign.id", "campaign_contact.campaign_id")
+    .first(
+      "campaign_contact.id as campaign_contact_id",
+      "campaign_contact.cell",
+      "campaign_contact.assignment_id",
+      "campaign.organization_id"
+    );
+
+  return messageInstance.campaign_contact_id
+    ? query.where({
+        "campaign_contact.id": messageInstance.campaign_contact_id
+      })
+    : query.where({
+        "campaign_contact.assignment_id": messageInstance.assignment_id,
+        "campaign_contact.cell": messageInstance.contact_number
+      });
+};
+
+/**
+ * Check an incoming message against its organization's opt-out and opt-in keywords. Opt-out
+ * keywords only apply to contacts that are not already opted out; opt-in keywords only reverse
+ * opt-outs that were all automatic, so contacts cannot undo a texter's or admin's opt-out.
+ * @param {object} messageInstance The incoming message record
+ * @returns {object} The matched keyword, whether it opts the contact in, and message context;
+ *     undefined if there is nothing to do
+ */
+const getKeywordAction = async messageInstance => {
+  const contact = await getIncomingMessageContact(messageInstance);
+  if (!contact) return undefined;
+
+  const organization = await cacheableData.organization.load(
+    contact.organization_id
+  );
+  const features = organization.feature || {};
+  const { text } = messageInstance;
+
+  const optOutKeyword = matchKeyword(text, getOptOutKeywords(features));
+  if (optOutKeyword) {
+    const isOptedOut = await cacheableData.optOut.query({
+      cell: contact.cell,
+      organizationId: contact.organization_id
+    });
+    return isOptedOut
+      ? undefined
+      : { keyword: optOutKeyword, isOptIn: false, contact, features };
+  }
+
+  const optInKeyword = matchKeyword(text, getOptInKeywords(features));
+  if (optInKeyword) {
+    const optOutQuery = r
+      .reader("opt_out")
+      .where({ cell: contact.cell })
+      .pluck("is_automatic");
+    const optOuts = await (config.OPTOUTS_SHARE_ALL_ORGS
+      ? optOutQuery
+      : optOutQuery.where({ organization_id: contact.organization_id }));
+    return optOuts.length > 0 && optOuts.every(isAutomatic => isAutomatic)
+      ? { keyword: optInKeyword, isOptIn: true, contact, features }
+      : undefined;
+  }
+
+  return undefined;
+};
+
+/**
+ * Reverse an automatic opt-out for a contact that texted in an opt-in keyword.
+ * @param {object} keywordAction The keyword match returned by getKeywordAction
+ */
+const processAutoOptIn = async keywordAction => {
+  const { keyword, contact } = keywordAction;
+  const { organization_id: organizationId, cell } = contact;
+
+  logger.info(`Automatic opt-in of ${cell} on keyword ${keyword}`);
+  await cacheableData.optOut.remove({
+    cell,
+    organizationId,
+    source: OptOutEventSource.KEYWORD,
+    reason: keyword,
+    onlyAutomatic: true
+  });
+};
+
+/**
+ * Create an automatic opt-out for a contact that texted in an opt-out keyword and send the
+ * organization's opt-out confirmation.
+ * @param {object} messageInstance The incoming message record
+ * @param {object} keywordAction The keyword match returned by getKeywordAction
+ */
+const processAutoOptOut = async (messageInstance, keywordAction) => {
+  const { keyword, contact, features } = keywordAction;
+  const {
+    campaign_contact_id: campaignContactId,
+    organization_id: organizationId,
+    cell
+  } = contact;
+  const assignmentId = messageInstance.assignment_id || contact.assignment_id;
+
+  logger.info(`Automatic opt-out of ${cell} on keyword ${keyword}`);
+  await cacheableData.optOut.save({
+    cell,
+    organizationId,
+    assignmentId,
+    reason: keyword,
+    isAutomatic: true,
+    source: OptOutEventSource.KEYWORD
+  });
+
+  const { service_type } = await getContactMessagingService(campaignContactId);
+  const text = getOptOutMessage(features, config.OPT_OUT_MESSAGE);
+  const toInsert = {
+    user_id: null,
+    campaign_contact_id: campaignContactId,
+    text,
+    num_segments: countMessageSegments(text),
+    contact_number: cell,
+    user_number: "",
+    assignment_id: assignmentId,
+    send_status: config.JOBS_SAME_PROCESS ? "SENDING" : "QUEUED",
+    service: service_type,
+    is_from_contact: false,
+    queued_at: new Date(),
+    send_before: moment()
+      .add(1, "hour")
+      .toDate()
+  };
+  // Hold the message for the immediate attempt so sender workers leave it alone
+  if (config.JOBS_SAME_PROCESS) {
+    toInsert.send_attempts = 1;
+    toInsert.next_attempt_at = getSendLeaseExpiry();
+  }
+  const [messageId] = await r
+    .knex("message")
+    .insert(toInsert)
+    .returning("id");
+  toInsert.id = messageId;
+
+  // Sender workers pick up queued messages when running with separate processes
+  if (config.JOBS_SAME_PROCESS) {
+    await attemptMessageSend(toInsert, organizationId);
+  }
+};
+
 export async function saveNewIncomingMessage(messageInstance) {
   await r
     .knex("message")
     .insert(messageInstance)
     .returning("*");
 
+  let keywordAction;
+  try {
+    keywordAction = await getKeywordAction(messageInstance);
+  } catch (error) {
+    logger.error("Error checking incoming message for keywords", error);
+  }
+  const isAutoOptOut = !!keywordAction && !keywordAction.isOptIn;
+
   // Separate update fields according to: https://stackoverflow.com/a/42307979
   let updateQuery = r
     .knex("campaign_contact")
-    .update({ message_status: "needsResponse" })
+    .update({ message_status: isAutoOptOut ? "closed" : "needsResponse" })
     .limit(1);
 
   // Prefer to match on campaign contact ID
@@ -346,6 +872,18 @@ export async function saveNewIncomingMessage(messageInstance) {
   }
 
   await updateQuery;
+
+  if (keywordAction) {
+    try {
+      if (keywordAction.isOptIn) {
+        await processAutoOptIn(keywordAction);
+      } else {
+        await processAutoOptOut(messageInstance, keywordAction);
+      }
+    } catch (error) {
+      logger.error("Error processing keyword opt-out or opt-in", error);
+    }
+  }
 }
 
 /**
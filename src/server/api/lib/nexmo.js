@@ -3,10 +3,14 @@ import logger from "../../../logger";
 import Nexmo from "nexmo";
 import { getFormattedPhoneNumber } from "../../../lib/phone-format";
 import { Message, PendingMessagePart } from "../../models";
-import { getLastMessage, appendServiceResponse } from "./message-sending";
+import {
+  getLastMessage,
+  appendServiceResponse,
+  getContactMessagingService
+} from "./message-sending";
+import { symmetricDecrypt } from "./crypto";
 
 let nexmo = null;
-const MAX_SEND_ATTEMPTS = 5;
 if (config.NEXMO_API_KEY && config.NEXMO_API_SECRET) {
   nexmo = new Nexmo({
     apiKey: config.NEXMO_API_KEY,
@@ -14,6 +18,25 @@ if (config.NEXMO_API_KEY && config.NEXMO_API_SECRET) {
   });
 }
 
+/**
+ * Check that Nexmo API credentials work by fetching the account balance.
+ * @param {object} credentials Object with `accountSid` (the API key) and `authToken` (the API
+ *     secret)
+ */
+const validateCredentials = ({ accountSid, authToken }) =>
+  new Promise((resolve, reject) => {
+    const client = new Nexmo({ apiKey: accountSid, apiSecret: authToken });
+    client.account.checkBalance(err => {
+      if (err) {
+        reject(
+          new Error(`Nexmo rejected the credentials: ${JSON.stringify(err)}`)
+        );
+      } else {
+        resolve();
+      }
+    });
+  });
+
 async function convertMessagePartsToMessage(messageParts) {
   const firstPart = messageParts[0];
   const userNumber = firstPart.user_number;
@@ -88,8 +111,25 @@ async function rentNewCell() {
   throw new Error("Did not find any cell");
 }
 
-async function sendMessage(message, trx) {
-  if (!nexmo) {
+// Prefer the credentials of the contact's Nexmo messaging service, if it has one
+const nexmoClient = async message => {
+  if (!message.campaign_contact_id) return { client: nexmo };
+  const service = await getContactMessagingService(message.campaign_contact_id);
+  if (service && service.service_type === "nexmo" && service.account_sid) {
+    return {
+      client: new Nexmo({
+        apiKey: service.account_sid,
+        apiSecret: symmetricDecrypt(service.encrypted_auth_token)
+      }),
+      messagingServiceSid: service.messaging_service_sid
+    };
+  }
+  return { client: nexmo };
+};
+
+async function sendMessage(message, _organizationId, trx) {
+  const { client, messagingServiceSid } = await nexmoClient(message);
+  if (!client) {
     const options = trx ? { transaction: trx } : {};
     await Message.get(message.id).update({ send_status: "SENT" }, options);
     return "test_message_uuid";
@@ -97,7 +137,7 @@ async function sendMessage(message, trx) {
 
   return new Promise((resolve, reject) => {
     // US numbers require that the + be removed when sending via nexmo
-    nexmo.message.sendSms(
+    client.message.sendSms(
       message.user_number.replace(/^\+/, ""),
       message.contact_number,
       message.text,
@@ -110,6 +150,7 @@ async function sendMessage(message, trx) {
           ...message
         };
         let hasError = false;
+        let isThrottled = false;
         if (err) {
           hasError = true;
         }
@@ -117,6 +158,8 @@ async function sendMessage(message, trx) {
           response.messages.forEach(serviceMessages => {
             if (serviceMessages.status !== "0") {
               hasError = true;
+              // Status 1 means Nexmo throttled the request
+              isThrottled = isThrottled || serviceMessages.status === "1";
             }
           });
           messageToSave.service_response = appendServiceResponse(
@@ -126,11 +169,12 @@ async function sendMessage(message, trx) {
         }
 
         messageToSave.service = "nexmo";
+        if (messagingServiceSid) {
+          messageToSave.messaging_service_sid = messagingServiceSid;
+        }
 
         if (hasError) {
-          if (messageToSave.service_messages.length >= MAX_SEND_ATTEMPTS) {
-            messageToSave.send_status = "ERROR";
-          }
+          // The caller records the failed attempt and decides whether to retry
           let options = { conflict: "update" };
           if (trx) {
             options.transaction = trx;
@@ -138,12 +182,13 @@ async function sendMessage(message, trx) {
           Message.save(messageToSave, options)
             // eslint-disable-next-line no-unused-vars
             .then((_, newMessage) => {
-              reject(
+              const error =
                 err ||
-                  (response
-                    ? new Error(JSON.stringify(response))
-                    : new Error("Encountered unknown error"))
-              );
+                (response
+                  ? new Error(JSON.stringify(response))
+                  : new Error("Encountered unknown error"));
+              if (isThrottled) error.isTransient = true;
+              reject(error);
             });
         } else {
           let options = { conflict: "update" };
@@ -181,6 +226,10 @@ async function handleDeliveryReport(report) {
     ) {
       message.send_status = "ERROR";
     }
+    // Nexmo reports "0" when there was no error
+    if (report["err-code"] && report["err-code"] !== "0") {
+      message.error_code = report["err-code"];
+    }
     Message.save(message, { conflict: "update" });
   }
 }
@@ -233,5 +282,6 @@ export default {
   rentNewCell,
   sendMessage,
   handleDeliveryReport,
-  handleIncomingMessage
+  handleIncomingMessage,
+  validateCredentials
 };
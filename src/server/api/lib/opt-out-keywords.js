@@ -0,0 +1,89 @@
+export const DEFAULT_OPT_OUT_MESSAGE =
+  "I'm opting you out of texts immediately. Have a great day.";
+
+// Carrier-standard opt-out keywords plus common Spanish equivalents
+export const DEFAULT_OPT_OUT_KEYWORDS = Object.freeze([
+  "STOP",
+  "STOPALL",
+  "UNSUBSCRIBE",
+  "CANCEL",
+  "END",
+  "QUIT",
+  "ALTO",
+  "PARAR",
+  "PARE",
+  "CANCELAR",
+  "BASTA"
+]);
+
+// Keywords that reverse an automatic opt-out
+export const DEFAULT_OPT_IN_KEYWORDS = Object.freeze(["START", "UNSTOP"]);
+
+/**
+ * Normalize text for keyword comparison. Accents, surrounding whitespace and punctuation are
+ * stripped and the result is upper-cased, so "Stop!" and " stop " both become "STOP".
+ * @param {string} text The raw text
+ * @returns {string} The normalized text
+ */
+export const normalizeKeyword = text =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/^[\s\W_]+|[\s\W_]+$/g, "")
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+
+/**
+ * Clean up a user-supplied keyword list: normalize each entry, drop blanks and duplicates.
+ * @param {string[]} keywords The raw keyword list
+ * @returns {string[]} The cleaned keyword list
+ */
+export const cleanKeywordList = keywords =>
+  Array.from(new Set(keywords.map(normalizeKeyword))).filter(
+    keyword => keyword !== ""
+  );
+
+/**
+ * Return the opt-out keyword list for an organization. Organizations that have never saved a
+ * list get the defaults; an empty saved list disables automatic opt-outs.
+ * @param {object} features The parsed organization features
+ * @returns {string[]} The opt-out keywords
+ */
+export const getOptOutKeywords = features => {
+  const { opt_out_keywords: optOutKeywords } = features || {};
+  return Array.isArray(optOutKeywords)
+    ? optOutKeywords
+    : DEFAULT_OPT_OUT_KEYWORDS;
+};
+
+/**
+ * Return the re-subscribe keyword list for an organization, falling back to the defaults.
+ * @param {object} features The parsed organization features
+ * @returns {string[]} The opt-in keywords
+ */
+export const getOptInKeywords = features => {
+  const { opt_in_keywords: optInKeywords } = features || {};
+  return Array.isArray(optInKeywords) ? optInKeywords : DEFAULT_OPT_IN_KEYWORDS;
+};
+
+/**
+ * Return the opt-out confirmation message for an organization.
+ * @param {object} features The parsed organization features
+ * @param {string} fallback Message to use when the organization has none set
+ * @returns {string} The opt-out message
+ */
+export const getOptOutMessage = (features, fallback) =>
+  (features && features.opt_out_message) || fallback || DEFAULT_OPT_OUT_MESSAGE;
+
+/**
+ * Find the keyword matched by an inbound message. The whole message must be the keyword;
+ * keywords embedded in longer messages are left for a texter to handle.
+ * @param {string} text The inbound message text
+ * @param {string[]} keywords The keywords to match against
+ * @returns {string|undefined} The matched keyword, if any
+ */
+export const matchKeyword = (text, keywords) => {
+  const normalizedText = normalizeKeyword(text);
+  if (normalizedText === "") return undefined;
+  return keywords.find(keyword => normalizeKeyword(keyword) === normalizedText);
+};
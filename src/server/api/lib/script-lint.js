@@ -0,0 +1,234 @@
+import {
+  allScriptFields,
+  escapeRegExp,
+  messageComponents
+} from "../../../lib/scripts";
+import { findTemplateErrors } from "../../../lib/script-template";
+import { getLanguageName } from "../../../lib/languages";
+import { getSegmentInfo, SmsEncoding } from "../../../lib/sms-segments";
+import { findMessageUrls, getUrlHost } from "./short-links";
+
+export const ScriptLintSeverity = Object.freeze({
+  ERROR: "ERROR",
+  WARNING: "WARNING"
+});
+
+// Messages longer than this many segments are flagged because carriers bill, and some filter,
+// per segment
+export const MAX_SCRIPT_SEGMENTS = 2;
+
+const isBlank = text => !text || text.trim() === "";
+
+const containsKeyword = (text, keyword) =>
+  new RegExp(`(^|[^A-Z0-9])${escapeRegExp(keyword)}($|[^A-Z0-9])`, "i").test(
+    text
+  );
+
+const lintScriptText = (
+  text,
+  location,
+  { scriptFields, linkHosts, shortensLinks }
+) => {
+  const issues = [];
+  const addIssue = (severity, code, message) =>
+    issues.push(Object.assign({ severity, code, message }, location));
+
+  findTemplateErrors(text, scriptFields).forEach(error =>
+    addIssue(ScriptLintSeverity.ERROR, "TEMPLATE", error)
+  );
+
+  // Measured as written; fields and conditional sections make the sent length vary by contact
+  const { body } = messageComponents(text);
+  const { encoding, segmentCount, nonGsmCharacters } = getSegmentInfo(body);
+  if (encoding === SmsEncoding.UCS2) {
+    addIssue(
+      ScriptLintSeverity.WARNING,
+      "UCS2",
+      `Uses characters outside the GSM alphabet (${nonGsmCharacters.join(
+        " "
+      )}), which cuts each segment to 70 characters`
+    );
+  }
+  if (segmentCount > MAX_SCRIPT_SEGMENTS) {
+    addIssue(
+      ScriptLintSeverity.WARNING,
+      "LENGTH",
+      `Is ${segmentCount} segments long`
+    );
+  }
+
+  // Links get moved onto a link domain when short link tracking is on
+  if (!shortensLinks) {
+    findMessageUrls(body)
+      .filter(url => linkHosts.indexOf(getUrlHost(url)) === -1)
+      .forEach(url =>
+        addIssue(
+          ScriptLintSeverity.WARNING,
+          "LINK_DOMAIN",
+          `Links to ${url}, which is not on one of the organization's link domains`
+        )
+      );
+  }
+  return issues;
+};
+
+const inLanguage = (location, language) =>
+  Object.assign({}, location, {
+    location: `${location.location} (${getLanguageName(language)})`
+  });
+
+/**
+ * Check a campaign's scripts before it starts. Errors (unknown fields, broken template tags,
+ * empty scripts) block starting; warnings (long or UCS-2 messages, links not on a link domain,
+ * missing opt-out language, missing translations) must be acknowledged.
+ * @param {object} options
+ * @param {object[]} options.interactionSteps Steps with `id`, `parentInteractionId`,
+ *     `answerOption`, `scriptOptions` and `scriptTranslations`
+ * @param {object[]} options.cannedResponses Canned responses with `id`, `title`, `text` and
+ *     `translations`
+ * @param {string[]} options.customFields Custom fields in the campaign's contact upload
+ * @param {string[]} options.linkDomains The organization's link domains
+ * @param {boolean} options.shortensLinks Whether the organization shortens outbound links
+ * @param {string[]} options.optOutKeywords Keywords the initial message should mention
+ * @param {string[]} options.translationLanguages Languages the scripts should be translated into
+ * @returns {object[]} Issues with `severity`, `code`, `message`, `location` and the
+ *     `interactionStepId` or `cannedResponseId` they were found in
+ */
+export const lintCampaignScripts = ({
+  interactionSteps,
+  cannedResponses,
+  customFields,
+  linkDomains,
+  shortensLinks,
+  optOutKeywords,
+  translationLanguages = []
+}) => {
+  const context = {
+    scriptFields: allScriptFields(customFields),
+    linkHosts: linkDomains.map(domain => domain.toLowerCase()),
+    shortensLinks
+  };
+  const issues = [];
+
+  const lintScriptOptions = (scriptOptions, stepLocation, isInitial) =>
+    scriptOptions.forEach((script, index) => {
+      const location =
+        scriptOptions.length > 1
+          ? Object.assign({}, stepLocation, {
+              location: `${stepLocation.location} (option ${index + 1})`
+            })
+          : stepLocation;
+      issues.push(...lintScriptText(script, location, context));
+
+      if (
+        isInitial &&
+        optOutKeywords.length > 0 &&
+        !optOutKeywords.some(keyword => containsKeyword(script, keyword))
+      ) {
+        issues.push(
+          Object.assign(
+            {
+              severity: ScriptLintSeverity.WARNING,
+              code: "OPT_OUT",
+              message: `Does not tell contacts how to opt out (e.g. "Reply ${
+                optOutKeywords[0]
+              } to stop")`
+            },
+            location
+          )
+        );
+      }
+    });
+
+  interactionSteps.forEach(step => {
+    const isInitial = !step.parentInteractionId;
+    const stepLocation = {
+      location: isInitial ? "Initial message" : `Answer "${step.answerOption}"`,
+      interactionStepId: step.id
+    };
+    const scriptOptions = (step.scriptOptions || []).filter(
+      script => !isBlank(script)
+    );
+
+    if (scriptOptions.length === 0) {
+      issues.push(
+        Object.assign(
+          {
+            severity: ScriptLintSeverity.ERROR,
+            code: "EMPTY_SCRIPT",
+            message: isInitial
+              ? "The initial message is empty"
+              : "This answer has no script"
+          },
+          stepLocation
+        )
+      );
+    }
+
+    lintScriptOptions(scriptOptions, stepLocation, isInitial);
+
+    translationLanguages.forEach(language => {
+      const translation = (step.scriptTranslations || []).find(
+        scriptTranslation => scriptTranslation.language === language
+      );
+      const translatedOptions = translation
+        ? translation.scriptOptions.filter(script => !isBlank(script))
+        : [];
+      const location = inLanguage(stepLocation, language);
+      if (translatedOptions.length === 0) {
+        issues.push(
+          Object.assign(
+            {
+              severity: ScriptLintSeverity.WARNING,
+              code: "TRANSLATION",
+              message: `Has no ${getLanguageName(
+                language
+              )} script, so these contacts get the primary script`
+            },
+            location
+          )
+        );
+      }
+      lintScriptOptions(translatedOptions, location, isInitial);
+    });
+  });
+
+  cannedResponses.forEach(response => {
+    const location = {
+      location: `Canned response "${response.title}"`,
+      cannedResponseId: response.id
+    };
+    if (isBlank(response.text)) {
+      issues.push(
+        Object.assign(
+          {
+            severity: ScriptLintSeverity.ERROR,
+            code: "EMPTY_SCRIPT",
+            message: "This canned response is empty"
+          },
+          location
+        )
+      );
+      return;
+    }
+    issues.push(...lintScriptText(response.text, location, context));
+
+    (response.translations || [])
+      .filter(
+        translation =>
+          translationLanguages.indexOf(translation.language) !== -1 &&
+          !isBlank(translation.text)
+      )
+      .forEach(translation =>
+        issues.push(
+          ...lintScriptText(
+            translation.text,
+            inLanguage(location, translation.language),
+            context
+          )
+        )
+      );
+  });
+
+  return issues;
+};
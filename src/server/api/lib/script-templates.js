@@ -0,0 +1,334 @@
+import { DEFAULT_LANGUAGE, normalizeLanguage } from "../../../lib/languages";
+
+// Identifies script library files so other JSON is rejected with a clear message on import
+export const SCRIPT_TEMPLATE_FORMAT = "spoke-script-template";
+export const SCRIPT_TEMPLATE_FORMAT_VERSION = 1;
+
+const isString = value => typeof value === "string";
+const isBlank = text => !isString(text) || text.trim() === "";
+const isPlainObject = value =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+const byId = (left, right) => Number(left.id) - Number(right.id);
+
+// Action handlers store secrets under keys starting with "encrypted". Those stay with the campaign
+// rather than being shared through the library or exported files.
+const withoutSecrets = answerActionsData =>
+  answerActionsData
+    ? Object.keys(answerActionsData)
+        .filter(key => !key.startsWith("encrypted"))
+        .reduce(
+          (settings, key) =>
+            Object.assign(settings, { [key]: answerActionsData[key] }),
+          {}
+        )
+    : null;
+
+const withoutBlankScripts = scriptOptions =>
+  (scriptOptions || []).filter(script => !isBlank(script));
+
+// Drop blank translations so templates only carry scripts that will be used
+const cleanTranslationMap = (translations, isBlankValue) => {
+  const cleaned = {};
+  Object.keys(translations || {}).forEach(language => {
+    if (!isBlankValue(translations[language])) {
+      cleaned[language] = translations[language];
+    }
+  });
+  return cleaned;
+};
+
+/**
+ * Snapshot a campaign's scripts as script template content. Deleted steps are left out, and
+ * question and answer text is kept exactly as written so results line up across campaigns.
+ * @param {object} options
+ * @param {object[]} options.interactionSteps The campaign's interaction_step rows
+ * @param {object[]} options.cannedResponses The campaign's canned_response rows
+ * @param {string} options.primaryLanguage The campaign's primary language
+ * @param {string[]} options.translationLanguages The campaign's translation languages
+ * @returns {object} Content in the script template format, with a null `interactionSteps` when
+ *     the campaign has no initial step
+ */
+export const buildScriptTemplateContent = ({
+  interactionSteps,
+  cannedResponses,
+  primaryLanguage,
+  translationLanguages
+}) => {
+  const steps = interactionSteps.filter(step => !step.is_deleted).sort(byId);
+  const buildStep = step => {
+    const templateStep = {
+      questionText: step.question || "",
+      scriptOptions: withoutBlankScripts(step.script_options),
+      scriptTranslations: cleanTranslationMap(
+        step.script_translations,
+        scriptOptions => withoutBlankScripts(scriptOptions).length === 0
+      ),
+      answerActions: step.answer_actions || "",
+      answerActionsData: step.answer_actions
+        ? withoutSecrets(step.answer_actions_data)
+        : null,
+      interactionSteps: steps
+        .filter(child => child.parent_interaction_id === step.id)
+        .map(buildStep)
+    };
+    return step.parent_interaction_id
+      ? Object.assign({ answerOption: step.answer_option }, templateStep)
+      : templateStep;
+  };
+  const rootStep = steps.find(step => !step.parent_interaction_id);
+
+  return {
+    format: SCRIPT_TEMPLATE_FORMAT,
+    formatVersion: SCRIPT_TEMPLATE_FORMAT_VERSION,
+    primaryLanguage: primaryLanguage || DEFAULT_LANGUAGE,
+    translationLanguages: translationLanguages || [],
+    interactionSteps: rootStep ? buildStep(rootStep) : null,
+    cannedResponses: cannedResponses
+      .slice()
+      .sort(byId)
+      .map(cannedResponse => ({
+        title: cannedResponse.title,
+        text: cannedResponse.text,
+        translations: cleanTranslationMap(cannedResponse.translations, isBlank)
+      }))
+  };
+};
+
+const findTranslationErrors = (translations, location, isValidValue) => {
+  if (translations === undefined || translations === null) return [];
+  if (!isPlainObject(translations)) {
+    return [`${location} translations must be an object of language codes.`];
+  }
+  return Object.keys(translations).reduce((errors, language) => {
+    if (normalizeLanguage(language) !== language) {
+      return errors.concat([
+        `${location} has an unknown language ${language}.`
+      ]);
+    }
+    if (!isValidValue(translations[language])) {
+      return errors.concat([
+        `${location} has an invalid ${language} translation.`
+      ]);
+    }
+    return errors;
+  }, []);
+};
+
+const isScriptList = scriptOptions =>
+  Array.isArray(scriptOptions) && scriptOptions.every(isString);
+
+const findStepErrors = (step, location, isRoot) => {
+  if (!isPlainObject(step)) return [`${location} must be an object.`];
+  const errors = [];
+  if (!isScriptList(step.scriptOptions)) {
+    errors.push(`${location} scripts must be a list of text.`);
+  }
+  if (step.questionText !== undefined && !isString(step.questionText)) {
+    errors.push(`${location} question must be text.`);
+  }
+  if (step.answerActions !== undefined && !isString(step.answerActions)) {
+    errors.push(`${location} action must be text.`);
+  }
+  if (
+    step.answerActionsData !== undefined &&
+    step.answerActionsData !== null &&
+    !isPlainObject(step.answerActionsData)
+  ) {
+    errors.push(`${location} action settings must be an object.`);
+  }
+  if (!isRoot && isBlank(step.answerOption)) {
+    errors.push(`${location} is missing its answer.`);
+  }
+  errors.push(
+    ...findTranslationErrors(step.scriptTranslations, location, isScriptList)
+  );
+
+  const children = step.interactionSteps || [];
+  if (!Array.isArray(children)) {
+    return errors.concat([`${location} follow-up steps must be a list.`]);
+  }
+  if (children.length > 0 && isBlank(step.questionText)) {
+    errors.push(`${location} has answers but no question.`);
+  }
+  const answers = children
+    .filter(child => isPlainObject(child) && isString(child.answerOption))
+    .map(child => child.answerOption.trim());
+  answers
+    .filter((answer, index) => answers.indexOf(answer) !== index)
+    .forEach(answer =>
+      errors.push(`${location} has more than one answer "${answer}".`)
+    );
+  return children.reduce(
+    (allErrors, child) =>
+      allErrors.concat(
+        findStepErrors(
+          child,
+          isPlainObject(child) && isString(child.answerOption)
+            ? `Answer "${child.answerOption}"`
+            : `An answer to ${location}`,
+          false
+        )
+      ),
+    errors
+  );
+};
+
+/**
+ * Check parsed JSON against the script template format, as when importing a file.
+ * @param {*} content The parsed JSON
+ * @returns {string[]} Problems with the content; empty when it can be imported
+ */
+export const findScriptTemplateErrors = content => {
+  if (!isPlainObject(content) || content.format !== SCRIPT_TEMPLATE_FORMAT) {
+    return ["This is not a script library file."];
+  }
+  if (content.formatVersion > SCRIPT_TEMPLATE_FORMAT_VERSION) {
+    return [
+      "This script library file was exported by a newer version of Spoke."
+    ];
+  }
+
+  const errors = [];
+  if (
+    content.primaryLanguage !== undefined &&
+    normalizeLanguage(content.primaryLanguage) !== content.primaryLanguage
+  ) {
+    errors.push(`Unknown primary language ${content.primaryLanguage}.`);
+  }
+  if (
+    content.translationLanguages !== undefined &&
+    !(
+      Array.isArray(content.translationLanguages) &&
+      content.translationLanguages.every(
+        language => normalizeLanguage(language) === language
+      )
+    )
+  ) {
+    errors.push("Translation languages must be a list of language codes.");
+  }
+
+  if (!isPlainObject(content.interactionSteps)) {
+    errors.push("The template has no initial message.");
+  } else {
+    errors.push(
+      ...findStepErrors(content.interactionSteps, "Initial message", true)
+    );
+  }
+
+  const cannedResponses = content.cannedResponses || [];
+  if (!Array.isArray(cannedResponses)) {
+    errors.push("Canned responses must be a list.");
+  } else {
+    cannedResponses.forEach((cannedResponse, index) => {
+      const location = `Canned response ${index + 1}`;
+      if (
+        !isPlainObject(cannedResponse) ||
+        isBlank(cannedResponse.title) ||
+        isBlank(cannedResponse.text)
+      ) {
+        errors.push(`${location} needs a title and text.`);
+        return;
+      }
+      errors.push(
+        ...findTranslationErrors(
+          cannedResponse.translations,
+          location,
+          isString
+        )
+      );
+    });
+  }
+  return errors;
+};
+
+/**
+ * Reduce valid script template content to the fields Spoke stores, dropping anything else an
+ * exported file carries such as the template name.
+ * @param {object} content Content that passed `findScriptTemplateErrors`
+ * @returns {object} The content to store with a template version
+ */
+export const normalizeScriptTemplateContent = content => {
+  const normalizeStep = (step, isRoot) => {
+    const normalizedStep = {
+      questionText: step.questionText || "",
+      scriptOptions: step.scriptOptions,
+      scriptTranslations: step.scriptTranslations || {},
+      answerActions: step.answerActions || "",
+      answerActionsData: withoutSecrets(step.answerActionsData),
+      interactionSteps: (step.interactionSteps || []).map(child =>
+        normalizeStep(child, false)
+      )
+    };
+    return isRoot
+      ? normalizedStep
+      : Object.assign({ answerOption: step.answerOption }, normalizedStep);
+  };
+  const primaryLanguage = content.primaryLanguage || DEFAULT_LANGUAGE;
+
+  return {
+    format: SCRIPT_TEMPLATE_FORMAT,
+    formatVersion: SCRIPT_TEMPLATE_FORMAT_VERSION,
+    primaryLanguage,
+    translationLanguages: (content.translationLanguages || []).filter(
+      language => language !== primaryLanguage
+    ),
+    interactionSteps: normalizeStep(content.interactionSteps, true),
+    cannedResponses: (content.cannedResponses || []).map(cannedResponse => ({
+      title: cannedResponse.title,
+      text: cannedResponse.text,
+      translations: cannedResponse.translations || {}
+    }))
+  };
+};
+
+/**
+ * Convert template content into the interaction step input `persistInteractionStepTree` saves,
+ * with temporary "new" ids that link each step to its parent.
+ * @param {object} content Stored script template content
+ * @returns {object} The root interaction step input
+ */
+export const scriptTemplateToInteractionSteps = content => {
+  let nextId = 0;
+  const toInput = (step, parentInteractionId) => {
+    const id = `new${nextId++}`;
+    return {
+      id,
+      parentInteractionId,
+      questionText: step.questionText,
+      scriptOptions: step.scriptOptions,
+      scriptTranslations: Object.keys(step.scriptTranslations).map(
+        language => ({
+          language,
+          scriptOptions: step.scriptTranslations[language]
+        })
+      ),
+      answerOption: step.answerOption || "",
+      answerActions: step.answerActions,
+      answerActionsData: step.answerActionsData || null,
+      isDeleted: false,
+      interactionSteps: step.interactionSteps.map(child => toInput(child, id))
+    };
+  };
+  return toInput(content.interactionSteps, null);
+};
+
+/**
+ * Count what a template version holds, for listing it in the library.
+ * @param {object} content Stored script template content
+ * @returns {object} `questionCount` and `cannedResponseCount`
+ */
+export const summarizeScriptTemplateContent = content => {
+  const countQuestions = step =>
+    (isBlank(step.questionText) ? 0 : 1) +
+    step.interactionSteps.reduce(
+      (count, child) => count + countQuestions(child),
+      0
+    );
+  return {
+    questionCount: content.interactionSteps
+      ? countQuestions(content.interactionSteps)
+      : 0,
+    cannedResponseCount: content.cannedResponses.length
+  };
+};
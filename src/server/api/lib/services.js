@@ -4,10 +4,13 @@ import fakeservice from "./fakeservice";
 import assembleNumers from "./assemble-numbers";
 
 // Each service needs the following api points:
-// async sendMessage(message, trx) -> void
+// async sendMessage(message, organizationId, trx) -> void
+//   Rejects when the send fails; set `isTransient` on the error to override retry classification
 // To receive messages from the outside, you will probably need to implement these, as well:
 // async handleIncomingMessage(<native message format>) -> saved (new) messagePart.id
 // async convertMessagePartsToMessage(messagePartsGroupedByMessage) -> new Message() <unsaved>
+// Services managed as messaging_service rows should also implement:
+// async validateCredentials({ messagingServiceSid, accountSid, authToken }) -> throws if invalid
 
 const serviceMap = {
   "assemble-numbers": assembleNumers,
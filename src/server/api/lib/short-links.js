@@ -0,0 +1,265 @@
+import crypto from "crypto";
+
+import { r, cacheableData } from "../../models";
+
+// Stop at whitespace and at characters that commonly wrap a link in message text
+const URL_REGEX = /https?:\/\/[^\s<>"'\[\]]+/g;
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?)]+$/;
+
+// Matches link preview fetchers and crawlers so their requests are not counted as clicks
+const PREVIEW_USER_AGENT_REGEX = /facebookexternalhit|twitterbot|slackbot|whatsapp|applebot|telegrambot|skypeuripreview|bot\b|crawler|spider|preview/i;
+
+/**
+ * Find the URLs in message text, ignoring trailing sentence punctuation.
+ * @param {string} text Message text
+ * @returns {string[]} URLs in the order they appear
+ */
+export const findMessageUrls = text =>
+  (text.match(URL_REGEX) || [])
+    .map(url => url.replace(TRAILING_PUNCTUATION_REGEX, ""))
+    .filter(url => url.length > 0);
+
+/**
+ * Return the host of a URL, lowercased and without a port.
+ * @param {string} url The URL
+ * @returns {string} Host name
+ */
+export const getUrlHost = url =>
+  url
+    .replace(/^https?:\/\//i, "")
+    .split(/[/?#]/)[0]
+    .split(":")[0]
+    .toLowerCase();
+
+/**
+ * Whether a request to a short link came from a link preview fetcher rather than a person.
+ * @param {string} userAgent The request's User-Agent header
+ * @returns {boolean}
+ */
+export const isPreviewUserAgent = userAgent =>
+  !!userAgent && PREVIEW_USER_AGENT_REGEX.test(userAgent);
+
+const generateToken = () =>
+  crypto
+    .randomBytes(6)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+const MAX_TOKEN_ATTEMPTS = 3;
+
+// Tokens are random, so one can collide with an existing link's. Those inserts are retried with
+// fresh tokens rather than failing the send.
+const insertShortLinks = async shortLinks => {
+  for (let attempt = 1; ; attempt++) {
+    const rows = shortLinks.map(shortLink =>
+      Object.assign({ token: generateToken() }, shortLink)
+    );
+    try {
+      await r.knex("short_link").insert(rows);
+      return rows;
+    } catch (err) {
+      const isTokenCollision =
+        err.code === "23505" && err.constraint === "short_link_token_unique";
+      if (!isTokenCollision || attempt >= MAX_TOKEN_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Enabled, healthy domains in a pool that are under their daily cap, in rotation order. Domains
+// without a pool form the organization's default pool.
+const eligibleLinkDomainsSql = columns => `
+  select
+    ${columns}
+  from
+    link_domain
+  where
+    is_manually_disabled = false
+    and organization_id = ?
+    and pool_id is not distinct from ?
+    and (
+      daily_cap is null
+      or daily_usage_date is distinct from current_date
+      or daily_usage_count < daily_cap
+    )
+    and not exists (
+      select 1
+      from unhealthy_link_domain
+      where
+        unhealthy_link_domain.domain = link_domain.domain
+        and (healthy_again_at is null or healthy_again_at > now())
+    )
+  order by
+    rotation_pass asc,
+    cycled_out_at asc,
+    current_usage_count asc
+`;
+
+/**
+ * Rotate to the next healthy, enabled link domain in a pool. A domain is used `max_usage_count`
+ * times in a row before rotating to the next one; domains with a higher weight get proportionally
+ * more turns.
+ * @param {number} organizationId
+ * @param {number} [poolId] The campaign's link domain pool; omit for the default pool
+ * @returns {Promise<string|undefined>} The domain, or undefined when none are available
+ */
+export const claimLinkDomain = async (organizationId, poolId = null) => {
+  const domainRaw = await r.knex.raw(
+    `
+    update
+      link_domain
+    set
+      current_usage_count = (current_usage_count + 1) % max_usage_count,
+      cycled_out_at = case when (current_usage_count + 1) % max_usage_count = 0 then now() else cycled_out_at end,
+      -- Start from the pool's lowest pass so a domain returning to rotation does not take many turns in a row
+      rotation_pass = case
+        when (current_usage_count + 1) % max_usage_count = 0
+          then greatest(rotation_pass, (
+            select min(pool_domain.rotation_pass)
+            from link_domain as pool_domain
+            where
+              pool_domain.organization_id = link_domain.organization_id
+              and pool_domain.pool_id is not distinct from link_domain.pool_id
+              and pool_domain.is_manually_disabled = false
+          )) + 1.0 / greatest(weight, 1)
+        else rotation_pass
+      end,
+      daily_usage_count = case when daily_usage_date = current_date then daily_usage_count + 1 else 1 end,
+      daily_usage_date = current_date
+    where
+      id = (
+        ${eligibleLinkDomainsSql("id")}
+        limit 1
+        for update
+      )
+    returning link_domain.domain;
+  `,
+    [organizationId, poolId]
+  );
+  return domainRaw.rows[0] && domainRaw.rows[0].domain;
+};
+
+/**
+ * Return the domain the next message in a pool would use, without using it.
+ * @param {number} organizationId
+ * @param {number} [poolId] The link domain pool; omit for the default pool
+ * @returns {Promise<string|null>}
+ */
+export const peekLinkDomain = async (organizationId, poolId = null) => {
+  const { rows } = await r.reader.raw(
+    `${eligibleLinkDomainsSql("domain")} limit 1`,
+    [organizationId, poolId]
+  );
+  return rows[0] ? rows[0].domain : null;
+};
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Check a link domain's rotation settings. Unset values keep the defaults: a weight of 1 and no
+ * daily cap.
+ * @param {object} settings
+ * @param {number} [settings.weight]
+ * @param {number} [settings.dailyCap]
+ * @returns {string[]} Problems with the settings, empty when they are valid
+ */
+export const validateLinkDomainRotation = ({ weight, dailyCap }) => {
+  const errors = [];
+  if (weight != null && !isPositiveInteger(weight)) {
+    errors.push("Weight must be a positive whole number.");
+  }
+  if (dailyCap != null && !isPositiveInteger(dailyCap)) {
+    errors.push("Daily cap must be a positive whole number.");
+  }
+  return errors;
+};
+
+/**
+ * Return the rotation pass a domain joining a pool should start at, so it does not take many
+ * turns in a row to catch up with the pool's existing domains.
+ * @param {number} organizationId
+ * @param {number} [poolId] The link domain pool; omit for the default pool
+ * @returns {Promise<number>}
+ */
+export const getPoolRotationPass = async (organizationId, poolId = null) => {
+  const { rows } = await r.knex.raw(
+    `
+      select coalesce(min(rotation_pass), 0) as rotation_pass
+      from link_domain
+      where
+        organization_id = ?
+        and pool_id is not distinct from ?
+        and is_manually_disabled = false
+    `,
+    [organizationId, poolId]
+  );
+  return rows[0].rotation_pass;
+};
+
+/**
+ * Replace URLs in an outbound message with short links unique to the contact, when the
+ * organization has short link tracking enabled. URLs already on one of the organization's link
+ * domains are left alone, as are media attachments (`[https://...]`).
+ * @param {object} options
+ * @param {number} options.organizationId
+ * @param {number} [options.linkDomainPoolId] The campaign's link domain pool, if any
+ * @param {number} options.campaignId
+ * @param {number} options.campaignContactId
+ * @param {number} [options.interactionStepId] The script the message was sent from, if any
+ * @param {string} options.text Message text
+ * @returns {Promise<string>} The message text with short links
+ */
+export const shortenMessageLinks = async ({
+  organizationId,
+  linkDomainPoolId,
+  campaignId,
+  campaignContactId,
+  interactionStepId,
+  text
+}) => {
+  const organization = await cacheableData.organization.load(organizationId);
+  if (!organization || !organization.feature.shortLinkTracking) return text;
+
+  const mediaUrls = (text.match(/\[\s*(https?:\/\/[^\]\s]+)\s*\]/g) || []).map(
+    markup => markup.replace(/[\[\]\s]/g, "")
+  );
+  const linkDomains = await r
+    .knex("link_domain")
+    .where({ organization_id: organizationId })
+    .pluck("domain");
+  const linkHosts = linkDomains.map(domain => domain.toLowerCase());
+
+  const targetUrls = [
+    ...new Set(
+      findMessageUrls(text).filter(
+        url => !mediaUrls.includes(url) && !linkHosts.includes(getUrlHost(url))
+      )
+    )
+  ];
+  if (targetUrls.length === 0) return text;
+
+  const domain = await claimLinkDomain(organizationId, linkDomainPoolId);
+  // Send the original links rather than fail the message if no domain is available
+  if (!domain) return text;
+
+  const shortLinks = await insertShortLinks(
+    targetUrls.map(targetUrl => ({
+      organization_id: organizationId,
+      campaign_id: campaignId,
+      campaign_contact_id: campaignContactId,
+      interaction_step_id: interactionStepId || null,
+      domain,
+      target_url: targetUrl
+    }))
+  );
+
+  // Replace longer URLs first so a URL that prefixes another is not substituted inside it
+  return shortLinks
+    .slice()
+    .sort((a, b) => b.target_url.length - a.target_url.length)
+    .reduce(
+      (messageText, { token, target_url }) =>
+        messageText.split(target_url).join(`https://${domain}/l/${token}`),
+      text
+    );
+};
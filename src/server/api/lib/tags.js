@@ -0,0 +1,83 @@
+import isUrl from "is-url";
+
+export const DEFAULT_TAG_TEXT_COLOR = "#000000";
+export const DEFAULT_TAG_BACKGROUND_COLOR = "#DDEEEE";
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Clean up a tag's confirmation steps. Each step is `[content, confirmLabel, cancelLabel]`;
+ * values are trimmed and steps left entirely blank are dropped.
+ * @param {string[][]} steps The steps as entered
+ * @returns {string[][]} The steps to store
+ */
+export const normalizeConfirmationSteps = steps =>
+  (steps || [])
+    .map(step => [0, 1, 2].map(index => ((step || [])[index] || "").trim()))
+    .filter(step => step.some(value => value !== ""));
+
+/**
+ * Check a tag before it is saved.
+ * @param {object} tag The TagInput, with confirmation steps already normalized
+ * @returns {string[]} Problems with the tag; empty when it can be saved
+ */
+export const findTagErrors = tag => {
+  const errors = [];
+  if (!(tag.title || "").trim()) errors.push("The tag needs a title.");
+  [["textColor", "text"], ["backgroundColor", "background"]].forEach(
+    ([key, name]) => {
+      if (tag[key] && !HEX_COLOR_PATTERN.test(tag[key])) {
+        errors.push(`The ${name} color must look like #1A2B3C.`);
+      }
+    }
+  );
+  (tag.confirmationSteps || []).forEach((step, index) => {
+    if (step.some(value => value === "")) {
+      errors.push(
+        `Confirmation step ${index + 1} needs its text and both button labels.`
+      );
+    }
+  });
+  if (
+    tag.webhookUrl &&
+    !(isUrl(tag.webhookUrl) && /^https?:\/\//i.test(tag.webhookUrl))
+  ) {
+    errors.push("The webhook URL must be an http or https URL.");
+  }
+  return errors;
+};
+
+/**
+ * Whether saving a TagInput makes a tag a system tag or stops it being one. System tags cannot
+ * be deleted and keep their title and assignability, so only owners may change this.
+ * @param {object} tag The TagInput
+ * @param {object} existingTag The tag row being updated, if any
+ * @returns {boolean} Whether `isSystem` changes
+ */
+export const isSystemTagChange = (tag, existingTag) =>
+  typeof tag.isSystem === "boolean" &&
+  tag.isSystem !== !!(existingTag && existingTag.is_system);
+
+/**
+ * The tag columns to store from a TagInput. System tags keep their title and assignability,
+ * which Spoke relies on, but the rest of their settings can be changed.
+ * @param {object} tag The TagInput, with confirmation steps already normalized
+ * @param {object} existingTag The tag row being updated, if any
+ * @returns {object} Columns to insert or update
+ */
+export const getTagColumns = (tag, existingTag) => {
+  const columns = {
+    description: tag.description,
+    text_color: tag.textColor || DEFAULT_TAG_TEXT_COLOR,
+    background_color: tag.backgroundColor || DEFAULT_TAG_BACKGROUND_COLOR,
+    confirmation_steps: tag.confirmationSteps || [],
+    on_apply_script: (tag.onApplyScript || "").trim(),
+    webhook_url: (tag.webhookUrl || "").trim()
+  };
+  if (typeof tag.isSystem === "boolean") columns.is_system = tag.isSystem;
+  if (existingTag && existingTag.is_system) return columns;
+  return Object.assign(columns, {
+    title: tag.title.trim(),
+    is_assignable: tag.isAssignable
+  });
+};
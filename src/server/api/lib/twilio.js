@@ -12,12 +12,11 @@ import {
 } from "./message-sending";
 import {
   getCampaignContactAndAssignmentForIncomingMessage,
-  saveNewIncomingMessage,
-  messageComponents
+  saveNewIncomingMessage
 } from "./message-sending";
+import { messageComponents } from "../../../lib/scripts";
 import { symmetricDecrypt } from "./crypto";
 
-const MAX_SEND_ATTEMPTS = 5;
 const MESSAGE_VALIDITY_PADDING_SECONDS = 30;
 const MAX_TWILIO_MESSAGE_VALIDITY = 14400;
 
@@ -46,27 +45,15 @@ const headerValidator = () => {
   };
 };
 
-const textIncludingMms = (text, serviceMessages) => {
+const getMediaUrls = serviceMessages => {
   const mediaUrls = [];
   serviceMessages.forEach(serviceMessage => {
-    const mediaUrlKeys = Object.keys(serviceMessage).filter(key =>
-      key.startsWith("MediaUrl")
-    );
+    const mediaUrlKeys = Object.keys(serviceMessage)
+      .filter(key => key.startsWith("MediaUrl"))
+      .sort();
     mediaUrlKeys.forEach(key => mediaUrls.push(serviceMessage[key]));
   });
-  if (mediaUrls.length > 0) {
-    const warningText =
-      `Spoke Message:\n\nThis message contained ${mediaUrls.length} ` +
-      "multimedia attachment(s) which Spoke does not display.";
-
-    if (text === "") {
-      text = warningText;
-    } else {
-      text = `${text}\n\n${warningText}`;
-    }
-  }
-
-  return text;
+  return mediaUrls;
 };
 
 async function convertMessagePartsToMessage(messageParts) {
@@ -93,7 +80,8 @@ async function convertMessagePartsToMessage(messageParts) {
       contact_number: contactNumber,
       user_number: userNumber,
       is_from_contact: true,
-      text: textIncludingMms(text, serviceMessages),
+      text,
+      media_urls: JSON.stringify(getMediaUrls(serviceMessages)),
       service_response: JSON.stringify(serviceMessages).replace(/\0/g, ""),
       service_id: serviceMessages[0].MessagingServiceSid,
       assignment_id: ccInfo && ccInfo.assignment_id,
@@ -158,6 +146,23 @@ const getTwilioCredentials = async messagingServiceSid => {
   return { accountSid, authToken };
 };
 
+/**
+ * Check that Twilio account credentials work by fetching the account.
+ * @param {object} credentials Object with `accountSid` and `authToken`
+ */
+const validateCredentials = ({ accountSid, authToken }) =>
+  new Promise((resolve, reject) => {
+    Twilio(accountSid, authToken)
+      .accounts(accountSid)
+      .get(err => {
+        if (err) {
+          reject(new Error(`Twilio rejected the credentials: ${err.message}`));
+        } else {
+          resolve();
+        }
+      });
+  });
+
 const twilioClient = async messagingServiceSid => {
   const { accountSid, authToken } = await getTwilioCredentials(
     messagingServiceSid
@@ -190,10 +195,10 @@ async function sendMessage(message, organizationId, trx) {
       logger.warn("Message not marked as a twilio message", message.id);
     }
 
-    const { body, mediaUrl } = messageComponents(message.text);
+    const { body, mediaUrls } = messageComponents(message.text);
     const messageParams = {
       body,
-      mediaUrl: mediaUrl || [],
+      mediaUrl: mediaUrls,
       to: message.contact_number,
       messagingServiceSid: messagingServiceSid,
       statusCallback: config.TWILIO_STATUS_CALLBACK_URL
@@ -235,7 +240,8 @@ async function sendMessage(message, organizationId, trx) {
 
     twilio.messages.create(messageParams, (err, response) => {
       const messageToSave = {
-        ...message
+        ...message,
+        messaging_service_sid: messagingServiceSid
       };
       let hasError = false;
       if (err) {
@@ -257,13 +263,7 @@ async function sendMessage(message, organizationId, trx) {
       }
 
       if (hasError) {
-        const SENT_STRING = '"status"'; // will appear in responses
-        if (
-          messageToSave.service_response.split(SENT_STRING).length >=
-          MAX_SEND_ATTEMPTS + 1
-        ) {
-          messageToSave.send_status = "ERROR";
-        }
+        // The caller records the failed attempt and decides whether to retry
         let options = { conflict: "update" };
         if (trx) {
           options.transaction = trx;
@@ -277,7 +277,8 @@ async function sendMessage(message, organizationId, trx) {
                   ? new Error(JSON.stringify(response))
                   : new Error("Encountered unknown error"))
             );
-          });
+          })
+          .catch(reject);
       } else {
         let options = { conflict: "update" };
         if (trx) {
@@ -291,9 +292,11 @@ async function sendMessage(message, organizationId, trx) {
             sent_at: new Date()
           },
           options
-        ).then((saveError, newMessage) => {
-          resolve(newMessage);
-        });
+        )
+          .then((saveError, newMessage) => {
+            resolve(newMessage);
+          })
+          .catch(reject);
       }
     });
   });
@@ -317,7 +320,7 @@ const getMessageStatus = twilioStatus => {
 // the delivery reports back on the message table at a later date. We still attempt
 // to update the message record status (after a slight delay).
 async function handleDeliveryReport(report) {
-  const { MessageSid: service_id, MessageStatus } = report;
+  const { MessageSid: service_id, MessageStatus, ErrorCode } = report;
 
   // Record the delivery report
   const insertResult = await r.knex("log").insert({
@@ -332,7 +335,8 @@ async function handleDeliveryReport(report) {
         .knex("message")
         .update({
           service_response_at: r.knex.fn.now(),
-          send_status: getMessageStatus(MessageStatus)
+          send_status: getMessageStatus(MessageStatus),
+          error_code: ErrorCode || null
         })
         .where({ service_id })
     )
@@ -395,5 +399,6 @@ export default {
   sendMessage,
   saveNewIncomingMessage,
   handleDeliveryReport,
-  handleIncomingMessage
+  handleIncomingMessage,
+  validateCredentials
 };
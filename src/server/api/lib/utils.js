@@ -36,3 +36,56 @@ export const getTzOffset = timezoneName => {
   // See: https://momentjs.com/timezone/docs/#/zone-object/offset/
   return moment.tz.zone(timezoneName).utcOffset(Date.now()) / -60;
 };
+
+/**
+ * Convert a stored translation map, e.g. `{ es: ["Hola"] }`, to a list of GraphQL translations.
+ * @param {object|null} translations Map of language code to translated value
+ * @param {string} valueKey The property to put each translated value under
+ * @returns {object[]} Objects with `language` and `valueKey`
+ */
+export const translationMapToList = (translations, valueKey) =>
+  Object.keys(translations || {}).map(language => ({
+    language,
+    [valueKey]: translations[language]
+  }));
+
+/**
+ * Convert a list of GraphQL translation inputs to the map stored in the database, dropping blank
+ * translations.
+ * @param {object[]|undefined} translations Objects with `language` and `valueKey`
+ * @param {string} valueKey The property holding each translated value
+ * @param {function} isBlank Whether a translated value is blank
+ * @returns {object|undefined} Map of language code to translated value, or undefined when no
+ *     translations were given so the stored value is left alone
+ */
+export const translationListToMap = (translations, valueKey, isBlank) => {
+  if (!translations) return undefined;
+  return translations.reduce((map, translation) => {
+    const value = translation[valueKey];
+    return isBlank(value)
+      ? map
+      : Object.assign(map, { [translation.language]: value });
+  }, {});
+};
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+/**
+ * Exponential backoff between attempts, capped at an hour.
+ * @param {number} baseSeconds Delay before the first retry
+ * @param {number} attempts The number of attempts made so far
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+export const getRetryDelay = (baseSeconds, attempts) =>
+  Math.min(baseSeconds * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_SECONDS) *
+  1000;
+
+/**
+ * Workers claiming rows (messages to send, actions to run) hold each one until its
+ * next_attempt_at. If the worker dies before recording the outcome, the row becomes available to
+ * other workers once the lease expires.
+ * @param {number} leaseSeconds How long the lease lasts
+ * @returns {Date} When a lease taken now expires
+ */
+export const getLeaseExpiry = leaseSeconds =>
+  new Date(Date.now() + leaseSeconds * 1000);
@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { URL } from "url";
+import isUrl from "is-url";
+
+import { renderTemplate } from "../../../lib/script-template";
+
+export const WEBHOOK_METHODS = ["POST", "PUT", "PATCH", "GET", "DELETE"];
+
+// Receivers verify requests by computing the same HMAC over the raw body
+export const WEBHOOK_SIGNATURE_HEADER = "X-Spoke-Signature";
+
+// Fields every webhook body can use, in addition to the contact's custom fields
+export const WEBHOOK_FIELDS = [
+  "contactId",
+  "firstName",
+  "lastName",
+  "cell",
+  "zip",
+  "external_id",
+  "campaignId",
+  "campaignTitle",
+  "question",
+  "answer",
+  "tag",
+  "texterFirstName",
+  "texterLastName",
+  "texterEmail"
+];
+
+// Headers that would change where or how the request is delivered
+export const FORBIDDEN_WEBHOOK_HEADERS = [
+  "host",
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "proxy-connection",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+  "content-length"
+];
+
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  // Link-local, including cloud metadata services at 169.254.169.254
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  // Multicast and reserved
+  ["224.0.0.0", 3]
+];
+
+const ipv4ToNumber = address =>
+  address
+    .split(".")
+    .reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+
+const isPrivateIpv4 = address =>
+  PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+    const size = Math.pow(2, 32 - bits);
+    return (
+      Math.floor(ipv4ToNumber(address) / size) ===
+      Math.floor(ipv4ToNumber(base) / size)
+    );
+  });
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet.
+ * Webhooks are never sent to these, so campaign authors cannot reach internal services.
+ * @param {string} address An IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses and for anything that is not an IP address
+ */
+export const isPrivateAddress = address => {
+  const family = net.isIP(address);
+  if (family === 4) return isPrivateIpv4(address);
+  if (family !== 6) return true;
+  const normalized = address.toLowerCase();
+  const mappedIpv4 = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mappedIpv4) return isPrivateIpv4(mappedIpv4[1]);
+  // URLs write mapped addresses in hex, e.g. ::ffff:7f00:1 for 127.0.0.1
+  const mappedHex = normalized.match(
+    /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/
+  );
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPrivateIpv4(
+      [high >> 8, high & 255, low >> 8, low & 255].join(".")
+    );
+  }
+  return (
+    normalized === "::" ||
+    normalized === "::1" ||
+    // Unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+    /^f[cd]/.test(normalized) ||
+    /^fe[89ab]/.test(normalized) ||
+    /^ff/.test(normalized) ||
+    // IPv4-compatible and NAT64 forms embed an IPv4 address
+    /^::\d/.test(normalized) ||
+    /^64:ff9b:/.test(normalized)
+  );
+};
+
+// Retrying a request to a private network cannot help
+const privateAddressError = message =>
+  Object.assign(new Error(message), {
+    code: "EPRIVATEADDRESS",
+    isTransient: false
+  });
+
+/**
+ * A `dns.lookup` replacement for the agents that send requests to URLs organizations set. It fails
+ * when a hostname resolves to a non-public address, and is checked on every connection so DNS
+ * changes cannot get around it.
+ */
+export const lookupPublicAddress = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address)
+      ? address.map(entry => entry.address)
+      : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(
+        privateAddressError(`${hostname} resolves to a private network address`)
+      );
+    }
+    return callback(null, address, family);
+  });
+
+// Every connection resolves its hostname through lookupPublicAddress
+export const publicAddressAgents = {
+  "http:": new http.Agent({ lookup: lookupPublicAddress }),
+  "https:": new https.Agent({ lookup: lookupPublicAddress })
+};
+
+/**
+ * Whether a URL's host is a private network address. Addresses are not looked up, so the agents
+ * cannot check them and URLs are checked before they are used.
+ * @param {string} url An absolute URL
+ * @returns {boolean}
+ */
+export const isPrivateUrl = url => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  return !!net.isIP(hostname) && isPrivateAddress(hostname);
+};
+
+/**
+ * Fail when a URL's host is a private network address.
+ * @param {string} url An absolute URL
+ */
+export const checkPublicUrl = url => {
+  if (isPrivateUrl(url)) {
+    throw privateAddressError(`${url} points to a private network`);
+  }
+};
+
+/**
+ * Options for the `request` library that keep a request to a URL an organization set off private
+ * networks: its host is checked, its hostname resolves through lookupPublicAddress and redirects
+ * are not followed, since they could lead anywhere.
+ * @param {string} url The URL to request
+ * @returns {object} Options to merge into the request's options
+ */
+export const getPublicRequestOptions = url => {
+  checkPublicUrl(url);
+  return {
+    url,
+    agent: publicAddressAgents[new URL(url).protocol],
+    followRedirect: false
+  };
+};
+
+const isPlainObject = value =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+const parseBodyTemplate = bodyTemplate => {
+  try {
+    return { body: JSON.parse(bodyTemplate) };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+/**
+ * Check a webhook's settings before they are saved or used.
+ * @param {object} data The answer's webhook settings
+ * @returns {string[]} Problems with the settings; empty when they are usable
+ */
+export const findWebhookConfigErrors = data => {
+  if (!isPlainObject(data)) return ["The webhook is not set up."];
+  const errors = [];
+  if (!isUrl(data.url || "") || !/^https?:\/\//i.test(data.url)) {
+    errors.push("The webhook URL must be an http or https URL.");
+  } else {
+    // Hostnames are checked when they are resolved; addresses are checked here
+    if (isPrivateUrl(data.url)) {
+      errors.push("The webhook URL must not point to a private network.");
+    }
+  }
+  if (WEBHOOK_METHODS.indexOf(data.method) === -1) {
+    errors.push(`The webhook method must be one of ${WEBHOOK_METHODS}.`);
+  }
+  if (
+    data.headers !== undefined &&
+    data.headers !== null &&
+    !(
+      isPlainObject(data.headers) &&
+      Object.keys(data.headers).every(
+        name =>
+          /^[A-Za-z0-9-]+$/.test(name) && typeof data.headers[name] === "string"
+      )
+    )
+  ) {
+    errors.push("Webhook headers must be names with text values.");
+  } else {
+    const forbidden = Object.keys(data.headers || {}).filter(
+      name => FORBIDDEN_WEBHOOK_HEADERS.indexOf(name.toLowerCase()) !== -1
+    );
+    if (forbidden.length > 0) {
+      errors.push(`Webhooks cannot set the ${forbidden.join(", ")} headers.`);
+    }
+  }
+  if (data.bodyTemplate) {
+    const { error } = parseBodyTemplate(data.bodyTemplate);
+    if (error) errors.push(`The webhook body is not valid JSON: ${error}`);
+  }
+  return errors;
+};
+
+/**
+ * Collect the values a webhook body can refer to.
+ * @param {object} options
+ * @param {object} options.contact The campaign_contact row
+ * @param {object} options.campaign The campaign row
+ * @param {string} options.question The question that was answered, for answer webhooks
+ * @param {string} options.answer The answer that triggered the webhook, for answer webhooks
+ * @param {string} options.tag The title of the tag that triggered the webhook, for tag webhooks
+ * @param {object} options.texter The user row of the texter, if the contact is assigned
+ * @returns {object} Values keyed by field name; custom fields are included by name
+ */
+export const getWebhookFieldValues = ({
+  contact,
+  campaign,
+  question = "",
+  answer = "",
+  tag = "",
+  texter
+}) =>
+  Object.assign({}, JSON.parse(contact.custom_fields || "{}"), {
+    contactId: contact.id,
+    firstName: contact.first_name,
+    lastName: contact.last_name,
+    cell: contact.cell,
+    zip: contact.zip,
+    external_id: contact.external_id,
+    campaignId: campaign.id,
+    campaignTitle: campaign.title,
+    question,
+    answer,
+    tag,
+    texterFirstName: texter ? texter.first_name : "",
+    texterLastName: texter ? texter.last_name : "",
+    texterEmail: texter ? texter.email : ""
+  });
+
+/**
+ * Fill in a webhook body template. The template is JSON whose strings may use script tags such
+ * as `{firstName}`; tags are filled in inside each string, so values never break the JSON.
+ * @param {string} bodyTemplate The JSON body template
+ * @param {object} fieldValues Values from `getWebhookFieldValues`
+ * @returns {*} The body to send
+ */
+export const renderWebhookBody = (bodyTemplate, fieldValues) => {
+  const fields = Object.keys(fieldValues);
+  const getFieldValue = field => fieldValues[field];
+  const render = value => {
+    if (typeof value === "string") {
+      return renderTemplate(value, fields, getFieldValue);
+    }
+    if (Array.isArray(value)) return value.map(render);
+    if (isPlainObject(value)) {
+      return Object.keys(value).reduce(
+        (rendered, key) =>
+          Object.assign(rendered, { [render(key)]: render(value[key]) }),
+        {}
+      );
+    }
+    return value;
+  };
+  return render(parseBodyTemplate(bodyTemplate).body);
+};
+
+/**
+ * Sign a webhook body so receivers can check it came from Spoke.
+ * @param {string} secret The answer's signing secret
+ * @param {string} payload The exact body being sent
+ * @returns {string} The signature header value
+ */
+export const signWebhookPayload = (secret, payload) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("hex")}`;
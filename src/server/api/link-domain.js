@@ -1,5 +1,8 @@
+import moment from "moment";
+
 import { mapFieldsToModel } from "./lib/utils";
-import { LinkDomain, UnhealthyLinkDomain } from "../models";
+import { LinkDomain, UnhealthyLinkDomain, r } from "../models";
+import { peekLinkDomain } from "./lib/short-links";
 
 export const resolvers = {
   LinkDomain: {
@@ -11,13 +14,44 @@ export const resolvers = {
         "currentUsageCount",
         "isManuallyDisabled",
         "cycledOutAt",
-        "createdAt"
+        "createdAt",
+        "weight",
+        "dailyCap"
       ],
       LinkDomain
     ),
+    poolId: linkDomain => linkDomain.pool_id,
+    // Usage from earlier days does not count against today's cap
+    dailyUsageCount: linkDomain =>
+      linkDomain.daily_usage_date &&
+      moment(linkDomain.daily_usage_date).isSame(moment(), "day")
+        ? linkDomain.daily_usage_count
+        : 0,
     isHealthy: async linkDomain => {
       return linkDomain.is_healthy;
-    }
+    },
+    healthEvents: async (linkDomain, { limit = 10 }) =>
+      r
+        .reader("link_domain_health_event")
+        .where({ link_domain_id: linkDomain.id })
+        .orderBy("created_at", "desc")
+        .limit(limit)
+  },
+  LinkDomainPool: {
+    id: pool => pool.id,
+    name: pool => pool.name,
+    createdAt: pool => pool.created_at,
+    domainCount: async pool =>
+      r.getCount(r.reader("link_domain").where({ pool_id: pool.id })),
+    nextDomain: async pool => peekLinkDomain(pool.organization_id, pool.id)
+  },
+  LinkDomainHealthEvent: {
+    id: event => event.id,
+    isHealthy: event => event.is_healthy,
+    reason: event => event.reason,
+    sendCount: event => event.send_count,
+    errorRate: event => event.error_rate,
+    createdAt: event => event.created_at
   },
   UnhealthyLinkDomain: {
     ...mapFieldsToModel(
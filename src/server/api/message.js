@@ -1,5 +1,6 @@
 import { mapFieldsToModel } from "./lib/utils";
 import { Message } from "../models";
+import { getMessageMediaUrls } from "./lib/message-sending";
 
 export const resolvers = {
   Message: {
@@ -15,6 +16,9 @@ export const resolvers = {
       ],
       Message
     ),
+    mediaUrls: instance => getMessageMediaUrls(instance),
+    sendAttempts: instance => instance.send_attempts,
+    lastError: instance => instance.last_error,
     campaignId: instance => instance["campaign_id"],
     userId: instance => instance["user_id"]
   }
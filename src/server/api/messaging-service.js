@@ -0,0 +1,64 @@
+import { r } from "../models";
+
+export const resolvers = {
+  MessagingService: {
+    id: async service => service.messaging_service_sid,
+    messagingServiceSid: async service => service.messaging_service_sid,
+    name: async service => service.name,
+    // GraphQL enum values cannot contain dashes
+    serviceType: async service => service.service_type.replace(/-/g, "_"),
+    // Assemble Numbers services only have an API key, which is stored encrypted
+    accountSid: async service => service.account_sid || null,
+    isActive: async service => service.is_active,
+    isHealthy: async service => service.is_healthy,
+    unhealthySince: async service =>
+      service.is_healthy ? null : service.health_changed_at,
+    maxMessagesPerSecond: async service => service.max_messages_per_second,
+    // Messages per second over the last minute
+    currentSendRate: async service => {
+      const sentCount = await r.getCount(
+        r
+          .reader("message")
+          .where({ messaging_service_sid: service.messaging_service_sid })
+          .where("sent_at", ">", r.knex.raw("now() - interval '1 minute'"))
+          .whereIn("send_status", ["SENT", "DELIVERED"])
+      );
+      return sentCount / 60;
+    },
+    // Outbound messages waiting to go out to cells stuck to this service
+    queueDepth: async service => {
+      const {
+        rows: [{ count }]
+      } = await r.reader.raw(
+        `
+          select count(distinct message.id)
+          from message
+          join campaign_contact
+            on campaign_contact.id = message.campaign_contact_id
+          join campaign
+            on campaign.id = campaign_contact.campaign_id
+          join messaging_service_stick
+            on messaging_service_stick.cell = campaign_contact.cell
+            and messaging_service_stick.organization_id = campaign.organization_id
+            and (
+              messaging_service_stick.campaign_id is null
+              or messaging_service_stick.campaign_id = campaign.id
+            )
+          where
+            message.send_status in ('QUEUED', 'SENDING')
+            and messaging_service_stick.messaging_service_sid = ?
+        `,
+        [service.messaging_service_sid]
+      );
+      return parseInt(count);
+    },
+    stuckCellCount: async service =>
+      r.getCount(
+        r
+          .reader("messaging_service_stick")
+          .where({ messaging_service_sid: service.messaging_service_sid })
+      ),
+    createdAt: async service => service.created_at,
+    updatedAt: async service => service.updated_at
+  }
+};
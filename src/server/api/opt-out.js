@@ -3,8 +3,23 @@ import { OptOut } from "../models";
 
 export const resolvers = {
   OptOut: {
-    ...mapFieldsToModel(["id", "cell", "createdAt"], OptOut),
+    ...mapFieldsToModel(
+      ["id", "cell", "reasonCode", "isAutomatic", "createdAt"],
+      OptOut
+    ),
     assignment: async (optOut, _, { loaders }) =>
-      loaders.assignment.load(optOut.assignment_id)
+      optOut.assignment_id
+        ? loaders.assignment.load(optOut.assignment_id)
+        : null
+  },
+  OptOutEvent: {
+    id: event => event.id,
+    cell: event => event.cell,
+    type: event => event.event_type,
+    source: event => event.source,
+    reason: event => event.reason,
+    user: async (event, _, { loaders }) =>
+      event.user_id ? loaders.user.load(event.user_id) : null,
+    createdAt: event => event.created_at
   }
 };
@@ -12,6 +12,17 @@ import {
 } from "./assignment";
 
 import { TextRequestType } from "../../api/organization";
+import {
+  DEFAULT_OPT_OUT_MESSAGE,
+  getOptInKeywords,
+  getOptOutKeywords
+} from "./lib/opt-out-keywords";
+import { getLinkDomainHealthPolicy } from "./lib/link-domain-health";
+import { peekLinkDomain } from "./lib/short-links";
+import {
+  getInstalledActionHandlerNames,
+  getOrganizationActionHandler
+} from "./lib/action-handlers";
 
 export const getEscalationUserId = async organizationId => {
   let escalationUserId;
@@ -49,6 +60,24 @@ export const resolvers = {
         .table("opt_out")
         .getAll(organization.id, { index: "organization_id" });
     },
+    optOutEvents: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      return r
+        .reader("opt_out_event")
+        .where({ organization_id: organization.id })
+        .orderBy("created_at", "asc");
+    },
+    pendingJobs: async (organization, { jobTypes }, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      let query = r
+        .reader("job_request")
+        .where({ organization_id: organization.id })
+        .orderBy("updated_at", "desc");
+      if (jobTypes) {
+        query = query.whereIn("job_type", jobTypes);
+      }
+      return query;
+    },
     people: async (organization, { role, campaignId, offset }, { user }) => {
       await accessRequired(user, organization.id, "SUPERVOLUNTEER");
       const query = buildUserOrganizationQuery(
@@ -79,8 +108,23 @@ export const resolvers = {
       (organization.features &&
       organization.features.indexOf("opt_out_message") !== -1
         ? JSON.parse(organization.features).opt_out_message
-        : config.OPT_OUT_MESSAGE) ||
-      "I'm opting you out of texts immediately. Have a great day.",
+        : config.OPT_OUT_MESSAGE) || DEFAULT_OPT_OUT_MESSAGE,
+    optOutKeywords: organization => {
+      try {
+        const features = JSON.parse(organization.features);
+        return getOptOutKeywords(features);
+      } catch (ex) {
+        return getOptOutKeywords({});
+      }
+    },
+    optInKeywords: organization => {
+      try {
+        const features = JSON.parse(organization.features);
+        return getOptInKeywords(features);
+      } catch (ex) {
+        return getOptInKeywords({});
+      }
+    },
     textingHoursStart: organization => organization.texting_hours_start,
     textingHoursEnd: organization => organization.texting_hours_end,
     textRequestFormEnabled: organization => {
@@ -100,6 +144,26 @@ export const resolvers = {
         return defaultValue;
       }
     },
+    linkDomainHealthPolicy: organization => {
+      try {
+        const features = JSON.parse(organization.features);
+        return getLinkDomainHealthPolicy(features);
+      } catch (ex) {
+        return getLinkDomainHealthPolicy({});
+      }
+    },
+    deliverabilityReport: async (organization, { filter }, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      return { organizationId: organization.id, filter };
+    },
+    shortLinkTrackingEnabled: organization => {
+      try {
+        const features = JSON.parse(organization.features);
+        return features.shortLinkTracking || false;
+      } catch (ex) {
+        return false;
+      }
+    },
     textRequestMaxCount: organization => {
       try {
         const features = JSON.parse(organization.features);
@@ -201,13 +265,14 @@ export const resolvers = {
         left join
           (
             select
+              distinct on (domain)
               domain,
               (healthy_again_at is null or healthy_again_at > now()) as is_unhealthy
             from
               unhealthy_link_domain
             order by
+              domain,
               created_at desc
-            limit 1
           ) unhealthy_domains
           on
             unhealthy_domains.domain = link_domain.domain
@@ -220,6 +285,30 @@ export const resolvers = {
       );
       return rawResult.rows;
     },
+    linkDomainPools: async organization =>
+      r
+        .reader("link_domain_pool")
+        .where({ organization_id: organization.id })
+        .orderBy("name"),
+    actionHandlers: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      const states = await Promise.all(
+        getInstalledActionHandlerNames().map(name =>
+          getOrganizationActionHandler(organization.id, name)
+        )
+      );
+      return states.map(state =>
+        Object.assign(state, { organizationId: organization.id })
+      );
+    },
+    scriptTemplates: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "SUPERVOLUNTEER");
+      return r
+        .reader("script_template")
+        .where({ organization_id: organization.id })
+        .orderBy("name");
+    },
+    nextLinkDomain: async organization => peekLinkDomain(organization.id),
     unhealthyLinkDomains: async _ => {
       const rawResult = await r.knex.raw(`
         select
@@ -243,6 +332,13 @@ export const resolvers = {
         .reader("tag")
         .where({ organization_id: organization.id, is_assignable: false })
         .orderBy(["is_system", "title"]),
+    messagingServices: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "SUPERVOLUNTEER");
+      return r
+        .reader("messaging_service")
+        .where({ organization_id: organization.id })
+        .orderBy("messaging_service_sid");
+    },
     teams: async organization =>
       r
         .reader("team")
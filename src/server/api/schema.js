@@ -12,10 +12,14 @@ import { organizationCache } from "../models/cacheable_queries/organization";
 
 import { gzip, makeTree } from "../../lib";
 import { applyScript } from "../../lib/scripts";
+import { DEFAULT_LANGUAGE, normalizeLanguage } from "../../lib/languages";
 import { hasRole } from "../../lib/permissions";
+import { OptOutEventType, OptOutEventSource } from "../../api/opt-out";
 import {
   assignTexters,
   exportCampaign,
+  exportOptOuts,
+  importOptOuts,
   loadContactsFromDataWarehouse,
   uploadContacts
 } from "../../workers/jobs";
@@ -41,7 +45,12 @@ import {
   giveUserMoreTexts,
   myCurrentAssignmentTarget
 } from "./assignment";
-import { getCampaigns, resolvers as campaignResolvers } from "./campaign";
+import {
+  getCampaigns,
+  getCampaignScriptLint,
+  resolvers as campaignResolvers
+} from "./campaign";
+import { ScriptLintSeverity } from "./lib/script-lint";
 import { resolvers as campaignContactResolvers } from "./campaign-contact";
 import { resolvers as cannedResponseResolvers } from "./canned-response";
 import {
@@ -61,11 +70,58 @@ import {
 import { resolvers as interactionStepResolvers } from "./interaction-step";
 import { resolvers as inviteResolvers } from "./invite";
 import { resolvers as linkDomainResolvers } from "./link-domain";
+import { resolvers as shortLinkResolvers } from "./short-link";
+import { resolvers as scriptVariantResolvers } from "./script-variant";
+import { resolvers as languageStatsResolvers } from "./language-stats";
+import { resolvers as scriptTemplateResolvers } from "./script-template";
+import { resolvers as actionHandlerLogResolvers } from "./action-handler-log";
+import { resolvers as actionHandlerResolvers } from "./action-handler";
+import { resolvers as deliverabilityReportResolvers } from "./deliverability-report";
+import { resolvers as messagingServiceResolvers } from "./messaging-service";
 import {
+  countMessageSegments,
   saveNewIncomingMessage,
-  getContactMessagingService
+  getContactMessagingService,
+  rebalanceMessagingServiceSticks,
+  attemptMessageSend,
+  getSendLeaseExpiry,
+  SpokeSendStatus
 } from "./lib/message-sending";
-import { getTzOffset } from "./lib/utils";
+import { symmetricEncrypt, symmetricDecrypt } from "./lib/crypto";
+import {
+  claimLinkDomain,
+  getPoolRotationPass,
+  shortenMessageLinks,
+  validateLinkDomainRotation
+} from "./lib/short-links";
+import { validateLinkDomainHealthPolicy } from "./lib/link-domain-health";
+import { cleanKeywordList } from "./lib/opt-out-keywords";
+import {
+  ActionHandlerLogStatus,
+  ActionType,
+  findAnswerActionsDataErrors,
+  findMissingActionHandlerSettings,
+  getActionHandler,
+  getAvailableActionHandlers,
+  getOrganizationActionHandler,
+  prepareActionHandlerSettings,
+  prepareAnswerActionsData,
+  queueQuestionResponseAction,
+  queueTagAction,
+  resolveActionHandlerSettings,
+  supportsTagActions
+} from "./lib/action-handlers";
+import {
+  buildScriptTemplateContent,
+  findScriptTemplateErrors,
+  normalizeScriptTemplateContent,
+  scriptTemplateToInteractionSteps
+} from "./lib/script-templates";
+import {
+  getTzOffset,
+  translationListToMap,
+  translationMapToList
+} from "./lib/utils";
 import serviceMap from "./lib/services";
 import { resolvers as messageResolvers } from "./message";
 import { resolvers as optOutResolvers } from "./opt-out";
@@ -86,6 +142,12 @@ import {
 } from "./campaign-overlap";
 import { change } from "../local-auth-helpers";
 import { notifyOnTagConversation } from "./lib/alerts";
+import {
+  findTagErrors,
+  getTagColumns,
+  isSystemTagChange,
+  normalizeConfirmationSteps
+} from "./lib/tags";
 
 import { isNowBetween } from "../../lib/timezones";
 
@@ -101,7 +163,21 @@ const escapeRegExp = str => str.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, "\\$1");
 const replaceAll = (str, find, replace) =>
   str.replace(new RegExp(escapeRegExp(find), "g"), replace);
 
-const replaceShortLinkDomains = async (organizationId, messageText) => {
+const assertLinkDomainPoolInOrganization = async (organizationId, poolId) => {
+  const pool = await r
+    .knex("link_domain_pool")
+    .where({ id: poolId, organization_id: organizationId })
+    .first("id");
+  if (!pool) {
+    throw new GraphQLError("Link domain pool not found in this organization.");
+  }
+};
+
+const replaceShortLinkDomains = async (
+  organizationId,
+  messageText,
+  linkDomainPoolId = null
+) => {
   const domains = await r
     .knex("link_domain")
     .where({ organization_id: organizationId })
@@ -117,39 +193,7 @@ const replaceShortLinkDomains = async (organizationId, messageText) => {
     return messageText;
   }
 
-  // Get next domain
-  const domainRaw = await r.knex.raw(
-    `
-    update
-      link_domain
-    set
-      current_usage_count = (current_usage_count + 1) % max_usage_count,
-      cycled_out_at = case when (current_usage_count + 1) % max_usage_count = 0 then now() else cycled_out_at end
-    where
-      id = (
-        select
-          id
-        from
-          link_domain
-        where
-          is_manually_disabled = false
-          and organization_id = ?
-        and not exists (
-          select 1
-          from unhealthy_link_domain
-          where unhealthy_link_domain.domain = link_domain.domain
-        )
-        order by
-          cycled_out_at asc,
-          current_usage_count asc
-        limit 1
-        for update
-      )
-    returning link_domain.domain;
-  `,
-    [organizationId]
-  );
-  const targetDomain = domainRaw.rows[0] && domainRaw.rows[0].domain;
+  const targetDomain = await claimLinkDomain(organizationId, linkDomainPoolId);
 
   // Skip updating the message text if no healthy target domain was found
   if (!targetDomain) {
@@ -219,6 +263,7 @@ async function editCampaign(id, campaign, loaders, user, origCampaignRecord) {
         last_name: datum.lastName,
         cell: datum.cell,
         external_id: datum.external_id,
+        language: normalizeLanguage(datum.language),
         custom_fields: datum.customFields,
         message_status: "needsMessage",
         is_opted_out: false,
@@ -283,6 +328,97 @@ async function editCampaign(id, campaign, loaders, user, origCampaignRecord) {
       );
     });
   }
+  if (campaign.hasOwnProperty("messagingServiceSids")) {
+    const messagingServiceSids = await r
+      .knex("messaging_service")
+      .where({ organization_id: organizationId })
+      .whereIn("messaging_service_sid", campaign.messagingServiceSids)
+      .pluck("messaging_service_sid");
+    await r.knex.transaction(async trx => {
+      // Replace the campaign's pinned messaging services
+      await trx("campaign_messaging_service")
+        .where({ campaign_id: id })
+        .del();
+      await trx("campaign_messaging_service").insert(
+        messagingServiceSids.map(messaging_service_sid => ({
+          campaign_id: id,
+          messaging_service_sid
+        }))
+      );
+      // Contacts stuck to a service the campaign no longer uses are reassigned on next send
+      await trx("messaging_service_stick")
+        .where({ campaign_id: id })
+        .whereNotIn("messaging_service_sid", messagingServiceSids)
+        .del();
+    });
+  }
+  if (campaign.hasOwnProperty("linkDomainPoolId")) {
+    const { linkDomainPoolId } = campaign;
+    if (linkDomainPoolId) {
+      await assertLinkDomainPoolInOrganization(
+        organizationId,
+        linkDomainPoolId
+      );
+    }
+    await r
+      .knex("campaign")
+      .update({ link_domain_pool_id: linkDomainPoolId || null })
+      .where({ id });
+  }
+  if (
+    campaign.hasOwnProperty("primaryLanguage") ||
+    campaign.hasOwnProperty("translationLanguages")
+  ) {
+    // New campaigns are edited before there is an original record
+    const savedLanguages = origCampaignRecord || {};
+    const primaryLanguage = campaign.hasOwnProperty("primaryLanguage")
+      ? normalizeLanguage(campaign.primaryLanguage)
+      : savedLanguages.primary_language || DEFAULT_LANGUAGE;
+    if (!primaryLanguage) {
+      throw new GraphQLError(`Unknown language ${campaign.primaryLanguage}`);
+    }
+    const translationLanguages = _.uniq(
+      (
+        campaign.translationLanguages ||
+        savedLanguages.translation_languages ||
+        []
+      )
+        .map(normalizeLanguage)
+        .filter(language => language && language !== primaryLanguage)
+    );
+    await r
+      .knex("campaign")
+      .update({
+        primary_language: primaryLanguage,
+        translation_languages: translationLanguages
+      })
+      .where({ id });
+  }
+  if (campaign.hasOwnProperty("scriptTemplateVersionId")) {
+    const { scriptTemplateVersionId } = campaign;
+    const savedVersionId = origCampaignRecord
+      ? origCampaignRecord.script_template_version_id
+      : null;
+    if (!scriptTemplateVersionId) {
+      // Unlinking keeps the scripts that were copied from the template
+      await r
+        .knex("campaign")
+        .update({ script_template_version_id: null })
+        .where({ id });
+    } else if (`${scriptTemplateVersionId}` !== `${savedVersionId}`) {
+      if (origCampaignRecord && origCampaignRecord.is_started) {
+        throw new GraphQLError(
+          "Scripts from the library can only be used before the campaign starts."
+        );
+      }
+      await applyScriptTemplateVersion(
+        id,
+        organizationId,
+        scriptTemplateVersionId,
+        origCampaignRecord || {}
+      );
+    }
+  }
   if (campaign.hasOwnProperty("texters")) {
     let job = await JobRequest.save({
       queue_name: `${id}:edit_campaign`,
@@ -330,6 +466,11 @@ async function editCampaign(id, campaign, loaders, user, origCampaignRecord) {
       const newId = await Math.floor(Math.random() * 10000000);
       convertedResponses.push({
         ...response,
+        translations: translationListToMap(
+          response.translations,
+          "text",
+          text => !text || text.trim() === ""
+        ),
         campaign_id: id,
         id: newId
       });
@@ -352,6 +493,39 @@ async function editCampaign(id, campaign, loaders, user, origCampaignRecord) {
   return newCampaign || loaders.campaign.load(id);
 }
 
+const validateMessagingServiceCredentials = async (
+  serviceType,
+  credentials
+) => {
+  const service = serviceMap[serviceType];
+  if (!service) throw new Error(`Unknown service type ${serviceType}`);
+  if (service.validateCredentials) {
+    await service.validateCredentials(credentials);
+  }
+};
+
+const validateMaxMessagesPerSecond = maxMessagesPerSecond => {
+  if (maxMessagesPerSecond === undefined || maxMessagesPerSecond === null)
+    return;
+  if (!(maxMessagesPerSecond > 0)) {
+    throw new Error("Messages per second must be greater than 0");
+  }
+};
+
+// Translations are stored as a map of language code to the non-blank script options
+const getScriptTranslationMap = interactionStep =>
+  translationListToMap(
+    interactionStep.scriptTranslations &&
+      interactionStep.scriptTranslations.map(translation => ({
+        language: translation.language,
+        scriptOptions: translation.scriptOptions.filter(
+          scriptOption => scriptOption && scriptOption.trim() !== ""
+        )
+      })),
+    "scriptOptions",
+    scriptOptions => scriptOptions.length === 0
+  );
+
 const persistInteractionStepTree = async (
   campaignId,
   rootInteractionStep,
@@ -379,6 +553,21 @@ const persistInteractionStepTree = async (
       temporaryIdMap[rootInteractionStep.parentInteractionId];
   }
 
+  const { answerActions, answerActionsData } = rootInteractionStep;
+  if (answerActions && !rootInteractionStep.isDeleted) {
+    const actionErrors = findAnswerActionsDataErrors(
+      answerActions,
+      answerActionsData
+    );
+    if (actionErrors.length > 0) {
+      throw new GraphQLError(
+        `The action for answer "${
+          rootInteractionStep.answerOption
+        }" is not set up: ${actionErrors.join(" ")}`
+      );
+    }
+  }
+
   if (rootInteractionStep.id.indexOf("new") !== -1) {
     // Insert new interaction steps
     const [newId] = await knexTrx("interaction_step")
@@ -386,8 +575,14 @@ const persistInteractionStepTree = async (
         parent_interaction_id: rootInteractionStep.parentInteractionId || null,
         question: rootInteractionStep.questionText,
         script_options: rootInteractionStep.scriptOptions,
+        script_translations: getScriptTranslationMap(rootInteractionStep),
         answer_option: rootInteractionStep.answerOption,
-        answer_actions: rootInteractionStep.answerActions,
+        answer_actions: answerActions,
+        answer_actions_data: prepareAnswerActionsData(
+          answerActions,
+          answerActionsData,
+          null
+        ),
         campaign_id: campaignId,
         is_deleted: false
       })
@@ -402,13 +597,22 @@ const persistInteractionStepTree = async (
       .delete();
   } else {
     // Update the interaction step record
+    const previousStep = await knexTrx("interaction_step")
+      .where({ id: rootInteractionStep.id })
+      .first("answer_actions_data");
     await knexTrx("interaction_step")
       .where({ id: rootInteractionStep.id })
       .update({
         question: rootInteractionStep.questionText,
         script_options: rootInteractionStep.scriptOptions,
+        script_translations: getScriptTranslationMap(rootInteractionStep),
         answer_option: rootInteractionStep.answerOption,
-        answer_actions: rootInteractionStep.answerActions,
+        answer_actions: answerActions,
+        answer_actions_data: prepareAnswerActionsData(
+          answerActions,
+          answerActionsData,
+          previousStep && previousStep.answer_actions_data
+        ),
         is_deleted: rootInteractionStep.isDeleted
       });
   }
@@ -427,6 +631,137 @@ const persistInteractionStepTree = async (
   );
 };
 
+// Replace a campaign's scripts with a version from the organization's script library
+const applyScriptTemplateVersion = async (
+  campaignId,
+  organizationId,
+  scriptTemplateVersionId,
+  origCampaignRecord
+) => {
+  const templateVersion = await r
+    .knex("script_template_version")
+    .join(
+      "script_template",
+      "script_template.id",
+      "script_template_version.script_template_id"
+    )
+    .where({
+      "script_template_version.id": scriptTemplateVersionId,
+      "script_template.organization_id": organizationId
+    })
+    .first("script_template_version.*");
+  if (!templateVersion) {
+    throw new GraphQLError("That script template could not be found.");
+  }
+  const { content } = templateVersion;
+
+  await r.knex.transaction(async trx => {
+    // The campaign has not started, so its old steps have no responses to keep
+    await trx("interaction_step")
+      .where({ campaign_id: campaignId })
+      .delete();
+    await persistInteractionStepTree(
+      campaignId,
+      scriptTemplateToInteractionSteps(content),
+      origCampaignRecord,
+      trx
+    );
+
+    await trx("canned_response")
+      .where({ campaign_id: campaignId })
+      .whereNull("user_id")
+      .delete();
+    if (content.cannedResponses.length > 0) {
+      await trx("canned_response").insert(
+        content.cannedResponses.map(cannedResponse => ({
+          campaign_id: campaignId,
+          title: cannedResponse.title,
+          text: cannedResponse.text,
+          translations: cannedResponse.translations
+        }))
+      );
+    }
+
+    await trx("campaign")
+      .update({
+        primary_language: content.primaryLanguage,
+        translation_languages: content.translationLanguages,
+        script_template_version_id: templateVersion.id
+      })
+      .where({ id: campaignId });
+  });
+
+  await cacheableData.cannedResponse.clearQuery({
+    userId: "",
+    campaignId
+  });
+};
+
+// Add a version to a library template, creating the template when no id is given
+const saveScriptTemplateVersion = async ({
+  organizationId,
+  scriptTemplateId,
+  name,
+  description,
+  content,
+  user
+}) =>
+  r.knex.transaction(async trx => {
+    let template;
+    if (scriptTemplateId) {
+      template = await trx("script_template")
+        .where({ id: scriptTemplateId, organization_id: organizationId })
+        .forUpdate()
+        .first();
+      if (!template) {
+        throw new GraphQLError("That script template could not be found.");
+      }
+    } else {
+      const trimmedName = (name || "").trim();
+      if (!trimmedName) {
+        throw new GraphQLError("Script template name is required.");
+      }
+      const existing = await trx("script_template")
+        .where({ organization_id: organizationId, name: trimmedName })
+        .first("id");
+      if (existing) {
+        throw new GraphQLError(
+          `A script template named ${trimmedName} already exists. Save a new version of it instead.`
+        );
+      }
+      [template] = await trx("script_template")
+        .insert({
+          organization_id: organizationId,
+          name: trimmedName,
+          description: description || ""
+        })
+        .returning("*");
+    }
+
+    const { max_version: maxVersion } = await trx("script_template_version")
+      .where({ script_template_id: template.id })
+      .max("version as max_version")
+      .first();
+    const [templateVersion] = await trx("script_template_version")
+      .insert({
+        script_template_id: template.id,
+        version: (maxVersion || 0) + 1,
+        content,
+        creator_id: user.id
+      })
+      .returning("*");
+
+    const [updatedTemplate] = await trx("script_template")
+      .update({
+        updated_at: r.knex.fn.now(),
+        description:
+          typeof description === "string" ? description : template.description
+      })
+      .where({ id: template.id })
+      .returning("*");
+    return { template: updatedTemplate, templateVersion };
+  });
+
 // We've modified campaign creation on the client so that overrideOrganizationHours is always true
 // and enforce_texting_hours is always true
 // as a result, we're forcing admins to think about the time zone of each campaign
@@ -463,6 +798,7 @@ async function sendMessage(
       "campaign.id as campaign_id",
       "campaign.is_archived as is_archived",
       "campaign.organization_id as organization_id",
+      "campaign.link_domain_pool_id as link_domain_pool_id",
       "campaign.timezone as c_timezone",
       "campaign.texting_hours_start as c_texting_hours_start",
       "campaign.texting_hours_end as c_texting_hours_end",
@@ -563,15 +899,48 @@ async function sendMessage(
   const escapedApostrophes = replaceCurlyApostrophes(text);
   const replacedDomainsText = await replaceShortLinkDomains(
     record.organization_id,
-    escapedApostrophes
+    escapedApostrophes,
+    record.link_domain_pool_id
   );
+  const shortenedText = await shortenMessageLinks({
+    organizationId: record.organization_id,
+    linkDomainPoolId: record.link_domain_pool_id,
+    campaignId: record.campaign_id,
+    campaignContactId: record.cc_id,
+    interactionStepId: message.interactionStepId,
+    text: replacedDomainsText
+  });
 
   const { service_type } = await getContactMessagingService(campaignContactId);
 
+  // Only keep script attribution that matches one of the campaign's steps and its scripts
+  const scriptStep =
+    message.interactionStepId &&
+    (await r
+      .knex("interaction_step")
+      .where({
+        id: message.interactionStepId,
+        campaign_id: record.campaign_id
+      })
+      .first("id", "script_options", "script_translations"));
+  const { scriptVariant } = message;
+  // Variants index into the script options of the language the contact was texted in
+  const scriptOptionCounts = scriptStep
+    ? [scriptStep.script_options || []]
+        .concat(_.values(scriptStep.script_translations || {}))
+        .map(scriptOptions => scriptOptions.length)
+    : [];
+  const isScriptVariantValid =
+    !!scriptStep &&
+    Number.isInteger(scriptVariant) &&
+    scriptVariant >= 0 &&
+    scriptVariant < Math.max(...scriptOptionCounts);
+
   const toInsert = {
     user_id: user.id,
     campaign_contact_id: campaignContactId,
-    text: replacedDomainsText,
+    text: shortenedText,
+    num_segments: countMessageSegments(shortenedText),
     contact_number: contactNumber,
     user_number: "",
     assignment_id: message.assignmentId,
@@ -579,7 +948,12 @@ async function sendMessage(
     service: service_type,
     is_from_contact: false,
     queued_at: new Date(),
-    send_before: sendBefore
+    send_before: sendBefore,
+    // Held for the immediate attempt below so sender workers leave it alone
+    send_attempts: 1,
+    next_attempt_at: getSendLeaseExpiry(),
+    interaction_step_id: scriptStep ? scriptStep.id : null,
+    script_variant: isScriptVariantValid ? scriptVariant : null
   };
 
   const messageSavePromise = r
@@ -620,8 +994,9 @@ async function sendMessage(
   toInsert.id = messageInstance.id || messageInstance;
 
   // Send message after we are sure messageInstance has been persisted
-  const service = serviceMap[service_type];
-  service.sendMessage(toInsert, record.organization_id);
+  attemptMessageSend(toInsert, record.organization_id).catch(err =>
+    logger.error(`Error attempting to send message ${toInsert.id}`, err)
+  );
 
   // Send message to BernieSMS to be checked for bad words
   const badWordUrl = config.BAD_WORD_URL;
@@ -721,6 +1096,206 @@ const rootMutations = {
       return newJob;
     },
 
+    retryFailedMessages: async (_, { campaignId }, { user, loaders }) => {
+      const campaign = await loaders.campaign.load(campaignId);
+      await accessRequired(user, campaign.organization_id, "ADMIN");
+
+      // Only dead-lettered messages are requeued, so retrying twice is harmless. Messages past
+      // the end of their texting hours and contacts who have opted out since are left alone.
+      const requeuedCount = await r
+        .knex("message")
+        .update({
+          send_status: SpokeSendStatus.Queued,
+          send_attempts: 0,
+          next_attempt_at: r.knex.fn.now(),
+          last_error: null
+        })
+        .where({ send_status: SpokeSendStatus.DeadLetter })
+        .where("send_before", ">", r.knex.fn.now())
+        .whereIn(
+          "campaign_contact_id",
+          r
+            .knex("campaign_contact")
+            .select("id")
+            .where({ campaign_id: campaignId, is_opted_out: false })
+        );
+
+      logger.info(
+        `User ${
+          user.id
+        } requeued ${requeuedCount} failed messages for campaign ${campaignId}`
+      );
+      return requeuedCount;
+    },
+
+    retryActionHandlerLogs: async (
+      _,
+      { campaignId, actionHandlerLogIds },
+      { user, loaders }
+    ) => {
+      const campaign = await loaders.campaign.load(campaignId);
+      await accessRequired(user, campaign.organization_id, "ADMIN");
+
+      // Only failed actions are requeued, so retrying twice is harmless
+      let query = r
+        .knex("action_handler_log")
+        .update({
+          status: ActionHandlerLogStatus.Queued,
+          attempts: 0,
+          next_attempt_at: r.knex.fn.now(),
+          last_error: null,
+          completed_at: null,
+          updated_at: r.knex.fn.now()
+        })
+        .where({
+          campaign_id: campaignId,
+          status: ActionHandlerLogStatus.Failed
+        });
+      if (actionHandlerLogIds) {
+        query = query.whereIn("id", actionHandlerLogIds);
+      }
+      const requeuedCount = await query;
+
+      logger.info(
+        `User ${
+          user.id
+        } requeued ${requeuedCount} failed actions for campaign ${campaignId}`
+      );
+      return requeuedCount;
+    },
+
+    updateActionHandler: async (
+      _,
+      { organizationId, name, isEnabled, settings },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "ADMIN");
+      const handler = getActionHandler(name);
+      if (!handler) {
+        throw new GraphQLError(`There is no action handler named ${name}.`);
+      }
+
+      const current = await getOrganizationActionHandler(organizationId, name);
+      const updates = {
+        is_enabled:
+          typeof isEnabled === "boolean" ? isEnabled : current.isEnabled,
+        settings:
+          settings === undefined || settings === null
+            ? current.savedSettings
+            : prepareActionHandlerSettings(
+                handler,
+                settings,
+                current.savedSettings
+              ),
+        updated_at: r.knex.fn.now()
+      };
+      const updatedCount = await r
+        .knex("organization_action_handler")
+        .update(updates)
+        .where({ organization_id: organizationId, action_handler: name });
+      if (updatedCount === 0) {
+        await r.knex("organization_action_handler").insert(
+          Object.assign(updates, {
+            organization_id: organizationId,
+            action_handler: name
+          })
+        );
+      }
+
+      logger.info(
+        `User ${
+          user.id
+        } updated action handler ${name} for organization ${organizationId}`
+      );
+      const updated = await getOrganizationActionHandler(organizationId, name);
+      return Object.assign(updated, { organizationId });
+    },
+
+    testActionHandler: async (
+      _,
+      { organizationId, name, settings },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "ADMIN");
+      const handler = getActionHandler(name);
+      if (!handler || typeof handler.testConnection !== "function") {
+        throw new GraphQLError(`${name} does not have a connection test.`);
+      }
+
+      // Test what is in the form, falling back to saved secrets that were left blank
+      const current = await getOrganizationActionHandler(organizationId, name);
+      const testSettings = settings
+        ? resolveActionHandlerSettings(
+            handler,
+            prepareActionHandlerSettings(
+              handler,
+              settings,
+              current.savedSettings
+            ),
+            current.features
+          )
+        : current.settings;
+      const missingSettings = findMissingActionHandlerSettings(
+        handler,
+        testSettings
+      );
+      if (missingSettings.length > 0) {
+        return {
+          ok: false,
+          message: `Fill in ${missingSettings.join(", ")} first.`
+        };
+      }
+      return handler.testConnection(testSettings);
+    },
+
+    importOptOuts: async (_, { organizationId, cells }, { user }) => {
+      await accessRequired(user, organizationId, "ADMIN");
+      const compressedString = await gzip(
+        JSON.stringify({ cells, requester: user.id })
+      );
+      const newJob = await JobRequest.save({
+        queue_name: `org-${organizationId}:opt_outs`,
+        job_type: "import_opt_outs",
+        locks_queue: true,
+        assigned: JOBS_SAME_PROCESS, // can get called immediately, below
+        organization_id: organizationId,
+        // NOTE: stringifying because compressedString is a binary buffer
+        payload: compressedString.toString("base64")
+      });
+      if (JOBS_SAME_PROCESS) {
+        importOptOuts(newJob);
+      }
+      return newJob;
+    },
+
+    exportOptOuts: async (_, { organizationId }, { user }) => {
+      await accessRequired(user, organizationId, "ADMIN");
+      const newJob = await JobRequest.save({
+        queue_name: `org-${organizationId}:opt_outs`,
+        job_type: "export_opt_outs",
+        locks_queue: false,
+        assigned: JOBS_SAME_PROCESS, // can get called immediately, below
+        organization_id: organizationId,
+        payload: JSON.stringify({ requester: user.id })
+      });
+      if (JOBS_SAME_PROCESS) {
+        exportOptOuts(newJob);
+      }
+      return newJob;
+    },
+
+    deleteOrganizationJob: async (_, { organizationId, id }, { user }) => {
+      await accessRequired(user, organizationId, "ADMIN");
+      await r
+        .knex("job_request")
+        .where({
+          id,
+          organization_id: organizationId
+        })
+        .delete();
+      return { id };
+    },
+
     editOrganizationRoles: async (
       _,
       { userId, organizationId, roles },
@@ -999,6 +1574,25 @@ const rootMutations = {
       return await Organization.get(organizationId);
     },
 
+    updateOptOutKeywords: async (
+      _,
+      { organizationId, optOutKeywords, optInKeywords },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "OWNER");
+
+      const organization = await Organization.get(organizationId);
+      const featuresJSON = JSON.parse(organization.features || "{}");
+      featuresJSON.opt_out_keywords = cleanKeywordList(optOutKeywords);
+      featuresJSON.opt_in_keywords = cleanKeywordList(optInKeywords);
+      organization.features = JSON.stringify(featuresJSON);
+
+      await organization.save();
+      await organizationCache.clear(organizationId);
+
+      return await Organization.get(organizationId);
+    },
+
     createInvite: async (_, { user }) => {
       if ((user && user.is_superadmin) || !config.SUPPRESS_SELF_INVITE) {
         const inviteInstance = new Invite({
@@ -1059,8 +1653,13 @@ const rootMutations = {
             id: "new" + interaction.id,
             questionText: interaction.question,
             scriptOptions: interaction.script_options,
+            scriptTranslations: translationMapToList(
+              interaction.script_translations,
+              "scriptOptions"
+            ),
             answerOption: interaction.answer_option,
             answerActions: interaction.answer_actions,
+            answerActionsData: interaction.answer_actions_data,
             isDeleted: interaction.is_deleted,
             campaign_id: newCampaignId,
             parentInteractionId: "new" + interaction.parent_interaction_id
@@ -1071,8 +1670,13 @@ const rootMutations = {
             id: "new" + interaction.id,
             questionText: interaction.question,
             scriptOptions: interaction.script_options,
+            scriptTranslations: translationMapToList(
+              interaction.script_translations,
+              "scriptOptions"
+            ),
             answerOption: interaction.answer_option,
             answerActions: interaction.answer_actions,
+            answerActionsData: interaction.answer_actions_data,
             isDeleted: interaction.is_deleted,
             campaign_id: newCampaignId,
             parentInteractionId: interaction.parent_interaction_id
@@ -1099,7 +1703,8 @@ const rootMutations = {
                 .insert({
                   campaign_id: newCampaignId,
                   title: response.title,
-                  text: response.text
+                  text: response.text,
+                  translations: response.translations
                 })
                 .returning("id");
               return newId;
@@ -1107,6 +1712,28 @@ const rootMutations = {
           )
         );
 
+      // Copies send from the same messaging services as the original
+      await r.knex.raw(
+        `
+          insert into campaign_messaging_service (campaign_id, messaging_service_sid)
+          select ?, messaging_service_sid
+          from campaign_messaging_service
+          where campaign_id = ?
+        `,
+        [newCampaignId, oldCampaignId]
+      );
+
+      await r
+        .knex("campaign")
+        .update({
+          link_domain_pool_id: campaign.link_domain_pool_id || null,
+          script_template_version_id:
+            campaign.script_template_version_id || null,
+          primary_language: campaign.primary_language,
+          translation_languages: campaign.translation_languages
+        })
+        .where({ id: newCampaignId });
+
       return newCampaign;
     },
 
@@ -1128,9 +1755,31 @@ const rootMutations = {
       return campaign;
     },
 
-    startCampaign: async (_, { id }, { user, loaders }) => {
+    startCampaign: async (
+      _,
+      { id, acknowledgeWarnings },
+      { user, loaders }
+    ) => {
       const campaign = await loaders.campaign.load(id);
       await accessRequired(user, campaign.organization_id, "ADMIN");
+
+      const lintIssues = await getCampaignScriptLint(campaign);
+      const lintErrors = lintIssues.filter(
+        issue => issue.severity === ScriptLintSeverity.ERROR
+      );
+      if (lintErrors.length > 0) {
+        throw new GraphQLError(
+          `Fix the script errors before starting: ${lintErrors
+            .map(issue => `${issue.location}: ${issue.message}`)
+            .join("; ")}`
+        );
+      }
+      if (!acknowledgeWarnings && lintIssues.length > 0) {
+        throw new GraphQLError(
+          "Review and acknowledge the script warnings before starting."
+        );
+      }
+
       campaign.is_started = true;
 
       await campaign.save();
@@ -1363,6 +2012,21 @@ const rootMutations = {
       return await contact.save();
     },
 
+    updateContactLanguage: async (
+      _,
+      { campaignContactId, language },
+      { loaders, user }
+    ) => {
+      const contact = await loaders.campaignContact.load(campaignContactId);
+      await assignmentRequired(user, contact.assignment_id);
+      const normalizedLanguage = normalizeLanguage(language);
+      if (language && !normalizedLanguage) {
+        throw new GraphQLError(`Unknown language ${language}`);
+      }
+      contact.language = normalizedLanguage;
+      return await contact.save();
+    },
+
     getAssignmentContacts: async (
       _,
       { assignmentId, contactIds, findNew },
@@ -1464,24 +2128,53 @@ const rootMutations = {
       try {
         await assignmentRequired(user, campaignContact.assignment_id);
       } catch (err) {
-        accessRequired(user, campaignContact.organization_id, "SUPERVOLUNTEER");
+        await accessRequired(
+          user,
+          campaignContact.organization_id,
+          "SUPERVOLUNTEER"
+        );
       }
 
-      const { addedTagIds, removedTagIds } = tag;
+      // Only the contact's organization's tags can be applied
+      const { removedTagIds } = tag;
+      const addedTagIds = await r
+        .knex("tag")
+        .where({ organization_id: campaignContact.organization_id })
+        .whereIn("id", tag.addedTagIds)
+        .pluck("id");
       const tagsToInsert = addedTagIds.map(tagId => ({
         campaign_contact_id: campaignContactId,
         tag_id: tagId,
         tagger_id: user.id
       }));
-      const [deleteResult, insertResult] = await Promise.all([
+      const [deletedTags, insertResult] = await Promise.all([
         await r
           .knex("campaign_contact_tag")
           .where({ campaign_contact_id: parseInt(campaignContactId) })
           .whereIn("tag_id", removedTagIds)
-          .del(),
+          .del()
+          .returning("tag_id"),
         await r.knex("campaign_contact_tag").insert(tagsToInsert)
       ]);
 
+      // Tags with actions run them when applied, and may undo them when removed
+      const actionTags = await r
+        .knex("tag")
+        .where({ organization_id: campaignContact.organization_id })
+        .whereIn("id", addedTagIds.concat(deletedTags))
+        .whereNotNull("action_handler");
+      await Promise.all(
+        actionTags.map(actionTag =>
+          queueTagAction(
+            addedTagIds.map(String).includes(String(actionTag.id))
+              ? ActionType.Process
+              : ActionType.Undo,
+            actionTag,
+            campaignContact
+          )
+        )
+      );
+
       // See if any of the newly applied tags are is_assignable = false
       const newlyAssignedTagsThatShouldUnassign = await r
         .knex("tag")
@@ -1538,10 +2231,12 @@ const rootMutations = {
         const campaign = await loaders.campaign.load(contact.campaign_id);
         organizationId = campaign.organization_id;
       }
+      let source = OptOutEventSource.TEXTER;
       try {
         await assignmentRequired(user, contact.assignment_id);
       } catch (error) {
         await accessRequired(user, organizationId, "SUPERVOLUNTEER");
+        source = OptOutEventSource.ADMIN;
       }
 
       let { assignmentId, cell, message, reason } = optOut;
@@ -1572,7 +2267,9 @@ const rootMutations = {
         cell,
         reason,
         assignmentId,
-        organizationId
+        organizationId,
+        source,
+        userId: user.id
       });
 
       if (message) {
@@ -1608,6 +2305,12 @@ const rootMutations = {
         );
       }
 
+      const optedOutOrganizationIds = await r
+        .knex("opt_out")
+        .where({ cell })
+        .distinct()
+        .pluck("organization_id");
+
       const contactIds = await r.knex.transaction(async trx => {
         // Remove all references in the opt out table
         const optOuts = r
@@ -1646,6 +2349,18 @@ const rootMutations = {
         return contactIds;
       });
 
+      await Promise.all(
+        optedOutOrganizationIds.map(organizationId =>
+          cacheableData.optOut.recordEvent({
+            cell,
+            organizationId,
+            type: OptOutEventType.OPT_IN,
+            source: OptOutEventSource.ADMIN,
+            userId: user.id
+          })
+        )
+      );
+
       // We don't care about Redis
       // await cacheableData.optOut.clearCache(...)
 
@@ -1740,12 +2455,15 @@ const rootMutations = {
         const organizationId = campaign.organization_id;
         await accessRequired(user, organizationId, "SUPERVOLUNTEER");
       }
-      // TODO: maybe undo action_handler
-      await r
-        .table("question_response")
-        .getAll(campaignContactId, { index: "campaign_contact_id" })
-        .getAll(...interactionStepIds, { index: "interaction_step_id" })
-        .delete();
+      const deletedResponses = await r
+        .knex("question_response")
+        .where({ campaign_contact_id: campaignContactId })
+        .whereIn("interaction_step_id", interactionStepIds)
+        .del()
+        .returning("*");
+      for (const questionResponse of deletedResponses) {
+        await queueQuestionResponseAction(ActionType.Undo, questionResponse);
+      }
       return contact;
     },
 
@@ -1754,52 +2472,34 @@ const rootMutations = {
       { questionResponses, campaignContactId },
       { loaders }
     ) => {
-      const count = questionResponses.length;
+      for (const { interactionStepId, value } of questionResponses) {
+        const previousResponses = await r.knex("question_response").where({
+          campaign_contact_id: campaignContactId,
+          interaction_step_id: interactionStepId
+        });
+        // Saving the same answer again does not run its action again
+        if (
+          previousResponses.length === 1 &&
+          previousResponses[0].value === value
+        ) {
+          continue;
+        }
 
-      for (let i = 0; i < count; i++) {
-        const questionResponse = questionResponses[i];
-        const { interactionStepId, value } = questionResponse;
         await r
-          .table("question_response")
-          .getAll(campaignContactId, { index: "campaign_contact_id" })
-          .filter({ interaction_step_id: interactionStepId })
-          .delete();
-
-        // TODO: maybe undo action_handler if updated answer
+          .knex("question_response")
+          .whereIn("id", previousResponses.map(response => response.id))
+          .del();
+        for (const previousResponse of previousResponses) {
+          await queueQuestionResponseAction(ActionType.Undo, previousResponse);
+        }
 
         const qr = await new QuestionResponse({
           campaign_contact_id: campaignContactId,
           interaction_step_id: interactionStepId,
           value
         }).save();
-        const interactionStepResult = await r
-          .knex("interaction_step")
-          // TODO: is this really parent_interaction_id or just interaction_id?
-          .where({
-            parent_interaction_id: interactionStepId,
-            answer_option: value
-          })
-          .whereNot("answer_actions", "")
-          .whereNotNull("answer_actions");
-
-        const interactionStepAction =
-          interactionStepResult.length &&
-          interactionStepResult[0].answer_actions;
-        if (interactionStepAction) {
-          // run interaction step handler
-          try {
-            const handler = require(`../action_handlers/${interactionStepAction}.js`);
-            handler.processAction(
-              qr,
-              interactionStepResult[0],
-              campaignContactId
-            );
-          } catch (err) {
-            logger.error(
-              `Handler for InteractionStep ${interactionStepId} "Does Not Exist: ${interactionStepAction}`
-            );
-          }
-        }
+        // Action handlers run in the action handler runner, which retries failures
+        await queueQuestionResponseAction(ActionType.Process, qr);
       }
 
       const contact = loaders.campaignContact.load(campaignContactId);
@@ -1867,18 +2567,34 @@ const rootMutations = {
 
     insertLinkDomain: async (
       _ignore,
-      { organizationId, domain, maxUsageCount },
+      { organizationId, domain, maxUsageCount, poolId, weight, dailyCap },
       { user }
     ) => {
       // verify permissions
       await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
 
+      const rotationErrors = validateLinkDomainRotation({ weight, dailyCap });
+      if (rotationErrors.length > 0) {
+        throw new GraphQLError(rotationErrors.join(" "));
+      }
+
+      if (poolId) {
+        await assertLinkDomainPoolInOrganization(organizationId, poolId);
+      }
+
       const insertResult = await r
         .knex("link_domain")
         .insert({
           organization_id: organizationId,
           max_usage_count: maxUsageCount,
-          domain
+          domain,
+          pool_id: poolId || null,
+          weight: weight || 1,
+          daily_cap: dailyCap || null,
+          rotation_pass: await getPoolRotationPass(
+            organizationId,
+            poolId || null
+          )
         })
         .returning("*");
 
@@ -1893,10 +2609,25 @@ const rootMutations = {
       // verify permissions
       await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
 
-      const { maxUsageCount, isManuallyDisabled } = payload;
-      if (maxUsageCount === undefined && isManuallyDisabled === undefined)
+      const {
+        maxUsageCount,
+        isManuallyDisabled,
+        poolId,
+        weight,
+        dailyCap
+      } = payload;
+      if (
+        [maxUsageCount, isManuallyDisabled, poolId, weight, dailyCap].every(
+          field => field === undefined
+        )
+      )
         throw new Error("Must supply at least one field to update.");
 
+      const rotationErrors = validateLinkDomainRotation({ weight, dailyCap });
+      if (rotationErrors.length > 0) {
+        throw new GraphQLError(rotationErrors.join(" "));
+      }
+
       let query = r
         .knex("link_domain")
         .where({
@@ -1908,6 +2639,22 @@ const rootMutations = {
         query = query.update({ max_usage_count: maxUsageCount });
       if (isManuallyDisabled !== undefined)
         query = query.update({ is_manually_disabled: isManuallyDisabled });
+      if (weight !== undefined) query = query.update({ weight: weight || 1 });
+      if (dailyCap !== undefined)
+        query = query.update({ daily_cap: dailyCap || null });
+      if (poolId !== undefined) {
+        if (poolId) {
+          await assertLinkDomainPoolInOrganization(organizationId, poolId);
+        }
+        // Join the new pool's rotation where it stands rather than at the start
+        query = query.update({
+          pool_id: poolId || null,
+          rotation_pass: await getPoolRotationPass(
+            organizationId,
+            poolId || null
+          )
+        });
+      }
 
       const linkDomainResult = await query;
       return linkDomainResult[0];
@@ -1932,6 +2679,184 @@ const rootMutations = {
       return true;
     },
 
+    createLinkDomainPool: async (
+      _ignore,
+      { organizationId, name },
+      { user }
+    ) => {
+      // verify permissions
+      await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
+
+      const trimmedName = name.trim();
+      if (!trimmedName) throw new GraphQLError("Pool name is required.");
+
+      const existing = await r
+        .knex("link_domain_pool")
+        .where({ organization_id: organizationId, name: trimmedName })
+        .first("id");
+      if (existing) {
+        throw new GraphQLError(`A pool named ${trimmedName} already exists.`);
+      }
+
+      const [pool] = await r
+        .knex("link_domain_pool")
+        .insert({ organization_id: organizationId, name: trimmedName })
+        .returning("*");
+      return pool;
+    },
+
+    saveScriptTemplate: async (
+      _ignore,
+      { campaignId, name, description, scriptTemplateId },
+      { user, loaders }
+    ) => {
+      const campaign = await loaders.campaign.load(campaignId);
+      await accessRequired(user, campaign.organization_id, "ADMIN");
+
+      const interactionSteps = await r
+        .knex("interaction_step")
+        .where({ campaign_id: campaignId });
+      const cannedResponses = await r
+        .knex("canned_response")
+        .where({ campaign_id: campaignId })
+        .whereNull("user_id");
+      const content = buildScriptTemplateContent({
+        interactionSteps,
+        cannedResponses,
+        primaryLanguage: campaign.primary_language,
+        translationLanguages: campaign.translation_languages
+      });
+      if (!content.interactionSteps) {
+        throw new GraphQLError(
+          "Add an initial message before saving the scripts to the library."
+        );
+      }
+
+      const { template, templateVersion } = await saveScriptTemplateVersion({
+        organizationId: campaign.organization_id,
+        scriptTemplateId,
+        name,
+        description,
+        content,
+        user
+      });
+      // The campaign's scripts are now exactly this version
+      await r
+        .knex("campaign")
+        .update({ script_template_version_id: templateVersion.id })
+        .where({ id: campaignId });
+      return template;
+    },
+
+    importScriptTemplate: async (
+      _ignore,
+      { organizationId, content, scriptTemplateId },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "ADMIN");
+
+      const errors = findScriptTemplateErrors(content);
+      if (errors.length > 0) throw new GraphQLError(errors.join(" "));
+
+      const { template } = await saveScriptTemplateVersion({
+        organizationId,
+        scriptTemplateId,
+        name: typeof content.name === "string" ? content.name : undefined,
+        description:
+          !scriptTemplateId && typeof content.description === "string"
+            ? content.description
+            : undefined,
+        content: normalizeScriptTemplateContent(content),
+        user
+      });
+      return template;
+    },
+
+    deleteScriptTemplate: async (
+      _ignore,
+      { organizationId, scriptTemplateId },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "ADMIN");
+
+      // Campaigns built from the template keep their scripts and lose only the link to it
+      const deleteCount = await r
+        .knex("script_template")
+        .where({ id: scriptTemplateId, organization_id: organizationId })
+        .del();
+      if (deleteCount !== 1) {
+        throw new GraphQLError("Could not delete the script template.");
+      }
+      return true;
+    },
+
+    deleteLinkDomainPool: async (
+      _ignore,
+      { organizationId, poolId },
+      { user }
+    ) => {
+      // verify permissions
+      await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
+
+      // Domains in the pool return to the default pool and its campaigns fall back to it
+      await r.knex.transaction(async trx => {
+        await trx("link_domain")
+          .update({
+            pool_id: null,
+            rotation_pass: await getPoolRotationPass(organizationId)
+          })
+          .where({ organization_id: organizationId, pool_id: poolId });
+        await trx("link_domain_pool")
+          .where({ id: poolId, organization_id: organizationId })
+          .del();
+      });
+
+      return true;
+    },
+
+    updateShortLinkTracking: async (
+      _ignore,
+      { organizationId, enabled },
+      { user }
+    ) => {
+      // verify permissions
+      await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
+
+      const organization = await Organization.get(organizationId);
+      const featuresJSON = JSON.parse(organization.features || "{}");
+      featuresJSON.shortLinkTracking = enabled;
+      organization.features = JSON.stringify(featuresJSON);
+
+      await organization.save();
+      await organizationCache.clear(organizationId);
+
+      return await Organization.get(organizationId);
+    },
+
+    updateLinkDomainHealthPolicy: async (
+      _ignore,
+      { organizationId, policy },
+      { user }
+    ) => {
+      // verify permissions
+      await accessRequired(user, organizationId, "OWNER", /* superadmin*/ true);
+
+      const policyErrors = validateLinkDomainHealthPolicy(policy);
+      if (policyErrors.length > 0) {
+        throw new GraphQLError(policyErrors.join(" "));
+      }
+
+      const organization = await Organization.get(organizationId);
+      const featuresJSON = JSON.parse(organization.features || "{}");
+      featuresJSON.linkDomainHealthPolicy = policy;
+      organization.features = JSON.stringify(featuresJSON);
+
+      await organization.save();
+      await organizationCache.clear(organizationId);
+
+      return await Organization.get(organizationId);
+    },
+
     megaReassignCampaignContacts: async (
       _ignore,
       { organizationId, campaignIdsContactIds, newTexterUserIds },
@@ -2429,38 +3354,243 @@ const rootMutations = {
 
       return await Organization.get(organizationId);
     },
-    saveTag: async (_, { organizationId, tag }, { user }) => {
+    createMessagingService: async (
+      _,
+      { organizationId, messagingService },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "OWNER");
+
+      const {
+        messagingServiceSid,
+        name = "",
+        serviceType,
+        accountSid = "",
+        authToken,
+        isActive = true,
+        maxMessagesPerSecond = null
+      } = messagingService;
+      if (!messagingServiceSid || !serviceType || !authToken) {
+        throw new Error(
+          "A messaging service needs an ID, a service type and a secret"
+        );
+      }
+      validateMaxMessagesPerSecond(maxMessagesPerSecond);
+
+      const existing = await r
+        .knex("messaging_service")
+        .where({ messaging_service_sid: messagingServiceSid })
+        .first("messaging_service_sid");
+      if (existing) {
+        throw new Error(
+          `Messaging service ${messagingServiceSid} already exists`
+        );
+      }
+
+      const service_type = serviceType.replace(/_/g, "-");
+      await validateMessagingServiceCredentials(service_type, {
+        messagingServiceSid,
+        accountSid,
+        authToken
+      });
+
+      const [created] = await r
+        .knex("messaging_service")
+        .insert({
+          messaging_service_sid: messagingServiceSid,
+          organization_id: organizationId,
+          name,
+          service_type,
+          account_sid: accountSid,
+          encrypted_auth_token: symmetricEncrypt(authToken),
+          is_active: isActive,
+          max_messages_per_second: maxMessagesPerSecond
+        })
+        .returning("*");
+      return created;
+    },
+    updateMessagingService: async (
+      _,
+      { organizationId, messagingServiceId, messagingService },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "OWNER");
+
+      const existing = await r
+        .knex("messaging_service")
+        .where({
+          messaging_service_sid: messagingServiceId,
+          organization_id: organizationId
+        })
+        .first();
+      if (!existing) throw new Error("No matching messaging service!");
+
+      const {
+        name,
+        accountSid,
+        authToken,
+        isActive,
+        isHealthy,
+        maxMessagesPerSecond
+      } = messagingService;
+      validateMaxMessagesPerSecond(maxMessagesPerSecond);
+      // A null limit removes it, so only undefined values are left out. Resolvers take the
+      // root value as `_`, which hides lodash here.
+      const updates = {};
+      Object.entries({
+        name,
+        account_sid: accountSid,
+        is_active: isActive,
+        max_messages_per_second: maxMessagesPerSecond
+      }).forEach(([column, value]) => {
+        if (value !== undefined) updates[column] = value;
+      });
+      // Marking a service healthy by hand restarts its health check from scratch
+      if (isHealthy !== undefined && isHealthy !== existing.is_healthy) {
+        updates.is_healthy = isHealthy;
+        updates.health_changed_at = r.knex.fn.now();
+      }
+
+      // Only check credentials again when they change
+      if (accountSid !== undefined || authToken) {
+        await validateMessagingServiceCredentials(existing.service_type, {
+          messagingServiceSid: messagingServiceId,
+          accountSid:
+            accountSid !== undefined ? accountSid : existing.account_sid,
+          authToken:
+            authToken || symmetricDecrypt(existing.encrypted_auth_token)
+        });
+      }
+      if (authToken) {
+        updates.encrypted_auth_token = symmetricEncrypt(authToken);
+      }
+      if (Object.keys(updates).length === 0) return existing;
+
+      const isDeactivated = existing.is_active && updates.is_active === false;
+      return r.knex.transaction(async trx => {
+        const [updated] = await trx("messaging_service")
+          .update(updates)
+          .where({ messaging_service_sid: messagingServiceId })
+          .returning("*");
+        // Cells stuck to a deactivated service would otherwise keep sending through it
+        if (isDeactivated) {
+          const movedCount = await rebalanceMessagingServiceSticks(
+            trx,
+            organizationId,
+            messagingServiceId
+          );
+          logger.info(
+            `Moved ${movedCount} cells off of deactivated messaging service ${messagingServiceId}`
+          );
+        }
+        return updated;
+      });
+    },
+    deleteMessagingService: async (
+      _,
+      { organizationId, messagingServiceId },
+      { user }
+    ) => {
+      await accessRequired(user, organizationId, "OWNER");
+
+      const existing = await r
+        .knex("messaging_service")
+        .where({
+          messaging_service_sid: messagingServiceId,
+          organization_id: organizationId
+        })
+        .first();
+      if (!existing) throw new Error("No matching messaging service!");
+
+      await r.knex.transaction(async trx => {
+        const movedCount = await rebalanceMessagingServiceSticks(
+          trx,
+          organizationId,
+          messagingServiceId
+        );
+        logger.info(
+          `Moved ${movedCount} cells off of deleted messaging service ${messagingServiceId}`
+        );
+        await trx("messaging_service")
+          .where({ messaging_service_sid: messagingServiceId })
+          .del();
+      });
+      return existing;
+    },
+    saveTag: async (_, { organizationId, tag: tagInput }, { user }) => {
       await accessRequired(user, organizationId, "ADMIN");
 
+      const tag = Object.assign({}, tagInput, {
+        confirmationSteps: normalizeConfirmationSteps(
+          tagInput.confirmationSteps
+        )
+      });
+      const tagErrors = findTagErrors(tag);
+      if (tagErrors.length > 0) {
+        throw new GraphQLError(tagErrors.join(" "));
+      }
+
+      const actionHandler = tag.actionHandler || null;
+      if (actionHandler) {
+        if (!supportsTagActions(getActionHandler(actionHandler))) {
+          throw new GraphQLError(
+            `The action ${actionHandler} cannot be triggered by tags.`
+          );
+        }
+        const errors = findAnswerActionsDataErrors(
+          actionHandler,
+          tag.actionData
+        );
+        if (errors.length > 0) {
+          throw new GraphQLError(
+            `The tag's action is not set up: ${errors.join(" ")}`
+          );
+        }
+      }
+      const existingTag = tag.id
+        ? await r
+            .knex("tag")
+            .where({ id: tag.id, organization_id: organizationId })
+            .first()
+        : null;
+      if (tag.id && !existingTag) {
+        throw new Error("No matching tag to update!");
+      }
+      if (isSystemTagChange(tag, existingTag)) {
+        await accessRequired(user, organizationId, "OWNER", true);
+      }
+      const columns = Object.assign(getTagColumns(tag, existingTag), {
+        action_handler: actionHandler,
+        // Secrets left blank are kept from the saved settings of the same action
+        action_data: prepareAnswerActionsData(
+          actionHandler,
+          tag.actionData,
+          existingTag && existingTag.action_handler === actionHandler
+            ? existingTag.action_data
+            : null
+        ),
+        undo_action_on_remove: !!(actionHandler && tag.undoActionOnRemove)
+      });
+
       // Update existing tag
-      if (tag.id) {
+      if (existingTag) {
         const [updatedTag] = await r
           .knex("tag")
-          .update({
-            title: tag.title,
-            description: tag.description,
-            is_assignable: tag.isAssignable
-          })
-          .where({
-            id: tag.id,
-            organization_id: organizationId,
-            is_system: false
-          })
+          .update(columns)
+          .where({ id: existingTag.id })
           .returning("*");
-        if (!updatedTag) throw new Error("No matching tag to update!");
         return updatedTag;
       }
 
       // Create new tag
       const [newTag] = await r
         .knex("tag")
-        .insert({
-          organization_id: organizationId,
-          author_id: user.id,
-          title: tag.title,
-          description: tag.description,
-          is_assignable: tag.isAssignable
-        })
+        .insert(
+          Object.assign(columns, {
+            organization_id: organizationId,
+            author_id: user.id
+          })
+        )
         .returning("*");
       return newTag;
     },
@@ -2712,29 +3842,16 @@ const rootResolvers = {
       await superAdminRequired(user);
       return r.table("organization");
     },
-    availableActions: (_, { organizationId }, { user }) => {
-      if (!config.ACTION_HANDLERS) {
-        return [];
-      }
-      const allHandlers = config.ACTION_HANDLERS.split(",");
-
-      const availableHandlers = allHandlers
-        .map(handler => {
-          return {
-            name: handler,
-            handler: require(`../action_handlers/${handler}.js`)
-          };
-        })
-        .filter(async h => h && (await h.handler.available(organizationId)));
-
-      const availableHandlerObjects = availableHandlers.map(handler => {
-        return {
-          name: handler.name,
-          display_name: handler.handler.displayName(),
-          instructions: handler.handler.instructions()
-        };
-      });
-      return availableHandlerObjects;
+    availableActions: async (_, { organizationId, forTags }, { user }) => {
+      const handlers = await getAvailableActionHandlers(
+        organizationId,
+        forTags
+      );
+      return handlers.map(({ name, handler }) => ({
+        name,
+        display_name: handler.displayName(),
+        instructions: handler.instructions()
+      }));
     },
     conversations: async (
       _,
@@ -2852,6 +3969,14 @@ export const resolvers = {
   ...questionResponseResolvers,
   ...inviteResolvers,
   ...linkDomainResolvers,
+  ...shortLinkResolvers,
+  ...scriptVariantResolvers,
+  ...languageStatsResolvers,
+  ...scriptTemplateResolvers,
+  ...actionHandlerLogResolvers,
+  ...actionHandlerResolvers,
+  ...deliverabilityReportResolvers,
+  ...messagingServiceResolvers,
   ...{ Date: GraphQLDate },
   ...{ JSON: GraphQLJSON },
   ...{ Phone: GraphQLPhone },
@@ -0,0 +1,71 @@
+import { r } from "../models";
+import { summarizeScriptTemplateContent } from "./lib/script-templates";
+
+export const resolvers = {
+  ScriptTemplate: {
+    id: template => template.id,
+    name: template => template.name,
+    description: template => template.description,
+    createdAt: template => template.created_at,
+    updatedAt: template => template.updated_at,
+    latestVersion: async template =>
+      r
+        .reader("script_template_version")
+        .where({ script_template_id: template.id })
+        .orderBy("version", "desc")
+        .first(),
+    versions: async template =>
+      r
+        .reader("script_template_version")
+        .where({ script_template_id: template.id })
+        .orderBy("version", "desc"),
+    campaignCount: async template =>
+      r.getCount(
+        r
+          .reader("campaign")
+          .join(
+            "script_template_version",
+            "script_template_version.id",
+            "campaign.script_template_version_id"
+          )
+          .where({ "script_template_version.script_template_id": template.id })
+      )
+  },
+  ScriptTemplateVersion: {
+    id: version => version.id,
+    version: version => version.version,
+    template: async version =>
+      r
+        .reader("script_template")
+        .where({ id: version.script_template_id })
+        .first(),
+    content: version => version.content,
+    // The file downloaded from the library; importing it restores the same scripts
+    exportData: async version => {
+      const template = await r
+        .reader("script_template")
+        .where({ id: version.script_template_id })
+        .first("name", "description");
+      return Object.assign(
+        {
+          name: template.name,
+          description: template.description,
+          templateVersion: version.version
+        },
+        version.content
+      );
+    },
+    questionCount: version =>
+      summarizeScriptTemplateContent(version.content).questionCount,
+    cannedResponseCount: version =>
+      summarizeScriptTemplateContent(version.content).cannedResponseCount,
+    creator: async version =>
+      version.creator_id
+        ? r
+            .reader("user")
+            .where({ id: version.creator_id })
+            .first()
+        : null,
+    createdAt: version => version.created_at
+  }
+};
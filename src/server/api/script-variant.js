@@ -0,0 +1,101 @@
+import { r } from "../models";
+
+// Each contact's first message from a step, with the script option it was written from
+const VARIANT_CONTACTS_SQL = `
+  select distinct on (message.campaign_contact_id)
+    message.campaign_contact_id,
+    message.script_variant,
+    message.created_at
+  from message
+  join campaign_contact
+    on campaign_contact.id = message.campaign_contact_id
+  where
+    campaign_contact.campaign_id = ?
+    and message.interaction_step_id = ?
+    and message.script_variant is not null
+    and message.is_from_contact = false
+  order by message.campaign_contact_id, message.created_at
+`;
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Compare how contacts responded to each script option of an interaction step.
+ * @param {number} campaignId
+ * @param {number} interactionStepId
+ * @returns {Promise<object[]>} One entry per script option, including options not sent yet
+ */
+export const getScriptVariantStats = async (campaignId, interactionStepId) => {
+  const [step, { rows: variantRows }, { rows: answerRows }] = await Promise.all(
+    [
+      r
+        .reader("interaction_step")
+        .where({ id: interactionStepId, campaign_id: campaignId })
+        .first(),
+      r.reader.raw(
+        `
+          with variant_contact as (${VARIANT_CONTACTS_SQL})
+          select
+            variant_contact.script_variant,
+            count(*) as contact_count,
+            count(*) filter (
+              where exists (
+                select 1
+                from message as reply
+                where
+                  reply.campaign_contact_id = variant_contact.campaign_contact_id
+                  and reply.is_from_contact
+                  and reply.created_at > variant_contact.created_at
+              )
+            ) as reply_count,
+            count(*) filter (where campaign_contact.is_opted_out) as opt_out_count
+          from variant_contact
+          join campaign_contact
+            on campaign_contact.id = variant_contact.campaign_contact_id
+          group by variant_contact.script_variant
+        `,
+        [campaignId, interactionStepId]
+      ),
+      r.reader.raw(
+        `
+          with variant_contact as (${VARIANT_CONTACTS_SQL})
+          select
+            variant_contact.script_variant,
+            question_response.value,
+            count(*) as count
+          from variant_contact
+          join question_response
+            on question_response.campaign_contact_id = variant_contact.campaign_contact_id
+          where question_response.interaction_step_id = ?
+          group by variant_contact.script_variant, question_response.value
+          order by count(*) desc
+        `,
+        [campaignId, interactionStepId, interactionStepId]
+      )
+    ]
+  );
+  if (!step) return [];
+
+  const scriptOptions = step.script_options || [step.script];
+  return scriptOptions.map((script, variant) => {
+    const counts = variantRows.find(row => row.script_variant === variant);
+    return {
+      interactionStep: step,
+      variant,
+      script,
+      contactCount: counts ? parseInt(counts.contact_count) : 0,
+      replyCount: counts ? parseInt(counts.reply_count) : 0,
+      optOutCount: counts ? parseInt(counts.opt_out_count) : 0,
+      answers: answerRows
+        .filter(row => row.script_variant === variant)
+        .map(row => ({ value: row.value, count: parseInt(row.count) }))
+    };
+  });
+};
+
+export const resolvers = {
+  ScriptVariantStats: {
+    replyRate: stats => rate(stats.replyCount, stats.contactCount),
+    optOutRate: stats => rate(stats.optOutCount, stats.contactCount)
+  }
+};
@@ -0,0 +1,114 @@
+import { r } from "../models";
+
+// Click counts per short link for a campaign, leaving out link preview fetches
+const campaignClickCounts = campaignId =>
+  r
+    .reader("short_link_click")
+    .join("short_link", "short_link.id", "short_link_click.short_link_id")
+    .where({
+      "short_link.campaign_id": campaignId,
+      "short_link_click.is_preview": false
+    })
+    .groupBy("short_link_click.short_link_id")
+    .select(
+      "short_link_click.short_link_id",
+      r.reader.raw("count(*) as click_count"),
+      r.reader.raw("max(short_link_click.created_at) as last_clicked_at")
+    )
+    .as("clicks");
+
+const campaignLinkStats = campaignId =>
+  r
+    .reader("short_link")
+    .leftJoin(
+      campaignClickCounts(campaignId),
+      "clicks.short_link_id",
+      "short_link.id"
+    )
+    .where({ "short_link.campaign_id": campaignId })
+    .select(
+      r.reader.raw("count(*) as link_count"),
+      r.reader.raw(
+        "count(distinct short_link.campaign_contact_id) as recipient_count"
+      ),
+      r.reader.raw("coalesce(sum(clicks.click_count), 0) as click_count"),
+      r.reader.raw(
+        "count(distinct short_link.campaign_contact_id) filter (where clicks.click_count > 0) as clicker_count"
+      )
+    );
+
+export const getCampaignLinkClickStats = async campaignId =>
+  campaignLinkStats(campaignId).first();
+
+export const getScriptLinkClickStats = async campaignId => {
+  const rows = await campaignLinkStats(campaignId)
+    .select("short_link.interaction_step_id")
+    .groupBy("short_link.interaction_step_id")
+    .orderBy("short_link.interaction_step_id");
+  return rows.map(stats => ({
+    interactionStepId: stats.interaction_step_id,
+    stats
+  }));
+};
+
+export const getContactLinkClicks = async (campaignId, limit) =>
+  r
+    .reader("short_link")
+    .join(
+      "campaign_contact",
+      "campaign_contact.id",
+      "short_link.campaign_contact_id"
+    )
+    .leftJoin(
+      campaignClickCounts(campaignId),
+      "clicks.short_link_id",
+      "short_link.id"
+    )
+    .where({ "short_link.campaign_id": campaignId })
+    .groupBy("campaign_contact.id")
+    .select(
+      "campaign_contact.id as campaign_contact_id",
+      "campaign_contact.first_name",
+      "campaign_contact.last_name",
+      "campaign_contact.cell",
+      r.reader.raw("count(*) as link_count"),
+      r.reader.raw("coalesce(sum(clicks.click_count), 0) as click_count"),
+      r.reader.raw("max(clicks.last_clicked_at) as last_clicked_at")
+    )
+    .havingRaw("coalesce(sum(clicks.click_count), 0) > 0")
+    .orderByRaw("max(clicks.last_clicked_at) desc")
+    .limit(limit);
+
+export const resolvers = {
+  LinkClickStats: {
+    linkCount: stats => parseInt(stats.link_count),
+    recipientCount: stats => parseInt(stats.recipient_count),
+    clickCount: stats => parseInt(stats.click_count),
+    clickerCount: stats => parseInt(stats.clicker_count),
+    // Share of contacts sent a link who clicked at least one
+    clickThroughRate: stats => {
+      const recipientCount = parseInt(stats.recipient_count);
+      return recipientCount > 0
+        ? parseInt(stats.clicker_count) / recipientCount
+        : null;
+    }
+  },
+  ScriptLinkClickStats: {
+    interactionStep: async ({ interactionStepId }) =>
+      interactionStepId
+        ? r
+            .reader("interaction_step")
+            .where({ id: interactionStepId })
+            .first()
+        : null
+  },
+  ContactLinkClicks: {
+    campaignContactId: contact => contact.campaign_contact_id,
+    firstName: contact => contact.first_name,
+    lastName: contact => contact.last_name,
+    cell: contact => contact.cell,
+    linkCount: contact => parseInt(contact.link_count),
+    clickCount: contact => parseInt(contact.click_count),
+    lastClickedAt: contact => contact.last_clicked_at
+  }
+};
@@ -1,5 +1,6 @@
 import { r } from "../models";
 import { accessRequired } from "./errors";
+import { redactAnswerActionsData } from "./lib/action-handlers";
 
 export const resolvers = {
   Tag: {
@@ -16,6 +17,10 @@ export const resolvers = {
     confirmationSteps: async tag => tag.confirmation_steps,
     onApplyScript: async tag => tag.on_apply_script,
     webhookUrl: async tag => tag.webhook_url,
+    actionHandler: async tag => tag.action_handler || null,
+    actionData: async tag =>
+      redactAnswerActionsData(tag.action_handler, tag.action_data),
+    undoActionOnRemove: async tag => tag.undo_action_on_remove,
     isAssignable: async tag => tag.is_assignable,
     isSystem: async tag => tag.is_system,
     createdAt: async tag => tag.created_at,
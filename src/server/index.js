@@ -10,7 +10,11 @@ import { setupUserNotificationObservers } from "./notifications";
 import basicAuth from "express-basic-auth";
 import { fulfillPendingRequestFor } from "./api/assignment";
 import requestLogging from "../lib/request-logging";
-import { checkForBadDeliverability } from "./api/lib/alerts";
+import {
+  checkForBadDeliverability,
+  checkMessagingServiceHealth,
+  checkLinkDomainHealth
+} from "./api/lib/alerts";
 import cron from "node-cron";
 import hotShots from "hot-shots";
 import connectDatadog from "connect-datadog-graphql";
@@ -20,7 +24,8 @@ import {
   nexmoRouter,
   twilioRouter,
   assembleRouter,
-  utilsRouter
+  utilsRouter,
+  shortLinksRouter
 } from "./routes";
 
 process.on("uncaughtException", ex => {
@@ -29,6 +34,8 @@ process.on("uncaughtException", ex => {
 });
 
 cron.schedule("0 */1 * * *", checkForBadDeliverability);
+cron.schedule("*/5 * * * *", checkMessagingServiceHealth);
+cron.schedule("*/10 * * * *", checkLinkDomainHealth);
 
 setupUserNotificationObservers();
 
@@ -93,6 +100,7 @@ app.use(nexmoRouter);
 app.use(twilioRouter);
 app.use(assembleRouter);
 app.use(utilsRouter);
+app.use(shortLinksRouter);
 
 app.post(
   "/autoassign",
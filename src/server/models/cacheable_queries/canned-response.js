@@ -2,7 +2,7 @@ import { config } from "../../../config";
 import { r } from "../../models";
 
 // Datastructure:
-// * regular GET/SET with JSON ordered list of the objects {id,title,text}
+// * regular GET/SET with JSON ordered list of the objects {id,title,text,translations}
 // * keyed by campaignId-userId pairs -- userId is '' for global campaign records
 // Requirements:
 // * needs an order
@@ -34,6 +34,7 @@ export const cannedResponseCache = {
         id: cannedRes.id,
         title: cannedRes.title,
         text: cannedRes.text,
+        translations: cannedRes.translations,
         user_id: cannedRes.user_id
       }));
       await r.redis
@@ -1,6 +1,9 @@
+import _ from "lodash";
+
 import { config } from "../../../config";
 import logger from "../../../logger";
 import { r } from "../../models";
+import { OptOutEventType, OptOutEventSource } from "../../../api/opt-out";
 
 // STRUCTURE
 // maybe HASH by organization, so optout-<organization_id> has a <cell> key
@@ -37,13 +40,24 @@ const loadMany = async organizationId => {
   }
 };
 
+// Every opt-out and opt-in is recorded so suppression of a cell can be explained later
+const recordEvent = ({ cell, organizationId, type, source, reason, userId }) =>
+  r.knex("opt_out_event").insert({
+    cell,
+    organization_id: organizationId,
+    event_type: type,
+    source,
+    reason: reason || "",
+    user_id: userId
+  });
+
 export const optOutCache = {
   clearQuery: async ({ cell, organizationId }) => {
     // remove cache by organization
     // (if no cell is present, then clear whole query of organization)
     if (r.redis) {
       if (cell) {
-        await r.redis.sdelAsync(orgCacheKey(organizationId), cell);
+        await r.redis.sremAsync(orgCacheKey(organizationId), cell);
       } else {
         await r.redis.delAsync(orgCacheKey(organizationId));
       }
@@ -80,7 +94,15 @@ export const optOutCache = {
       .limit(1);
     return dbResult.length > 0;
   },
-  save: async ({ cell, organizationId, assignmentId, reason }) => {
+  save: async ({
+    cell,
+    organizationId,
+    assignmentId,
+    reason,
+    isAutomatic = false,
+    source = OptOutEventSource.TEXTER,
+    userId = null
+  }) => {
     const updateQueryParams = { "campaign_contact.cell": cell };
     if (!sharingOptOuts) {
       updateQueryParams["campaign.organization_id"] = organizationId;
@@ -99,8 +121,17 @@ export const optOutCache = {
         assignment_id: assignmentId,
         organization_id: organizationId,
         reason_code: reason,
+        is_automatic: isAutomatic,
         cell
       });
+      await recordEvent({
+        cell,
+        organizationId,
+        type: OptOutEventType.OPT_OUT,
+        source,
+        reason,
+        userId
+      });
     } catch (error) {
       logger.error("Error creating opt-out", error);
     }
@@ -119,5 +150,104 @@ export const optOutCache = {
         is_opted_out: true
       });
   },
+  // `onlyAutomatic` limits the removal to keyword opt-outs, leaving manual ones in place
+  remove: async ({
+    cell,
+    organizationId,
+    source,
+    reason,
+    userId = null,
+    onlyAutomatic = false
+  }) => {
+    const optOutParams = { cell };
+    const updateQueryParams = { "campaign_contact.cell": cell };
+    if (!sharingOptOuts) {
+      optOutParams.organization_id = organizationId;
+      updateQueryParams["campaign.organization_id"] = organizationId;
+    }
+
+    if (onlyAutomatic) optOutParams.is_automatic = true;
+
+    await optOutCache.clearQuery({ cell, organizationId });
+    await r
+      .knex("opt_out")
+      .where(optOutParams)
+      .del();
+    await recordEvent({
+      cell,
+      organizationId,
+      type: OptOutEventType.OPT_IN,
+      source,
+      reason,
+      userId
+    });
+
+    const contactIds = await r
+      .reader("campaign_contact")
+      .leftJoin("campaign", "campaign_contact.campaign_id", "campaign.id")
+      .where(updateQueryParams)
+      .pluck("campaign_contact.id");
+    await r
+      .knex("campaign_contact")
+      .whereIn("id", contactIds)
+      .update({
+        is_opted_out: false
+      });
+    return contactIds;
+  },
+  // Opt out many cells at once, e.g. from an import. Cells that are already opted out (in any
+  // organization, when sharing opt-outs) are skipped. Returns the newly opted-out cells.
+  saveMany: async ({
+    cells,
+    organizationId,
+    source,
+    reason,
+    userId = null
+  }) => {
+    let existingQuery = r.knex("opt_out").whereIn("cell", cells);
+    if (!sharingOptOuts) {
+      existingQuery = existingQuery.where({ organization_id: organizationId });
+    }
+    const existingCells = await existingQuery.distinct().pluck("cell");
+    const newCells = _.difference(_.uniq(cells), existingCells);
+    if (newCells.length === 0) return newCells;
+
+    await r.knex.transaction(async trx => {
+      await trx("opt_out").insert(
+        newCells.map(cell => ({
+          cell,
+          organization_id: organizationId,
+          assignment_id: null,
+          reason_code: reason || ""
+        }))
+      );
+      await trx("opt_out_event").insert(
+        newCells.map(cell => ({
+          cell,
+          organization_id: organizationId,
+          event_type: OptOutEventType.OPT_OUT,
+          source,
+          reason: reason || "",
+          user_id: userId
+        }))
+      );
+
+      let contactsQuery = trx("campaign_contact").whereIn("cell", newCells);
+      if (!sharingOptOuts) {
+        contactsQuery = contactsQuery.whereIn(
+          "campaign_id",
+          trx("campaign")
+            .select("id")
+            .where({ organization_id: organizationId })
+        );
+      }
+      await contactsQuery.update({ is_opted_out: true });
+    });
+
+    // Simpler to reload the whole set than to add each cell
+    await optOutCache.clearQuery({ organizationId });
+    return newCells;
+  },
+  recordEvent,
   loadMany
 };
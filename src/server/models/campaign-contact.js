@@ -18,6 +18,8 @@ const CampaignContact = thinky.createModel(
       last_name: optionalString(),
       cell: requiredString(),
       zip: optionalString(),
+      // language code; null texts the contact in the campaign's primary language
+      language: type.string().allowNull(true),
       custom_fields: requiredString().default("{}"),
       created_at: timestamp(),
       updated_at: timestamp(),
@@ -15,6 +15,7 @@ const CannedResponse = thinky.createModel(
       text: requiredString(),
       title: requiredString(),
       user_id: optionalString(),
+      // translations: json map of language code to text; thinky has no json type
       created_at: timestamp()
     })
     .allowExtra(false),
@@ -15,6 +15,7 @@ const InteractionStep = thinky.createModel(
       question: optionalString(),
       script: optionalString(),
       // script_options: [type.string()], // thinky does not support rethink-style list properties
+      // script_translations: json map of language code to script options, also unsupported
       created_at: timestamp(),
 
       // Previously there were answer options, and no such thing as
@@ -27,6 +28,7 @@ const InteractionStep = thinky.createModel(
       parent_interaction_id: optionalString().foreign("interaction_step"),
       answer_option: optionalString(), // (was 'value')
       answer_actions: optionalString(),
+      // answer_actions_data: json settings for the answer's action, also unsupported
       is_deleted: type
         .boolean()
         .default(false)
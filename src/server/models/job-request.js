@@ -10,7 +10,9 @@ const JobRequest = thinky.createModel(
     .object()
     .schema({
       id: type.string(),
-      campaign_id: requiredString(),
+      // Organization-level jobs are not tied to a campaign
+      campaign_id: type.string().allowNull(true),
+      organization_id: type.string().allowNull(true),
       payload: requiredString(),
       queue_name: requiredString(),
       job_type: requiredString(),
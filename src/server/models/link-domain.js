@@ -20,7 +20,27 @@ const LinkDomain = thinky.createModel(
         .required()
         .default(false),
       cycled_out_at: timestamp(),
-      created_at: timestamp()
+      created_at: timestamp(),
+      pool_id: type.string().allowNull(true),
+      weight: type
+        .number()
+        .integer()
+        .required()
+        .default(1),
+      daily_cap: type
+        .number()
+        .integer()
+        .allowNull(true),
+      daily_usage_count: type
+        .number()
+        .integer()
+        .required()
+        .default(0),
+      daily_usage_date: type.date().allowNull(true),
+      rotation_pass: type
+        .number()
+        .required()
+        .default(0)
     })
     .allowExtra(false),
   { noAutoCreation: true }
@@ -36,6 +36,16 @@ const Message = thinky.createModel(
       campaign_contact_id: requiredString(),
       service: optionalString(),
       service_id: optionalString().stopReference(),
+      // the messaging service an outbound message was sent through
+      messaging_service_sid: optionalString().stopReference(),
+      // carrier error code from the latest delivery report, if any
+      error_code: optionalString(),
+      // the interaction step and script option an outbound message was written from, if any
+      interaction_step_id: type.string().allowNull(true),
+      script_variant: type
+        .number()
+        .integer()
+        .allowNull(true),
       send_status: requiredString().enum(
         "QUEUED",
         "SENDING",
@@ -43,7 +53,8 @@ const Message = thinky.createModel(
         "DELIVERED",
         "ERROR",
         "PAUSED",
-        "NOT_ATTEMPTED"
+        "NOT_ATTEMPTED",
+        "DEAD_LETTER"
       ),
       created_at: timestamp(),
       queued_at: timestamp(),
@@ -12,9 +12,11 @@ const OptOut = thinky.createModel(
     .schema({
       id: type.string(),
       cell: requiredString(),
-      assignment_id: requiredString(),
+      // Imported opt-outs are not tied to an assignment
+      assignment_id: type.string().allowNull(true),
       organization_id: requiredString(),
       reason_code: optionalString(),
+      is_automatic: type.boolean().default(false),
       created_at: timestamp()
     })
     .allowExtra(false),
@@ -0,0 +1,35 @@
+import express from "express";
+const router = express.Router();
+
+import logger from "../../logger";
+import { r } from "../models";
+import { isPreviewUserAgent } from "../api/lib/short-links";
+
+router.get("/l/:token", async (req, res) => {
+  try {
+    const shortLink = await r
+      .reader("short_link")
+      .where({ token: req.params.token })
+      .first("id", "target_url");
+    if (!shortLink) return res.sendStatus(404);
+
+    const userAgent = req.get("User-Agent") || null;
+    try {
+      await r.knex("short_link_click").insert({
+        short_link_id: shortLink.id,
+        user_agent: userAgent,
+        is_preview: isPreviewUserAgent(userAgent)
+      });
+    } catch (err) {
+      // Never keep the contact from their destination because a click could not be logged
+      logger.error(`Error logging click for short link ${shortLink.id}`, err);
+    }
+
+    return res.redirect(302, shortLink.target_url);
+  } catch (err) {
+    logger.error(`Error following short link ${req.params.token}`, err);
+    return res.sendStatus(500);
+  }
+});
+
+export default router;
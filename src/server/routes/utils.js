@@ -2,8 +2,12 @@ import express from "express";
 const router = express.Router();
 import googleLibPhoneNumber from "google-libphonenumber";
 
+import _ from "lodash";
+
 import { config } from "../../config";
-import { r } from "../models";
+import logger from "../../logger";
+import { r, cacheableData } from "../models";
+import { OptOutEventSource } from "../../api/opt-out";
 
 const phoneUtil = googleLibPhoneNumber.PhoneNumberUtil.getInstance();
 const PNF = googleLibPhoneNumber.PhoneNumberFormat;
@@ -31,6 +35,132 @@ router.post("/remove-number-from-campaign", async (req, res) => {
   return res.sendStatus(200);
 });
 
+const OPT_OUT_SYNC_PAGE_SIZE = 1000;
+
+const optOutSyncAuth = (req, res, next) => {
+  if (!req.query.secret || req.query.secret !== config.OPT_OUT_SYNC_SECRET)
+    return res.sendStatus(403);
+  return next();
+};
+
+// Returns an error message when `organizationId` does not name an existing organization
+const checkSyncOrganization = async organizationId => {
+  if (!/^\d+$/.test(String(organizationId))) {
+    return "Invalid `organizationId`";
+  }
+  const organization = await r
+    .reader("organization")
+    .where({ id: parseInt(organizationId, 10) })
+    .first("id");
+  return organization ? null : "Unknown `organizationId`";
+};
+
+// Pull opt-out and opt-in events for an organization, oldest first. Start from a timestamp with
+// `since`, then page with `afterId` set to the returned `nextAfterId` until `events` is empty.
+// Events created in the same bulk import share a timestamp, so paging is by event ID.
+// When opt-outs are shared, every organization's events apply to this organization.
+router.get("/opt-outs", optOutSyncAuth, async (req, res) => {
+  const { organizationId, since, afterId } = req.query;
+  if (!organizationId) {
+    return res
+      .status(400)
+      .json({ error: "Missing `organizationId` query parameter" });
+  }
+
+  try {
+    const organizationError = await checkSyncOrganization(organizationId);
+    if (organizationError) {
+      return res.status(400).json({ error: organizationError });
+    }
+
+    let query = r
+      .reader("opt_out_event")
+      .orderBy("id")
+      .limit(OPT_OUT_SYNC_PAGE_SIZE);
+    if (!config.OPTOUTS_SHARE_ALL_ORGS) {
+      query = query.where({ organization_id: organizationId });
+    }
+    if (since) {
+      const sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ error: "Invalid `since` timestamp" });
+      }
+      query = query.where("created_at", ">", sinceDate);
+    }
+    if (afterId) {
+      const afterIdNumber = parseInt(afterId, 10);
+      if (isNaN(afterIdNumber)) {
+        return res.status(400).json({ error: "Invalid `afterId`" });
+      }
+      query = query.where("id", ">", afterIdNumber);
+    }
+
+    const events = await query;
+    return res.json({
+      events: events.map(event => ({
+        id: event.id,
+        cell: event.cell,
+        type: event.event_type,
+        source: event.source,
+        reason: event.reason,
+        createdAt: event.created_at
+      })),
+      nextAfterId: events.length
+        ? events[events.length - 1].id
+        : afterId || null
+    });
+  } catch (err) {
+    logger.error("Error pulling opt-outs", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Push opt-outs for an organization. Cells that are already opted out are skipped.
+router.post("/opt-outs", optOutSyncAuth, async (req, res) => {
+  const { organizationId, cells, reason } = req.body;
+  if (!organizationId || !Array.isArray(cells)) {
+    return res
+      .status(400)
+      .json({ error: "Request body requires `organizationId` and `cells`" });
+  }
+
+  try {
+    const organizationError = await checkSyncOrganization(organizationId);
+    if (organizationError) {
+      return res.status(400).json({ error: organizationError });
+    }
+
+    const normalizedCells = [];
+    const invalidCells = [];
+    cells.forEach(cell => {
+      try {
+        normalizedCells.push(normalize(cell));
+      } catch (err) {
+        invalidCells.push(cell);
+      }
+    });
+
+    let optedOutCount = 0;
+    for (const chunk of _.chunk(normalizedCells, OPT_OUT_SYNC_PAGE_SIZE)) {
+      const newCells = await cacheableData.optOut.saveMany({
+        cells: chunk,
+        organizationId,
+        source: OptOutEventSource.API,
+        reason: reason || "api"
+      });
+      optedOutCount += newCells.length;
+    }
+
+    logger.info(
+      `Opted out ${optedOutCount} cells for organization ${organizationId} via API`
+    );
+    return res.json({ optedOutCount, invalidCells });
+  } catch (err) {
+    logger.error("Error pushing opt-outs", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 // The health check endpoint should ensure that the database is reachable
 router.get("/health", async (req, res) => {
   try {
@@ -0,0 +1,6 @@
+import { actionHandlerRunner } from "./job-processes";
+import logger from "../logger";
+
+actionHandlerRunner().catch(err => {
+  logger.error(err);
+});
@@ -16,6 +16,11 @@ const DOMAIN_REGEX = new RegExp(
 
 const db = require("knex")(knexConfig);
 
+// Dead-lettered sends failed for good, so they are reported as errors, as the messaging
+// service health check counts them
+const isErrorStatus = sendStatus =>
+  sendStatus === "ERROR" || sendStatus === "DEAD_LETTER";
+
 async function chunkedMain() {
   const results = await db.raw(`
     select (to_char(period_ends_at, 'YYYY-MM-DD') || 'T' || to_char(period_ends_at, 'HH24:MI:SSZ')) as period_ends_at
@@ -50,10 +55,23 @@ async function chunkedMain() {
   }
 
   const messages = await db("message")
-    .select("text", "send_status")
-    .where({ is_from_contact: false })
-    .where("created_at", ">=", period_starts_at.toISOString())
-    .where("created_at", "<=", period_ends_at.toISOString());
+    .select(
+      "message.text",
+      "message.send_status",
+      "message.messaging_service_sid",
+      "message.error_code",
+      "campaign.id as campaign_id",
+      "campaign.organization_id"
+    )
+    .leftJoin(
+      "campaign_contact",
+      "campaign_contact.id",
+      "message.campaign_contact_id"
+    )
+    .leftJoin("campaign", "campaign.id", "campaign_contact.campaign_id")
+    .where({ "message.is_from_contact": false })
+    .where("message.created_at", ">=", period_starts_at.toISOString())
+    .where("message.created_at", "<=", period_ends_at.toISOString());
 
   const messageItems = messages.map(m => {
     const domain = extractDomain(m.text);
@@ -61,26 +79,45 @@ async function chunkedMain() {
 
     return {
       send_status: m.send_status,
+      error_code: m.error_code,
       domain: domain,
-      url_path: url_path
+      url_path: url_path,
+      organization_id: m.organization_id || null,
+      campaign_id: m.campaign_id || null,
+      messaging_service_sid: m.messaging_service_sid || null
     };
   });
 
   const grouped = {};
   messageItems.forEach(mi => {
-    const key = JSON.stringify({ domain: mi.domain, url_path: mi.url_path });
+    const key = JSON.stringify({
+      domain: mi.domain,
+      url_path: mi.url_path,
+      organization_id: mi.organization_id,
+      campaign_id: mi.campaign_id,
+      messaging_service_sid: mi.messaging_service_sid
+    });
 
     if (!grouped[key]) {
       grouped[key] = {
         total: 0,
         sent: 0,
         delivered: 0,
-        error: 0
+        error: 0,
+        errorCodes: {}
       };
     }
 
     grouped[key].total++;
-    grouped[key][mi.send_status.toLowerCase()]++;
+    if (isErrorStatus(mi.send_status)) {
+      grouped[key].error++;
+    } else {
+      grouped[key][mi.send_status.toLowerCase()]++;
+    }
+    if (isErrorStatus(mi.send_status) && mi.error_code) {
+      const { errorCodes } = grouped[key];
+      errorCodes[mi.error_code] = (errorCodes[mi.error_code] || 0) + 1;
+    }
   });
 
   const rows = Object.keys(grouped).map(key => {
@@ -93,7 +130,8 @@ async function chunkedMain() {
       count_total: grouped[key].total,
       count_delivered: grouped[key].delivered,
       count_sent: grouped[key].sent,
-      count_error: grouped[key].error
+      count_error: grouped[key].error,
+      error_codes: JSON.stringify(grouped[key].errorCodes)
     };
   });
 
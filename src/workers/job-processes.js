@@ -10,7 +10,10 @@ import {
   loadContactsFromDataWarehouse,
   loadContactsFromDataWarehouseFragment,
   assignTexters,
+  importOptOuts,
+  exportOptOuts,
   sendMessages,
+  runQueuedActions,
   handleIncomingMessageParts,
   fixOrgless,
   clearOldJobs
@@ -30,7 +33,9 @@ const jobMap = {
   export: exportCampaign,
   upload_contacts: uploadContacts,
   upload_contacts_sql: loadContactsFromDataWarehouse,
-  assign_texters: assignTexters
+  assign_texters: assignTexters,
+  import_opt_outs: importOptOuts,
+  export_opt_outs: exportOptOuts
 };
 
 export async function processJobs() {
@@ -118,27 +123,30 @@ export const messageSender789 = messageSenderCreator(function(mQuery) {
   );
 });
 
-export const failedMessageSender = messageSenderCreator(function(mQuery) {
-  // messages that were attempted to be sent five minutes ago in status=SENDING
-  // when JOBS_SAME_PROCESS is enabled, the send attempt is done immediately.
-  // However, if it's still marked SENDING, then it must have failed to go out.
-  // This is dangerous to run in a scheduled event because if there is
-  // any failure path that stops the status from updating, then users might keep getting
-  // texts over and over
-  const fiveMinutesAgo = new Date(new Date() - 1000 * 60 * 5);
-  return mQuery.where("created_at", ">", fiveMinutesAgo);
-}, "SENDING");
-
-export const failedDayMessageSender = messageSenderCreator(function(mQuery) {
-  // messages that were attempted to be sent five minutes ago in status=SENDING
-  // when JOBS_SAME_PROCESS is enabled, the send attempt is done immediately.
-  // However, if it's still marked SENDING, then it must have failed to go out.
-  // This is dangerous to run in a scheduled event because if there is
-  // any failure path that stops the status from updating, then users might keep getting
-  // texts over and over
-  const oneDayAgo = new Date(new Date() - 1000 * 60 * 60 * 24);
-  return mQuery.where("created_at", ">", oneDayAgo);
-}, "SENDING");
+export const retryMessageSender = messageSenderCreator(
+  function(mQuery) {
+    // failed sends whose backoff has passed, and sends whose lease ran out
+    return mQuery.whereNotNull("next_attempt_at");
+  },
+  ["QUEUED", "SENDING"]
+);
+
+export async function actionHandlerRunner(event) {
+  logger.info("Running the action handler runner");
+  let delay = 1000;
+  if (event && event.delay) {
+    delay = parseInt(event.delay, 10);
+  }
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      await sleep(delay);
+      await runQueuedActions();
+    } catch (ex) {
+      logger.error("Error running queued actions", ex);
+    }
+  }
+}
 
 export async function handleIncomingMessages() {
   setupUserNotificationObservers();
@@ -205,6 +213,8 @@ const processMap = {
   messageSender234,
   messageSender56,
   messageSender789,
+  retryMessageSender,
+  actionHandlerRunner,
   handleIncomingMessages,
   fixOrgless
 };
@@ -212,7 +222,8 @@ const processMap = {
 // if config.JOBS_SAME_PROCESS then we don't need to run
 // the others and messageSender should just pick up the stragglers
 const syncProcessMap = {
-  // 'failedMessageSender': failedMessageSender, //see method for danger
+  retryMessageSender,
+  actionHandlerRunner,
   handleIncomingMessages,
   checkMessageQueue,
   fixOrgless,
@@ -14,12 +14,22 @@ import {
 import { gunzip, zipToTimeZone, convertOffsetsToStrings } from "../lib";
 import { updateJob } from "./lib";
 import { getFormattedPhoneNumber } from "../lib/phone-format.js";
+import { normalizeLanguage } from "../lib/languages";
+import { OptOutEventSource } from "../api/opt-out";
 import serviceMap from "../server/api/lib/services";
 import {
   assignMissingMessagingServices,
+  attemptMessageSend,
   getLastMessage,
+  getMessageMediaUrls,
+  getSendLeaseExpiry,
   saveNewIncomingMessage
 } from "../server/api/lib/message-sending";
+import {
+  ActionHandlerLogStatus,
+  getActionLeaseExpiry,
+  runAction
+} from "../server/api/lib/action-handlers";
 import NumbersClient from "assemble-numbers-client";
 
 import AWS from "aws-sdk";
@@ -417,7 +427,8 @@ export async function loadContactsFromDataWarehouseFragment(jobEvent) {
     last_name: 1,
     cell: 1,
     zip: 1,
-    external_id: 1
+    external_id: 1,
+    language: 1
   };
   knexResult.fields.forEach(f => {
     fields[f.name] = 1;
@@ -450,6 +461,7 @@ export async function loadContactsFromDataWarehouseFragment(jobEvent) {
         cell: formatCell,
         zip: row.zip || "",
         external_id: row.external_id ? String(row.external_id) : "",
+        language: normalizeLanguage(row.language),
         assignment_id: null,
         message_status: "needsMessage"
       };
@@ -1063,9 +1075,9 @@ export async function assignTexters(job) {
 const fetchExportData = async job => {
   const { campaign_id: campaignId, payload: rawPayload } = job;
   const { requester: requesterId } = JSON.parse(rawPayload);
-  const { title: campaignTitle } = await r
+  const { title: campaignTitle, primary_language: primaryLanguage } = await r
     .reader("campaign")
-    .first("title")
+    .first("title", "primary_language")
     .where({ id: campaignId });
 
   const { email: notificationEmail } = await r
@@ -1094,6 +1106,7 @@ const fetchExportData = async job => {
   return {
     campaignId,
     campaignTitle,
+    primaryLanguage,
     notificationEmail,
     interactionSteps,
     assignments
@@ -1133,6 +1146,7 @@ const getUniqueQuestionsByStepId = interactionSteps => {
 const processContactsChunk = async (
   campaignId,
   campaignTitle,
+  primaryLanguage,
   questionsById,
   lastContactId = 0
 ) => {
@@ -1154,7 +1168,9 @@ const processContactsChunk = async (
         zip_code.state,
         question_response.interaction_step_id,
         question_response.value,
-        tags.tag_titles
+        tags.tag_titles,
+        short_links.link_count,
+        short_links.link_click_count
       from campaign_contacts
       left join question_response
         on question_response.campaign_contact_id = campaign_contacts.id
@@ -1170,10 +1186,23 @@ const processContactsChunk = async (
           group by campaign_contact_tag.campaign_contact_id
         ) as tags
         on tags.campaign_contact_id = campaign_contacts.id
+      left join (
+          select
+            short_link.campaign_contact_id,
+            count(distinct short_link.id) as link_count,
+            count(short_link_click.id) as link_click_count
+          from short_link
+          left join short_link_click
+            on short_link_click.short_link_id = short_link.id
+            and short_link_click.is_preview = false
+          where short_link.campaign_id = ?
+          group by short_link.campaign_contact_id
+        ) as short_links
+        on short_links.campaign_contact_id = campaign_contacts.id
         order by campaign_contacts.id asc
       ;
     `,
-    [campaignId, lastContactId, CHUNK_SIZE]
+    [campaignId, lastContactId, CHUNK_SIZE, campaignId]
   );
 
   if (rows.length === 0) return false;
@@ -1195,7 +1224,8 @@ const processContactsChunk = async (
       "contact[state]": contact.state || null,
       "contact[optOut]": contact.is_opted_out,
       "contact[messageStatus]": contact.message_status,
-      "contact[external_id]": contact.external_id
+      "contact[external_id]": contact.external_id,
+      "contact[language]": contact.language || primaryLanguage
     };
 
     // Append columns for custom fields
@@ -1216,6 +1246,8 @@ const processContactsChunk = async (
     });
 
     contactRow["tags"] = contact.tag_titles;
+    contactRow["linksSent"] = parseInt(contact.link_count || 0);
+    contactRow["linkClicks"] = parseInt(contact.link_click_count || 0);
 
     return contactRow;
   });
@@ -1248,6 +1280,8 @@ const processMessagesChunk = async (campaignId, lastContactId = 0) => {
         message.contact_number,
         message.is_from_contact,
         message.text,
+        message.media_urls,
+        message.num_segments,
         message.send_status,
         message.created_at,
         public.user.first_name,
@@ -1279,6 +1313,8 @@ const processMessagesChunk = async (campaignId, lastContactId = 0) => {
     sendStatus: message.send_status,
     attemptedAt: moment(message.created_at).toISOString(),
     text: message.text,
+    mediaUrls: getMessageMediaUrls(message).join(" "),
+    numSegments: message.num_segments,
     campaignId,
     "texter[firstName]": message.first_name,
     "texter[lastName]": message.last_name,
@@ -1294,6 +1330,21 @@ const exporters = {
   "gs-json": gsJson
 };
 
+const isCloudExportConfigured = () => {
+  const validAwsCredentials =
+    config.AWS_ACCESS_KEY_ID && config.AWS_SECRET_ACCESS_KEY;
+  const valudGcpCredentials = !!config.GOOGLE_APPLICATION_CREDENTIALS;
+  const validS3Config =
+    config.EXPORT_DRIVER === "s3" &&
+    (validAwsCredentials || config.AWS_ACCESS_AVAILABLE);
+  const validGcpHmacConfig =
+    config.EXPORT_DRIVER === "gs" && validAwsCredentials;
+  const validGcpConfig =
+    config.EXPORT_DRIVER === "gs-json" && valudGcpCredentials;
+
+  return validS3Config || validGcpHmacConfig || validGcpConfig;
+};
+
 const uploadToCloud = async (key, payload) => {
   const { upload, getDownloadUrl } = exporters[config.EXPORT_DRIVER];
 
@@ -1319,6 +1370,7 @@ const deleteJob = async (jobId, retries = 0) => {
 export async function exportCampaign(job) {
   let campaignId = undefined,
     campaignTitle = undefined,
+    primaryLanguage = undefined,
     notificationEmail = undefined,
     interactionSteps = undefined,
     assignments = undefined;
@@ -1327,6 +1379,7 @@ export async function exportCampaign(job) {
     ({
       campaignId,
       campaignTitle,
+      primaryLanguage,
       notificationEmail,
       interactionSteps,
       assignments
@@ -1366,6 +1419,7 @@ export async function exportCampaign(job) {
       (chunkContactResult = await processContactsChunk(
         campaignId,
         campaignTitle,
+        primaryLanguage,
         uniqueQuestionsByStepId,
         lastContactId
       ))
@@ -1387,18 +1441,7 @@ export async function exportCampaign(job) {
     logger.error("Error building CSVs:", exc);
   }
 
-  const validAwsCredentials =
-    config.AWS_ACCESS_KEY_ID && config.AWS_SECRET_ACCESS_KEY;
-  const valudGcpCredentials = !!config.GOOGLE_APPLICATION_CREDENTIALS;
-  const validS3Config =
-    config.EXPORT_DRIVER === "s3" &&
-    (validAwsCredentials || config.AWS_ACCESS_AVAILABLE);
-  const validGcpHmacConfig =
-    config.EXPORT_DRIVER === "gs" && validAwsCredentials;
-  const validGcpConfig =
-    config.EXPORT_DRIVER === "gs-json" && valudGcpCredentials;
-
-  if (validS3Config || validGcpHmacConfig || validGcpConfig) {
+  if (isCloudExportConfigured()) {
     // Attempt upload to cloud storage
     const objectKeyPrefix = config.AWS_S3_KEY_PREFIX;
     const safeTitle = campaignTitle.replace(/ /g, "_").replace(/\//g, "_");
@@ -1449,63 +1492,284 @@ export async function exportCampaign(job) {
   }
 }
 
-// add an in-memory guard that the same messages are being sent again and again
-// not related to stale filter
-let pastMessages = [];
+export async function importOptOuts(job) {
+  const { organization_id: organizationId } = job;
 
-export async function sendMessages(queryFunc, defaultStatus) {
+  // Any failure is recorded on the job, so the import does not look stuck
+  let resultMessage;
   try {
-    await knex.transaction(async trx => {
-      let messages = [];
-      try {
-        let messageQuery = trx("message")
-          .forUpdate()
-          .where({ send_status: defaultStatus || "QUEUED" });
-
-        if (queryFunc) {
-          messageQuery = queryFunc(messageQuery);
-        }
+    const jobPayload = JSON.parse(
+      await gunzip(new Buffer(job.payload, "base64"))
+    );
+    const { cells: rawCells, requester } = jobPayload;
+
+    const cells = rawCells
+      .map(cell => getFormattedPhoneNumber(cell))
+      .filter(cell => cell !== "");
+    const invalidCount = rawCells.length - cells.length;
+
+    const cellChunks = _.chunk(cells, CHUNK_SIZE);
+    let optedOutCount = 0;
+    for (let index = 0; index < cellChunks.length; index++) {
+      const newCells = await cacheableData.optOut.saveMany({
+        cells: cellChunks[index],
+        organizationId,
+        source: OptOutEventSource.ADMIN,
+        reason: "import",
+        userId: requester
+      });
+      optedOutCount += newCells.length;
+      await updateJob(job, Math.round(((index + 1) / cellChunks.length) * 100));
+    }
 
-        messages = await messageQuery.orderBy("created_at");
-      } catch (err) {
-        // Unable to obtain lock on these rows meaning another process must be
-        // sending them. We will exit gracefully in that case.
-        trx.rollback();
-        return;
-      }
+    resultMessage = [
+      `Opted out ${optedOutCount} new numbers.`,
+      `Skipped ${cells.length -
+        optedOutCount} numbers that were already opted out or repeated.`,
+      `Skipped ${invalidCount} invalid numbers.`
+    ].join("\n");
+  } catch (exc) {
+    logger.error("Error importing opt-outs:", exc);
+    resultMessage = `Opt-out import failed: ${exc.message}`;
+  }
 
-      try {
-        for (let index = 0; index < messages.length; index++) {
-          let message = messages[index];
-          if (pastMessages.indexOf(message.id) !== -1) {
-            throw new Error(
-              "Encountered send message request of the same message." +
-                " This is scary!  If ok, just restart process. Message ID: " +
-                message.id
-            );
-          }
-          message.service = message.service || config.DEFAULT_SERVICE;
-          const service = serviceMap[message.service];
-          logger.info(
-            `Sending (${message.service}): ${message.user_number} -> ${
-              message.contact_number
-            }\nMessage: ${message.text}`
-          );
-          await service.sendMessage(message, trx);
-          pastMessages.push(message.id);
-          pastMessages = pastMessages.slice(-100); // keep the last 100
-        }
+  if (job.id) {
+    await r
+      .knex("job_request")
+      .where({ id: job.id })
+      .update({ result_message: resultMessage });
+  }
+}
+
+export async function exportOptOuts(job) {
+  // A failed export is recorded on the job for the admin to dismiss, so it does not look stuck
+  try {
+    await writeOptOutsExport(job);
+  } catch (err) {
+    logger.error("Error exporting opt-outs:", err);
+    if (job.id) {
+      await r
+        .knex("job_request")
+        .where({ id: job.id })
+        .update({ result_message: `Opt-out export failed: ${err.message}` });
+    }
+    return;
+  }
+
+  if (job.id) {
+    await deleteJob(job.id);
+  }
+}
+
+async function writeOptOutsExport(job) {
+  const { organization_id: organizationId, payload: rawPayload } = job;
+  const { requester: requesterId } = JSON.parse(rawPayload);
+
+  const { email: notificationEmail } = await r
+    .reader("user")
+    .first("email")
+    .where({ id: requesterId });
+  const { name: organizationName } = await r
+    .reader("organization")
+    .first("name")
+    .where({ id: organizationId });
+
+  // When opt-outs are shared, every organization's opt-outs suppress this organization's texts
+  let optOutQuery = r
+    .reader("opt_out")
+    .select("cell", "reason_code", "is_automatic", "created_at")
+    .orderBy("created_at");
+  if (!config.OPTOUTS_SHARE_ALL_ORGS) {
+    optOutQuery = optOutQuery.where({ organization_id: organizationId });
+  }
+  const optOuts = await optOutQuery;
+  await updateJob(job, 50);
+
+  const optOutsCsv = Papa.unparse(
+    optOuts.map(optOut => ({
+      cell: optOut.cell,
+      reason: optOut.reason_code,
+      automatic: optOut.is_automatic,
+      opted_out_at: moment(optOut.created_at).toISOString()
+    }))
+  );
 
-        trx.commit();
-      } catch (err) {
-        logger.error("error sending messages:");
+  if (isCloudExportConfigured()) {
+    const safeName = organizationName.replace(/ /g, "_").replace(/\//g, "_");
+    const timestamp = moment().format("YYYY-MM-DD-HH-mm-ss");
+    const optOutsKey = `${
+      config.AWS_S3_KEY_PREFIX
+    }${safeName}-opt-outs-${timestamp}.csv`;
+    try {
+      const optOutsExportUrl = await uploadToCloud(optOutsKey, optOutsCsv);
+      await sendEmail({
+        to: notificationEmail,
+        subject: `Opt-out export ready for ${organizationName}`,
+        text:
+          `Your Spoke opt-out export is ready! This URL will be valid for 24 hours.` +
+          `    Opt-out export: ${optOutsExportUrl}`
+      }).catch(err => {
         logger.error(err);
-        trx.rollback();
+        logger.info(`Opt-out Export URL - ${optOutsExportUrl}`);
+      });
+      logger.info(`Successfully exported opt-outs for ${organizationId}`);
+    } catch (err) {
+      logger.error("Error uploading to cloud storage", err);
+
+      await sendEmail({
+        to: notificationEmail,
+        subject: `Opt-out export failed for ${organizationName}`,
+        text: `Your Spoke opt-out export failed... please try again later.
+        Error: ${err.message}`
+      });
+    }
+  } else {
+    logger.debug("Would have saved the following to cloud storage:");
+    logger.debug(optOutsCsv);
+  }
+}
+
+/**
+ * Claim a batch of due rows in one transaction, skipping rows another worker has locked rather
+ * than waiting on them. Claims record a lease in next_attempt_at, so a worker that dies holding
+ * rows releases them when the lease expires.
+ * @param {string} table The table to claim from
+ * @param {number} limit The most rows to claim
+ * @param {function} dueQuery Narrows a query on the table to the due rows, in claim order
+ * @param {function} claimUpdate Returns the columns marking rows claimed, given the transaction
+ * @returns {object[]} The claimed rows
+ */
+const claimDueRows = (table, limit, dueQuery, claimUpdate) =>
+  r.knex.transaction(async trx => {
+    const ids = await dueQuery(trx(table), trx)
+      .limit(limit)
+      .forUpdate()
+      .skipLocked()
+      .pluck("id");
+
+    if (ids.length === 0) return [];
+
+    return trx(table)
+      .update(claimUpdate(trx))
+      .whereIn("id", ids)
+      .returning("*");
+  });
+
+const SEND_BATCH_SIZE = 100;
+
+/**
+ * Claim a batch of messages that are due to be attempted. Claimed messages are marked SENDING
+ * and their attempt is counted.
+ * @param {function} queryFunc Optional function that narrows the message query
+ * @param {string|string[]} defaultStatus The send status(es) to claim from (default QUEUED)
+ * @returns {object[]} The claimed message rows
+ */
+const claimMessagesToSend = async (queryFunc, defaultStatus) =>
+  claimDueRows(
+    "message",
+    SEND_BATCH_SIZE,
+    messageQuery => {
+      messageQuery = messageQuery
+        .whereIn("send_status", [].concat(defaultStatus || "QUEUED"))
+        .where(builder =>
+          builder
+            .whereNull("next_attempt_at")
+            .orWhere("next_attempt_at", "<=", new Date())
+        );
+      if (queryFunc) {
+        messageQuery = queryFunc(messageQuery);
       }
-    });
+      return messageQuery.orderBy("created_at");
+    },
+    trx => ({
+      send_status: "SENDING",
+      send_attempts: trx.raw("send_attempts + 1"),
+      next_attempt_at: getSendLeaseExpiry()
+    })
+  );
+
+export async function sendMessages(queryFunc, defaultStatus) {
+  let messages = [];
+  try {
+    messages = await claimMessagesToSend(queryFunc, defaultStatus);
   } catch (err) {
-    logger.error("sendMessages transaction errored:");
+    logger.error("sendMessages could not claim messages:");
     logger.error(err);
+    return;
+  }
+
+  // Messages are sent oldest first; a failure only affects its own message
+  messages.sort((a, b) => a.created_at - b.created_at);
+  for (const message of messages) {
+    message.service = message.service || config.DEFAULT_SERVICE;
+    logger.info(
+      `Sending (${message.service}, attempt ${message.send_attempts}): ${
+        message.user_number
+      } -> ${message.contact_number}\nMessage: ${message.text}`
+    );
+    await attemptMessageSend(message);
+  }
+}
+
+const ACTION_BATCH_SIZE = 50;
+
+/**
+ * Claim a batch of action handler invocations that are due to be attempted. Claimed invocations
+ * are marked RUNNING and their attempt is counted. An invocation waits while an earlier one for
+ * the same contact and answer or tag is unfinished, so an undo never overtakes the action it
+ * reverses.
+ * @returns {object[]} The claimed action_handler_log rows
+ */
+const claimActionsToRun = async () =>
+  claimDueRows(
+    "action_handler_log",
+    ACTION_BATCH_SIZE,
+    (logQuery, trx) =>
+      logQuery
+        .whereIn("status", [
+          ActionHandlerLogStatus.Queued,
+          ActionHandlerLogStatus.Running
+        ])
+        .where("next_attempt_at", "<=", new Date())
+        .whereNotExists(
+          trx("action_handler_log as earlier")
+            .select(trx.raw(1))
+            .whereRaw(
+              "earlier.campaign_contact_id = action_handler_log.campaign_contact_id"
+            )
+            .whereRaw("earlier.id < action_handler_log.id")
+            .whereRaw(
+              `(earlier.interaction_step_id = action_handler_log.interaction_step_id
+              or earlier.tag_id = action_handler_log.tag_id)`
+            )
+            .whereIn("earlier.status", [
+              ActionHandlerLogStatus.Queued,
+              ActionHandlerLogStatus.Running
+            ])
+        )
+        .orderBy("next_attempt_at"),
+    trx => ({
+      status: ActionHandlerLogStatus.Running,
+      attempts: trx.raw("attempts + 1"),
+      next_attempt_at: getActionLeaseExpiry(),
+      updated_at: trx.fn.now()
+    })
+  );
+
+export async function runQueuedActions() {
+  let logs = [];
+  try {
+    logs = await claimActionsToRun();
+  } catch (err) {
+    logger.error("runQueuedActions could not claim actions:");
+    logger.error(err);
+    return;
+  }
+
+  // Actions run in the order they were queued so an undo follows the action it reverses
+  logs.sort((a, b) => a.id - b.id);
+  for (const log of logs) {
+    await runAction(log);
   }
 }
 
@@ -0,0 +1,6 @@
+import { retryMessageSender } from "./job-processes";
+import logger from "../logger";
+
+retryMessageSender().catch(err => {
+  logger.error(err);
+});